@@ -0,0 +1,105 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/**
+ * Measures the cost of updating the direction map of an EditorState on each
+ * keystroke, for documents of increasing size. Run `npm run build` first, as
+ * the benchmark uses the modules built in `lib`.
+ *
+ * `full` resolves every block, `incremental` compares the blocks with those of
+ * the previous content, and `operations` only visits the blocks changed by the
+ * recorded operations, as `EditorState.push` does.
+ *
+ *   node scripts/benchmark/directionMap.js
+ */
+
+/* eslint-disable no-console */
+
+'use strict';
+
+const ContentBlock = require('../../lib/ContentBlock');
+const ContentState = require('../../lib/ContentState');
+const DraftModifier = require('../../lib/DraftModifier');
+const DraftOperationLog = require('../../lib/DraftOperationLog');
+const EditorBidiService = require('../../lib/EditorBidiService');
+const SelectionState = require('../../lib/SelectionState');
+
+const BLOCK_COUNTS = [500, 1000, 5000, 20000];
+const KEYSTROKES = 200;
+
+// Mostly left-to-right paragraphs, with some right-to-left ones and blocks
+// inheriting their direction.
+const TEXTS = [
+  'Lorem ipsum dolor sit amet, consectetur adipiscing elit, sed do eiusmod.',
+  '',
+  '1.2.3',
+  'Ut enim ad minim veniam, quis nostrud exercitation ullamco laboris.',
+  'Duis aute irure dolor in reprehenderit in voluptate velit esse cillum.',
+  'שלום עולם, זוהי פסקה בעברית.',
+  '',
+  'Excepteur sint occaecat cupidatat non proident, sunt in culpa qui.',
+];
+
+const createContent = blockCount => {
+  const blocks = [];
+  for (let ii = 0; ii < blockCount; ii++) {
+    blocks.push(
+      new ContentBlock({key: 'b' + ii, text: TEXTS[ii % TEXTS.length]}),
+    );
+  }
+  return ContentState.createFromBlockArray(blocks);
+};
+
+/**
+ * Type into the block in the middle of the document, and return the average
+ * time spent updating the direction map per keystroke, in milliseconds.
+ */
+const measure = (blockCount, getDirectionMap) => {
+  let content = createContent(blockCount);
+  let directionMap = EditorBidiService.getDirectionMap(content);
+  let selection = SelectionState.createEmpty('b' + Math.floor(blockCount / 2));
+
+  let total = 0;
+  for (let ii = 0; ii < KEYSTROKES; ii++) {
+    const nextContent = DraftModifier.insertText(content, selection, 'a');
+    const operations = DraftOperationLog.getOperations(content, nextContent);
+    const start = process.hrtime();
+    directionMap = getDirectionMap(
+      nextContent,
+      directionMap,
+      content,
+      operations,
+    );
+    const [seconds, nanoseconds] = process.hrtime(start);
+    total += seconds * 1e3 + nanoseconds / 1e6;
+    content = nextContent;
+    selection = content.getSelectionAfter();
+  }
+  return total / KEYSTROKES;
+};
+
+const strategies = {
+  full: (content, directionMap) =>
+    EditorBidiService.getDirectionMap(content, directionMap),
+  incremental: (content, directionMap, prevContent) =>
+    EditorBidiService.getDirectionMap(content, directionMap, prevContent),
+  operations: (content, directionMap, prevContent, operations) =>
+    EditorBidiService.getDirectionMap(
+      content,
+      directionMap,
+      prevContent,
+      operations,
+    ),
+};
+
+console.log('blocks\t' + Object.keys(strategies).join('\t') + ' (ms per key)');
+BLOCK_COUNTS.forEach(blockCount => {
+  const results = Object.keys(strategies).map(name =>
+    measure(blockCount, strategies[name]).toFixed(3),
+  );
+  console.log(blockCount + '\t' + results.join('\t'));
+});
@@ -12,33 +12,46 @@
 
 const AtomicBlockUtils = require('AtomicBlockUtils');
 const BlockMapBuilder = require('BlockMapBuilder');
+const BlockSelectionUtils = require('BlockSelectionUtils');
 const CharacterMetadata = require('CharacterMetadata');
 const CompositeDraftDecorator = require('CompositeDraftDecorator');
 const ContentBlock = require('ContentBlock');
+const ContentBlockNode = require('ContentBlockNode');
 const ContentState = require('ContentState');
 const DefaultDraftBlockRenderMap = require('DefaultDraftBlockRenderMap');
 const DefaultDraftInlineStyle = require('DefaultDraftInlineStyle');
+const DefaultDraftInputRules = require('DefaultDraftInputRules');
 const DraftEditor = require('DraftEditor.react');
 const DraftEditorBlock = require('DraftEditorBlock.react');
 const DraftEntity = require('DraftEntity');
 const DraftModifier = require('DraftModifier');
+const DraftNestedContentConversion = require('DraftNestedContentConversion');
+const DraftOperationTransform = require('DraftOperationTransform');
 const DraftEntityInstance = require('DraftEntityInstance');
+const DraftRawMigrations = require('DraftRawMigrations');
+const DraftTreeModifier = require('DraftTreeModifier');
 const EditorState = require('EditorState');
 const KeyBindingUtil = require('KeyBindingUtil');
+const NestedRichTextEditorUtil = require('NestedRichTextEditorUtil');
 const RawDraftContentState = require('RawDraftContentState');
 const RichTextEditorUtil = require('RichTextEditorUtil');
+const SearchUtils = require('SearchUtils');
 const SelectionState = require('SelectionState');
+const TableUtils = require('TableUtils');
 
+const convertFromDraftStateToHTML = require('convertFromDraftStateToHTML');
+const convertFromDraftStateToMarkdown = require('convertFromDraftStateToMarkdown');
 const convertFromDraftStateToRaw = require('convertFromDraftStateToRaw');
+const convertFromEditorStateToRawHistory = require('convertFromEditorStateToRawHistory');
+const convertFromHTML = require('convertFromHTML');
+const convertFromMarkdownToDraftState = require('convertFromMarkdownToDraftState');
+const convertFromRawHistoryToEditorState = require('convertFromRawHistoryToEditorState');
 const convertFromRawToDraftState = require('convertFromRawToDraftState');
+const createTextSubstitutionRules = require('createTextSubstitutionRules');
 const generateRandomKey = require('generateRandomKey');
 const getDefaultKeyBinding = require('getDefaultKeyBinding');
 const getVisibleSelectionRect = require('getVisibleSelectionRect');
-const gkx = require('gkx');
-
-const convertFromHTML = gkx('draft_refactored_html_importer')
-  ? require('convertFromHTMLToContentBlocks2')
-  : require('convertFromHTMLToContentBlocks');
+const validateRawContent = require('validateRawContent');
 
 const DraftPublic = {
   Editor: DraftEditor,
@@ -52,24 +65,41 @@ const DraftPublic = {
   BlockMapBuilder,
   CharacterMetadata,
   ContentBlock,
+  ContentBlockNode,
   ContentState,
   RawDraftContentState,
+  RawMigrations: DraftRawMigrations,
+  NestedContentConversion: DraftNestedContentConversion,
   SelectionState,
 
   AtomicBlockUtils,
+  BlockSelectionUtils,
   KeyBindingUtil,
   Modifier: DraftModifier,
+  TreeModifier: DraftTreeModifier,
+  OperationTransform: DraftOperationTransform,
   RichUtils: RichTextEditorUtil,
+  NestedRichUtils: NestedRichTextEditorUtil,
+  SearchUtils,
+  TableUtils,
 
   DefaultDraftBlockRenderMap,
   DefaultDraftInlineStyle,
+  DefaultDraftInputRules,
 
   convertFromHTML,
   convertFromRaw: convertFromRawToDraftState,
   convertToRaw: convertFromDraftStateToRaw,
+  convertToHTML: convertFromDraftStateToHTML,
+  convertFromMarkdown: convertFromMarkdownToDraftState,
+  convertToMarkdown: convertFromDraftStateToMarkdown,
+  convertFromRawHistory: convertFromRawHistoryToEditorState,
+  convertToRawHistory: convertFromEditorStateToRawHistory,
+  createTextSubstitutionRules,
   genKey: generateRandomKey,
   getDefaultKeyBinding,
   getVisibleSelectionRect,
+  validateRawContent,
 };
 
 module.exports = DraftPublic;
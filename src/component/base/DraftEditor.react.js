@@ -13,12 +13,15 @@
 'use strict';
 
 import type {BlockMap} from 'BlockMap';
+import type {DraftBlockDropTarget} from 'DraftBlockDrag';
+import type {DraftDecoratorType} from 'DraftDecoratorType';
 import type {DraftEditorModes} from 'DraftEditorModes';
 import type {DraftEditorDefaultProps, DraftEditorProps} from 'DraftEditorProps';
 import type {DraftScrollPosition} from 'DraftScrollPosition';
 
 const DefaultDraftBlockRenderMap = require('DefaultDraftBlockRenderMap');
 const DefaultDraftInlineStyle = require('DefaultDraftInlineStyle');
+const DraftBlockDrag = require('DraftBlockDrag');
 const DraftEditorCompositionHandler = require('DraftEditorCompositionHandler');
 const DraftEditorContents = require('DraftEditorContents.react');
 const DraftEditorDragHandler = require('DraftEditorDragHandler');
@@ -28,6 +31,7 @@ const DraftEffects = require('DraftEffects');
 const EditorState = require('EditorState');
 const React = require('React');
 const ReactDOM = require('ReactDOM');
+const RichTextEditorUtil = require('RichTextEditorUtil');
 const Scroll = require('Scroll');
 const Style = require('Style');
 const UserAgent = require('UserAgent');
@@ -58,6 +62,7 @@ const handlerMap = {
 };
 
 type State = {
+  blockDropTarget: ?DraftBlockDropTarget,
   contentsKey: number,
 };
 
@@ -148,12 +153,15 @@ class DraftEditor extends React.Component<DraftEditorProps, State> {
   _clipboard: ?BlockMap;
   _handler: ?Object;
   _dragCount: number;
+  _draggedBlockKeys: ?Array<string>;
   _internalDrag: boolean;
   _editorKey: string;
   _placeholderAccessibilityID: string;
   _latestEditorState: EditorState;
   _latestCommittedEditorState: EditorState;
   _pendingStateFromBeforeInput: void | EditorState;
+  _subscribedDecorator: ?DraftDecoratorType;
+  _unsubscribeFromDecorator: ?() => void;
 
   /**
    * Define proxies that can route events to the current handler.
@@ -186,6 +194,7 @@ class DraftEditor extends React.Component<DraftEditorProps, State> {
   setMode: (mode: DraftEditorModes) => void;
   exitCurrentMode: () => void;
   restoreEditorDOM: (scrollPosition?: DraftScrollPosition) => void;
+  setBlockDropTarget: (blockDropTarget: ?DraftBlockDropTarget) => void;
   setClipboard: (clipboard: ?BlockMap) => void;
   getClipboard: () => ?BlockMap;
   getEditorKey: () => string;
@@ -200,10 +209,13 @@ class DraftEditor extends React.Component<DraftEditorProps, State> {
     this._clipboard = null;
     this._handler = null;
     this._dragCount = 0;
+    this._draggedBlockKeys = null;
     this._editorKey = props.editorKey || generateRandomKey();
     this._placeholderAccessibilityID = 'placeholder-' + this._editorKey;
     this._latestEditorState = props.editorState;
     this._latestCommittedEditorState = props.editorState;
+    this._subscribedDecorator = null;
+    this._unsubscribeFromDecorator = null;
 
     this._onBeforeInput = this._buildHandler('onBeforeInput');
     this._onBlur = this._buildHandler('onBlur');
@@ -250,7 +262,7 @@ class DraftEditor extends React.Component<DraftEditorProps, State> {
     }
 
     // See `restoreEditorDOM()`.
-    this.state = {contentsKey: 0};
+    this.state = {blockDropTarget: null, contentsKey: 0};
   }
 
   /**
@@ -305,6 +317,7 @@ class DraftEditor extends React.Component<DraftEditorProps, State> {
 
   render(): React.Node {
     const {
+      blockDragHandles,
       blockRenderMap,
       blockRendererFn,
       blockStyleFn,
@@ -312,6 +325,7 @@ class DraftEditor extends React.Component<DraftEditorProps, State> {
       customStyleMap,
       editorState,
       readOnly,
+      remoteSelections,
       textAlignment,
       textDirectionality,
     } = this.props;
@@ -341,7 +355,9 @@ class DraftEditor extends React.Component<DraftEditorProps, State> {
     const ariaExpanded =
       ariaRole === 'combobox' ? !!this.props.ariaExpanded : null;
 
+    const hasBlockDragHandles = !readOnly && !!blockDragHandles;
     const editorContentsProps = {
+      blockDropTarget: this.state.blockDropTarget,
       blockRenderMap,
       blockRendererFn,
       blockStyleFn,
@@ -353,6 +369,10 @@ class DraftEditor extends React.Component<DraftEditorProps, State> {
       editorKey: this._editorKey,
       editorState,
       key: 'contents' + this.state.contentsKey,
+      onBlockDragEnd: hasBlockDragHandles ? this._onBlockDragEnd : null,
+      onBlockDragStart: hasBlockDragHandles ? this._onBlockDragStart : null,
+      onToggleChecked: readOnly ? null : this._onToggleChecked,
+      remoteSelections,
       textDirectionality,
     };
 
@@ -445,12 +465,42 @@ class DraftEditor extends React.Component<DraftEditorProps, State> {
     if (isIE) {
       document.execCommand('AutoUrlDetect', false, false);
     }
+
+    this._subscribeToDecorator(this.props.editorState.getDecorator());
   }
 
   componentDidUpdate(): void {
     this._blockSelectEvents = false;
     this._latestEditorState = this.props.editorState;
     this._latestCommittedEditorState = this.props.editorState;
+    this._subscribeToDecorator(this.props.editorState.getDecorator());
+  }
+
+  componentWillUnmount(): void {
+    this._subscribeToDecorator(null);
+  }
+
+  /**
+   * Decorators that find decorations asynchronously notify the editor of the
+   * blocks whose decorations arrived, so that they are rendered.
+   */
+  _subscribeToDecorator(decorator: ?DraftDecoratorType): void {
+    if (decorator === this._subscribedDecorator) {
+      return;
+    }
+    if (this._unsubscribeFromDecorator) {
+      this._unsubscribeFromDecorator();
+      this._unsubscribeFromDecorator = null;
+    }
+    this._subscribedDecorator = decorator;
+    if (decorator && decorator.subscribe) {
+      this._unsubscribeFromDecorator = decorator.subscribe(blockKeys => {
+        const editorState = this._latestEditorState;
+        if (editorState.getDecorator() === decorator) {
+          this.update(EditorState.updateDecorations(editorState, blockKeys));
+        }
+      });
+    }
   }
 
   /**
@@ -544,6 +594,55 @@ class DraftEditor extends React.Component<DraftEditorProps, State> {
     });
   };
 
+  /**
+   * Toggle a checkable list item when its checkbox is clicked.
+   */
+  _onToggleChecked: string => void = (blockKey: string): void => {
+    this.update(
+      RichTextEditorUtil.toggleChecked(this._latestEditorState, blockKey),
+    );
+  };
+
+  /**
+   * Start dragging blocks by the drag handle of a block.
+   */
+  _onBlockDragStart: string => void = (blockKey: string): void => {
+    this._draggedBlockKeys = DraftBlockDrag.getDraggedBlockKeys(
+      this._latestEditorState,
+      blockKey,
+    );
+  };
+
+  /**
+   * Stop dragging blocks, whether they were dropped or not.
+   */
+  _onBlockDragEnd: () => void = (): void => {
+    this._draggedBlockKeys = null;
+    this.setBlockDropTarget(null);
+  };
+
+  /**
+   * Used via `this.setBlockDropTarget(...)`.
+   *
+   * Set the block next to which the dragged blocks are to be dropped, over
+   * which the drop indicator is rendered.
+   */
+  setBlockDropTarget: (?DraftBlockDropTarget) => void = (
+    blockDropTarget: ?DraftBlockDropTarget,
+  ): void => {
+    const current = this.state.blockDropTarget;
+    if (
+      current === blockDropTarget ||
+      (current &&
+        blockDropTarget &&
+        current.blockKey === blockDropTarget.blockKey &&
+        current.insertionMode === blockDropTarget.insertionMode)
+    ) {
+      return;
+    }
+    this.setState({blockDropTarget});
+  };
+
   /**
    * Used via `this.setClipboard(...)`.
    *
@@ -591,6 +690,7 @@ class DraftEditor extends React.Component<DraftEditorProps, State> {
   onDragLeave: () => void = (): void => {
     this._dragCount--;
     if (this._dragCount === 0) {
+      this.setBlockDropTarget(null);
       this.exitCurrentMode();
     }
   };
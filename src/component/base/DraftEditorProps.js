@@ -17,6 +17,8 @@ import type {DraftDragType} from 'DraftDragType';
 import type {DraftEditorCommand} from 'DraftEditorCommand';
 import type {DraftHandleValue} from 'DraftHandleValue';
 import type {DraftInlineStyle} from 'DraftInlineStyle';
+import type {DraftInputRule} from 'DraftInputRule';
+import type {DraftRemoteSelection} from 'DraftRemoteSelection';
 import type {DraftTextAlignment} from 'DraftTextAlignment';
 import type EditorState from 'EditorState';
 import type SelectionState from 'SelectionState';
@@ -55,6 +57,23 @@ export type DraftEditorProps = {
   // regardless of input characters.
   textDirectionality?: BidiDirection,
 
+  // The selections of other users editing the same content, rendered as
+  // non-interactive carets and highlighted ranges over the contents.
+  remoteSelections?: Array<DraftRemoteSelection>,
+
+  // Rules transforming the content as the user types, for instance to start a
+  // list when typing `* ` at the start of a block. See
+  // `DefaultDraftInputRules` for the Markdown syntax.
+  inputRules?: $ReadOnlyArray<DraftInputRule>,
+
+  // Render a drag handle before each block, moving the block, or the selected
+  // blocks when they include it, to where it is dropped.
+  blockDragHandles?: boolean,
+
+  // Select the blocks covered by the selection as a whole on Esc, binding the
+  // keys of `getBlockSelectionKeyBinding` while they are selected.
+  blockSelection?: boolean,
+
   // For a given `ContentBlock` object, return an object that specifies
   // a custom block component and/or props. If no object is returned,
   // the default `DraftEditorBlock` is used.
@@ -14,7 +14,10 @@ jest.disableAutomock();
 
 jest.mock('generateRandomKey');
 
+const CompositeDraftDecorator = require('CompositeDraftDecorator');
+const ContentState = require('ContentState');
 const DraftEditor = require('DraftEditor.react');
+const EditorState = require('EditorState');
 const React = require('React');
 
 const ReactShallowRenderer = require('react-test-renderer/shallow');
@@ -48,3 +51,38 @@ test('must has editorKey same as props', () => {
     shallow._instance.getEditorKey || shallow._instance._instance.getEditorKey;
   expect(getEditorKey()).toMatchSnapshot();
 });
+
+test('must render decorations that arrive asynchronously', async () => {
+  let resolve;
+  const decorator = new CompositeDraftDecorator([
+    {
+      asyncStrategy: () =>
+        new Promise(callback => {
+          resolve = callback;
+        }),
+      component: () => null,
+    },
+  ]);
+  const editorState = EditorState.createWithContent(
+    ContentState.createFromText('text'),
+    decorator,
+  );
+  const onChange = jest.fn();
+  shallow.render(<DraftEditor editorState={editorState} onChange={onChange} />);
+
+  // See above.
+  const instance = shallow._instance._subscribeToDecorator
+    ? shallow._instance
+    : shallow._instance._instance;
+  instance._subscribeToDecorator(decorator);
+
+  resolve([]);
+  await Promise.resolve();
+  expect(onChange).toHaveBeenCalledTimes(1);
+  const [[updated]] = onChange.mock.calls;
+  expect(updated.getCurrentContent()).toBe(editorState.getCurrentContent());
+  expect(updated.getSelection()).toBe(editorState.getSelection());
+
+  instance._subscribeToDecorator(null);
+  expect(decorator._listeners.size).toBe(0);
+});
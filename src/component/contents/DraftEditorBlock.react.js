@@ -16,11 +16,14 @@ import type ContentState from 'ContentState';
 import type {DraftDecoratorComponentProps} from 'DraftDecorator';
 import type {DraftDecoratorType} from 'DraftDecoratorType';
 import type {DraftInlineStyle} from 'DraftInlineStyle';
+import type {DraftBlockRemoteSelection} from 'DraftRemoteSelection';
 import type SelectionState from 'SelectionState';
 import type {BidiDirection} from 'UnicodeBidiDirection';
+import type {DraftNestedDecoration} from 'getNestedDecorations';
 import type {List} from 'immutable';
 
 const DraftEditorLeaf = require('DraftEditorLeaf.react');
+const DraftEditorRemoteSelections = require('DraftEditorRemoteSelections.react');
 const DraftOffsetKey = require('DraftOffsetKey');
 const React = require('React');
 const ReactDOM = require('ReactDOM');
@@ -29,8 +32,10 @@ const Style = require('Style');
 const UnicodeBidi = require('UnicodeBidi');
 const UnicodeBidiDirection = require('UnicodeBidiDirection');
 
+const areBlockRemoteSelectionsEqual = require('areBlockRemoteSelectionsEqual');
 const cx = require('cx');
 const getElementPosition = require('getElementPosition');
+const getNestedDecorations = require('getNestedDecorations');
 const getScrollPosition = require('getScrollPosition');
 const getViewportDimensions = require('getViewportDimensions');
 const invariant = require('invariant');
@@ -49,6 +54,7 @@ type Props = {
   direction: BidiDirection,
   forceSelection: boolean,
   offsetKey: string,
+  remoteSelections?: ?Array<DraftBlockRemoteSelection>,
   selection: SelectionState,
   startIndent?: boolean,
   tree: List<any>,
@@ -76,6 +82,10 @@ class DraftEditorBlock extends React.Component<Props> {
       this.props.block !== nextProps.block ||
       this.props.tree !== nextProps.tree ||
       this.props.direction !== nextProps.direction ||
+      !areBlockRemoteSelectionsEqual(
+        this.props.remoteSelections,
+        nextProps.remoteSelections,
+      ) ||
       (isBlockOnSelectionEdge(nextProps.selection, nextProps.block.getKey()) &&
         nextProps.forceSelection)
     );
@@ -133,93 +143,123 @@ class DraftEditorBlock extends React.Component<Props> {
     }
   }
 
-  _renderChildren(): Array<React.Node> {
+  _renderLeaves(ii: number, hasSelection: boolean): Array<React.Node> {
     const block = this.props.block;
     const blockKey = block.getKey();
     const text = block.getText();
     const lastLeafSet = this.props.tree.size - 1;
-    const hasSelection = isBlockOnSelectionEdge(this.props.selection, blockKey);
-
-    return this.props.tree
-      .map((leafSet, ii) => {
-        const leavesForLeafSet = leafSet.get('leaves');
-        const lastLeaf = leavesForLeafSet.size - 1;
-        const leaves = leavesForLeafSet
-          .map((leaf, jj) => {
-            const offsetKey = DraftOffsetKey.encode(blockKey, ii, jj);
-            const start = leaf.get('start');
-            const end = leaf.get('end');
-            return (
-              <DraftEditorLeaf
-                key={offsetKey}
-                offsetKey={offsetKey}
-                block={block}
-                start={start}
-                selection={hasSelection ? this.props.selection : null}
-                forceSelection={this.props.forceSelection}
-                text={text.slice(start, end)}
-                styleSet={block.getInlineStyleAt(start)}
-                customStyleMap={this.props.customStyleMap}
-                customStyleFn={this.props.customStyleFn}
-                isLast={ii === lastLeafSet && jj === lastLeaf}
-              />
-            );
-          })
-          .toArray();
-
-        const decoratorKey = leafSet.get('decoratorKey');
-        if (decoratorKey == null) {
-          return leaves;
-        }
-
-        if (!this.props.decorator) {
-          return leaves;
-        }
-
-        const decorator = nullthrows(this.props.decorator);
-
-        const DecoratorComponent = decorator.getComponentForKey(decoratorKey);
-        if (!DecoratorComponent) {
-          return leaves;
-        }
-
-        const decoratorProps = decorator.getPropsForKey(decoratorKey);
-        const decoratorOffsetKey = DraftOffsetKey.encode(blockKey, ii, 0);
-        const start = leavesForLeafSet.first().get('start');
-        const end = leavesForLeafSet.last().get('end');
-        const decoratedText = text.slice(start, end);
-        const entityKey = block.getEntityAt(leafSet.get('start'));
-
-        // Resetting dir to the same value on a child node makes Chrome/Firefox
-        // confused on cursor movement. See http://jsfiddle.net/d157kLck/3/
-        const dir = UnicodeBidiDirection.getHTMLDirIfDifferent(
-          UnicodeBidi.getDirection(decoratedText),
-          this.props.direction,
-        );
-
-        const commonProps: DraftDecoratorComponentProps = {
-          contentState: this.props.contentState,
-          decoratedText,
-          dir: dir,
-          key: decoratorOffsetKey,
-          start,
-          end,
-          blockKey,
-          entityKey,
-          offsetKey: decoratorOffsetKey,
-        };
+    const leavesForLeafSet = this.props.tree.getIn([ii, 'leaves']);
+    const lastLeaf = leavesForLeafSet.size - 1;
 
+    return leavesForLeafSet
+      .map((leaf, jj) => {
+        const offsetKey = DraftOffsetKey.encode(blockKey, ii, jj);
+        const start = leaf.get('start');
+        const end = leaf.get('end');
         return (
-          <DecoratorComponent {...decoratorProps} {...commonProps}>
-            {leaves}
-          </DecoratorComponent>
+          <DraftEditorLeaf
+            key={offsetKey}
+            offsetKey={offsetKey}
+            block={block}
+            start={start}
+            selection={hasSelection ? this.props.selection : null}
+            forceSelection={this.props.forceSelection}
+            text={text.slice(start, end)}
+            styleSet={block.getInlineStyleAt(start)}
+            customStyleMap={this.props.customStyleMap}
+            customStyleFn={this.props.customStyleFn}
+            isLast={ii === lastLeafSet && jj === lastLeaf}
+          />
         );
       })
       .toArray();
   }
 
+  /**
+   * Render a decorated range as its decorator component, wrapping the leaves
+   * and the decorations nested in the range.
+   */
+  _renderDecorations(
+    decorations: Array<DraftNestedDecoration>,
+    hasSelection: boolean,
+  ): Array<React.Node> {
+    const block = this.props.block;
+    const blockKey = block.getKey();
+    const text = block.getText();
+    const tree = this.props.tree;
+    const children = [];
+
+    decorations.forEach(decoration => {
+      const {decoratorKey, first, last} = decoration;
+      if (decoratorKey == null) {
+        children.push(...this._renderLeaves(first, hasSelection));
+        return;
+      }
+
+      const leaves = this._renderDecorations(decoration.children, hasSelection);
+      const decorator = nullthrows(this.props.decorator);
+
+      const DecoratorComponent = decorator.getComponentForKey(decoratorKey);
+      if (!DecoratorComponent) {
+        children.push(...leaves);
+        return;
+      }
+
+      const decoratorProps = decorator.getPropsForKey(decoratorKey);
+      const decoratorOffsetKey = DraftOffsetKey.encode(blockKey, first, 0);
+      const start = tree
+        .getIn([first, 'leaves'])
+        .first()
+        .get('start');
+      const end = tree
+        .getIn([last, 'leaves'])
+        .last()
+        .get('end');
+      const decoratedText = text.slice(start, end);
+      const entityKey = block.getEntityAt(tree.getIn([first, 'start']));
+
+      // Resetting dir to the same value on a child node makes Chrome/Firefox
+      // confused on cursor movement. See http://jsfiddle.net/d157kLck/3/
+      const dir = UnicodeBidiDirection.getHTMLDirIfDifferent(
+        UnicodeBidi.getDirection(decoratedText),
+        this.props.direction,
+      );
+
+      const commonProps: DraftDecoratorComponentProps = {
+        contentState: this.props.contentState,
+        decoratedText,
+        dir: dir,
+        key: decoratorOffsetKey,
+        start,
+        end,
+        blockKey,
+        entityKey,
+        offsetKey: decoratorOffsetKey,
+      };
+
+      children.push(
+        <DecoratorComponent {...decoratorProps} {...commonProps}>
+          {leaves}
+        </DecoratorComponent>,
+      );
+    });
+
+    return children;
+  }
+
+  _renderChildren(): Array<React.Node> {
+    const hasSelection = isBlockOnSelectionEdge(
+      this.props.selection,
+      this.props.block.getKey(),
+    );
+    return this._renderDecorations(
+      getNestedDecorations(this.props.tree, this.props.decorator),
+      hasSelection,
+    );
+  }
+
   render(): React.Node {
-    const {direction, offsetKey} = this.props;
+    const {block, direction, offsetKey, remoteSelections, tree} = this.props;
     const className = cx({
       'public/DraftStyleDefault/block': true,
       'public/DraftStyleDefault/ltr': direction === 'LTR',
@@ -228,6 +268,13 @@ class DraftEditorBlock extends React.Component<Props> {
 
     return (
       <div data-offset-key={offsetKey} className={className}>
+        {remoteSelections && remoteSelections.length ? (
+          <DraftEditorRemoteSelections
+            blockKey={block.getKey()}
+            remoteSelections={remoteSelections}
+            tree={tree}
+          />
+        ) : null}
         {this._renderChildren()}
       </div>
     );
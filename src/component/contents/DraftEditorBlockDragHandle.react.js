@@ -0,0 +1,55 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @format
+ * @flow
+ * @emails oncall+draft_js
+ */
+
+'use strict';
+
+const React = require('React');
+
+const cx = require('cx');
+
+type Props = {
+  blockKey: string,
+  onBlockDragEnd: () => void,
+  onBlockDragStart: (blockKey: string) => void,
+};
+
+/**
+ * The handle rendered before blocks when block drag handles are enabled,
+ * dragging the block, or the selected blocks when they include it. It is not
+ * editable, so that the selection stays within the text of the blocks.
+ */
+class DraftEditorBlockDragHandle extends React.Component<Props> {
+  _onDragStart = (e: SyntheticDragEvent<>): void => {
+    const {dataTransfer} = e;
+    if (dataTransfer) {
+      dataTransfer.effectAllowed = 'move';
+      // Firefox only starts dragging elements with data.
+      dataTransfer.setData('text/plain', '');
+    }
+    this.props.onBlockDragStart(this.props.blockKey);
+  };
+
+  render(): React.Node {
+    return (
+      <span
+        aria-hidden={true}
+        className={cx('public/DraftEditorBlockDrag/handle')}
+        contentEditable={false}
+        draggable={true}
+        onDragEnd={this.props.onBlockDragEnd}
+        onDragStart={this._onDragStart}
+        suppressContentEditableWarning
+      />
+    );
+  }
+}
+
+module.exports = DraftEditorBlockDragHandle;
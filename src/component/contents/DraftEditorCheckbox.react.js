@@ -0,0 +1,63 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @format
+ * @flow
+ * @emails oncall+draft_js
+ */
+
+'use strict';
+
+import type {BlockNodeRecord} from 'BlockNodeRecord';
+
+const DraftCheckableListItem = require('DraftCheckableListItem');
+const React = require('React');
+
+const cx = require('cx');
+
+type Props = {
+  block: BlockNodeRecord,
+  // Toggle the checked state of the block, or null in read-only editors.
+  onToggleChecked: ?(blockKey: string) => void,
+};
+
+/**
+ * The checkbox rendered before the text of checkable list items. It is not
+ * editable, so that the selection stays within the text of the item.
+ */
+class DraftEditorCheckbox extends React.Component<Props> {
+  _onChange = (): void => {
+    const {block, onToggleChecked} = this.props;
+    if (onToggleChecked) {
+      onToggleChecked(block.getKey());
+    }
+  };
+
+  // Keep the focus and the selection in the editor when clicking.
+  _onMouseDown = (e: SyntheticMouseEvent<>): void => {
+    e.preventDefault();
+  };
+
+  render(): React.Node {
+    const {block, onToggleChecked} = this.props;
+    return (
+      <span
+        className={cx('public/DraftEditorCheckbox/root')}
+        contentEditable={false}
+        suppressContentEditableWarning>
+        <input
+          checked={DraftCheckableListItem.isChecked(block)}
+          disabled={!onToggleChecked}
+          onChange={this._onChange}
+          onMouseDown={this._onMouseDown}
+          type="checkbox"
+        />
+      </span>
+    );
+  }
+}
+
+module.exports = DraftEditorCheckbox;
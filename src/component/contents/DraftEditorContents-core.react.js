@@ -12,16 +12,27 @@
 'use strict';
 
 import type {BlockNodeRecord} from 'BlockNodeRecord';
+import type {DraftBlockDropTarget} from 'DraftBlockDrag';
 import type {DraftBlockRenderMap} from 'DraftBlockRenderMap';
 import type {DraftInlineStyle} from 'DraftInlineStyle';
+import type {DraftRemoteSelection} from 'DraftRemoteSelection';
 import type EditorState from 'EditorState';
 import type {BidiDirection} from 'UnicodeBidiDirection';
 
+const BlockSelectionUtils = require('BlockSelectionUtils');
+const DraftBlockDirection = require('DraftBlockDirection');
+const DraftBlockDrag = require('DraftBlockDrag');
+const DraftCheckableListItem = require('DraftCheckableListItem');
 const DraftEditorBlock = require('DraftEditorBlock.react');
+const DraftEditorBlockDragHandle = require('DraftEditorBlockDragHandle.react');
+const DraftEditorCheckbox = require('DraftEditorCheckbox.react');
 const DraftOffsetKey = require('DraftOffsetKey');
 const React = require('React');
 
 const cx = require('cx');
+const getBlockDropIndicatorClass = require('getBlockDropIndicatorClass');
+const getBlockRemoteSelections = require('getBlockRemoteSelections');
+const getBlockSelectionClass = require('getBlockSelectionClass');
 const joinClasses: (
   className?: ?string,
   ...classes: Array<?string>
@@ -29,6 +40,7 @@ const joinClasses: (
 const nullthrows = require('nullthrows');
 
 type Props = {
+  blockDropTarget?: ?DraftBlockDropTarget,
   blockRenderMap: DraftBlockRenderMap,
   blockRendererFn: (block: BlockNodeRecord) => ?Object,
   blockStyleFn?: (block: BlockNodeRecord) => string,
@@ -36,6 +48,10 @@ type Props = {
   customStyleMap?: Object,
   editorKey?: string,
   editorState: EditorState,
+  onBlockDragEnd?: ?() => void,
+  onBlockDragStart?: ?(blockKey: string) => void,
+  onToggleChecked?: ?(blockKey: string) => void,
+  remoteSelections?: ?Array<DraftRemoteSelection>,
   textDirectionality?: BidiDirection,
 };
 
@@ -55,6 +71,8 @@ const getListItemClasses = (
     'public/DraftStyleDefault/unorderedListItem':
       type === 'unordered-list-item',
     'public/DraftStyleDefault/orderedListItem': type === 'ordered-list-item',
+    'public/DraftStyleDefault/checkableListItem':
+      type === 'checkable-list-item',
     'public/DraftStyleDefault/reset': shouldResetCount,
     'public/DraftStyleDefault/depth0': depth === 0,
     'public/DraftStyleDefault/depth1': depth === 1,
@@ -88,6 +106,32 @@ class DraftEditorContents extends React.Component<Props> {
       return true;
     }
 
+    // Remote selections are rendered over the blocks they are within.
+    if (this.props.remoteSelections !== nextProps.remoteSelections) {
+      return true;
+    }
+
+    // Checkboxes are disabled when the editor becomes read-only.
+    if (this.props.onToggleChecked !== nextProps.onToggleChecked) {
+      return true;
+    }
+
+    // Drag handles and drop indicators are rendered with the blocks.
+    if (
+      this.props.onBlockDragStart !== nextProps.onBlockDragStart ||
+      this.props.blockDropTarget !== nextProps.blockDropTarget
+    ) {
+      return true;
+    }
+
+    // Blocks selected as a whole are highlighted.
+    if (
+      prevEditorState.getBlockSelection() !==
+      nextEditorState.getBlockSelection()
+    ) {
+      return true;
+    }
+
     const didHaveFocus = prevEditorState.getSelection().getHasFocus();
     const nowHasFocus = nextEditorState.getSelection().getHasFocus();
 
@@ -119,12 +163,16 @@ class DraftEditorContents extends React.Component<Props> {
       wasComposing !== nowComposing ||
       prevContent !== nextContent ||
       prevDecorator !== nextDecorator ||
+      // Decorations can be generated again without any change to the content.
+      prevEditorState.getImmutable().get('treeMap') !==
+        nextEditorState.getImmutable().get('treeMap') ||
       nextEditorState.mustForceSelection()
     );
   }
 
   render(): React.Node {
     const {
+      blockDropTarget,
       blockRenderMap,
       blockRendererFn,
       blockStyleFn,
@@ -132,6 +180,10 @@ class DraftEditorContents extends React.Component<Props> {
       customStyleFn,
       editorState,
       editorKey,
+      onBlockDragEnd,
+      onBlockDragStart,
+      onToggleChecked,
+      remoteSelections,
       textDirectionality,
     } = this.props;
 
@@ -140,6 +192,12 @@ class DraftEditorContents extends React.Component<Props> {
     const forceSelection = editorState.mustForceSelection();
     const decorator = editorState.getDecorator();
     const directionMap = nullthrows(editorState.getDirectionMap());
+    const blockRemoteSelections = remoteSelections
+      ? getBlockRemoteSelections(content, remoteSelections)
+      : {};
+    const selectedBlockKeys = new Set(
+      BlockSelectionUtils.getSelectedBlockKeys(editorState),
+    );
 
     const blocksAsArray = content.getBlocksAsArray();
     const processedBlocks = [];
@@ -160,9 +218,10 @@ class DraftEditorContents extends React.Component<Props> {
         customEditable = customRenderer.editable;
       }
 
-      const direction = textDirectionality
-        ? textDirectionality
-        : directionMap.get(key);
+      const direction =
+        DraftBlockDirection.getDirection(block) ||
+        textDirectionality ||
+        directionMap.get(key);
       const offsetKey = DraftOffsetKey.encode(key, 0, 0);
       const componentProps = {
         contentState: content,
@@ -176,6 +235,7 @@ class DraftEditorContents extends React.Component<Props> {
         forceSelection,
         key,
         offsetKey,
+        remoteSelections: blockRemoteSelections[key] || null,
         selection,
         tree: editorState.getBlockTree(key),
       };
@@ -206,6 +266,12 @@ class DraftEditorContents extends React.Component<Props> {
         );
       }
 
+      className = joinClasses(
+        className,
+        getBlockDropIndicatorClass(key, blockDropTarget),
+        getBlockSelectionClass(key, selectedBlockKeys),
+      );
+
       const Component = CustomComponent || DraftEditorBlock;
       let childProps = {
         className,
@@ -222,9 +288,29 @@ class DraftEditorContents extends React.Component<Props> {
         };
       }
 
+      // Custom components of checkable list items render their own checkbox.
+      const checkbox =
+        !CustomComponent && DraftCheckableListItem.isCheckable(block) ? (
+          <DraftEditorCheckbox
+            block={block}
+            onToggleChecked={onToggleChecked}
+          />
+        ) : null;
+
+      const dragHandle =
+        onBlockDragStart && DraftBlockDrag.isDraggable(block) ? (
+          <DraftEditorBlockDragHandle
+            blockKey={key}
+            onBlockDragEnd={nullthrows(onBlockDragEnd)}
+            onBlockDragStart={onBlockDragStart}
+          />
+        ) : null;
+
       const child = React.createElement(
         Element,
         childProps,
+        dragHandle,
+        checkbox,
         <Component {...componentProps} />,
       );
 
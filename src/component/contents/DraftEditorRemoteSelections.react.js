@@ -0,0 +1,246 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @format
+ * @flow
+ * @emails oncall+draft_js
+ */
+
+'use strict';
+
+import type {DraftBlockRemoteSelection} from 'DraftRemoteSelection';
+import type {List} from 'immutable';
+
+const DraftOffsetKey = require('DraftOffsetKey');
+const React = require('React');
+const ReactDOM = require('ReactDOM');
+
+const cx = require('cx');
+const getRangeClientRects = require('getRangeClientRects');
+
+type Rect = {
+  top: number,
+  left: number,
+  width: number,
+  height: number,
+};
+
+type Measurement = {
+  id: string,
+  rects: Array<Rect>,
+  caret: ?Rect,
+};
+
+type Props = {
+  blockKey: string,
+  remoteSelections: Array<DraftBlockRemoteSelection>,
+  tree: List<any>,
+};
+
+type State = {
+  measurements: Array<Measurement>,
+};
+
+type DOMPoint = {
+  node: Node,
+  offset: number,
+};
+
+/**
+ * Find the text node rendered for the leaf containing the given offset of the
+ * block, and the offset within it.
+ */
+const getDOMPoint = (
+  blockNode: Element,
+  blockKey: string,
+  tree: List<any>,
+  offset: number,
+): ?DOMPoint => {
+  let offsetKey = null;
+  let start = 0;
+  tree.forEach((leafSet, ii) => {
+    leafSet.get('leaves').forEach((leaf, jj) => {
+      if (offsetKey == null || leaf.get('start') <= offset) {
+        offsetKey = DraftOffsetKey.encode(blockKey, ii, jj);
+        start = leaf.get('start');
+      }
+    });
+  });
+  if (offsetKey == null) {
+    return null;
+  }
+
+  const textNode = blockNode.querySelector(
+    '[data-offset-key="' + offsetKey + '"] [data-text="true"]',
+  );
+  if (!textNode) {
+    return null;
+  }
+  const child = textNode.firstChild;
+  if (child && child.nodeType === Node.TEXT_NODE) {
+    return {
+      node: child,
+      offset: Math.min(offset - start, child.textContent.length),
+    };
+  }
+  // Empty leaves render a <br />, which cannot hold the range.
+  return {node: textNode, offset: 0};
+};
+
+const isSameRect = (a: ?Rect, b: ?Rect): boolean =>
+  a === b ||
+  (!!a &&
+    !!b &&
+    a.top === b.top &&
+    a.left === b.left &&
+    a.width === b.width &&
+    a.height === b.height);
+
+const isSameMeasurement = (a: Measurement, b: Measurement): boolean =>
+  a.id === b.id &&
+  isSameRect(a.caret, b.caret) &&
+  a.rects.length === b.rects.length &&
+  a.rects.every((rect, ii) => isSameRect(rect, b.rects[ii]));
+
+/**
+ * Render the carets and highlighted ranges of the remote selections within a
+ * block. The overlays are positioned over the text rendered by the leaves of
+ * the block once it is in the DOM, and measured again whenever the block
+ * renders.
+ *
+ * The overlays are rendered as the first child of the block and contain no
+ * text, so that the offsets of the native selection are not affected.
+ */
+class DraftEditorRemoteSelections extends React.Component<Props, State> {
+  state: State = {measurements: []};
+
+  componentDidMount(): void {
+    this._measure();
+    window.addEventListener('resize', this._measure);
+  }
+
+  componentDidUpdate(): void {
+    this._measure();
+  }
+
+  componentWillUnmount(): void {
+    window.removeEventListener('resize', this._measure);
+  }
+
+  _measure: () => void = (): void => {
+    const container = ReactDOM.findDOMNode(this);
+    if (!(container instanceof Element)) {
+      return;
+    }
+    const blockNode = container.parentNode;
+    if (!(blockNode instanceof Element)) {
+      return;
+    }
+
+    const {blockKey, remoteSelections, tree} = this.props;
+    const origin = container.getBoundingClientRect();
+    const toRect = (rect: $ReadOnly<Rect>): Rect => ({
+      top: rect.top - origin.top,
+      left: rect.left - origin.left,
+      width: rect.width,
+      height: rect.height,
+    });
+    const getRects = (start: number, end: number): Array<Rect> => {
+      const startPoint = getDOMPoint(blockNode, blockKey, tree, start);
+      const endPoint = getDOMPoint(blockNode, blockKey, tree, end);
+      if (!startPoint || !endPoint) {
+        return [];
+      }
+      const range = document.createRange();
+      range.setStart(startPoint.node, startPoint.offset);
+      range.setEnd(endPoint.node, endPoint.offset);
+      const rects = getRangeClientRects(range);
+      // Collapsed ranges around a <br /> have no client rects.
+      if (
+        !rects.length &&
+        start === end &&
+        startPoint.node instanceof Element
+      ) {
+        const {top, left, height} = startPoint.node.getBoundingClientRect();
+        return [toRect({top, left, height, width: 0})];
+      }
+      return rects.map(toRect);
+    };
+
+    const measurements = remoteSelections.map(
+      ({id, start, end, focusOffset}) => ({
+        id,
+        rects: start < end ? getRects(start, end) : [],
+        caret:
+          focusOffset == null
+            ? null
+            : getRects(focusOffset, focusOffset)
+                .map(rect => ({...rect, width: 0}))
+                .shift(),
+      }),
+    );
+
+    const previous = this.state.measurements;
+    if (
+      measurements.length !== previous.length ||
+      measurements.some(
+        (measurement, ii) => !isSameMeasurement(measurement, previous[ii]),
+      )
+    ) {
+      this.setState({measurements});
+    }
+  };
+
+  render(): React.Node {
+    const {remoteSelections} = this.props;
+    const overlays = [];
+    this.state.measurements.forEach(({id, rects, caret}) => {
+      const remoteSelection = remoteSelections.find(
+        selection => selection.id === id,
+      );
+      if (!remoteSelection) {
+        return;
+      }
+      const {color, label} = remoteSelection;
+      rects.forEach((rect, ii) => {
+        overlays.push(
+          <div
+            key={id + '-' + ii}
+            className={cx('public/DraftEditorRemoteSelections/highlight')}
+            style={{...rect, backgroundColor: color}}
+          />,
+        );
+      });
+      if (caret) {
+        overlays.push(
+          <div
+            key={id}
+            className={cx('public/DraftEditorRemoteSelections/caret')}
+            data-label={label || undefined}
+            style={{
+              top: caret.top,
+              left: caret.left,
+              height: caret.height,
+              backgroundColor: color,
+            }}
+          />,
+        );
+      }
+    });
+
+    return (
+      <div
+        aria-hidden={true}
+        className={cx('public/DraftEditorRemoteSelections/root')}
+        contentEditable={false}
+        suppressContentEditableWarning={true}>
+        {overlays}
+      </div>
+    );
+  }
+}
+
+module.exports = DraftEditorRemoteSelections;
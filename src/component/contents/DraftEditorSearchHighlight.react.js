@@ -0,0 +1,38 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @format
+ * @flow
+ * @emails oncall+draft_js
+ */
+
+'use strict';
+
+import type {DraftDecoratorComponentProps} from 'DraftDecorator';
+
+const React = require('React');
+
+const cx = require('cx');
+
+/**
+ * The default component of the decorator created by
+ * `SearchUtils.createDecorator`, highlighting the matches of a search.
+ */
+class DraftEditorSearchHighlight extends React.Component<
+  DraftDecoratorComponentProps,
+> {
+  render(): React.Node {
+    return (
+      <span
+        className={cx('public/DraftEditorSearchHighlight/root')}
+        dir={this.props.dir}>
+        {this.props.children}
+      </span>
+    );
+  }
+}
+
+module.exports = DraftEditorSearchHighlight;
@@ -275,6 +275,49 @@ test('must allow update when forcing selection', () => {
   expect(mockLeafRender.mock.calls.length).toMatchSnapshot();
 });
 
+test('must allow update when remote selections have changed', () => {
+  const props = getProps(getHelloBlock());
+  const remoteSelection = {
+    id: 'alice',
+    color: 'red',
+    label: 'Alice',
+    start: 1,
+    end: 3,
+    focusOffset: 3,
+  };
+
+  const container = document.createElement('div');
+  ReactDOM.render(<DraftEditorBlock {...props} />, container);
+  expect(mockLeafRender.mock.calls.length).toBe(1);
+
+  const nextProps = {...props, remoteSelections: [remoteSelection]};
+  ReactDOM.render(<DraftEditorBlock {...nextProps} />, container);
+  expect(mockLeafRender.mock.calls.length).toBe(2);
+  expect(container.firstChild.firstChild.getAttribute('contenteditable')).toBe(
+    'false',
+  );
+
+  // Equal remote selections do not cause a render.
+  ReactDOM.render(
+    <DraftEditorBlock {...props} remoteSelections={[{...remoteSelection}]} />,
+    container,
+  );
+  expect(mockLeafRender.mock.calls.length).toBe(2);
+
+  ReactDOM.render(
+    <DraftEditorBlock
+      {...props}
+      remoteSelections={[{...remoteSelection, focusOffset: 1}]}
+    />,
+    container,
+  );
+  expect(mockLeafRender.mock.calls.length).toBe(3);
+
+  ReactDOM.render(<DraftEditorBlock {...props} />, container);
+  expect(mockLeafRender.mock.calls.length).toBe(4);
+  expect(container.firstChild.childNodes.length).toBe(1);
+});
+
 test('must reject update if conditions are not met', () => {
   const helloBlock = getHelloBlock();
   const props = getProps(helloBlock);
@@ -377,6 +420,42 @@ test('must split apart two decorators', () => {
   expect(el.children[1].type).toBe(DecoratorSpan);
 });
 
+test('must nest overlapping decorators', () => {
+  const helloBlock = getHelloBlock();
+
+  mockGetDecorations.mockReturnValue(
+    Immutable.List.of('x', 'x,y', 'x,y', 'y', null),
+  );
+
+  const decorator = new Decorator();
+  decorator.getNestedKeys = key => key.split(',');
+  const props = getProps(helloBlock, decorator);
+
+  const container = document.createElement('div');
+  const block = ReactTestRenderer.create(
+    <DraftEditorBlock {...props} />,
+    container,
+  );
+  const blockInstance = block.root;
+
+  const el = blockInstance.children[0];
+  expect(el.children.length).toBe(3);
+
+  const outer = el.children[0];
+  expect(outer.type).toBe(DecoratorSpan);
+  arePropsEqual(outer, {offsetKey: 'a-0-0', start: 0, end: 3});
+
+  const inner = outer.children[0].children[1];
+  expect(inner.type).toBe(DecoratorSpan);
+  arePropsEqual(inner, {offsetKey: 'a-1-0', start: 1, end: 3});
+
+  // The part of "y" outside of "x" is decorated separately.
+  expect(el.children[1].type).toBe(DecoratorSpan);
+  arePropsEqual(el.children[1], {offsetKey: 'a-2-0', start: 3, end: 4});
+
+  expect(el.children[2].type).toBe(DraftEditorLeaf);
+});
+
 test('must split apart styled spans', () => {
   let helloBlock = getHelloBlock();
   const characters = helloBlock.getCharacterList();
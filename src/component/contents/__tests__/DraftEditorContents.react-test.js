@@ -14,10 +14,13 @@ jest.disableAutomock();
 
 jest.mock('generateRandomKey');
 
+const ContentBlock = require('ContentBlock');
+const ContentState = require('ContentState');
 const Editor = require('DraftEditor.react');
 const EditorState = require('EditorState');
 const RichUtils = require('RichTextEditorUtil');
 
+const {Map} = require('immutable');
 const React = require('react');
 const ReactTestRenderer = require('react-test-renderer');
 
@@ -92,3 +95,130 @@ test('defaults to "unstyled" block type for unknown block types', () => {
     );
   }).not.toThrow();
 });
+
+test('renders checkboxes for checkable list items', () => {
+  const editorState = EditorState.createWithContent(
+    ContentState.createFromBlockArray([
+      new ContentBlock({
+        key: 'a',
+        type: 'checkable-list-item',
+        text: 'Done',
+        data: Map({checked: true}),
+      }),
+      new ContentBlock({key: 'b', type: 'checkable-list-item', text: 'To do'}),
+      new ContentBlock({key: 'c', type: 'unordered-list-item', text: 'Note'}),
+    ]),
+  );
+  const onChange = jest.fn();
+  const renderer = ReactTestRenderer.create(
+    <Editor editorState={editorState} onChange={onChange} />,
+  );
+  const checkboxes = renderer.root.findAll(
+    node => node.type === 'input' && node.props.type === 'checkbox',
+  );
+  expect(checkboxes.map(checkbox => checkbox.props.checked)).toEqual([
+    true,
+    false,
+  ]);
+
+  checkboxes[1].props.onChange();
+  const newEditorState = onChange.mock.calls[0][0];
+  expect(
+    newEditorState
+      .getCurrentContent()
+      .getBlockForKey('b')
+      .getData()
+      .get('checked'),
+  ).toBe(true);
+
+  renderer.update(
+    <Editor editorState={editorState} onChange={onChange} readOnly={true} />,
+  );
+  expect(
+    renderer.root
+      .findAll(node => node.type === 'input')
+      .map(checkbox => checkbox.props.disabled),
+  ).toEqual([true, true]);
+});
+
+test('renders block drag handles and the drop indicator', () => {
+  const editorState = EditorState.createWithContent(
+    ContentState.createFromBlockArray([
+      new ContentBlock({key: 'a', text: 'Alpha'}),
+      new ContentBlock({key: 'b', type: 'unordered-list-item', text: 'Beta'}),
+    ]),
+  );
+  const renderer = ReactTestRenderer.create(
+    <Editor
+      blockDragHandles={true}
+      editorState={editorState}
+      onChange={() => {}}
+    />,
+  );
+  const findHandles = () =>
+    renderer.root.findAll(
+      node => node.type === 'span' && node.props.draggable === true,
+    );
+  expect(findHandles().length).toBe(2);
+
+  renderer.getInstance().setBlockDropTarget({
+    blockKey: 'b',
+    insertionMode: 'before',
+  });
+  const findBlock = key =>
+    renderer.root.find(
+      node => node.props['data-block'] && node.props['data-offset-key'] === key,
+    );
+  expect(findBlock('b-0-0').props.className).toContain(
+    'public-DraftEditorBlockDrag-dropBefore',
+  );
+  expect(findBlock('a-0-0').props.className).not.toContain(
+    'DraftEditorBlockDrag',
+  );
+
+  renderer.update(
+    <Editor
+      blockDragHandles={true}
+      editorState={editorState}
+      onChange={() => {}}
+      readOnly={true}
+    />,
+  );
+  expect(findHandles().length).toBe(0);
+});
+
+test('highlights the blocks selected as a whole', () => {
+  const editorState = EditorState.createWithContent(
+    ContentState.createFromBlockArray([
+      new ContentBlock({key: 'a', text: 'Alpha'}),
+      new ContentBlock({key: 'b', text: 'Beta'}),
+      new ContentBlock({key: 'c', text: 'Gamma'}),
+    ]),
+  );
+  const renderer = ReactTestRenderer.create(
+    <Editor editorState={editorState} onChange={() => {}} />,
+  );
+  const getSelectedKeys = () =>
+    renderer.root
+      .findAll(
+        node =>
+          node.props['data-block'] &&
+          typeof node.type === 'string' &&
+          (node.props.className || '').includes(
+            'public-DraftEditorBlockSelection-selected',
+          ),
+      )
+      .map(node => node.props['data-offset-key']);
+  expect(getSelectedKeys()).toEqual([]);
+
+  renderer.update(
+    <Editor
+      editorState={EditorState.setBlockSelection(editorState, {
+        anchorKey: 'c',
+        focusKey: 'b',
+      })}
+      onChange={() => {}}
+    />,
+  );
+  expect(getSelectedKeys()).toEqual(['b-0-0', 'c-0-0']);
+});
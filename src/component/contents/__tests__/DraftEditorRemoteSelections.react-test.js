@@ -0,0 +1,170 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @emails oncall+draft_js
+ * @format
+ */
+
+'use strict';
+
+jest.disableAutomock().mock('getRangeClientRects');
+
+const BlockTree = require('BlockTree');
+const ContentBlock = require('ContentBlock');
+const ContentState = require('ContentState');
+const DraftEditorRemoteSelections = require('DraftEditorRemoteSelections.react');
+const React = require('React');
+const ReactDOM = require('ReactDOM');
+
+const getRangeClientRects = require('getRangeClientRects');
+const {OrderedSet} = require('immutable');
+
+const block = new ContentBlock({key: 'a', text: 'helloworld'});
+const contentState = ContentState.createFromBlockArray([block]);
+const BOLD = OrderedSet(['BOLD']);
+const styledBlock = block.set(
+  'characterList',
+  block
+    .getCharacterList()
+    .map(
+      (character, ii) => (ii < 5 ? character.set('style', BOLD) : character),
+    ),
+);
+const tree = BlockTree.generate(contentState, styledBlock, null);
+
+// Each character is 10px wide, the two leaves sitting side by side.
+const getLeft = (node, offset) =>
+  (node.nodeValue === 'world' ? 50 : 0) + offset * 10;
+
+document.createRange = () => ({
+  setStart(node, offset) {
+    this.startContainer = node;
+    this.startOffset = offset;
+  },
+  setEnd(node, offset) {
+    this.endContainer = node;
+    this.endOffset = offset;
+  },
+});
+
+getRangeClientRects.mockImplementation(range => {
+  const left = getLeft(range.startContainer, range.startOffset);
+  const right = getLeft(range.endContainer, range.endOffset);
+  return [{top: 20, left, width: right - left, height: 16}];
+});
+
+const renderBlock = (remoteSelections, container) =>
+  ReactDOM.render(
+    <div data-offset-key="a-0-0">
+      <DraftEditorRemoteSelections
+        blockKey="a"
+        remoteSelections={remoteSelections}
+        tree={tree}
+      />
+      <span data-offset-key="a-0-0">
+        <span data-text="true">hello</span>
+      </span>
+      <span data-offset-key="a-0-1">
+        <span data-text="true">world</span>
+      </span>
+    </div>,
+    container,
+  );
+
+const getOverlayStyles = container =>
+  Array.from(container.firstChild.firstChild.childNodes).map(node => ({
+    className: node.className,
+    label: node.getAttribute('data-label'),
+    left: node.style.left,
+    top: node.style.top,
+    width: node.style.width,
+    height: node.style.height,
+    color: node.style.backgroundColor,
+  }));
+
+const remoteSelection = {
+  id: 'alice',
+  color: 'red',
+  label: 'Alice',
+  start: 3,
+  end: 7,
+  focusOffset: 7,
+};
+
+test('must render remote selections over the text of leaves', () => {
+  const container = document.createElement('div');
+  renderBlock([remoteSelection], container);
+
+  expect(getOverlayStyles(container)).toEqual([
+    {
+      className: 'public-DraftEditorRemoteSelections-highlight',
+      label: null,
+      left: '30px',
+      top: '20px',
+      width: '40px',
+      height: '16px',
+      color: 'red',
+    },
+    {
+      className: 'public-DraftEditorRemoteSelections-caret',
+      label: 'Alice',
+      left: '70px',
+      top: '20px',
+      width: '',
+      height: '16px',
+      color: 'red',
+    },
+  ]);
+});
+
+test('must not add text or editable content to the block', () => {
+  const container = document.createElement('div');
+  renderBlock([remoteSelection], container);
+
+  const overlay = container.firstChild.firstChild;
+  expect(overlay.getAttribute('contenteditable')).toBe('false');
+  expect(overlay.getAttribute('aria-hidden')).toBe('true');
+  expect(container.textContent).toBe('helloworld');
+});
+
+test('must measure remote selections again when rendered', () => {
+  const container = document.createElement('div');
+  renderBlock([remoteSelection], container);
+  renderBlock(
+    [
+      {...remoteSelection, start: 1, end: 1, focusOffset: 1},
+      {id: 'bob', color: 'blue', label: null, start: 5, end: 6, focusOffset: 5},
+    ],
+    container,
+  );
+
+  expect(
+    getOverlayStyles(container).map(({className, left, color}) => [
+      className,
+      left,
+      color,
+    ]),
+  ).toEqual([
+    ['public-DraftEditorRemoteSelections-caret', '10px', 'red'],
+    ['public-DraftEditorRemoteSelections-highlight', '50px', 'blue'],
+    ['public-DraftEditorRemoteSelections-caret', '50px', 'blue'],
+  ]);
+});
+
+test('must ignore remote selections outside of the rendered leaves', () => {
+  const container = document.createElement('div');
+  ReactDOM.render(
+    <div>
+      <DraftEditorRemoteSelections
+        blockKey="a"
+        remoteSelections={[remoteSelection]}
+        tree={tree}
+      />
+    </div>,
+    container,
+  );
+  expect(getOverlayStyles(container)).toEqual([]);
+});
@@ -9,22 +9,26 @@
  * @emails oncall+draft_js
  *
  * This file is a fork of DraftEditorBlock.react.js and DraftEditorContents.react.js
- *
- * This is unstable and not part of the public API and should not be used by
- * production systems. This file may be update/removed without notice.
  */
 
 'use strict';
 
 import type {BlockNodeRecord} from 'BlockNodeRecord';
 import type ContentState from 'ContentState';
+import type {DraftBlockDropTarget} from 'DraftBlockDrag';
 import type {DraftBlockRenderMap} from 'DraftBlockRenderMap';
 import type {DraftDecoratorType} from 'DraftDecoratorType';
 import type {DraftInlineStyle} from 'DraftInlineStyle';
+import type {DraftBlockRemoteSelection} from 'DraftRemoteSelection';
 import type EditorState from 'EditorState';
 import type SelectionState from 'SelectionState';
 import type {BidiDirection} from 'UnicodeBidiDirection';
 
+const DraftBlockDirection = require('DraftBlockDirection');
+const DraftBlockDrag = require('DraftBlockDrag');
+const DraftCheckableListItem = require('DraftCheckableListItem');
+const DraftEditorBlockDragHandle = require('DraftEditorBlockDragHandle.react');
+const DraftEditorCheckbox = require('DraftEditorCheckbox.react');
 const DraftEditorNode = require('DraftEditorNode.react');
 const DraftOffsetKey = require('DraftOffsetKey');
 const React = require('React');
@@ -32,14 +36,26 @@ const ReactDOM = require('ReactDOM');
 const Scroll = require('Scroll');
 const Style = require('Style');
 
+const areBlockRemoteSelectionsEqual = require('areBlockRemoteSelectionsEqual');
+const getBlockDropIndicatorClass = require('getBlockDropIndicatorClass');
+const getBlockSelectionClass = require('getBlockSelectionClass');
 const getElementPosition = require('getElementPosition');
 const getScrollPosition = require('getScrollPosition');
 const getViewportDimensions = require('getViewportDimensions');
 const Immutable = require('immutable');
 const invariant = require('invariant');
+const joinClasses: (
+  className?: ?string,
+  ...classes: Array<?string>
+) => string = require('joinClasses');
+const nullthrows = require('nullthrows');
 
 const SCROLL_BUFFER = 10;
 
+// Table and table row elements only accept rows and cells as children, so the
+// children of these blocks are rendered without a node of their own.
+const TABLE_CONTAINER_ELEMENTS = ['table', 'tr'];
+
 const {List} = Immutable;
 
 // we should harden up the bellow flow types to make them more strict
@@ -50,7 +66,12 @@ type BlockStyleFn = (block: BlockNodeRecord) => string;
 
 type Props = {
   block: BlockNodeRecord,
+  blockDropTarget?: ?DraftBlockDropTarget,
   blockProps?: Object,
+  // The parts of the remote selections within each block, by block key.
+  blockRemoteSelections?: {
+    [blockKey: string]: Array<DraftBlockRemoteSelection>,
+  },
   blockRenderMap: DraftBlockRenderMap,
   blockRendererFn: BlockRenderFn,
   blockStyleFn: BlockStyleFn,
@@ -62,6 +83,10 @@ type Props = {
   editorKey: string,
   editorState: EditorState,
   forceSelection: boolean,
+  onBlockDragEnd?: ?() => void,
+  onBlockDragStart?: ?(blockKey: string) => void,
+  onToggleChecked?: ?(blockKey: string) => void,
+  selectedBlockKeys?: ?Set<string>,
   selection: SelectionState,
   startIndent?: boolean,
   tree: List<any>,
@@ -129,6 +154,14 @@ const applyWrapperElementToSiblings = (
   return nodes;
 };
 
+const getRemoteSelections = (
+  blockRemoteSelections: ?{
+    [blockKey: string]: Array<DraftBlockRemoteSelection>,
+  },
+  blockKey: string,
+): ?Array<DraftBlockRemoteSelection> =>
+  (blockRemoteSelections && blockRemoteSelections[blockKey]) || null;
+
 const getDraftRenderConfig = (
   block: BlockNodeRecord,
   blockRenderMap: DraftBlockRenderMap,
@@ -175,6 +208,8 @@ const getElementPropsConfig = (
   offsetKey: string,
   blockStyleFn: BlockStyleFn,
   customConfig: *,
+  blockDropTarget: ?DraftBlockDropTarget,
+  selectedBlockKeys: ?Set<string>,
 ): Object => {
   let elementProps: Object = {
     'data-block': true,
@@ -182,10 +217,14 @@ const getElementPropsConfig = (
     'data-offset-key': offsetKey,
     key: block.getKey(),
   };
-  const customClass = blockStyleFn(block);
+  const className = joinClasses(
+    blockStyleFn(block),
+    getBlockDropIndicatorClass(block.getKey(), blockDropTarget),
+    getBlockSelectionClass(block.getKey(), selectedBlockKeys),
+  );
 
-  if (customClass) {
-    elementProps.className = customClass;
+  if (className) {
+    elementProps.className = className;
   }
 
   if (customConfig.customEditable !== undefined) {
@@ -203,10 +242,20 @@ class DraftEditorBlockNode extends React.Component<Props> {
   shouldComponentUpdate(nextProps: Props): boolean {
     const {block, direction, tree} = this.props;
     const isContainerNode = !block.getChildKeys().isEmpty();
+    const blockKey = block.getKey();
     const blockHasChanged =
       block !== nextProps.block ||
       tree !== nextProps.tree ||
       direction !== nextProps.direction ||
+      this.props.onBlockDragStart !== nextProps.onBlockDragStart ||
+      getBlockDropIndicatorClass(blockKey, this.props.blockDropTarget) !==
+        getBlockDropIndicatorClass(blockKey, nextProps.blockDropTarget) ||
+      getBlockSelectionClass(blockKey, this.props.selectedBlockKeys) !==
+        getBlockSelectionClass(blockKey, nextProps.selectedBlockKeys) ||
+      !areBlockRemoteSelectionsEqual(
+        getRemoteSelections(this.props.blockRemoteSelections, blockKey),
+        getRemoteSelections(nextProps.blockRemoteSelections, blockKey),
+      ) ||
       (isBlockOnSelectionEdge(nextProps.selection, nextProps.block.getKey()) &&
         nextProps.forceSelection);
 
@@ -270,6 +319,8 @@ class DraftEditorBlockNode extends React.Component<Props> {
   render(): React.Node {
     const {
       block,
+      blockDropTarget,
+      blockRemoteSelections,
       blockRenderMap,
       blockRendererFn,
       blockStyleFn,
@@ -281,10 +332,39 @@ class DraftEditorBlockNode extends React.Component<Props> {
       customStyleMap,
       direction,
       forceSelection,
+      onBlockDragEnd,
+      onBlockDragStart,
+      onToggleChecked,
+      selectedBlockKeys,
       selection,
       tree,
     } = this.props;
 
+    // Table and row elements cannot hold a handle.
+    const renderDragHandle = (
+      child: BlockNodeRecord,
+      Element: string,
+    ): React.Node =>
+      onBlockDragStart &&
+      DraftBlockDrag.isDraggable(child) &&
+      TABLE_CONTAINER_ELEMENTS.indexOf(Element) === -1 ? (
+        <DraftEditorBlockDragHandle
+          blockKey={child.getKey()}
+          onBlockDragEnd={nullthrows(onBlockDragEnd)}
+          onBlockDragStart={onBlockDragStart}
+        />
+      ) : null;
+
+    // Custom components of checkable list items render their own checkbox.
+    const renderCheckbox = (
+      child: BlockNodeRecord,
+      customConfig: CustomRenderConfig,
+    ): React.Node =>
+      !customConfig.CustomComponent &&
+      DraftCheckableListItem.isCheckable(child) ? (
+        <DraftEditorCheckbox block={child} onToggleChecked={onToggleChecked} />
+      ) : null;
+
     let children = null;
 
     if (block.children.size) {
@@ -303,9 +383,12 @@ class DraftEditorBlockNode extends React.Component<Props> {
           offsetKey,
           blockStyleFn,
           customConfig,
+          blockDropTarget,
+          selectedBlockKeys,
         );
         const childProps = {
           ...this.props,
+          direction: DraftBlockDirection.getDirection(child) || direction,
           tree: editorState.getBlockTree(key),
           blockProps: customConfig.customProps,
           offsetKey,
@@ -316,6 +399,8 @@ class DraftEditorBlockNode extends React.Component<Props> {
           React.createElement(
             Element,
             elementProps,
+            renderDragHandle(child, Element),
+            renderCheckbox(child, customConfig),
             <Component {...childProps} />,
           ),
         );
@@ -341,6 +426,15 @@ class DraftEditorBlockNode extends React.Component<Props> {
 
     const customConfig = getCustomRenderConfig(block, blockRendererFn);
     const Component = customConfig.CustomComponent;
+    const {Element} = getDraftRenderConfig(block, blockRenderMap);
+    const isTableContainer =
+      children != null && TABLE_CONTAINER_ELEMENTS.indexOf(Element) !== -1;
+    const remoteSelections = getRemoteSelections(
+      blockRemoteSelections,
+      blockKey,
+    );
+    // Custom components are given the remote selections within their block
+    // to render them, as `DraftEditorBlock` does.
     const blockNode =
       Component != null ? (
         <Component
@@ -349,7 +443,10 @@ class DraftEditorBlockNode extends React.Component<Props> {
           blockProps={customConfig.customProps}
           offsetKey={offsetKey}
           block={block}
+          remoteSelections={remoteSelections}
         />
+      ) : isTableContainer ? (
+        children
       ) : (
         <DraftEditorNode
           block={block}
@@ -361,6 +458,7 @@ class DraftEditorBlockNode extends React.Component<Props> {
           direction={direction}
           forceSelection={forceSelection}
           hasSelection={isBlockOnSelectionEdge(selection, blockKey)}
+          remoteSelections={remoteSelections}
           selection={selection}
           tree={tree}
         />
@@ -370,17 +468,24 @@ class DraftEditorBlockNode extends React.Component<Props> {
       return blockNode;
     }
 
-    const {Element} = getDraftRenderConfig(block, blockRenderMap);
     const elementProps = getElementPropsConfig(
       block,
       editorKey,
       offsetKey,
       blockStyleFn,
       customConfig,
+      blockDropTarget,
+      selectedBlockKeys,
     );
 
     // root block nodes needs to be wrapped
-    return React.createElement(Element, elementProps, blockNode);
+    return React.createElement(
+      Element,
+      elementProps,
+      renderDragHandle(block, Element),
+      renderCheckbox(block, customConfig),
+      blockNode,
+    );
   }
 }
 
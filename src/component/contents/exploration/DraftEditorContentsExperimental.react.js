@@ -9,26 +9,29 @@
  * @emails oncall+draft_js
  *
  * This file is a fork of DraftEditorContents.react.js for tree nodes
- *
- * This is unstable and not part of the public API and should not be used by
- * production systems. This file may be update/removed without notice.
  */
 
 'use strict';
 
 import type {BlockNodeRecord} from 'BlockNodeRecord';
+import type {DraftBlockDropTarget} from 'DraftBlockDrag';
 import type {DraftBlockRenderMap} from 'DraftBlockRenderMap';
 import type {DraftInlineStyle} from 'DraftInlineStyle';
+import type {DraftRemoteSelection} from 'DraftRemoteSelection';
 import type EditorState from 'EditorState';
 import type {BidiDirection} from 'UnicodeBidiDirection';
 
+const BlockSelectionUtils = require('BlockSelectionUtils');
+const DraftBlockDirection = require('DraftBlockDirection');
 const DraftEditorBlockNode = require('DraftEditorBlockNode.react');
 const DraftOffsetKey = require('DraftOffsetKey');
 const React = require('React');
 
+const getBlockRemoteSelections = require('getBlockRemoteSelections');
 const nullthrows = require('nullthrows');
 
 type Props = {
+  blockDropTarget?: ?DraftBlockDropTarget,
   blockRenderMap: DraftBlockRenderMap,
   blockRendererFn: (block: BlockNodeRecord) => ?Object,
   blockStyleFn?: (block: BlockNodeRecord) => string,
@@ -36,6 +39,10 @@ type Props = {
   customStyleMap?: Object,
   editorKey?: string,
   editorState: EditorState,
+  onBlockDragEnd?: ?() => void,
+  onBlockDragStart?: ?(blockKey: string) => void,
+  onToggleChecked?: ?(blockKey: string) => void,
+  remoteSelections?: ?Array<DraftRemoteSelection>,
   textDirectionality?: BidiDirection,
 };
 
@@ -61,6 +68,32 @@ class DraftEditorContentsExperimental extends React.Component<Props> {
       return true;
     }
 
+    // Remote selections are rendered over the blocks they are within.
+    if (this.props.remoteSelections !== nextProps.remoteSelections) {
+      return true;
+    }
+
+    // Checkboxes are disabled when the editor becomes read-only.
+    if (this.props.onToggleChecked !== nextProps.onToggleChecked) {
+      return true;
+    }
+
+    // Drag handles and drop indicators are rendered with the blocks.
+    if (
+      this.props.onBlockDragStart !== nextProps.onBlockDragStart ||
+      this.props.blockDropTarget !== nextProps.blockDropTarget
+    ) {
+      return true;
+    }
+
+    // Blocks selected as a whole are highlighted.
+    if (
+      prevEditorState.getBlockSelection() !==
+      nextEditorState.getBlockSelection()
+    ) {
+      return true;
+    }
+
     const didHaveFocus = prevEditorState.getSelection().getHasFocus();
     const nowHasFocus = nextEditorState.getSelection().getHasFocus();
 
@@ -92,12 +125,16 @@ class DraftEditorContentsExperimental extends React.Component<Props> {
       wasComposing !== nowComposing ||
       prevContent !== nextContent ||
       prevDecorator !== nextDecorator ||
+      // Decorations can be generated again without any change to the content.
+      prevEditorState.getImmutable().get('treeMap') !==
+        nextEditorState.getImmutable().get('treeMap') ||
       nextEditorState.mustForceSelection()
     );
   }
 
   render(): React.Node {
     const {
+      blockDropTarget,
       blockRenderMap,
       blockRendererFn,
       blockStyleFn,
@@ -105,6 +142,10 @@ class DraftEditorContentsExperimental extends React.Component<Props> {
       customStyleFn,
       editorState,
       editorKey,
+      onBlockDragEnd,
+      onBlockDragStart,
+      onToggleChecked,
+      remoteSelections,
       textDirectionality,
     } = this.props;
 
@@ -113,6 +154,12 @@ class DraftEditorContentsExperimental extends React.Component<Props> {
     const forceSelection = editorState.mustForceSelection();
     const decorator = editorState.getDecorator();
     const directionMap = nullthrows(editorState.getDirectionMap());
+    const blockRemoteSelections = remoteSelections
+      ? getBlockRemoteSelections(content, remoteSelections)
+      : {};
+    const selectedBlockKeys = new Set(
+      BlockSelectionUtils.getSelectedBlockKeys(editorState),
+    );
 
     const blocksAsArray = content.getBlocksAsArray();
     const rootBlock = blocksAsArray[0];
@@ -123,6 +170,8 @@ class DraftEditorContentsExperimental extends React.Component<Props> {
     while (nodeBlock) {
       const blockKey = nodeBlock.getKey();
       const blockProps = {
+        blockDropTarget,
+        blockRemoteSelections,
         blockRenderMap,
         blockRendererFn,
         blockStyleFn,
@@ -133,11 +182,16 @@ class DraftEditorContentsExperimental extends React.Component<Props> {
         editorKey,
         editorState,
         forceSelection,
+        onBlockDragEnd,
+        onBlockDragStart,
+        onToggleChecked,
+        selectedBlockKeys,
         selection,
         block: nodeBlock,
-        direction: textDirectionality
-          ? textDirectionality
-          : directionMap.get(blockKey),
+        direction:
+          DraftBlockDirection.getDirection(nodeBlock) ||
+          textDirectionality ||
+          directionMap.get(blockKey),
         tree: editorState.getBlockTree(blockKey),
       };
 
@@ -7,9 +7,6 @@
  * @format
  * @flow
  * @emails oncall+draft_js
- *
- * This is unstable and not part of the public API and should not be used by
- * production systems. This file may be update/removed without notice.
  */
 
 'use strict';
@@ -18,9 +15,7 @@ import type {BlockNodeRecord} from 'BlockNodeRecord';
 import type ContentState from 'ContentState';
 import type {DraftDecoratorType} from 'DraftDecoratorType';
 import type {BidiDirection} from 'UnicodeBidiDirection';
-import type {Set} from 'immutable';
 
-const DraftOffsetKey = require('DraftOffsetKey');
 const React = require('React');
 const UnicodeBidi = require('UnicodeBidi');
 const UnicodeBidiDirection = require('UnicodeBidiDirection');
@@ -32,8 +27,10 @@ type Props = {
   decorator: DraftDecoratorType,
   decoratorKey: string,
   direction: BidiDirection,
+  end: number,
+  offsetKey: string,
+  start: number,
   text: string,
-  leafSet: Set<any>,
 };
 
 class DraftEditorDecoratedLeaves extends React.Component<Props> {
@@ -45,24 +42,15 @@ class DraftEditorDecoratedLeaves extends React.Component<Props> {
       decorator,
       decoratorKey,
       direction,
-      leafSet,
+      end,
+      offsetKey,
+      start,
       text,
     } = this.props;
 
-    const blockKey = block.getKey();
-    const leavesForLeafSet = leafSet.get('leaves');
     const DecoratorComponent = decorator.getComponentForKey(decoratorKey);
     const decoratorProps = decorator.getPropsForKey(decoratorKey);
-    const decoratorOffsetKey = DraftOffsetKey.encode(
-      blockKey,
-      parseInt(decoratorKey, 10),
-      0,
-    );
-
-    const decoratedText = text.slice(
-      leavesForLeafSet.first().get('start'),
-      leavesForLeafSet.last().get('end'),
-    );
+    const decoratedText = text.slice(start, end);
 
     // Resetting dir to the same value on a child node makes Chrome/Firefox
     // confused on cursor movement. See http://jsfiddle.net/d157kLck/3/
@@ -77,9 +65,8 @@ class DraftEditorDecoratedLeaves extends React.Component<Props> {
         contentState={contentState}
         decoratedText={decoratedText}
         dir={dir}
-        key={decoratorOffsetKey}
-        entityKey={block.getEntityAt(leafSet.get('start'))}
-        offsetKey={decoratorOffsetKey}>
+        entityKey={block.getEntityAt(start)}
+        offsetKey={offsetKey}>
         {children}
       </DecoratorComponent>
     );
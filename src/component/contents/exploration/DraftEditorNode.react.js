@@ -7,9 +7,6 @@
  * @format
  * @flow
  * @emails oncall+draft_js
- *
- * This is unstable and not part of the public API and should not be used by
- * production systems. This file may be update/removed without notice.
  */
 
 'use strict';
@@ -17,16 +14,20 @@
 import type {BlockNodeRecord} from 'BlockNodeRecord';
 import type ContentState from 'ContentState';
 import type {DraftDecoratorType} from 'DraftDecoratorType';
+import type {DraftBlockRemoteSelection} from 'DraftRemoteSelection';
 import type SelectionState from 'SelectionState';
 import type {BidiDirection} from 'UnicodeBidiDirection';
+import type {DraftNestedDecoration} from 'getNestedDecorations';
 
 const DraftEditorDecoratedLeaves = require('DraftEditorDecoratedLeaves.react');
 const DraftEditorLeaf = require('DraftEditorLeaf.react');
+const DraftEditorRemoteSelections = require('DraftEditorRemoteSelections.react');
 const DraftOffsetKey = require('DraftOffsetKey');
 const Immutable = require('immutable');
 const React = require('React');
 
 const cx = require('cx');
+const getNestedDecorations = require('getNestedDecorations');
 
 const {List} = Immutable;
 
@@ -40,6 +41,7 @@ type Props = {
   direction: BidiDirection,
   forceSelection: boolean,
   hasSelection: boolean,
+  remoteSelections?: ?Array<DraftBlockRemoteSelection>,
   selection: SelectionState,
   tree: List<any>,
 };
@@ -55,6 +57,7 @@ class DraftEditorNode extends React.Component<Props> {
       direction,
       forceSelection,
       hasSelection,
+      remoteSelections,
       selection,
       tree,
     } = this.props;
@@ -63,55 +66,77 @@ class DraftEditorNode extends React.Component<Props> {
     const text = block.getText();
     const lastLeafSet = tree.size - 1;
 
-    const children =
-      this.props.children ||
-      tree
-        .map((leafSet, ii) => {
-          const decoratorKey = leafSet.get('decoratorKey');
-          const leavesForLeafSet = leafSet.get('leaves');
-          const lastLeaf = leavesForLeafSet.size - 1;
-          const Leaves = leavesForLeafSet
-            .map((leaf, jj) => {
-              const offsetKey = DraftOffsetKey.encode(blockKey, ii, jj);
-              const start = leaf.get('start');
-              const end = leaf.get('end');
-              return (
-                <DraftEditorLeaf
-                  key={offsetKey}
-                  offsetKey={offsetKey}
-                  block={block}
-                  start={start}
-                  selection={hasSelection ? selection : null}
-                  forceSelection={forceSelection}
-                  text={text.slice(start, end)}
-                  styleSet={block.getInlineStyleAt(start)}
-                  customStyleMap={customStyleMap}
-                  customStyleFn={customStyleFn}
-                  isLast={decoratorKey === lastLeafSet && jj === lastLeaf}
-                />
-              );
-            })
-            .toArray();
-
-          if (!decoratorKey || !decorator) {
-            return Leaves;
-          }
-
+    const renderLeaves = (ii: number): Array<React.Node> => {
+      const leavesForLeafSet = tree.getIn([ii, 'leaves']);
+      const lastLeaf = leavesForLeafSet.size - 1;
+      return leavesForLeafSet
+        .map((leaf, jj) => {
+          const offsetKey = DraftOffsetKey.encode(blockKey, ii, jj);
+          const start = leaf.get('start');
+          const end = leaf.get('end');
           return (
-            <DraftEditorDecoratedLeaves
+            <DraftEditorLeaf
+              key={offsetKey}
+              offsetKey={offsetKey}
               block={block}
-              children={Leaves}
-              contentState={contentState}
-              decorator={decorator}
-              decoratorKey={decoratorKey}
-              direction={direction}
-              leafSet={leafSet}
-              text={text}
-              key={ii}
+              start={start}
+              selection={hasSelection ? selection : null}
+              forceSelection={forceSelection}
+              text={text.slice(start, end)}
+              styleSet={block.getInlineStyleAt(start)}
+              customStyleMap={customStyleMap}
+              customStyleFn={customStyleFn}
+              isLast={ii === lastLeafSet && jj === lastLeaf}
             />
           );
         })
         .toArray();
+    };
+
+    const renderDecorations = (
+      decorations: Array<DraftNestedDecoration>,
+    ): Array<React.Node> => {
+      const nodes = [];
+      decorations.forEach(decoration => {
+        const {decoratorKey, first, last} = decoration;
+        if (decoratorKey == null || !decorator) {
+          nodes.push(...renderLeaves(first));
+          return;
+        }
+
+        const offsetKey = DraftOffsetKey.encode(blockKey, first, 0);
+        nodes.push(
+          <DraftEditorDecoratedLeaves
+            block={block}
+            children={renderDecorations(decoration.children)}
+            contentState={contentState}
+            decorator={decorator}
+            decoratorKey={decoratorKey}
+            direction={direction}
+            start={tree.getIn([first, 'start'])}
+            end={tree.getIn([last, 'end'])}
+            offsetKey={offsetKey}
+            text={text}
+            key={offsetKey}
+          />,
+        );
+      });
+      return nodes;
+    };
+
+    const children =
+      this.props.children ||
+      renderDecorations(getNestedDecorations(tree, decorator));
+
+    // Blocks with children have no text of their own to select.
+    const overlay =
+      !this.props.children && remoteSelections && remoteSelections.length ? (
+        <DraftEditorRemoteSelections
+          blockKey={blockKey}
+          remoteSelections={remoteSelections}
+          tree={tree}
+        />
+      ) : null;
 
     return (
       <div
@@ -121,6 +146,7 @@ class DraftEditorNode extends React.Component<Props> {
           'public/DraftStyleDefault/ltr': direction === 'LTR',
           'public/DraftStyleDefault/rtl': direction === 'RTL',
         })}>
+        {overlay}
         {children}
       </div>
     );
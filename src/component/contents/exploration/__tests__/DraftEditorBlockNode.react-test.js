@@ -22,6 +22,7 @@ const CompositeDraftDecorator = require('CompositeDraftDecorator');
 const ContentBlockNode = require('ContentBlockNode');
 const ContentState = require('ContentState');
 const DefaultDraftBlockRenderMap = require('DefaultDraftBlockRenderMap');
+const DraftEditorBlockDragHandle = require('DraftEditorBlockDragHandle.react');
 const DraftEditorBlockNode = require('DraftEditorBlockNode.react');
 const EditorState = require('EditorState');
 const Immutable = require('immutable');
@@ -535,3 +536,83 @@ test('renders block with nested children with blockStyleFn', () => {
     tree: BlockTree.generate(contentState, rootBlock, null),
   });
 });
+
+test('renders table with rows and cells without nodes of their own', () => {
+  const rootBlock = new ContentBlockNode({
+    key: 'A',
+    text: '',
+    type: 'table',
+    children: List(['B']),
+  });
+
+  const contentState = ContentState.createFromBlockArray([
+    rootBlock,
+    new ContentBlockNode({
+      parent: 'A',
+      key: 'B',
+      text: '',
+      type: 'table-row',
+      children: List(['C', 'D']),
+    }),
+    new ContentBlockNode({
+      parent: 'B',
+      nextSibling: 'D',
+      key: 'C',
+      text: 'left cell',
+      type: 'table-cell',
+    }),
+    new ContentBlockNode({
+      parent: 'B',
+      prevSibling: 'C',
+      key: 'D',
+      text: 'right cell',
+      type: 'table-cell',
+    }),
+  ]);
+
+  assertDraftEditorBlockRendering({
+    ...PROPS,
+    block: rootBlock,
+    contentState,
+    tree: BlockTree.generate(contentState, rootBlock, null),
+  });
+});
+
+test('renders drag handles and the drop indicator with blocks and children', () => {
+  const blockNode = ReactTestRenderer.create(
+    <DraftEditorBlockNode
+      {...PROPS}
+      blockDropTarget={{blockKey: 'C', insertionMode: 'after'}}
+      onBlockDragEnd={() => {}}
+      onBlockDragStart={() => {}}
+    />,
+  );
+  expect(
+    blockNode.root
+      .findAllByType(DraftEditorBlockDragHandle)
+      .map(handle => handle.props.blockKey),
+  ).toEqual(['A', 'B', 'C', 'D']);
+  expect(
+    blockNode.root.find(
+      node => node.props['data-block'] && node.props.className,
+    ).props['data-offset-key'],
+  ).toBe('C-0-0');
+});
+
+test('highlights the selected blocks and children', () => {
+  const blockNode = ReactTestRenderer.create(
+    <DraftEditorBlockNode {...PROPS} selectedBlockKeys={new Set(['A', 'C'])} />,
+  );
+  expect(
+    blockNode.root
+      .findAll(
+        node =>
+          node.props['data-block'] &&
+          typeof node.type === 'string' &&
+          (node.props.className || '').includes(
+            'public-DraftEditorBlockSelection-selected',
+          ),
+      )
+      .map(node => node.props['data-offset-key']),
+  ).toEqual(['A-0-0', 'C-0-0']);
+});
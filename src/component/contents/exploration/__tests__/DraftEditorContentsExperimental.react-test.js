@@ -10,7 +10,7 @@
 
 'use strict';
 
-jest.disableAutomock();
+jest.disableAutomock().mock('getRangeClientRects');
 
 const ContentBlockNode = require('ContentBlockNode');
 const ContentState = require('ContentState');
@@ -19,9 +19,11 @@ const DraftEditorContents = require('DraftEditorContentsExperimental.react');
 const EditorState = require('EditorState');
 const Immutable = require('immutable');
 const React = require('React');
+const ReactDOM = require('ReactDOM');
 const SelectionState = require('SelectionState');
 
 const TestHelper = require('_DraftTestHelper');
+const getRangeClientRects = require('getRangeClientRects');
 const ReactTestRenderer = require('react-test-renderer');
 
 const {List} = Immutable;
@@ -131,3 +133,53 @@ test('renders ContentBlockNodes with root blocks that have wrapperTemplate', ()
     contentState,
   });
 });
+
+test('renders remote selections within nested blocks', () => {
+  const contentState = ContentState.createFromBlockArray([
+    new ContentBlockNode({
+      key: 'A',
+      text: '',
+      type: 'blockquote',
+      children: List(['B']),
+    }),
+    new ContentBlockNode({
+      parent: 'A',
+      key: 'B',
+      text: 'Beta',
+      type: 'unstyled',
+    }),
+  ]);
+  document.createRange = () => ({
+    setStart() {},
+    setEnd() {},
+  });
+  getRangeClientRects.mockReturnValue([
+    {top: 0, left: 10, width: 20, height: 16},
+  ]);
+
+  const container = document.createElement('div');
+  ReactDOM.render(
+    <DraftEditorContents
+      {...PROPS}
+      editorState={EditorState.createWithContent(contentState)}
+      remoteSelections={[
+        {
+          id: 'remote',
+          color: 'red',
+          selection: new SelectionState({
+            anchorKey: 'B',
+            anchorOffset: 1,
+            focusKey: 'B',
+            focusOffset: 3,
+          }),
+        },
+      ]}
+    />,
+    container,
+  );
+
+  const overlays = container.querySelectorAll('[aria-hidden="true"]');
+  expect(overlays.length).toBe(1);
+  expect(overlays[0].parentNode.getAttribute('data-offset-key')).toBe('B-0-0');
+  expect(overlays[0].childNodes.length).toBe(2);
+});
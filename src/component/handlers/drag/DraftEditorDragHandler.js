@@ -11,11 +11,14 @@
 
 'use strict';
 
+import type {DraftBlockDropTarget} from 'DraftBlockDrag';
 import type DraftEditor from 'DraftEditor.react';
 import type SelectionState from 'SelectionState';
 
 const DataTransfer = require('DataTransfer');
+const DraftBlockDrag = require('DraftBlockDrag');
 const DraftModifier = require('DraftModifier');
+const DraftOffsetKey = require('DraftOffsetKey');
 const EditorState = require('EditorState');
 const ReactDOM = require('ReactDOM');
 
@@ -62,6 +65,44 @@ function getSelectionForEvent(
   );
 }
 
+/**
+ * Get the block next to which the dragged blocks would be dropped: the
+ * innermost block under the pointer that blocks can be dropped next to, before
+ * it when the pointer is over its upper half, or else after it.
+ */
+function getBlockDropTarget(
+  editor: DraftEditor,
+  blockKeys: Array<string>,
+  event: Object,
+): ?DraftBlockDropTarget {
+  const contentState = editor._latestEditorState.getCurrentContent();
+  let node = event.target;
+  while (node && node !== editor.editor) {
+    const offsetKey =
+      node instanceof Element ? node.getAttribute('data-offset-key') : null;
+    if (
+      node instanceof Element &&
+      node.getAttribute('data-block') === 'true' &&
+      offsetKey
+    ) {
+      const {blockKey} = DraftOffsetKey.decode(offsetKey);
+      const block = contentState.getBlockForKey(blockKey);
+      if (block && DraftBlockDrag.isDraggable(block)) {
+        if (!DraftBlockDrag.canDrop(contentState, blockKeys, blockKey)) {
+          return null;
+        }
+        const {top, height} = node.getBoundingClientRect();
+        return {
+          blockKey,
+          insertionMode: event.clientY < top + height / 2 ? 'before' : 'after',
+        };
+      }
+    }
+    node = node.parentNode;
+  }
+  return null;
+}
+
 const DraftEditorDragHandler = {
   /**
    * Drag originating from input terminated.
@@ -71,10 +112,48 @@ const DraftEditorDragHandler = {
     endDrag(editor);
   },
 
+  /**
+   * Show where blocks dragged by their handle would be dropped.
+   */
+  onDragOver: function(editor: DraftEditor, e: Object): void {
+    const blockKeys = editor._draggedBlockKeys;
+    if (!blockKeys) {
+      return;
+    }
+    e.preventDefault();
+    const target = getBlockDropTarget(editor, blockKeys, e);
+    if (e.dataTransfer) {
+      e.dataTransfer.dropEffect = target ? 'move' : 'none';
+    }
+    editor.setBlockDropTarget(target);
+  },
+
   /**
    * Handle data being dropped.
    */
   onDrop: function(editor: DraftEditor, e: Object): void {
+    const blockKeys = editor._draggedBlockKeys;
+    if (blockKeys) {
+      e.preventDefault();
+      editor._dragCount = 0;
+      editor.exitCurrentMode();
+      const target = getBlockDropTarget(editor, blockKeys, e);
+      if (target) {
+        editor.update(
+          DraftBlockDrag.moveBlocks(
+            editor._latestEditorState,
+            blockKeys,
+            target,
+          ),
+        );
+      }
+      // The handle may no longer be in the document to end the drag.
+      editor._draggedBlockKeys = null;
+      editor.setBlockDropTarget(null);
+      endDrag(editor);
+      return;
+    }
+
     const data = new DataTransfer(e.nativeEvent.dataTransfer);
 
     const editorState: EditorState = editor._latestEditorState;
@@ -15,6 +15,8 @@ jest.disableAutomock();
 const CompositeDraftDecorator = require('CompositeDraftDecorator');
 const ContentBlock = require('ContentBlock');
 const ContentState = require('ContentState');
+const DefaultDraftInputRules = require('DefaultDraftInputRules');
+const DraftModifier = require('DraftModifier');
 const EditorState = require('EditorState');
 const SelectionState = require('SelectionState');
 
@@ -151,6 +153,49 @@ test('editor selectionstate is updated if new text matches current selection and
   expect(newEditorState.getSelection()).toMatchSnapshot();
 });
 
+test('editor is updated with the input rule matching the typed text', () => {
+  const editorState = EditorState.acceptSelection(
+    getEditorState('#'),
+    new SelectionState({
+      ...DEFAULT_SELECTION,
+      anchorOffset: 1,
+      focusOffset: 1,
+    }),
+  );
+
+  const editor = {
+    _latestEditorState: editorState,
+    _latestCommittedEditorState: editorState,
+    props: {inputRules: DefaultDraftInputRules},
+    update: jest.fn(),
+  };
+
+  const ev = getInputEvent(' ');
+  onBeforeInput(editor, ev);
+
+  expect(ev.preventDefault).toHaveBeenCalledTimes(1);
+  expect(editor.update).toHaveBeenCalledTimes(1);
+
+  const newEditorState = editor.update.mock.calls[0][0];
+  const block = newEditorState.getCurrentContent().getFirstBlock();
+  expect(block.getType()).toBe('header-one');
+  expect(block.getText()).toBe('');
+
+  // The operations include the insertion of the typed characters.
+  const operations = newEditorState.getLastOperations();
+  expect(operations && operations.map(op => op.type).toArray()).toEqual([
+    'replaceText',
+    'removeRange',
+    'setBlockType',
+  ]);
+  const replayed = DraftModifier.applyOperations(
+    editorState.getCurrentContent(),
+    operations ? operations.toArray() : [],
+  ).getFirstBlock();
+  expect(replayed.getType()).toBe('header-one');
+  expect(replayed.getText()).toBe('');
+});
+
 const HASHTAG_REGEX = /#[a-z]+/g;
 function hashtagStrategy(contentBlock, callback, contentState) {
   findWithRegex(HASHTAG_REGEX, contentBlock, callback);
@@ -219,3 +264,52 @@ test('decorator fingerprint logic bails out of native insertion', () => {
     global.getSelection = oldGetSelection;
   }
 });
+
+test('native insertion is prevented when the schema rejects the insertion', () => {
+  const oldGetSelection = global.getSelection;
+  try {
+    global.getSelection = () => ({});
+    const editorState = EditorState.acceptSelection(
+      EditorState.setSchema(getEditorState(), {maxLength: 7}),
+      new SelectionState({
+        ...DEFAULT_SELECTION,
+        anchorOffset: 7,
+        focusOffset: 7,
+      }),
+    );
+    const editor = {
+      _latestEditorState: editorState,
+      _latestCommittedEditorState: editorState,
+      props: {},
+      update: jest.fn(),
+    };
+
+    const ev = getInputEvent('!');
+    onBeforeInput(editor, ev);
+
+    expect(ev.preventDefault).toHaveBeenCalledTimes(1);
+    const newEditorState = editor.update.mock.calls[0][0];
+    expect(newEditorState.getCurrentContent().getPlainText()).toBe('Arsenal');
+    expect(newEditorState.mustForceSelection()).toBe(true);
+  } finally {
+    global.getSelection = oldGetSelection;
+  }
+});
+
+test('typed characters are ignored while blocks are selected as a whole', () => {
+  const editorState = EditorState.setBlockSelection(getEditorState(), {
+    anchorKey: 'a',
+    focusKey: 'a',
+  });
+  const editor = {
+    _latestEditorState: editorState,
+    props: {},
+    update: jest.fn(),
+  };
+
+  const ev = getInputEvent('O');
+  onBeforeInput(editor, ev);
+
+  expect(ev.preventDefault).toHaveBeenCalledTimes(1);
+  expect(editor.update).toHaveBeenCalledTimes(0);
+});
@@ -0,0 +1,78 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @emails oncall+draft_js
+ * @format
+ */
+
+'use strict';
+
+jest.disableAutomock();
+
+jest.mock('generateRandomKey');
+
+const ContentBlockNode = require('ContentBlockNode');
+const ContentState = require('ContentState');
+const DraftTreeInvariants = require('DraftTreeInvariants');
+const EditorState = require('EditorState');
+const SelectionState = require('SelectionState');
+
+const Immutable = require('immutable');
+const keyCommandInsertNewline = require('keyCommandInsertNewline');
+
+const {List} = Immutable;
+
+const createEditorState = lastText =>
+  EditorState.forceSelection(
+    EditorState.createWithContent(
+      ContentState.createFromBlockArray([
+        new ContentBlockNode({
+          key: 'Q',
+          type: 'blockquote',
+          children: List(['A', 'B']),
+        }),
+        new ContentBlockNode({
+          key: 'A',
+          parent: 'Q',
+          nextSibling: 'B',
+          text: 'Alpha',
+        }),
+        new ContentBlockNode({
+          key: 'B',
+          parent: 'Q',
+          prevSibling: 'A',
+          text: lastText,
+        }),
+      ]),
+    ),
+    SelectionState.createEmpty('B').merge({
+      anchorOffset: lastText.length,
+      focusOffset: lastText.length,
+    }),
+  );
+
+test('must move an empty last child out of its parent', () => {
+  const editorState = keyCommandInsertNewline(createEditorState(''));
+  const content = editorState.getCurrentContent();
+  expect(DraftTreeInvariants.isValidTree(content.getBlockMap())).toBe(true);
+  expect(
+    content
+      .getBlockForKey('Q')
+      .getChildKeys()
+      .toArray(),
+  ).toEqual(['A']);
+  expect(content.getBlockForKey('B').getParentKey()).toBe(null);
+  expect(content.getBlockForKey('Q').getNextSiblingKey()).toBe('B');
+  expect(editorState.getSelection().getAnchorKey()).toBe('B');
+});
+
+test('must split a last child with text in its parent', () => {
+  const content = keyCommandInsertNewline(
+    createEditorState('Bravo'),
+  ).getCurrentContent();
+  expect(DraftTreeInvariants.isValidTree(content.getBlockMap())).toBe(true);
+  expect(content.getBlockForKey('Q').getChildKeys().size).toBe(3);
+});
@@ -32,6 +32,7 @@ const UnicodeUtils = require('UnicodeUtils');
 
 const getSampleStateForTesting = require('getSampleStateForTesting');
 const Immutable = require('immutable');
+const moveSelectionBackward = require('moveSelectionBackward');
 const moveSelectionForward = require('moveSelectionForward');
 const removeTextWithStrategy = require('removeTextWithStrategy');
 
@@ -227,3 +228,22 @@ test(`across blocks with forward delete is a no-op`, () => {
     },
   );
 });
+
+test(`at start of the first child of a block backward delete is a no-op`, () => {
+  const editorState = EditorState.forceSelection(
+    EditorState.createWithContent(
+      contentState.set(
+        'blockMap',
+        BlockMapBuilder.createFromArray(contentBlockNodes),
+      ),
+    ),
+    SelectionState.createEmpty('D'),
+  );
+  expect(
+    removeTextWithStrategy(
+      editorState,
+      strategyState => moveSelectionBackward(strategyState, 1),
+      'backward',
+    ),
+  ).toBe(editorState.getCurrentContent());
+});
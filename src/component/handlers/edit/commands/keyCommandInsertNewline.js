@@ -12,13 +12,59 @@
 'use strict';
 
 const DraftModifier = require('DraftModifier');
+const DraftTreeOperations = require('DraftTreeOperations');
 const EditorState = require('EditorState');
+const TableUtils = require('TableUtils');
 
+/**
+ * Split the block at the selection. Table cells are not split, and a soft
+ * newline is inserted in them instead. In nested content, an empty unstyled
+ * block at the end of its parent, such as a blockquote, is moved out of it.
+ */
 function keyCommandInsertNewline(editorState: EditorState): EditorState {
-  const contentState = DraftModifier.splitBlock(
-    editorState.getCurrentContent(),
-    editorState.getSelection(),
-  );
+  const content = editorState.getCurrentContent();
+  const selection = editorState.getSelection();
+  const cell = TableUtils.getCell(content, selection.getStartKey());
+  if (cell) {
+    if (cell !== TableUtils.getCell(content, selection.getEndKey())) {
+      return editorState;
+    }
+    return EditorState.push(
+      editorState,
+      DraftModifier.replaceText(
+        content,
+        selection,
+        '\n',
+        editorState.getCurrentInlineStyle(),
+      ),
+      'insert-characters',
+    );
+  }
+
+  const block = content.getBlockForKey(selection.getStartKey());
+  if (
+    content.isNested() &&
+    selection.isCollapsed() &&
+    block.getLength() === 0 &&
+    block.getType() === 'unstyled' &&
+    block.getParentKey() != null &&
+    block.getNextSiblingKey() == null
+  ) {
+    return EditorState.push(
+      editorState,
+      content.merge({
+        blockMap: DraftTreeOperations.moveChildUp(
+          content.getBlockMap(),
+          block.getKey(),
+        ),
+        selectionBefore: selection,
+        selectionAfter: selection,
+      }),
+      'adjust-depth',
+    );
+  }
+
+  const contentState = DraftModifier.splitBlock(content, selection);
   return EditorState.push(editorState, contentState, 'split-block');
 }
 
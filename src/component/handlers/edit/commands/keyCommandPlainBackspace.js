@@ -16,13 +16,21 @@ const UnicodeUtils = require('UnicodeUtils');
 
 const moveSelectionBackward = require('moveSelectionBackward');
 const removeTextWithStrategy = require('removeTextWithStrategy');
+const undoInputRule = require('undoInputRule');
 
 /**
  * Remove the selected range. If the cursor is collapsed, remove the preceding
  * character. This operation is Unicode-aware, so removing a single character
  * will remove a surrogate pair properly as well.
+ *
+ * Right after an input rule, restore the typed text instead.
  */
 function keyCommandPlainBackspace(editorState: EditorState): EditorState {
+  const withoutInputRule = undoInputRule(editorState);
+  if (withoutInputRule) {
+    return withoutInputRule;
+  }
+
   const afterRemoval = removeTextWithStrategy(
     editorState,
     strategyState => {
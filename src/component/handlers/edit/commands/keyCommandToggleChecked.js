@@ -0,0 +1,35 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @format
+ * @flow
+ * @emails oncall+draft_js
+ */
+
+'use strict';
+
+import type EditorState from 'EditorState';
+
+const DraftCheckableListItem = require('DraftCheckableListItem');
+const RichTextEditorUtil = require('RichTextEditorUtil');
+
+const keyCommandInsertNewline = require('keyCommandInsertNewline');
+
+/**
+ * Toggle the checked state of the selected checkable list items. Elsewhere,
+ * the command is a newline, as it was before checkable list items.
+ */
+function keyCommandToggleChecked(editorState: EditorState): EditorState {
+  const block = editorState
+    .getCurrentContent()
+    .getBlockForKey(editorState.getSelection().getStartKey());
+  if (!DraftCheckableListItem.isCheckable(block)) {
+    return keyCommandInsertNewline(editorState);
+  }
+  return RichTextEditorUtil.toggleChecked(editorState);
+}
+
+module.exports = keyCommandToggleChecked;
@@ -17,10 +17,7 @@ import type EditorState from 'EditorState';
 import type SelectionState from 'SelectionState';
 
 const DraftModifier = require('DraftModifier');
-
-const gkx = require('gkx');
-
-const experimentalTreeDataSupport = gkx('draft_tree_data_support');
+const TableUtils = require('TableUtils');
 
 /**
  * For a collapsed selection state, remove text based on the specified strategy.
@@ -37,7 +34,8 @@ function removeTextWithStrategy(
   const anchorKey = selection.getAnchorKey();
   const focusKey = selection.getFocusKey();
   const anchorBlock = content.getBlockForKey(anchorKey);
-  if (experimentalTreeDataSupport) {
+  const isNested = content.isNested();
+  if (isNested) {
     if (direction === 'forward') {
       if (anchorKey !== focusKey) {
         // For now we ignore forward delete across blocks,
@@ -51,7 +49,7 @@ function removeTextWithStrategy(
       if (editorState.isSelectionAtEndOfContent()) {
         return content;
       }
-      if (experimentalTreeDataSupport) {
+      if (isNested) {
         const isAtEndOfBlock =
           selection.getAnchorOffset() ===
           content.getBlockForKey(anchorKey).getLength();
@@ -74,6 +72,30 @@ function removeTextWithStrategy(
     if (target === selection) {
       return content;
     }
+    // Removing a character does not cross the edges of table cells, which
+    // would merge cells or move text in or out of a table. Selected text
+    // spanning several cells is cleared from each of them instead.
+    if (
+      TableUtils.getCell(content, target.getAnchorKey()) !==
+      TableUtils.getCell(content, target.getFocusKey())
+    ) {
+      return content;
+    }
+  }
+  // Nor from the start of the first child of a block into its parent, which
+  // has no text of its own.
+  if (
+    isNested &&
+    (!content
+      .getBlockForKey(target.getAnchorKey())
+      .getChildKeys()
+      .isEmpty() ||
+      !content
+        .getBlockForKey(target.getFocusKey())
+        .getChildKeys()
+        .isEmpty())
+  ) {
+    return content;
   }
   return DraftModifier.removeRange(content, target, direction);
 }
@@ -18,6 +18,7 @@ const DraftModifier = require('DraftModifier');
 const EditorState = require('EditorState');
 const UserAgent = require('UserAgent');
 
+const applyInputRules = require('applyInputRules');
 const getEntityKeyForSelection = require('getEntityKeyForSelection');
 const isEventHandled = require('isEventHandled');
 const isSelectionAtLeafStart = require('isSelectionAtLeafStart');
@@ -96,6 +97,13 @@ function editOnBeforeInput(
     return;
   }
 
+  // While blocks are selected as a whole, the text caret is hidden, so typed
+  // characters are ignored rather than inserted at it.
+  if (editorState.getBlockSelection()) {
+    e.preventDefault();
+    return;
+  }
+
   // Allow the top-level component to handle the insertion manually. This is
   // useful when triggering interesting behaviors for a character insertion,
   // Simple examples: replacing a raw text ':)' with a smile emoji or image
@@ -120,17 +128,20 @@ function editOnBeforeInput(
 
   if (!selection.isCollapsed()) {
     e.preventDefault();
-    editor.update(
-      replaceText(
-        editorState,
-        chars,
-        editorState.getCurrentInlineStyle(),
-        getEntityKeyForSelection(
-          editorState.getCurrentContent(),
-          editorState.getSelection(),
-        ),
-        true,
+    const replacedEditorState = replaceText(
+      editorState,
+      chars,
+      editorState.getCurrentInlineStyle(),
+      getEntityKeyForSelection(
+        editorState.getCurrentContent(),
+        editorState.getSelection(),
       ),
+      true,
+    );
+    editor.update(
+      (editor.props.inputRules &&
+        applyInputRules(replacedEditorState, editor.props.inputRules)) ||
+        replacedEditorState,
     );
     return;
   }
@@ -146,8 +157,34 @@ function editOnBeforeInput(
     false,
   );
 
+  // Input rules transform the content after inserting the characters, so the
+  // DOM must be rendered again.
+  const withInputRule =
+    editor.props.inputRules &&
+    applyInputRules(newEditorState, editor.props.inputRules);
+  if (withInputRule) {
+    e.preventDefault();
+    editor.update(withInputRule);
+    return;
+  }
+
   // Bunch of different cases follow where we need to prevent native insertion.
   let mustPreventNative = false;
+  if (editorState.getSchema()) {
+    // The schema of the editor may have rejected or altered the insertion,
+    // in which case the DOM must be rendered again.
+    const text = editorState
+      .getCurrentContent()
+      .getBlockForKey(anchorKey)
+      .getText();
+    const newBlock = newEditorState
+      .getCurrentContent()
+      .getBlockForKey(anchorKey);
+    mustPreventNative =
+      !newBlock ||
+      newBlock.getText() !==
+        text.slice(0, selectionStart) + chars + text.slice(selectionStart);
+  }
   if (!mustPreventNative) {
     // Browsers tend to insert text in weird places in the DOM when typing at
     // the start of a leaf, so we'll handle it ourselves.
@@ -14,6 +14,7 @@
 import type DraftEditor from 'DraftEditor.react';
 import type {DraftEditorCommand} from 'DraftEditorCommand';
 
+const BlockSelectionUtils = require('BlockSelectionUtils');
 const DraftModifier = require('DraftModifier');
 const EditorState = require('EditorState');
 const KeyBindingUtil = require('KeyBindingUtil');
@@ -21,6 +22,7 @@ const Keys = require('Keys');
 const SecondaryClipboard = require('SecondaryClipboard');
 const UserAgent = require('UserAgent');
 
+const getBlockSelectionKeyBinding = require('getBlockSelectionKeyBinding');
 const isEventHandled = require('isEventHandled');
 const keyCommandBackspaceToStartOfLine = require('keyCommandBackspaceToStartOfLine');
 const keyCommandBackspaceWord = require('keyCommandBackspaceWord');
@@ -30,10 +32,11 @@ const keyCommandMoveSelectionToEndOfBlock = require('keyCommandMoveSelectionToEn
 const keyCommandMoveSelectionToStartOfBlock = require('keyCommandMoveSelectionToStartOfBlock');
 const keyCommandPlainBackspace = require('keyCommandPlainBackspace');
 const keyCommandPlainDelete = require('keyCommandPlainDelete');
+const keyCommandToggleChecked = require('keyCommandToggleChecked');
 const keyCommandTransposeCharacters = require('keyCommandTransposeCharacters');
 const keyCommandUndo = require('keyCommandUndo');
 
-const {isOptionKeyCommand} = KeyBindingUtil;
+const {hasCommandModifier, isOptionKeyCommand} = KeyBindingUtil;
 const isChrome = UserAgent.isBrowser('Chrome');
 
 /**
@@ -42,6 +45,7 @@ const isChrome = UserAgent.isBrowser('Chrome');
 function onKeyCommand(
   command: DraftEditorCommand | string,
   editorState: EditorState,
+  e: SyntheticKeyboardEvent<>,
 ): EditorState {
   switch (command) {
     case 'redo':
@@ -57,7 +61,12 @@ function onKeyCommand(
     case 'backspace-to-start-of-line':
       return keyCommandBackspaceToStartOfLine(editorState);
     case 'split-block':
-      return keyCommandInsertNewline(editorState);
+      // Cmd/Ctrl+Enter toggles checkable list items, and splits other blocks.
+      return hasCommandModifier(e)
+        ? keyCommandToggleChecked(editorState)
+        : keyCommandInsertNewline(editorState);
+    case 'toggle-checked':
+      return keyCommandToggleChecked(editorState);
     case 'transpose-characters':
       return keyCommandTransposeCharacters(editorState);
     case 'move-selection-to-start-of-block':
@@ -68,6 +77,30 @@ function onKeyCommand(
       return SecondaryClipboard.cut(editorState);
     case 'secondary-paste':
       return SecondaryClipboard.paste(editorState);
+    case 'select-blocks':
+      return BlockSelectionUtils.selectBlocks(editorState);
+    case 'deselect-blocks':
+      return EditorState.setBlockSelection(editorState, null);
+    case 'select-block-up':
+      return BlockSelectionUtils.selectAdjacentBlock(editorState, 'up', false);
+    case 'select-block-down':
+      return BlockSelectionUtils.selectAdjacentBlock(
+        editorState,
+        'down',
+        false,
+      );
+    case 'extend-block-selection-up':
+      return BlockSelectionUtils.selectAdjacentBlock(editorState, 'up', true);
+    case 'extend-block-selection-down':
+      return BlockSelectionUtils.selectAdjacentBlock(editorState, 'down', true);
+    case 'remove-blocks':
+      return BlockSelectionUtils.removeSelectedBlocks(editorState);
+    case 'duplicate-blocks':
+      return BlockSelectionUtils.duplicateSelectedBlocks(editorState);
+    case 'move-blocks-up':
+      return BlockSelectionUtils.moveSelectedBlocks(editorState, 'up');
+    case 'move-blocks-down':
+      return BlockSelectionUtils.moveSelectedBlocks(editorState, 'down');
     default:
       return editorState;
   }
@@ -80,7 +113,8 @@ function onKeyCommand(
  * correspond to command functions that modify the editor or its contents.
  *
  * See `getDefaultKeyBinding` for defaults. Alternatively, the top-level
- * component may provide a custom mapping via the `keyBindingFn` prop.
+ * component may provide a custom mapping via the `keyBindingFn` prop. While
+ * blocks are selected as a whole, see `getBlockSelectionKeyBinding`.
  */
 function editOnKeyDown(editor: DraftEditor, e: SyntheticKeyboardEvent<>): void {
   const keyCode = e.which;
@@ -152,7 +186,15 @@ function editOnKeyDown(editor: DraftEditor, e: SyntheticKeyboardEvent<>): void {
       }
   }
 
-  const command = editor.props.keyBindingFn(e);
+  // While blocks are selected as a whole, their own key bindings come first.
+  // Selecting them on Esc is opt-in.
+  let blockSelectionCommand = null;
+  if (editorState.getBlockSelection()) {
+    blockSelectionCommand = getBlockSelectionKeyBinding(e);
+  } else if (editor.props.blockSelection && keyCode === Keys.ESC) {
+    blockSelectionCommand = 'select-blocks';
+  }
+  const command = blockSelectionCommand || editor.props.keyBindingFn(e);
 
   // If no command is specified, allow keydown event to continue.
   if (!command) {
@@ -193,7 +235,7 @@ function editOnKeyDown(editor: DraftEditor, e: SyntheticKeyboardEvent<>): void {
     return;
   }
 
-  const newState = onKeyCommand(command, editorState);
+  const newState = onKeyCommand(command, editorState, e);
   if (newState !== editorState) {
     editor.update(newState);
   }
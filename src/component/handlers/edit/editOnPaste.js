@@ -72,6 +72,7 @@ function editOnPaste(editor: DraftEditor, e: SyntheticClipboardEvent<>): void {
           blocks,
           character,
           currentBlockType,
+          {nested: editorState.getCurrentContent().isNested()},
         );
         const fragment = BlockMapBuilder.createFromArray(text);
 
@@ -149,9 +150,11 @@ function editOnPaste(editor: DraftEditor, e: SyntheticClipboardEvent<>): void {
 
     // If there is html paste data, try to parse that.
     if (html) {
+      // Pasted blocks are nested as the content of the editor.
       const htmlFragment = DraftPasteProcessor.processHTML(
         html,
         editor.props.blockRenderMap,
+        {nested: editorState.getCurrentContent().isNested()},
       );
       if (htmlFragment) {
         const {contentBlocks, entityMap} = htmlFragment;
@@ -187,6 +190,7 @@ function editOnPaste(editor: DraftEditor, e: SyntheticClipboardEvent<>): void {
       textBlocks,
       character,
       currentBlockType,
+      {nested: editorState.getCurrentContent().isNested()},
     );
 
     const textMap = BlockMapBuilder.createFromArray(textFragment);
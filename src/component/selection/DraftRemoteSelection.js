@@ -0,0 +1,46 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @format
+ * @flow strict-local
+ * @emails oncall+draft_js
+ */
+
+'use strict';
+
+import type SelectionState from 'SelectionState';
+
+/**
+ * The selection of another user editing the same content, such as in a
+ * collaborative editor. Remote selections are rendered over the contents of
+ * the editor and are not interactive.
+ */
+export type DraftRemoteSelection = {
+  // Identifies the user the selection belongs to.
+  id: string,
+
+  // CSS color of the caret and of the highlighted range.
+  color: string,
+
+  // Text displayed next to the caret, such as the name of the user.
+  label?: ?string,
+
+  selection: SelectionState,
+};
+
+/**
+ * The part of a remote selection within a single block.
+ */
+export type DraftBlockRemoteSelection = {
+  id: string,
+  color: string,
+  label: ?string,
+  start: number,
+  end: number,
+
+  // The offset of the caret, when the focus of the selection is in the block.
+  focusOffset: ?number,
+};
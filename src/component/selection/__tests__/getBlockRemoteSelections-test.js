@@ -0,0 +1,82 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @emails oncall+draft_js
+ * @format
+ */
+
+'use strict';
+
+jest.disableAutomock();
+
+const ContentBlock = require('ContentBlock');
+const ContentState = require('ContentState');
+const SelectionState = require('SelectionState');
+
+const getBlockRemoteSelections = require('getBlockRemoteSelections');
+
+const contentState = ContentState.createFromBlockArray([
+  new ContentBlock({key: 'a', text: 'Alpha'}),
+  new ContentBlock({key: 'b', text: 'Beta'}),
+  new ContentBlock({key: 'c', text: 'Gamma'}),
+]);
+
+const createRemoteSelection = (
+  id,
+  anchorKey,
+  anchorOffset,
+  focusKey,
+  focusOffset,
+) => ({
+  id,
+  color: 'red',
+  label: id,
+  selection: new SelectionState({
+    anchorKey,
+    anchorOffset,
+    focusKey,
+    focusOffset,
+    isBackward:
+      anchorKey > focusKey ||
+      (anchorKey === focusKey && anchorOffset > focusOffset),
+  }),
+});
+
+test('must split remote selections into the blocks they are within', () => {
+  expect(
+    getBlockRemoteSelections(contentState, [
+      createRemoteSelection('x', 'c', 2, 'a', 3),
+      createRemoteSelection('y', 'b', 1, 'b', 1),
+    ]),
+  ).toEqual({
+    a: [{id: 'x', color: 'red', label: 'x', start: 3, end: 5, focusOffset: 3}],
+    b: [
+      {id: 'x', color: 'red', label: 'x', start: 0, end: 4, focusOffset: null},
+      {id: 'y', color: 'red', label: 'y', start: 1, end: 1, focusOffset: 1},
+    ],
+    c: [
+      {id: 'x', color: 'red', label: 'x', start: 0, end: 2, focusOffset: null},
+    ],
+  });
+});
+
+test('must ignore remote selections of missing blocks', () => {
+  expect(
+    getBlockRemoteSelections(contentState, [
+      createRemoteSelection('x', 'a', 0, 'z', 1),
+    ]),
+  ).toEqual({});
+});
+
+test('must clamp remote selections to the text of blocks', () => {
+  expect(
+    getBlockRemoteSelections(contentState, [
+      createRemoteSelection('x', 'b', 2, 'b', 10),
+    ]),
+  ).toEqual({
+    b: [{id: 'x', color: 'red', label: 'x', start: 2, end: 4, focusOffset: 4}],
+  });
+});
@@ -0,0 +1,35 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @format
+ * @flow
+ * @emails oncall+draft_js
+ */
+
+'use strict';
+
+import type {DraftBlockRemoteSelection} from 'DraftRemoteSelection';
+
+/**
+ * Return whether the remote selections within a block are rendered the same.
+ */
+function areBlockRemoteSelectionsEqual(
+  a: ?Array<DraftBlockRemoteSelection>,
+  b: ?Array<DraftBlockRemoteSelection>,
+): boolean {
+  const prev = a || [];
+  const next = b || [];
+  return (
+    prev.length === next.length &&
+    prev.every((remoteSelection, ii) =>
+      Object.keys(remoteSelection).every(
+        key => remoteSelection[key] === next[ii][key],
+      ),
+    )
+  );
+}
+
+module.exports = areBlockRemoteSelectionsEqual;
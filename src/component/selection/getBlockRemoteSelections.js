@@ -0,0 +1,66 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @format
+ * @flow
+ * @emails oncall+draft_js
+ */
+
+'use strict';
+
+import type ContentState from 'ContentState';
+import type {
+  DraftBlockRemoteSelection,
+  DraftRemoteSelection,
+} from 'DraftRemoteSelection';
+
+/**
+ * Split remote selections into their parts within each block, keyed by block
+ * key. Selections referring to blocks missing from the content are ignored.
+ */
+function getBlockRemoteSelections(
+  contentState: ContentState,
+  remoteSelections: Array<DraftRemoteSelection>,
+): {[blockKey: string]: Array<DraftBlockRemoteSelection>} {
+  const blockMap = contentState.getBlockMap();
+  const blockRemoteSelections = {};
+
+  remoteSelections.forEach(({id, color, label, selection}) => {
+    const startKey = selection.getStartKey();
+    const endKey = selection.getEndKey();
+    if (!blockMap.has(startKey) || !blockMap.has(endKey)) {
+      return;
+    }
+
+    let isWithinSelection = false;
+    blockMap.forEach((block, key) => {
+      isWithinSelection = isWithinSelection || key === startKey;
+      if (isWithinSelection) {
+        const length = block.getLength();
+        blockRemoteSelections[key] = (blockRemoteSelections[key] || []).concat({
+          id,
+          color,
+          label,
+          start:
+            key === startKey ? Math.min(selection.getStartOffset(), length) : 0,
+          end:
+            key === endKey
+              ? Math.min(selection.getEndOffset(), length)
+              : length,
+          focusOffset:
+            key === selection.getFocusKey()
+              ? Math.min(selection.getFocusOffset(), length)
+              : null,
+        });
+      }
+      return !isWithinSelection || key !== endKey;
+    });
+  });
+
+  return blockRemoteSelections;
+}
+
+module.exports = getBlockRemoteSelections;
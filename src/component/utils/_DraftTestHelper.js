@@ -9,6 +9,21 @@
  * @emails oncall+draft_js
  */
 
+import type {BlockNodeRecord} from 'BlockNodeRecord';
+import type ContentState from 'ContentState';
+import type {DraftOperation} from 'DraftOperationLog';
+import type {List} from 'immutable';
+
+const DraftModifier = require('DraftModifier');
+const DraftTreeOperations = require('DraftTreeOperations');
+const EditorState = require('EditorState');
+const SelectionState = require('SelectionState');
+
+const convertFromDraftStateToRaw = require('convertFromDraftStateToRaw');
+
+// Defined by jest in the tests using these helpers.
+declare var expect: any;
+
 const BLACK_LIST_PROPS = ['data-reactroot'];
 const transformSnapshotProps = (
   node: any,
@@ -30,6 +45,59 @@ const transformSnapshotProps = (
   return node;
 };
 
+const select = (
+  anchorKey: string,
+  anchorOffset: number,
+  focusKey?: ?string,
+  focusOffset?: ?number,
+): SelectionState =>
+  new SelectionState({
+    anchorKey,
+    anchorOffset,
+    focusKey: focusKey || anchorKey,
+    focusOffset: focusOffset == null ? anchorOffset : focusOffset,
+  });
+
+const getTree = (
+  contentState: ContentState,
+  getName: (block: BlockNodeRecord) => string = block => block.getKey(),
+  keys: ?List<string> = null,
+): Array<mixed> =>
+  (keys || DraftTreeOperations.getSiblingKeys(contentState.getBlockMap(), null))
+    .map(key => {
+      const block = contentState.getBlockForKey(key);
+      const childKeys = block.getChildKeys();
+      return childKeys.size
+        ? {[getName(block)]: getTree(contentState, getName, childKeys)}
+        : getName(block);
+    })
+    .toArray();
+
+const getOperations = (
+  base: ContentState,
+  result: ContentState,
+): Array<DraftOperation> =>
+  JSON.parse(
+    JSON.stringify(
+      EditorState.push(
+        EditorState.createWithContent(base),
+        result,
+        'insert-characters',
+      ).getLastOperations(),
+    ),
+  );
+
+const assertReplay = (
+  base: ContentState,
+  result: ContentState,
+): Array<DraftOperation> => {
+  const operations = getOperations(base, result);
+  expect(
+    convertFromDraftStateToRaw(DraftModifier.applyOperations(base, operations)),
+  ).toEqual(convertFromDraftStateToRaw(result));
+  return operations;
+};
+
 const DraftTestHelper = {
   /**
    * This is meant to be used in combination with ReactTestRenderer
@@ -44,6 +112,31 @@ const DraftTestHelper = {
    * expect(transformSnapshotProps(blockNode.toJSON())).toMatchSnapshot();
    */
   transformSnapshotProps,
+
+  /**
+   * A selection from `anchorOffset` in the block `anchorKey` to `focusOffset`
+   * in the block `focusKey`, collapsed when these are omitted.
+   */
+  select,
+
+  /**
+   * The names of the root blocks, the blocks with children being replaced by
+   * an object mapping their name to the tree of their children. Blocks are
+   * named after their key, unless `getName` is given.
+   */
+  getTree,
+
+  /**
+   * The operations recorded from `base` to `result`, serialized as they would
+   * be sent to another client.
+   */
+  getOperations,
+
+  /**
+   * Expect the operations recorded from `base` to `result` to recreate
+   * `result` when replayed on `base`, and return them.
+   */
+  assertReplay,
 };
 
 module.exports = DraftTestHelper;
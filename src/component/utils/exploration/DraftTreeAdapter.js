@@ -7,9 +7,6 @@
  * @format
  * @flow strict-local
  * @emails oncall+draft_js
- *
- * This is unstable and not part of the public API and should not be used by
- * production systems. This file may be update/removed without notice.
  */
 
 import type {RawDraftContentBlock} from 'RawDraftContentBlock';
@@ -41,7 +38,11 @@ const isListBlock = (block?: RawDraftContentBlock): boolean => {
     return false;
   }
   const {type} = block;
-  return type === 'unordered-list-item' || type === 'ordered-list-item';
+  return (
+    type === 'unordered-list-item' ||
+    type === 'ordered-list-item' ||
+    type === 'checkable-list-item'
+  );
 };
 
 const addDepthToChildren = (block: RawDraftContentBlock) => {
@@ -7,9 +7,6 @@
  * @format
  * @flow strict-local
  * @emails oncall+draft_js
- *
- * This is unstable and not part of the public API and should not be used by
- * production systems. This file may be update/removed without notice.
  */
 import type {BlockMap} from 'BlockMap';
 import type ContentBlockNode from 'ContentBlockNode';
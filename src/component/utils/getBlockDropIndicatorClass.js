@@ -0,0 +1,34 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @format
+ * @flow
+ * @emails oncall+draft_js
+ */
+
+'use strict';
+
+import type {DraftBlockDropTarget} from 'DraftBlockDrag';
+
+const cx = require('cx');
+
+/**
+ * Get the class drawing the drop indicator over the edge of the block, when
+ * the dragged blocks are to be dropped next to it.
+ */
+function getBlockDropIndicatorClass(
+  blockKey: string,
+  blockDropTarget: ?DraftBlockDropTarget,
+): ?string {
+  if (!blockDropTarget || blockDropTarget.blockKey !== blockKey) {
+    return null;
+  }
+  return blockDropTarget.insertionMode === 'before'
+    ? cx('public/DraftEditorBlockDrag/dropBefore')
+    : cx('public/DraftEditorBlockDrag/dropAfter');
+}
+
+module.exports = getBlockDropIndicatorClass;
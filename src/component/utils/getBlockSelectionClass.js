@@ -0,0 +1,28 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @format
+ * @flow
+ * @emails oncall+draft_js
+ */
+
+'use strict';
+
+const cx = require('cx');
+
+/**
+ * Get the class highlighting the block when it is selected as a whole.
+ */
+function getBlockSelectionClass(
+  blockKey: string,
+  selectedBlockKeys: ?Set<string>,
+): ?string {
+  return selectedBlockKeys && selectedBlockKeys.has(blockKey)
+    ? cx('public/DraftEditorBlockSelection/selected')
+    : null;
+}
+
+module.exports = getBlockSelectionClass;
@@ -0,0 +1,59 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @format
+ * @flow strict-local
+ * @emails oncall+draft_js
+ */
+
+'use strict';
+
+import type {DraftEditorCommand} from 'DraftEditorCommand';
+
+const KeyBindingUtil = require('KeyBindingUtil');
+const Keys = require('Keys');
+
+const {hasCommandModifier} = KeyBindingUtil;
+
+function getArrowCommand(
+  e: SyntheticKeyboardEvent<>,
+  isUp: boolean,
+): ?DraftEditorCommand {
+  if (hasCommandModifier(e) && e.shiftKey) {
+    return isUp ? 'move-blocks-up' : 'move-blocks-down';
+  }
+  if (e.shiftKey) {
+    return isUp ? 'extend-block-selection-up' : 'extend-block-selection-down';
+  }
+  return isUp ? 'select-block-up' : 'select-block-down';
+}
+
+/**
+ * Retrieve the key command for the given event while blocks are selected as
+ * a whole. Other keys are bound as with the text selection, which replaces
+ * the block selection as soon as it changes.
+ */
+function getBlockSelectionKeyBinding(
+  e: SyntheticKeyboardEvent<>,
+): ?DraftEditorCommand {
+  switch (e.keyCode) {
+    case 68: // D
+      return hasCommandModifier(e) ? 'duplicate-blocks' : null;
+    case Keys.ESC:
+      return 'deselect-blocks';
+    case Keys.UP:
+      return getArrowCommand(e, true);
+    case Keys.DOWN:
+      return getArrowCommand(e, false);
+    case Keys.BACKSPACE:
+    case Keys.DELETE:
+      return 'remove-blocks';
+    default:
+      return null;
+  }
+}
+
+module.exports = getBlockSelectionKeyBinding;
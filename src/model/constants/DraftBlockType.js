@@ -25,9 +25,13 @@ export type CoreDraftBlockType =
   | 'header-six'
   | 'unordered-list-item'
   | 'ordered-list-item'
+  | 'checkable-list-item'
   | 'blockquote'
   | 'code-block'
-  | 'atomic';
+  | 'atomic'
+  | 'table'
+  | 'table-row'
+  | 'table-cell';
 
 /**
  * User defined types can be of any valid string.
@@ -65,6 +65,36 @@ export type DraftEditorCommand =
    */
   | 'split-block'
 
+  /**
+   * Check or uncheck the selected checkable list items, or split the block
+   * outside of them.
+   */
+  | 'toggle-checked'
+
+  /**
+   * Select the blocks covered by the selection as a whole, or go back to the
+   * text selection.
+   */
+  | 'select-blocks'
+  | 'deselect-blocks'
+
+  /**
+   * Select the block above or below the selected blocks, or extend the block
+   * selection to it.
+   */
+  | 'select-block-up'
+  | 'select-block-down'
+  | 'extend-block-selection-up'
+  | 'extend-block-selection-down'
+
+  /**
+   * Remove, duplicate or move the selected blocks.
+   */
+  | 'remove-blocks'
+  | 'duplicate-blocks'
+  | 'move-blocks-up'
+  | 'move-blocks-down'
+
   /**
    * Self-explanatory.
    */
@@ -11,15 +11,41 @@
 
 'use strict';
 
+import type {BlockMap} from 'BlockMap';
 import type {BlockNodeRecord} from 'BlockNodeRecord';
 import type ContentState from 'ContentState';
-import type {DraftDecorator} from 'DraftDecorator';
+import type {BlockNodeKey} from 'BlockNode';
+import type {
+  DraftAsyncDecorator,
+  DraftAsyncDecoratorStrategy,
+  DraftDecorator,
+} from 'DraftDecorator';
 
 const Immutable = require('immutable');
 
+const emptyFunction = require('emptyFunction');
+const shallowEqual = require('shallowEqual');
+
 const {List} = Immutable;
 
 const DELIMITER = '.';
+const NESTED_DELIMITER = ',';
+
+type DraftDecoratorMatches = {
+  dependencies: ?$ReadOnlyArray<mixed>,
+  ranges: Array<[number, number]>,
+};
+
+type CompositeDraftDecoratorOptions = {
+  allowOverlap?: boolean,
+};
+
+type DraftAsyncDecoratorMatches = {
+  text: string,
+  matches: DraftDecoratorMatches,
+};
+
+const NO_MATCHES: DraftDecoratorMatches = {dependencies: null, ranges: []};
 
 /**
  * A CompositeDraftDecorator traverses through a list of DraftDecorator
@@ -39,39 +65,193 @@ const DELIMITER = '.';
  *
  * Thus, when a collision like this is encountered, the earlier match is
  * preserved and the new match is discarded.
+ *
+ * With the `allowOverlap` option, matches of different decorators may
+ * overlap instead, and the decorations of earlier decorators wrap those of
+ * later ones. A search highlight listed after a mention decorator is then
+ * rendered inside the mention component. A decoration that crosses the
+ * boundary of an earlier one is rendered as one component for each part.
+ * The matches of a same decorator still never overlap.
+ *
+ * The matches of each strategy are cached for each block, and only searched
+ * again when the block, or one of the dependencies declared by the decorator,
+ * changes. The same List of decorations is returned for a block as long as
+ * the matches are unchanged. The cache belongs to the instance, so that a new
+ * instance searches all blocks again.
+ *
+ * The matches of asynchronous decorators are requested once for each text of
+ * a block, and listeners registered with `subscribe` are notified when they
+ * arrive, unless the text of the block changed in the meantime.
  */
 class CompositeDraftDecorator {
-  _decorators: $ReadOnlyArray<DraftDecorator>;
+  _decorators: $ReadOnlyArray<DraftDecorator | DraftAsyncDecorator>;
+  _allowOverlap: boolean;
+  _decorations: WeakMap<
+    BlockNodeRecord,
+    {
+      matches: Array<DraftDecoratorMatches>,
+      decorations: List<?string>,
+    },
+  >;
+  _matches: Array<WeakMap<BlockNodeRecord, DraftDecoratorMatches>>;
+  _asyncMatches: Array<Map<BlockNodeKey, DraftAsyncDecoratorMatches>>;
+  _asyncBlockMap: ?BlockMap;
+  _listeners: Set<(blockKeys: Array<string>) => void>;
 
-  constructor(decorators: $ReadOnlyArray<DraftDecorator>) {
+  constructor(
+    decorators: $ReadOnlyArray<DraftDecorator | DraftAsyncDecorator>,
+    options?: CompositeDraftDecoratorOptions,
+  ) {
     // Copy the decorator array, since we use this array order to determine
     // precedence of decoration matching. If the array is mutated externally,
     // we don't want to be affected here.
     this._decorators = decorators.slice();
+    this._allowOverlap = !!(options && options.allowOverlap);
+    this._decorations = new WeakMap();
+    this._matches = this._decorators.map(() => new WeakMap());
+    this._asyncMatches = this._decorators.map(() => new Map());
+    this._asyncBlockMap = null;
+    this._listeners = new Set();
   }
 
   getDecorations(
     block: BlockNodeRecord,
     contentState: ContentState,
   ): List<?string> {
-    const decorations = Array(block.getText().length).fill(null);
+    const matches = this._decorators.map(
+      (decorator, ii) =>
+        decorator.strategy
+          ? getMatches(decorator, this._matches[ii], block, contentState)
+          : this._getAsyncMatches(
+              ii,
+              decorator.asyncStrategy,
+              block,
+              contentState,
+            ),
+    );
+    const cached = this._decorations.get(block);
+    if (cached && cached.matches.every((match, ii) => match === matches[ii])) {
+      return cached.decorations;
+    }
+
+    const length = block.getText().length;
+    const decorations = Array(length).fill(null);
 
-    this._decorators.forEach((/*object*/ decorator, /*number*/ ii) => {
+    matches.forEach(({ranges}, /*number*/ ii) => {
+      // When overlapping is allowed, only the matches of this decorator
+      // collide with each other.
+      const occupied = this._allowOverlap
+        ? Array(length).fill(null)
+        : decorations;
       let counter = 0;
-      const strategy = decorator.strategy;
-      const callback = (/*number*/ start, /*number*/ end) => {
+      ranges.forEach(([start, end]) => {
         // Find out if any of our matching range is already occupied
         // by another decorator. If so, discard the match. Otherwise, store
         // the component key for rendering.
-        if (canOccupySlice(decorations, start, end)) {
-          occupySlice(decorations, start, end, ii + DELIMITER + counter);
+        if (canOccupySlice(occupied, start, end)) {
+          occupySlice(occupied, start, end, ii + DELIMITER + counter);
           counter++;
         }
-      };
-      strategy(block, callback, contentState);
+      });
+      if (occupied !== decorations) {
+        nestSlices(decorations, occupied);
+      }
     });
 
-    return List(decorations);
+    const decorationList = List(decorations);
+    this._decorations.set(block, {matches, decorations: decorationList});
+    return decorationList;
+  }
+
+  getDependencies(
+    block: BlockNodeRecord,
+    contentState: ContentState,
+  ): $ReadOnlyArray<mixed> {
+    const dependencies = [];
+    this._decorators.forEach(decorator => {
+      if (decorator.strategy && decorator.getDependencies) {
+        // Values are preceded by their count, so that they cannot shift from
+        // one decorator to the next.
+        const values = decorator.getDependencies(block, contentState);
+        dependencies.push(values.length, ...values);
+      }
+    });
+    return dependencies;
+  }
+
+  invalidate(block: BlockNodeRecord): void {
+    this._decorators.forEach((decorator, ii) => {
+      if (decorator.strategy) {
+        this._matches[ii].delete(block);
+      } else {
+        this._asyncMatches[ii].delete(block.getKey());
+      }
+    });
+    this._decorations.delete(block);
+  }
+
+  subscribe(listener: (blockKeys: Array<string>) => void): () => void {
+    this._listeners.add(listener);
+    return () => {
+      this._listeners.delete(listener);
+    };
+  }
+
+  /**
+   * Return the matches of an asynchronous decorator for the text of the
+   * block, or no matches while they are requested.
+   */
+  _getAsyncMatches(
+    index: number,
+    asyncStrategy: DraftAsyncDecoratorStrategy,
+    block: BlockNodeRecord,
+    contentState: ContentState,
+  ): DraftDecoratorMatches {
+    const key = block.getKey();
+    const text = block.getText();
+    const blockMatches = this._asyncMatches[index];
+    const cached = blockMatches.get(key);
+    if (cached && cached.text === text) {
+      return cached.matches;
+    }
+
+    this._pruneAsyncMatches(contentState.getBlockMap());
+    const request = {text, matches: NO_MATCHES};
+    blockMatches.set(key, request);
+    asyncStrategy(block, contentState).then(
+      ranges => {
+        // Discard the matches if the text changed since they were requested.
+        if (blockMatches.get(key) !== request) {
+          return;
+        }
+        request.matches = {
+          dependencies: null,
+          ranges: ranges.map(({start, end}) => [start, end]),
+        };
+        this._listeners.forEach(listener => listener([key]));
+      },
+      // A block whose request failed stays undecorated until its text changes.
+      emptyFunction,
+    );
+    return request.matches;
+  }
+
+  /**
+   * Forget the asynchronous matches of the blocks that are no longer in the
+   * content, once for each block map.
+   */
+  _pruneAsyncMatches(blockMap: BlockMap): void {
+    if (blockMap === this._asyncBlockMap) {
+      return;
+    }
+    this._asyncBlockMap = blockMap;
+    this._asyncMatches.forEach(blockMatches => {
+      Array.from(blockMatches.keys()).forEach(key => {
+        if (!blockMap.has(key)) {
+          blockMatches.delete(key);
+        }
+      });
+    });
   }
 
   getComponentForKey(key: string): Function {
@@ -83,6 +263,43 @@ class CompositeDraftDecorator {
     const componentKey = parseInt(key.split(DELIMITER)[0], 10);
     return this._decorators[componentKey].props;
   }
+
+  getNestedKeys(key: string): $ReadOnlyArray<string> {
+    return key.split(NESTED_DELIMITER);
+  }
+}
+
+/**
+ * Return the cached matches of the strategy of a decorator for the block if
+ * its dependencies are unchanged, or else run the strategy.
+ */
+function getMatches(
+  decorator: DraftDecorator,
+  blockMatches: WeakMap<BlockNodeRecord, DraftDecoratorMatches>,
+  block: BlockNodeRecord,
+  contentState: ContentState,
+): DraftDecoratorMatches {
+  const {strategy} = decorator;
+  const dependencies = decorator.getDependencies
+    ? decorator.getDependencies(block, contentState)
+    : null;
+
+  const cached = blockMatches.get(block);
+  if (cached && shallowEqual(cached.dependencies, dependencies)) {
+    return cached;
+  }
+
+  const ranges = [];
+  strategy(
+    block,
+    (/*number*/ start, /*number*/ end) => {
+      ranges.push([start, end]);
+    },
+    contentState,
+  );
+  const matches = {dependencies, ranges};
+  blockMatches.set(block, matches);
+  return matches;
 }
 
 /**
@@ -117,4 +334,23 @@ function occupySlice(
   }
 }
 
+/**
+ * Nest the decorations of a later decorator inside those already in our
+ * decoration array.
+ */
+function nestSlices(
+  targetArr: Array<?string>,
+  decorations: Array<?string>,
+): void {
+  decorations.forEach((componentKey, ii) => {
+    if (componentKey != null) {
+      const outerKey = targetArr[ii];
+      targetArr[ii] =
+        outerKey == null
+          ? componentKey
+          : outerKey + NESTED_DELIMITER + componentKey;
+    }
+  });
+}
+
 module.exports = CompositeDraftDecorator;
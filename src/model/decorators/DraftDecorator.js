@@ -24,6 +24,16 @@ export type DraftDecoratorStrategy = (
   contentState: ContentState,
 ) => void;
 
+export type DraftAsyncDecoratorStrategy = (
+  block: BlockNodeRecord,
+  contentState: ContentState,
+) => Promise<$ReadOnlyArray<{start: number, end: number}>>;
+
+export type DraftDecoratorDependencies = (
+  block: BlockNodeRecord,
+  contentState: ContentState,
+) => $ReadOnlyArray<mixed>;
+
 /**
  * A DraftDecorator is a strategy-component pair intended for use when
  * rendering content.
@@ -38,13 +48,33 @@ export type DraftDecoratorStrategy = (
  *     "decorated" section of text.
  *
  *   - "props": Props to be passed into the React component that will be used.
+ *
+ *   - "getDependencies": Optionally, a function that returns the values other
+ *     than the block that the matches of the strategy depend on, for example
+ *     the number of footnotes in the blocks before it. The matches of a
+ *     strategy are cached for each block, and only searched again when the
+ *     block or one of these values changes.
  */
 export type DraftDecorator = {
   strategy: DraftDecoratorStrategy,
   component: Function,
   props?: Object,
+  getDependencies?: DraftDecoratorDependencies,
 };
 
+/**
+ * A DraftAsyncDecorator finds its ranges asynchronously, for example in a web
+ * worker. Its "asyncStrategy" returns a promise of the ranges of the block.
+ * The block is rendered without these decorations until the promise resolves,
+ * and the ranges are discarded if the text of the block changed in the
+ * meantime.
+ */
+export type DraftAsyncDecorator = {|
+  asyncStrategy: DraftAsyncDecoratorStrategy,
+  component: Function,
+  props?: Object,
+|};
+
 /**
  * DraftDecoratorComponentProps are the core set of props that will be
  * passed to all DraftDecoratorComponents if a Custom Block Component is not used.
@@ -41,4 +41,34 @@ export type DraftDecoratorType = {
    * this decorated range.
    */
   getPropsForKey(key: string): ?Object,
+
+  /**
+   * Optionally, given a decorator key, return the keys of the decorations
+   * that overlap on this range, outermost first. Each of these keys is
+   * rendered as a component wrapping the next ones.
+   */
+  +getNestedKeys?: (key: string) => $ReadOnlyArray<string>,
+
+  /**
+   * Optionally, given a `ContentBlock`, return the values other than the
+   * block that its decorations depend on. The decorations of a block that
+   * did not change are generated again when one of these values changes.
+   */
+  +getDependencies?: (
+    block: BlockNodeRecord,
+    contentState: ContentState,
+  ) => $ReadOnlyArray<mixed>,
+
+  /**
+   * Optionally, discard any decorations cached for a `ContentBlock`. See
+   * `EditorState.invalidateDecorations`.
+   */
+  +invalidate?: (block: BlockNodeRecord) => void,
+
+  /**
+   * Optionally, register a listener to call with the keys of the blocks whose
+   * decorations changed asynchronously, and return a function that removes
+   * the listener. See `EditorState.updateDecorations`.
+   */
+  +subscribe?: (listener: (blockKeys: Array<string>) => void) => () => void,
 };
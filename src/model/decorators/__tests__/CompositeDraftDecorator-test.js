@@ -12,10 +12,16 @@ jest.disableAutomock().mock('ContentState');
 
 const CompositeDraftDecorator = require('CompositeDraftDecorator');
 const ContentState = require('ContentState');
+const Immutable = require('immutable');
 
 class ContentBlock {
-  constructor(text) {
+  constructor(text, key = 'a') {
     this._text = text;
+    this._key = key;
+  }
+
+  getKey() {
+    return this._key;
   }
 
   getText() {
@@ -44,9 +50,10 @@ const FooDecorator = {
 const assertCompositeDraftDecorator = (
   text,
   decorators = [FooDecorator, BarDecorator],
+  options,
 ) => {
   expect(
-    new CompositeDraftDecorator(decorators).getDecorations(
+    new CompositeDraftDecorator(decorators, options).getDecorations(
       new ContentBlock(text),
       ContentState.createFromText(text),
     ),
@@ -95,3 +102,201 @@ test('must throw out matches if earlier match is shorter', () => {
 test('must separate adjacent ranges that have the same decorator', () => {
   assertCompositeDraftDecorator('barbarbar', [BarDecorator]);
 });
+
+describe('overlapping decorations', () => {
+  const options = {allowOverlap: true};
+
+  test('must nest later matches inside earlier ones', () => {
+    assertCompositeDraftDecorator(
+      'bart has a bar',
+      [BartDecorator, BarDecorator],
+      options,
+    );
+  });
+
+  test('must nest matches crossing the boundary of earlier ones', () => {
+    // The "t" of "bart" is outside of the "bar" match.
+    assertCompositeDraftDecorator(
+      'bart has a bar',
+      [BarDecorator, BartDecorator],
+      options,
+    );
+  });
+
+  test('must still throw out overlaps of a same decorator', () => {
+    const OverlappingDecorator = {
+      strategy: (block, callback) => {
+        callback(0, 3);
+        callback(2, 4);
+      },
+    };
+    assertCompositeDraftDecorator('fooo', [OverlappingDecorator], options);
+  });
+
+  test('must return the nested keys, outermost first', () => {
+    const decorator = new CompositeDraftDecorator(
+      [BartDecorator, BarDecorator],
+      options,
+    );
+    const decorations = decorator.getDecorations(
+      new ContentBlock('bart'),
+      ContentState.createFromText('bart'),
+    );
+    expect(decorator.getNestedKeys(decorations.first())).toEqual([
+      '0.0',
+      '1.0',
+    ]);
+    expect(decorator.getNestedKeys(decorations.last())).toEqual(['0.0']);
+  });
+});
+
+describe('caching', () => {
+  const block = new ContentBlock('a foo bar');
+  const contentState = ContentState.createFromText('a foo bar');
+
+  const countingDecorator = (decorator, getDependencies) => {
+    const strategy = jest.fn(decorator.strategy);
+    return {...decorator, strategy, getDependencies};
+  };
+
+  test('must search again with a new instance', () => {
+    const decorator = countingDecorator(FooDecorator);
+    const composite = new CompositeDraftDecorator([decorator]);
+    const decorations = composite.getDecorations(block, contentState);
+    expect(composite.getDecorations(block, contentState)).toBe(decorations);
+    expect(decorator.strategy.mock.calls.length).toBe(1);
+
+    expect(
+      new CompositeDraftDecorator([decorator, BarDecorator]).getDecorations(
+        block,
+        contentState,
+      ),
+    ).toMatchSnapshot();
+    expect(decorator.strategy.mock.calls.length).toBe(2);
+  });
+
+  test('must search again when dependencies change', () => {
+    let footnotes = 1;
+    const decorator = countingDecorator(FooDecorator, () => [footnotes]);
+    const composite = new CompositeDraftDecorator([decorator]);
+    const decorations = composite.getDecorations(block, contentState);
+    expect(composite.getDependencies(block, contentState)).toEqual([1, 1]);
+
+    footnotes = 2;
+    expect(composite.getDecorations(block, contentState)).not.toBe(decorations);
+    expect(composite.getDependencies(block, contentState)).toEqual([1, 2]);
+    expect(decorator.strategy.mock.calls.length).toBe(2);
+  });
+
+  test('must search again once a block is invalidated', () => {
+    const decorator = countingDecorator(FooDecorator);
+    const composite = new CompositeDraftDecorator([decorator]);
+    composite.getDecorations(block, contentState);
+    composite.invalidate(block);
+    composite.getDecorations(block, contentState);
+    expect(decorator.strategy.mock.calls.length).toBe(2);
+  });
+});
+
+describe('asynchronous decorators', () => {
+  const createContentState = (...blocks) => {
+    const blockMap = Immutable.OrderedMap(
+      blocks.map(block => [block.getKey(), block]),
+    );
+    return {getBlockMap: () => blockMap};
+  };
+
+  const createAsyncDecorator = () => {
+    const requests = [];
+    const decorator = {
+      asyncStrategy: jest.fn(
+        block =>
+          new Promise(resolve => {
+            requests.push(resolve);
+          }),
+      ),
+    };
+    return {decorator, requests};
+  };
+
+  test('must decorate blocks once their ranges arrive', async () => {
+    const {decorator, requests} = createAsyncDecorator();
+    const composite = new CompositeDraftDecorator([decorator, BarDecorator]);
+    const listener = jest.fn();
+    composite.subscribe(listener);
+
+    const block = new ContentBlock('a foo bar');
+    const contentState = createContentState(block);
+    const pending = composite.getDecorations(block, contentState);
+    expect(pending.toArray()).toEqual([
+      ...Array(6).fill(null),
+      '1.0',
+      '1.0',
+      '1.0',
+    ]);
+    expect(composite.getDecorations(block, contentState)).toBe(pending);
+
+    requests[0]([{start: 2, end: 5}, {start: 6, end: 9}]);
+    await Promise.resolve();
+    expect(listener).toHaveBeenCalledWith(['a']);
+    expect(composite.getDecorations(block, contentState).toArray()).toEqual([
+      null,
+      null,
+      '0.0',
+      '0.0',
+      '0.0',
+      null,
+      '0.1',
+      '0.1',
+      '0.1',
+    ]);
+    expect(decorator.asyncStrategy.mock.calls.length).toBe(1);
+  });
+
+  test('must discard ranges once the text of the block changed', async () => {
+    const {decorator, requests} = createAsyncDecorator();
+    const composite = new CompositeDraftDecorator([decorator]);
+    const listener = jest.fn();
+    const unsubscribe = composite.subscribe(listener);
+
+    const block = new ContentBlock('a foo bar');
+    composite.getDecorations(block, createContentState(block));
+    const changed = new ContentBlock('a foo bar!');
+    const contentState = createContentState(changed);
+    composite.getDecorations(changed, contentState);
+    expect(decorator.asyncStrategy.mock.calls.length).toBe(2);
+
+    requests[0]([{start: 2, end: 5}]);
+    await Promise.resolve();
+    expect(listener).not.toHaveBeenCalled();
+    expect(composite.getDecorations(changed, contentState).toArray()).toEqual(
+      Array(10).fill(null),
+    );
+
+    unsubscribe();
+    requests[1]([{start: 2, end: 5}]);
+    await Promise.resolve();
+    expect(listener).not.toHaveBeenCalled();
+    expect(composite.getDecorations(changed, contentState).get(2)).toBe('0.0');
+  });
+
+  test('must forget the matches of removed blocks', async () => {
+    const {decorator, requests} = createAsyncDecorator();
+    const composite = new CompositeDraftDecorator([decorator]);
+    const listener = jest.fn();
+    composite.subscribe(listener);
+
+    const removed = new ContentBlock('a foo bar', 'a');
+    composite.getDecorations(removed, createContentState(removed));
+    const added = new ContentBlock('a foo bar', 'b');
+    composite.getDecorations(added, createContentState(added));
+    expect(decorator.asyncStrategy.mock.calls.length).toBe(2);
+
+    requests[0]([{start: 2, end: 5}]);
+    await Promise.resolve();
+    expect(listener).not.toHaveBeenCalled();
+
+    composite.getDecorations(removed, createContentState(added, removed));
+    expect(decorator.asyncStrategy.mock.calls.length).toBe(3);
+  });
+});
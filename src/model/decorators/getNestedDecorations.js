@@ -0,0 +1,83 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @format
+ * @flow
+ * @emails oncall+draft_js
+ */
+
+'use strict';
+
+import type {DraftDecoratorType} from 'DraftDecoratorType';
+import type {List} from 'immutable';
+
+/**
+ * A decorated range of a block tree, made of consecutive leaf sets, and the
+ * ranges nested in it. A leaf set without decoration at this depth has no
+ * decorator key.
+ */
+export type DraftNestedDecoration = {
+  decoratorKey: ?string,
+  // Indices of the first and last leaf sets of the range in the tree.
+  first: number,
+  last: number,
+  children: Array<DraftNestedDecoration>,
+};
+
+const group = (
+  keys: Array<$ReadOnlyArray<string>>,
+  from: number,
+  to: number,
+  depth: number,
+): Array<DraftNestedDecoration> => {
+  const decorations = [];
+  let ii = from;
+  while (ii < to) {
+    const decoratorKey = keys[ii][depth];
+    if (decoratorKey == null) {
+      decorations.push({decoratorKey: null, first: ii, last: ii, children: []});
+      ii++;
+      continue;
+    }
+    let jj = ii + 1;
+    while (jj < to && keys[jj][depth] === decoratorKey) {
+      jj++;
+    }
+    decorations.push({
+      decoratorKey,
+      first: ii,
+      last: jj - 1,
+      children: group(keys, ii, jj, depth + 1),
+    });
+    ii = jj;
+  }
+  return decorations;
+};
+
+/**
+ * Group the leaf sets of a block tree by the decorations they belong to,
+ * outermost first. A decorator that does not implement `getNestedKeys` only
+ * produces one level of decorations.
+ */
+function getNestedDecorations(
+  tree: List<any>,
+  decorator: ?DraftDecoratorType,
+): Array<DraftNestedDecoration> {
+  const keys = tree
+    .map(leafSet => {
+      const decoratorKey = leafSet.get('decoratorKey');
+      if (decoratorKey == null || !decorator) {
+        return [];
+      }
+      return decorator.getNestedKeys
+        ? decorator.getNestedKeys(decoratorKey)
+        : [decoratorKey];
+    })
+    .toArray();
+  return group(keys, 0, keys.length, 0);
+}
+
+module.exports = getNestedDecorations;
@@ -0,0 +1,332 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @format
+ * @flow
+ * @emails oncall+draft_js
+ */
+
+'use strict';
+
+import type {BlockNodeRecord} from 'BlockNodeRecord';
+import type ContentState from 'ContentState';
+import type {DraftBlockType} from 'DraftBlockType';
+
+const BlockMapBuilder = require('BlockMapBuilder');
+const ContentBlock = require('ContentBlock');
+const ContentBlockNode = require('ContentBlockNode');
+const DraftTreeInvariants = require('DraftTreeInvariants');
+const Immutable = require('immutable');
+const SelectionState = require('SelectionState');
+
+const generateRandomKey = require('generateRandomKey');
+const warning = require('warning');
+
+const {List, Map} = Immutable;
+
+export type DraftNestedContentConversionOptions = {
+  // Block types nested by their depth, as list items are: the items at depth
+  // `n + 1` following an item at depth `n` are the children of an empty item
+  // of their type following it. Defaults to the list item types.
+  depthTypes?: Array<DraftBlockType>,
+  // Block types wrapping their blocks, as blockquotes are: consecutive blocks
+  // of such a type at depth `n` are the unstyled children of `n + 1` nested
+  // blocks of the type. Defaults to blockquotes.
+  wrapperTypes?: Array<DraftBlockType>,
+};
+
+type NestedBlockConfig = {
+  key: string,
+  type: DraftBlockType,
+  text: string,
+  characterList: List<*>,
+  depth: number,
+  data: Map<*, *>,
+  parent: ?string,
+  children: Array<NestedBlockConfig>,
+};
+
+const DEFAULT_DEPTH_TYPES = [
+  'unordered-list-item',
+  'ordered-list-item',
+  'checkable-list-item',
+];
+
+const DEFAULT_WRAPPER_TYPES = ['blockquote'];
+
+const getDepthTypes = (options: DraftNestedContentConversionOptions) =>
+  options.depthTypes || DEFAULT_DEPTH_TYPES;
+
+const getWrapperTypes = (options: DraftNestedContentConversionOptions) =>
+  options.wrapperTypes || DEFAULT_WRAPPER_TYPES;
+
+const createNestedBlocks = (
+  configs: Array<NestedBlockConfig>,
+): Array<ContentBlockNode> => {
+  const blocks = [];
+  const addBlocks = (siblings: Array<NestedBlockConfig>) =>
+    siblings.forEach((config, index) => {
+      blocks.push(
+        new ContentBlockNode({
+          ...config,
+          children: List(config.children.map(child => child.key)),
+          prevSibling: index > 0 ? siblings[index - 1].key : null,
+          nextSibling:
+            index < siblings.length - 1 ? siblings[index + 1].key : null,
+        }),
+      );
+      addBlocks(config.children);
+    });
+  addBlocks(configs);
+  return blocks;
+};
+
+const keepSelection = (
+  contentState: ContentState,
+  selection: SelectionState,
+): SelectionState =>
+  contentState.getBlockForKey(selection.getAnchorKey()) &&
+  contentState.getBlockForKey(selection.getFocusKey())
+    ? selection
+    : SelectionState.createEmpty(contentState.getFirstBlock().getKey());
+
+const isSameBlock = (
+  block: BlockNodeRecord,
+  otherBlock: BlockNodeRecord,
+): boolean =>
+  block.getKey() === otherBlock.getKey() &&
+  block.getType() === otherBlock.getType() &&
+  block.getText() === otherBlock.getText() &&
+  block.getDepth() === otherBlock.getDepth() &&
+  Immutable.is(block.getCharacterList(), otherBlock.getCharacterList()) &&
+  Immutable.is(block.getData(), otherBlock.getData());
+
+/**
+ * Conversion of flat content, whose lists are nested by the depth of their
+ * items, to nested content, whose blocks hold their children, and back.
+ * Blocks keep their keys, text, inline styles, entities and data, and the
+ * content keeps its entity map, so that stored flat content can be migrated
+ * to nested content.
+ */
+const DraftNestedContentConversion = {
+  /**
+   * Convert flat content to nested content. The items of depth types, such as
+   * list items, are nested by their depth, and consecutive blocks of wrapper
+   * types, such as blockquotes, become the unstyled children of a block of
+   * their type. The blocks nesting others are empty blocks with new keys.
+   * Other blocks are kept at the root of the content.
+   */
+  toNested: function(
+    contentState: ContentState,
+    options?: DraftNestedContentConversionOptions = {},
+  ): ContentState {
+    if (contentState.isNested() || contentState.getBlockMap().isEmpty()) {
+      return contentState;
+    }
+    const depthTypes = getDepthTypes(options);
+    const wrapperTypes = getWrapperTypes(options);
+    const roots = [];
+    // The blocks nesting the last block, from the root of the content.
+    let parents = [];
+
+    const addBlock = (config: NestedBlockConfig) => {
+      const parent = parents[parents.length - 1];
+      if (parent) {
+        config.parent = parent.key;
+        parent.children.push(config);
+      } else {
+        roots.push(config);
+      }
+    };
+
+    contentState.getBlockMap().forEach(block => {
+      const type = block.getType();
+      const depth = block.getDepth();
+      const isWrapped = wrapperTypes.includes(type);
+      let level = 0;
+      if (isWrapped) {
+        level = depth + 1;
+      } else if (depthTypes.includes(type)) {
+        level = depth;
+      }
+
+      // Keep nesting in the last parents of the same type, and add the
+      // missing ones.
+      let keptCount = 0;
+      while (
+        keptCount < Math.min(level, parents.length) &&
+        parents[keptCount].type === type
+      ) {
+        keptCount++;
+      }
+      parents = parents.slice(0, keptCount);
+      while (parents.length < level) {
+        const parent = {
+          key: generateRandomKey(),
+          type,
+          text: '',
+          characterList: List(),
+          depth: parents.length,
+          data: Map(),
+          parent: null,
+          children: [],
+        };
+        addBlock(parent);
+        parents.push(parent);
+      }
+
+      addBlock({
+        key: block.getKey(),
+        type: isWrapped ? 'unstyled' : type,
+        text: block.getText(),
+        characterList: block.getCharacterList(),
+        depth,
+        data: block.getData(),
+        parent: null,
+        children: [],
+      });
+    });
+
+    return contentState.merge({
+      blockMap: BlockMapBuilder.createFromArray(createNestedBlocks(roots)),
+    });
+  },
+
+  /**
+   * Convert nested content to flat content. The children of blocks of depth
+   * types are given the depth of their nesting, and the unstyled children of
+   * blocks of depth or wrapper types are given the type of their parent. The
+   * blocks nesting others are removed, so that the blocks of other nested
+   * blocks, such as tables, are kept at the root of the content.
+   */
+  toFlat: function(
+    contentState: ContentState,
+    options?: DraftNestedContentConversionOptions = {},
+  ): ContentState {
+    if (!contentState.isNested()) {
+      return contentState;
+    }
+    const depthTypes = getDepthTypes(options);
+    const wrapperTypes = getWrapperTypes(options);
+    const blockMap = contentState.getBlockMap();
+    const blocks = [];
+
+    // The number of consecutive ancestors of the block of its own type.
+    const getLevel = (block: BlockNodeRecord): number => {
+      let level = 0;
+      let parentKey = block.getParentKey();
+      while (parentKey != null) {
+        const parent = blockMap.get(parentKey);
+        if (parent.getType() !== block.getType()) {
+          break;
+        }
+        level++;
+        parentKey = parent.getParentKey();
+      }
+      return level;
+    };
+
+    const addBlocks = (key: ?string) => {
+      while (key != null) {
+        const block = blockMap.get(key);
+        const childKeys = block.getChildKeys();
+        if (childKeys.size > 0) {
+          addBlocks(childKeys.first());
+        } else {
+          const parentKey = block.getParentKey();
+          const parent = parentKey != null ? blockMap.get(parentKey) : null;
+          let type = block.getType();
+          let depth = block.getDepth();
+          if (
+            parent &&
+            type === 'unstyled' &&
+            (wrapperTypes.includes(parent.getType()) ||
+              depthTypes.includes(parent.getType()))
+          ) {
+            type = parent.getType();
+            depth = getLevel(parent);
+          } else if (depthTypes.includes(type)) {
+            depth = getLevel(block);
+          }
+          blocks.push(
+            new ContentBlock({
+              key: block.getKey(),
+              type,
+              text: block.getText(),
+              characterList: block.getCharacterList(),
+              depth,
+              data: block.getData(),
+            }),
+          );
+        }
+        key = block.getNextSiblingKey();
+      }
+    };
+    addBlocks(
+      blockMap
+        .find(
+          block =>
+            block.getParentKey() == null && block.getPrevSiblingKey() == null,
+        )
+        .getKey(),
+    );
+
+    const flatContent = contentState.merge({
+      blockMap: BlockMapBuilder.createFromArray(blocks),
+    });
+    return flatContent.merge({
+      selectionBefore: keepSelection(
+        flatContent,
+        contentState.getSelectionBefore(),
+      ),
+      selectionAfter: keepSelection(
+        flatContent,
+        contentState.getSelectionAfter(),
+      ),
+    });
+  },
+
+  /**
+   * Verify that nested content converted from flat content is a valid tree,
+   * and converts back to the same flat content, block by block. Converted
+   * documents should be verified before being stored in place of the
+   * original ones.
+   */
+  verify: function(
+    flatContent: ContentState,
+    nestedContent: ContentState,
+    options?: DraftNestedContentConversionOptions = {},
+  ): boolean {
+    if (!nestedContent.isNested()) {
+      warning(flatContent.getBlockMap().isEmpty(), 'Content is not nested');
+      return flatContent.getBlockMap().isEmpty();
+    }
+    if (!DraftTreeInvariants.isValidTree(nestedContent.getBlockMap())) {
+      return false;
+    }
+    const blocks = flatContent.getBlocksAsArray();
+    const convertedBlocks = DraftNestedContentConversion.toFlat(
+      nestedContent,
+      options,
+    ).getBlocksAsArray();
+    if (blocks.length !== convertedBlocks.length) {
+      warning(
+        false,
+        'Content converts back to %s blocks instead of %s',
+        convertedBlocks.length,
+        blocks.length,
+      );
+      return false;
+    }
+    return blocks.every((block, index) => {
+      const isSame = isSameBlock(block, convertedBlocks[index]);
+      warning(isSame, 'Block %s does not convert back', block.getKey());
+      return isSame;
+    });
+  },
+};
+
+module.exports = DraftNestedContentConversion;
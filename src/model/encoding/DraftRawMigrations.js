@@ -0,0 +1,259 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @format
+ * @flow
+ * @emails oncall+draft_js
+ */
+
+'use strict';
+
+import type DraftEntityInstance from 'DraftEntityInstance';
+import type {EntityRange} from 'EntityRange';
+import type {RawDraftContentBlock} from 'RawDraftContentBlock';
+import type {RawDraftContentState} from 'RawDraftContentState';
+import type {RawDraftEntity} from 'RawDraftEntity';
+
+const DraftEntity = require('DraftEntity');
+
+const invariant = require('invariant');
+
+/**
+ * An app-defined upgrade of block and entity data. It is applied to raw
+ * content whose `dataVersion` is lower than its own.
+ */
+export type RawDraftDataMigration = {
+  dataVersion: number,
+  migrateBlock?: (block: RawDraftContentBlock) => RawDraftContentBlock,
+  migrateEntity?: (entity: RawDraftEntity) => RawDraftEntity,
+};
+
+type RawDraftFormatMigration = {
+  // Version of the raw content produced by this step.
+  version: number,
+  migrate: (rawState: RawDraftContentState) => RawDraftContentState,
+};
+
+/**
+ * Versions of the raw format:
+ *
+ * 1. Draft 0.9: blocks have no data, and entity ranges may refer to entities
+ *    of the global `DraftEntity` map instead of the raw entity map.
+ * 2. Draft 0.10: flat blocks with data, and a self-contained entity map.
+ * 3. Blocks may be nested through `children`, and the version is recorded.
+ */
+const RAW_FORMAT_VERSION = 3;
+
+let dataMigrations: Array<RawDraftDataMigration> = [];
+
+const getGlobalEntity = (key: string): ?DraftEntityInstance => {
+  try {
+    return DraftEntity.__get(key);
+  } catch (error) {
+    return null;
+  }
+};
+
+const getUnusedEntityKey = (entityMap: {[key: string]: RawDraftEntity}) => {
+  let key = Object.keys(entityMap).length;
+  while (entityMap.hasOwnProperty(String(key))) {
+    key++;
+  }
+  return key;
+};
+
+/**
+ * Copy the global entities referenced by entity ranges into the raw entity
+ * map. Ranges referring to entities that no longer exist are dropped.
+ */
+const migrateGlobalEntities = (
+  rawState: RawDraftContentState,
+): RawDraftContentState => {
+  const entityMap = {...rawState.entityMap};
+  const migratedKeys = {};
+
+  const migrateRange = (range: EntityRange): ?EntityRange => {
+    if (entityMap.hasOwnProperty(String(range.key))) {
+      return range;
+    }
+    const globalKey = String(range.key);
+    if (!migratedKeys.hasOwnProperty(globalKey)) {
+      const entity = getGlobalEntity(globalKey);
+      if (!entity) {
+        return null;
+      }
+      migratedKeys[globalKey] = getUnusedEntityKey(entityMap);
+      entityMap[String(migratedKeys[globalKey])] = {
+        type: entity.getType(),
+        mutability: entity.getMutability(),
+        data: entity.getData(),
+      };
+    }
+    return {...range, key: migratedKeys[globalKey]};
+  };
+
+  const blocks = rawState.blocks.map(block => {
+    const entityRanges = [];
+    (block.entityRanges || []).forEach(range => {
+      const migratedRange = migrateRange(range);
+      if (migratedRange) {
+        entityRanges.push(migratedRange);
+      }
+    });
+    return {...block, data: block.data || {}, entityRanges};
+  });
+
+  return {...rawState, blocks, entityMap};
+};
+
+const formatMigrations: Array<RawDraftFormatMigration> = [
+  {version: 2, migrate: migrateGlobalEntities},
+  // Version 3 only allows what version 2 could not express.
+  {version: 3, migrate: rawState => rawState},
+];
+
+/**
+ * Guess the version of raw content written before versions were recorded,
+ * from the fields introduced by each version: block `data` in version 2 and
+ * `children` in version 3. Entity ranges referring to missing entities are
+ * malformed content rather than a sign of version 1, see `validateRawContent`.
+ */
+const detectVersion = (rawState: RawDraftContentState): number => {
+  const {blocks} = rawState;
+  if (
+    blocks.some(
+      block => Array.isArray(block.children) && block.children.length > 0,
+    )
+  ) {
+    return 3;
+  }
+  return blocks.some(block => block.data === undefined) ? 1 : 2;
+};
+
+const migrateBlockTree = (
+  block: RawDraftContentBlock,
+  migrateBlock: (block: RawDraftContentBlock) => RawDraftContentBlock,
+): RawDraftContentBlock => {
+  const migratedBlock = migrateBlock(block);
+  const {children} = migratedBlock;
+  return Array.isArray(children)
+    ? {
+        ...migratedBlock,
+        children: children.map(child => migrateBlockTree(child, migrateBlock)),
+      }
+    : migratedBlock;
+};
+
+const applyDataMigration = (
+  rawState: RawDraftContentState,
+  migration: RawDraftDataMigration,
+): RawDraftContentState => {
+  const {migrateBlock, migrateEntity} = migration;
+  const rawEntityMap = rawState.entityMap || {};
+  const entityMap = {};
+  Object.keys(rawEntityMap).forEach(key => {
+    entityMap[key] = migrateEntity
+      ? migrateEntity(rawEntityMap[key])
+      : rawEntityMap[key];
+  });
+  return {
+    ...rawState,
+    blocks: migrateBlock
+      ? rawState.blocks.map(block => migrateBlockTree(block, migrateBlock))
+      : rawState.blocks,
+    entityMap,
+    dataVersion: migration.dataVersion,
+  };
+};
+
+const DraftRawMigrations = {
+  RAW_FORMAT_VERSION,
+
+  /**
+   * Register an upgrade of app-defined block or entity data. Raw content
+   * written by `convertToRaw` records the highest registered `dataVersion`,
+   * so that each migration only runs once on a given document. Returns a
+   * function unregistering the migration.
+   */
+  registerDataMigration: function(
+    migration: RawDraftDataMigration,
+  ): () => void {
+    invariant(
+      migration.dataVersion > 0,
+      'Data migration versions must be positive integers',
+    );
+    invariant(
+      !dataMigrations.some(
+        registered => registered.dataVersion === migration.dataVersion,
+      ),
+      'A data migration is already registered for version %s',
+      migration.dataVersion,
+    );
+    dataMigrations = dataMigrations
+      .concat(migration)
+      .sort((a, b) => a.dataVersion - b.dataVersion);
+    return () => {
+      dataMigrations = dataMigrations.filter(
+        registered => registered !== migration,
+      );
+    };
+  },
+
+  /**
+   * The app data version of newly written raw content, 0 when no data
+   * migration was registered.
+   */
+  getDataVersion: function(): number {
+    return dataMigrations.length
+      ? dataMigrations[dataMigrations.length - 1].dataVersion
+      : 0;
+  },
+
+  /**
+   * The raw format version of the given raw content, guessed from its shape
+   * when it was written before versions were recorded.
+   */
+  getVersion: function(rawState: RawDraftContentState): number {
+    return typeof rawState.version === 'number'
+      ? rawState.version
+      : detectVersion(rawState);
+  },
+
+  /**
+   * Upgrade raw content to the current raw format, then apply the data
+   * migrations it has not gone through yet.
+   */
+  migrate: function(rawState: RawDraftContentState): RawDraftContentState {
+    const version = DraftRawMigrations.getVersion(rawState);
+    invariant(
+      version <= RAW_FORMAT_VERSION,
+      'Raw content version %s is newer than supported version %s',
+      version,
+      RAW_FORMAT_VERSION,
+    );
+
+    let migratedState = rawState;
+    formatMigrations
+      .filter(migration => migration.version > version)
+      .forEach(migration => {
+        migratedState = {
+          ...migration.migrate(migratedState),
+          version: migration.version,
+        };
+      });
+
+    const dataVersion = migratedState.dataVersion || 0;
+    dataMigrations
+      .filter(migration => migration.dataVersion > dataVersion)
+      .forEach(migration => {
+        migratedState = applyDataMigration(migratedState, migration);
+      });
+
+    return migratedState;
+  },
+};
+
+module.exports = DraftRawMigrations;
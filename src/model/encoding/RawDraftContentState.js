@@ -26,4 +26,8 @@ import type {RawDraftEntity} from 'RawDraftEntity';
 export type RawDraftContentState = {
   blocks: Array<RawDraftContentBlock>,
   entityMap: {[key: string]: RawDraftEntity},
+  // Version of the raw format, see `DraftRawMigrations`.
+  version?: number,
+  // Version of app-defined block and entity data.
+  dataVersion?: number,
 };
@@ -0,0 +1,67 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @format
+ * @flow
+ * @emails oncall+draft_js
+ */
+
+'use strict';
+
+import type {RawDraftContentBlock} from 'RawDraftContentBlock';
+import type {RawDraftEntity} from 'RawDraftEntity';
+
+export type RawDraftSelection = {
+  anchorKey: string,
+  anchorOffset: number,
+  focusKey: string,
+  focusOffset: number,
+  isBackward: boolean,
+};
+
+/**
+ * A block of a history entry. Blocks of nested content also record the keys
+ * of the blocks they are linked to.
+ */
+export type RawDraftHistoryBlock = RawDraftContentBlock & {
+  parentKey?: ?string,
+  childKeys?: Array<string>,
+  prevSiblingKey?: ?string,
+  nextSiblingKey?: ?string,
+};
+
+/**
+ * The content of an undo or redo step, as the difference with the content of
+ * the step before it in its stack, or with the current content for the top of
+ * the stack.
+ */
+export type RawDraftHistoryEntry = {
+  // Keys of all the blocks of the content, in order.
+  blockKeys: Array<string>,
+  // Blocks that are missing from, or differ from, the compared content.
+  blocks: Array<RawDraftHistoryBlock>,
+  selectionBefore: RawDraftSelection,
+  selectionAfter: RawDraftSelection,
+};
+
+/**
+ * A plain object representation of the undo and redo stacks of an
+ * EditorState, to be stored together with the raw current content. The
+ * entities referenced by the blocks of all entries share the same map.
+ */
+export type RawDraftHistory = {
+  // Top of the stack first.
+  undoStack: Array<RawDraftHistoryEntry>,
+  redoStack: Array<RawDraftHistoryEntry>,
+  // Selections recorded with the current content.
+  selectionBefore: RawDraftSelection,
+  selectionAfter: RawDraftSelection,
+  entityMap: {[key: string]: RawDraftEntity},
+  // Version of the raw format, see `DraftRawMigrations`.
+  version?: number,
+  // Version of app-defined block and entity data.
+  dataVersion?: number,
+};
@@ -0,0 +1,180 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @emails oncall+draft_js
+ * @format
+ */
+
+'use strict';
+
+jest.disableAutomock();
+
+jest.mock('generateRandomKey');
+
+const CharacterMetadata = require('CharacterMetadata');
+const ContentBlock = require('ContentBlock');
+const ContentBlockNode = require('ContentBlockNode');
+const ContentState = require('ContentState');
+const DraftNestedContentConversion = require('DraftNestedContentConversion');
+const Immutable = require('immutable');
+const TestHelper = require('_DraftTestHelper');
+
+const {List, Map, OrderedSet, Repeat} = Immutable;
+
+const {toFlat, toNested, verify} = DraftNestedContentConversion;
+
+const createBlock = (key, type, depth, text = key) =>
+  new ContentBlock({
+    key,
+    type,
+    depth,
+    text,
+    characterList: List(Repeat(CharacterMetadata.EMPTY, text.length)),
+  });
+
+const createFlatContent = () => {
+  const content = ContentState.createFromText('').createEntity(
+    'LINK',
+    'MUTABLE',
+    {url: 'http://draftjs.org'},
+  );
+  const entityKey = content.getLastCreatedEntityKey();
+  const linked = CharacterMetadata.create({
+    style: OrderedSet(['BOLD']),
+    entity: entityKey,
+  });
+  return ContentState.createFromBlockArray(
+    [
+      createBlock('A', 'header-one', 0, 'Title'),
+      createBlock('B', 'unordered-list-item', 0).set(
+        'characterList',
+        List([linked]),
+      ),
+      createBlock('C', 'unordered-list-item', 1),
+      createBlock('D', 'unordered-list-item', 2),
+      createBlock('E', 'unordered-list-item', 1),
+      createBlock('F', 'ordered-list-item', 0),
+      createBlock('G', 'blockquote', 0).set('data', Map({cite: 'Draft'})),
+      createBlock('H', 'blockquote', 0),
+      createBlock('I', 'blockquote', 1),
+      createBlock('J', 'unstyled', 0),
+    ],
+    content.getEntityMap(),
+  );
+};
+
+// The keys of the blocks of the nested content, in the types of the blocks
+// nesting them, whose keys are generated.
+const getTree = content =>
+  TestHelper.getTree(
+    content,
+    block => (block.getChildKeys().size ? block.getType() : block.getKey()),
+  );
+
+test('must nest list items by depth and wrap consecutive blockquotes', () => {
+  const nested = toNested(createFlatContent());
+  expect(nested.isNested()).toBe(true);
+  expect(getTree(nested)).toEqual([
+    'A',
+    'B',
+    {'unordered-list-item': ['C', {'unordered-list-item': ['D']}, 'E']},
+    'F',
+    {blockquote: ['G', 'H', {blockquote: ['I']}]},
+    'J',
+  ]);
+  expect(nested.getBlockForKey('G').getType()).toBe('unstyled');
+  expect(
+    nested
+      .getBlockForKey('G')
+      .getData()
+      .get('cite'),
+  ).toBe('Draft');
+});
+
+test('must keep the styles and entities of blocks', () => {
+  const flat = createFlatContent();
+  const nested = toNested(flat);
+  const metadata = nested
+    .getBlockForKey('B')
+    .getCharacterList()
+    .first();
+  expect(metadata.getStyle().toArray()).toEqual(['BOLD']);
+  expect(nested.getEntity(metadata.getEntity()).getType()).toBe('LINK');
+  expect(nested.getEntityMap()).toBe(flat.getEntityMap());
+});
+
+test('must convert back to the same flat content', () => {
+  const flat = createFlatContent();
+  const nested = toNested(flat);
+  expect(verify(flat, nested)).toBe(true);
+  expect(
+    toFlat(nested)
+      .getBlockMap()
+      .toJS(),
+  ).toEqual(flat.getBlockMap().toJS());
+});
+
+test('must nest custom wrapper and depth types', () => {
+  const flat = ContentState.createFromBlockArray([
+    createBlock('A', 'callout', 0),
+    createBlock('B', 'callout', 0),
+    createBlock('C', 'step', 0),
+    createBlock('D', 'step', 1),
+  ]);
+  const options = {depthTypes: ['step'], wrapperTypes: ['callout']};
+  const nested = toNested(flat, options);
+  expect(getTree(nested)).toEqual([{callout: ['A', 'B']}, 'C', {step: ['D']}]);
+  expect(verify(flat, nested, options)).toBe(true);
+  // Without the options, these types are kept at the root of the content.
+  expect(getTree(toNested(flat))).toEqual(['A', 'B', 'C', 'D']);
+});
+
+test('must flatten the paragraphs of nested list items', () => {
+  const nested = ContentState.createFromBlockArray([
+    new ContentBlockNode({
+      key: 'A',
+      type: 'ordered-list-item',
+      children: List(['B', 'C']),
+    }),
+    new ContentBlockNode({key: 'B', parent: 'A', nextSibling: 'C', text: 'b'}),
+    new ContentBlockNode({
+      key: 'C',
+      parent: 'A',
+      prevSibling: 'B',
+      type: 'ordered-list-item',
+      text: 'c',
+    }),
+  ]);
+  const blocks = toFlat(nested).getBlocksAsArray();
+  expect(blocks.map(block => [block.getKey(), block.getType()])).toEqual([
+    ['B', 'ordered-list-item'],
+    ['C', 'ordered-list-item'],
+  ]);
+  expect(blocks.map(block => block.getDepth())).toEqual([0, 1]);
+  expect(blocks[0] instanceof ContentBlockNode).toBe(false);
+});
+
+test('must not verify a conversion losing blocks', () => {
+  const flat = createFlatContent();
+  const nested = toNested(flat);
+  const changed = nested.setIn(
+    ['blockMap', 'E'],
+    nested.getBlockForKey('E').set('text', 'Changed'),
+  );
+  const consoleError = jest
+    .spyOn(console, 'error')
+    .mockImplementation(() => {});
+  try {
+    expect(verify(flat, changed)).toBe(false);
+    expect(verify(flat, flat)).toBe(false);
+    expect(consoleError.mock.calls).toEqual([
+      ['Warning: Block E does not convert back'],
+      ['Warning: Content is not nested'],
+    ]);
+  } finally {
+    consoleError.mockRestore();
+  }
+});
@@ -0,0 +1,209 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @emails oncall+draft_js
+ * @format
+ */
+
+'use strict';
+
+jest.disableAutomock();
+
+let DraftEntity;
+let DraftRawMigrations;
+let convertFromDraftStateToRaw;
+let convertFromRawToDraftState;
+
+const block = (text, extra) => ({
+  key: text,
+  text,
+  type: 'unstyled',
+  depth: 0,
+  inlineStyleRanges: [],
+  entityRanges: [],
+  data: {},
+  ...extra,
+});
+
+beforeEach(() => {
+  jest.resetModules();
+  DraftEntity = require('DraftEntity');
+  DraftRawMigrations = require('DraftRawMigrations');
+  convertFromDraftStateToRaw = require('convertFromDraftStateToRaw');
+  convertFromRawToDraftState = require('convertFromRawToDraftState');
+});
+
+test('must detect the version of unversioned raw content', () => {
+  const {getVersion} = DraftRawMigrations;
+  expect(getVersion({blocks: [block('a')], entityMap: {}})).toBe(2);
+  expect(
+    getVersion({
+      blocks: [block('a', {data: undefined})],
+      entityMap: {},
+    }),
+  ).toBe(1);
+  // A missing entity does not make the content older.
+  expect(
+    getVersion({
+      blocks: [block('a', {entityRanges: [{key: 4, offset: 0, length: 1}]})],
+      entityMap: {},
+    }),
+  ).toBe(2);
+  expect(
+    getVersion({
+      blocks: [block('a', {children: [block('b')]})],
+      entityMap: {},
+    }),
+  ).toBe(3);
+  expect(getVersion({blocks: [], entityMap: {}, version: 2})).toBe(2);
+});
+
+test('must write the current version', () => {
+  const raw = convertFromDraftStateToRaw(
+    convertFromRawToDraftState({blocks: [block('a')], entityMap: {}}),
+  );
+  expect(raw.version).toBe(DraftRawMigrations.RAW_FORMAT_VERSION);
+  expect(raw.dataVersion).toBeUndefined();
+});
+
+test('must copy global entities into the entity map', () => {
+  const globalKey = DraftEntity.__create('LINK', 'MUTABLE', {url: 'a.com'});
+  const migrated = DraftRawMigrations.migrate({
+    blocks: [
+      {
+        // Without block data, as written by Draft 0.9.
+        key: 'a',
+        text: 'link here',
+        type: 'unstyled',
+        depth: 0,
+        inlineStyleRanges: [],
+        entityRanges: [
+          {key: 0, offset: 5, length: 4},
+          {key: Number(globalKey), offset: 0, length: 4},
+          {key: 999, offset: 4, length: 1},
+        ],
+      },
+    ],
+    entityMap: {
+      0: {type: 'TOKEN', mutability: 'IMMUTABLE', data: {}},
+    },
+  });
+
+  expect(migrated).toEqual({
+    version: 3,
+    blocks: [
+      block('a', {
+        text: 'link here',
+        entityRanges: [
+          {key: 0, offset: 5, length: 4},
+          {key: 1, offset: 0, length: 4},
+        ],
+      }),
+    ],
+    entityMap: {
+      0: {type: 'TOKEN', mutability: 'IMMUTABLE', data: {}},
+      1: {type: 'LINK', mutability: 'MUTABLE', data: {url: 'a.com'}},
+    },
+  });
+
+  const contentState = convertFromRawToDraftState(migrated);
+  const entityKey = contentState.getFirstBlock().getEntityAt(0);
+  expect(contentState.getEntity(entityKey).getData()).toEqual({url: 'a.com'});
+});
+
+test('must apply data migrations not yet applied, including to nested blocks', () => {
+  DraftRawMigrations.registerDataMigration({
+    dataVersion: 2,
+    migrateEntity: entity => ({
+      ...entity,
+      data: {url: entity.data.href},
+    }),
+  });
+  DraftRawMigrations.registerDataMigration({
+    dataVersion: 1,
+    migrateBlock: rawBlock => ({
+      ...rawBlock,
+      data: {align: rawBlock.data.alignment},
+    }),
+  });
+  expect(DraftRawMigrations.getDataVersion()).toBe(2);
+
+  const entityMap = {
+    0: {type: 'LINK', mutability: 'MUTABLE', data: {href: 'a.com'}},
+  };
+  const tree = block('a', {
+    data: {alignment: 'left'},
+    children: [block('b', {data: {alignment: 'right'}, children: []})],
+  });
+
+  expect(
+    DraftRawMigrations.migrate({blocks: [tree], entityMap, version: 3}),
+  ).toEqual({
+    blocks: [
+      block('a', {
+        data: {align: 'left'},
+        children: [block('b', {data: {align: 'right'}, children: []})],
+      }),
+    ],
+    entityMap: {
+      0: {type: 'LINK', mutability: 'MUTABLE', data: {url: 'a.com'}},
+    },
+    version: 3,
+    dataVersion: 2,
+  });
+
+  // Only the entity migration is pending at data version 1.
+  expect(
+    DraftRawMigrations.migrate({
+      blocks: [tree],
+      entityMap,
+      version: 3,
+      dataVersion: 1,
+    }).blocks[0].data,
+  ).toEqual({alignment: 'left'});
+
+  const raw = convertFromDraftStateToRaw(
+    convertFromRawToDraftState({blocks: [block('c')], entityMap: {}}),
+  );
+  expect(raw.dataVersion).toBe(2);
+});
+
+test('must unregister data migrations', () => {
+  const unregister = DraftRawMigrations.registerDataMigration({
+    dataVersion: 1,
+    migrateBlock: rawBlock => ({...rawBlock, data: {migrated: true}}),
+  });
+  const rawState = {blocks: [block('a')], version: 3};
+  expect(DraftRawMigrations.migrate(rawState)).toEqual({
+    blocks: [block('a', {data: {migrated: true}})],
+    entityMap: {},
+    version: 3,
+    dataVersion: 1,
+  });
+
+  unregister();
+  expect(DraftRawMigrations.getDataVersion()).toBe(0);
+  expect(DraftRawMigrations.migrate(rawState)).toBe(rawState);
+  expect(() =>
+    DraftRawMigrations.registerDataMigration({dataVersion: 1}),
+  ).not.toThrow();
+});
+
+test('must reject invalid data migrations', () => {
+  DraftRawMigrations.registerDataMigration({dataVersion: 1});
+  expect(() =>
+    DraftRawMigrations.registerDataMigration({dataVersion: 1}),
+  ).toThrow();
+  expect(() =>
+    DraftRawMigrations.registerDataMigration({dataVersion: 0}),
+  ).toThrow();
+});
+
+test('must reject content written by a newer version', () => {
+  expect(() =>
+    convertFromRawToDraftState({blocks: [], entityMap: {}, version: 99}),
+  ).toThrow();
+});
@@ -0,0 +1,356 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @emails oncall+draft_js
+ * @format
+ */
+
+'use strict';
+
+jest.disableAutomock();
+
+const ContentState = require('ContentState');
+const DefaultDraftBlockRenderMap = require('DefaultDraftBlockRenderMap');
+
+const convertFromDraftStateToHTML = require('convertFromDraftStateToHTML');
+const convertFromHTMLToContentBlocks = require('convertFromHTMLToContentBlocks');
+const convertFromHTMLToContentBlocks2 = require('convertFromHTMLToContentBlocks2');
+const convertFromRawToDraftState = require('convertFromRawToDraftState');
+
+const toHTML = (blocks, entityMap = {}, options) =>
+  convertFromDraftStateToHTML(
+    convertFromRawToDraftState({blocks, entityMap}),
+    options,
+  );
+
+const summarize = contentState =>
+  contentState
+    .getBlockMap()
+    .toArray()
+    .map(block => ({
+      type: block.getType(),
+      depth: block.getDepth(),
+      text: block.getText(),
+      characters: block
+        .getCharacterList()
+        .map(character => {
+          const entityKey = character.getEntity();
+          return {
+            style: character
+              .getStyle()
+              .toArray()
+              .sort(),
+            entity: entityKey
+              ? contentState.getEntity(entityKey).getType()
+              : null,
+          };
+        })
+        .toArray(),
+    }));
+
+const assertRoundTrip = (blocks, entityMap = {}) => {
+  const contentState = convertFromRawToDraftState({blocks, entityMap});
+  const html = convertFromDraftStateToHTML(contentState);
+  const imported = ContentState.createFromBlockArray(
+    convertFromHTMLToContentBlocks(html).contentBlocks,
+  );
+  expect(summarize(imported)).toEqual(summarize(contentState));
+};
+
+test('must render block elements', () => {
+  expect(
+    toHTML([
+      {text: 'Title', type: 'header-one'},
+      {text: 'Paragraph', type: 'unstyled'},
+      {text: 'Quote', type: 'blockquote'},
+    ]),
+  ).toBe('<h1>Title</h1><p>Paragraph</p><blockquote>Quote</blockquote>');
+});
+
+test('must escape text and render soft newlines', () => {
+  expect(toHTML([{text: 'a < b & "c"\nd', type: 'unstyled'}])).toBe(
+    '<p>a &lt; b &amp; &quot;c&quot;<br />d</p>',
+  );
+});
+
+test('must keep newlines inside code blocks', () => {
+  expect(
+    toHTML([
+      {text: 'const a = 1;\nconst b = 2;', type: 'code-block'},
+      {text: 'a();', type: 'code-block'},
+    ]),
+  ).toBe('<pre>const a = 1;\nconst b = 2;</pre><pre>a();</pre>');
+});
+
+test('must nest list items by depth', () => {
+  expect(
+    toHTML([
+      {text: 'a', type: 'unordered-list-item', depth: 0},
+      {text: 'b', type: 'unordered-list-item', depth: 1},
+      {text: 'c', type: 'ordered-list-item', depth: 2},
+      {text: 'd', type: 'unordered-list-item', depth: 0},
+      {text: 'e', type: 'ordered-list-item', depth: 0},
+      {text: 'f', type: 'unstyled'},
+    ]),
+  ).toBe(
+    '<ul><li>a<ul><li>b<ol><li>c</li></ol></li></ul></li><li>d</li></ul>' +
+      '<ol><li>e</li></ol><p>f</p>',
+  );
+});
+
+test('must wrap list items that start deeper than their predecessor', () => {
+  expect(toHTML([{text: 'a', type: 'unordered-list-item', depth: 1}])).toBe(
+    '<ul><ul><li>a</li></ul></ul>',
+  );
+});
+
+test('must render overlapping inline styles as nested tags', () => {
+  expect(
+    toHTML([
+      {
+        text: 'abcdef',
+        type: 'unstyled',
+        inlineStyleRanges: [
+          {offset: 0, length: 4, style: 'BOLD'},
+          {offset: 2, length: 4, style: 'ITALIC'},
+        ],
+      },
+    ]),
+  ).toBe('<p><strong>ab<em>cd</em></strong><em>ef</em></p>');
+});
+
+test('must render custom styles from customStyleMap', () => {
+  expect(
+    toHTML(
+      [
+        {
+          text: 'red big',
+          type: 'unstyled',
+          inlineStyleRanges: [
+            {offset: 0, length: 3, style: 'RED'},
+            {offset: 4, length: 3, style: 'BIG'},
+            {offset: 4, length: 3, style: 'UNKNOWN'},
+          ],
+        },
+      ],
+      {},
+      {customStyleMap: {RED: {color: 'red'}, BIG: {fontSize: 20}}},
+    ),
+  ).toBe(
+    '<p><span style="color: red">red</span> ' +
+      '<span style="font-size: 20px">big</span></p>',
+  );
+});
+
+test('must render default entities', () => {
+  expect(
+    toHTML(
+      [
+        {
+          text: 'a link',
+          type: 'unstyled',
+          inlineStyleRanges: [{offset: 2, length: 4, style: 'BOLD'}],
+          entityRanges: [{offset: 2, length: 4, key: 0}],
+        },
+        {
+          text: ' ',
+          type: 'atomic',
+          entityRanges: [{offset: 0, length: 1, key: 1}],
+        },
+      ],
+      {
+        0: {type: 'LINK', mutability: 'MUTABLE', data: {url: 'http://a.com'}},
+        1: {type: 'IMAGE', mutability: 'IMMUTABLE', data: {src: 'a.png'}},
+      },
+    ),
+  ).toBe(
+    '<p>a <a href="http://a.com"><strong>link</strong></a></p>' +
+      '<figure><img src="a.png" /></figure>',
+  );
+});
+
+test('must use custom entity renderers', () => {
+  expect(
+    toHTML(
+      [
+        {
+          text: 'hi @jo',
+          type: 'unstyled',
+          entityRanges: [{offset: 3, length: 3, key: 0}],
+        },
+      ],
+      {0: {type: 'MENTION', mutability: 'IMMUTABLE', data: {id: 4}}},
+      {
+        entityRenderers: {
+          MENTION: (entity, innerHTML) =>
+            `<span data-id="${entity.getData().id}">${innerHTML}</span>`,
+        },
+      },
+    ),
+  ).toBe('<p>hi <span data-id="4">@jo</span></p>');
+});
+
+test('must honor a custom block render map', () => {
+  const blockRenderMap = DefaultDraftBlockRenderMap.set('section', {
+    element: 'section',
+  });
+  expect(
+    toHTML(
+      [{text: 'a', type: 'section'}, {text: 'b', type: 'custom'}],
+      {},
+      {
+        blockRenderMap,
+      },
+    ),
+  ).toBe('<section>a</section><p>b</p>');
+});
+
+test('must round trip every default block type', () => {
+  assertRoundTrip(
+    DefaultDraftBlockRenderMap.keySeq()
+      // Tables are only imported with tree data support.
+      .filter(type => type !== 'atomic' && !type.startsWith('table'))
+      .map(type => ({text: `${type} text`, type}))
+      .toArray(),
+  );
+});
+
+test('must round trip nested lists', () => {
+  assertRoundTrip([
+    {text: 'one', type: 'ordered-list-item', depth: 0},
+    {text: 'two', type: 'ordered-list-item', depth: 1},
+    {text: 'three', type: 'ordered-list-item', depth: 1},
+    {text: 'four', type: 'unordered-list-item', depth: 0},
+    {text: 'five', type: 'unordered-list-item', depth: 1},
+    {text: 'six', type: 'unstyled'},
+  ]);
+});
+
+test('must round trip styles and entities', () => {
+  assertRoundTrip(
+    [
+      {
+        text: 'bold italic code struck under',
+        type: 'unstyled',
+        inlineStyleRanges: [
+          {offset: 0, length: 11, style: 'BOLD'},
+          {offset: 5, length: 6, style: 'ITALIC'},
+          {offset: 12, length: 4, style: 'CODE'},
+          {offset: 17, length: 6, style: 'STRIKETHROUGH'},
+          {offset: 24, length: 5, style: 'UNDERLINE'},
+        ],
+        entityRanges: [{offset: 5, length: 6, key: 0}],
+      },
+      {
+        text: '📷',
+        type: 'atomic',
+        entityRanges: [{offset: 0, length: 1, key: 1}],
+      },
+    ],
+    {
+      0: {type: 'LINK', mutability: 'MUTABLE', data: {url: 'http://a.com/'}},
+      1: {type: 'IMAGE', mutability: 'IMMUTABLE', data: {src: 'a.png'}},
+    },
+  );
+});
+
+test('must render and round trip block directions', () => {
+  const contentState = convertFromRawToDraftState({
+    blocks: [
+      {text: 'right', type: 'header-one', data: {direction: 'RTL'}},
+      {text: 'left', type: 'unordered-list-item', data: {direction: 'LTR'}},
+      {text: 'auto', type: 'unstyled'},
+    ],
+    entityMap: {},
+  });
+  const html = convertFromDraftStateToHTML(contentState);
+  expect(html).toBe(
+    '<h1 dir="rtl">right</h1><ul><li dir="ltr">left</li></ul><p>auto</p>',
+  );
+
+  [convertFromHTMLToContentBlocks, convertFromHTMLToContentBlocks2].forEach(
+    convert => {
+      expect(
+        convert(html)
+          .contentBlocks.map(block => block.getData().get('direction'))
+          .filter(direction => direction !== undefined),
+      ).toEqual(['RTL', 'LTR']);
+    },
+  );
+});
+
+test('must render and round trip checkable list items', () => {
+  const blocks = [
+    {text: 'done', type: 'checkable-list-item', data: {checked: true}},
+    {text: 'to do', type: 'checkable-list-item'},
+  ];
+  expect(toHTML(blocks)).toBe(
+    '<ul><li><input type="checkbox" checked disabled />done</li>' +
+      '<li><input type="checkbox" disabled />to do</li></ul>',
+  );
+  const contentState = convertFromRawToDraftState({blocks, entityMap: {}});
+  [convertFromHTMLToContentBlocks, convertFromHTMLToContentBlocks2].forEach(
+    convert => {
+      const imported = convert(convertFromDraftStateToHTML(contentState))
+        .contentBlocks;
+      expect(
+        imported.map(block => [
+          block.getType(),
+          block.getText(),
+          block.getData().toJS(),
+        ]),
+      ).toEqual([
+        ['checkable-list-item', 'done', {checked: true}],
+        ['checkable-list-item', 'to do', {}],
+      ]);
+    },
+  );
+});
+
+test('must render and round trip tables with tree data support', () => {
+  jest.resetModules();
+  jest.doMock('gkx', () => name => name === 'draft_tree_data_support');
+  const cell = text => ({text, type: 'table-cell', children: []});
+  const row = texts => ({
+    text: '',
+    type: 'table-row',
+    children: texts.map(cell),
+  });
+  const blocks = [
+    {
+      text: '',
+      type: 'table',
+      children: [row(['a1', 'b1']), row(['a2', 'b2\nc2'])],
+    },
+  ];
+  const treeConvertFromRawToDraftState = require('convertFromRawToDraftState');
+  const treeConvertFromHTMLToContentBlocks = require('convertFromHTMLToContentBlocks');
+  const treeConvertFromDraftStateToHTML = require('convertFromDraftStateToHTML');
+  const treeConvertFromDraftStateToRaw = require('convertFromDraftStateToRaw');
+  const TreeContentState = require('ContentState');
+
+  // Describe the blocks as trees of types and texts.
+  const describe = rawBlocks =>
+    rawBlocks.map(block => ({
+      text: block.text,
+      type: block.type,
+      children: describe(block.children || []),
+    }));
+
+  const html = treeConvertFromDraftStateToHTML(
+    treeConvertFromRawToDraftState({blocks, entityMap: {}}),
+  );
+  expect(html).toBe(
+    '<table><tbody><tr><td>a1</td><td>b1</td></tr>' +
+      '<tr><td>a2</td><td>b2<br />c2</td></tr></tbody></table>',
+  );
+  const imported = TreeContentState.createFromBlockArray(
+    treeConvertFromHTMLToContentBlocks(html).contentBlocks,
+  );
+  expect(describe(treeConvertFromDraftStateToRaw(imported).blocks)).toEqual(
+    describe(blocks),
+  );
+});
@@ -0,0 +1,232 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @emails oncall+draft_js
+ * @format
+ */
+
+'use strict';
+
+jest.disableAutomock();
+
+const convertFromDraftStateToMarkdown = require('convertFromDraftStateToMarkdown');
+const convertFromDraftStateToRaw = require('convertFromDraftStateToRaw');
+const convertFromMarkdownToDraftState = require('convertFromMarkdownToDraftState');
+const convertFromRawToDraftState = require('convertFromRawToDraftState');
+
+const toMarkdown = (blocks, entityMap = {}) =>
+  convertFromDraftStateToMarkdown(
+    convertFromRawToDraftState({blocks, entityMap}),
+  );
+
+const normalize = contentState => {
+  const {blocks, entityMap} = convertFromDraftStateToRaw(contentState);
+  return {
+    blocks: blocks.map(({key, ...block}) => ({
+      ...block,
+      inlineStyleRanges: block.inlineStyleRanges.sort(
+        (a, b) => a.offset - b.offset || a.style.localeCompare(b.style),
+      ),
+    })),
+    entityMap,
+  };
+};
+
+const assertRoundTrip = (blocks, entityMap = {}) => {
+  const contentState = convertFromRawToDraftState({blocks, entityMap});
+  const markdown = convertFromDraftStateToMarkdown(contentState);
+  expect(normalize(convertFromMarkdownToDraftState(markdown))).toEqual(
+    normalize(contentState),
+  );
+};
+
+test('must render block types', () => {
+  expect(
+    toMarkdown([
+      {text: 'Title', type: 'header-one'},
+      {text: 'Sub', type: 'header-three'},
+      {text: 'Paragraph', type: 'unstyled'},
+      {text: 'Quote', type: 'blockquote'},
+      {text: 'More', type: 'blockquote'},
+      {text: 'a()\nb()', type: 'code-block', data: {language: 'js'}},
+      {text: 'c()', type: 'code-block'},
+    ]),
+  ).toBe(
+    '# Title\n\n### Sub\n\nParagraph\n\n> Quote\n>\n> More\n\n' +
+      '```js\na()\nb()\nc()\n```',
+  );
+});
+
+test('must render lists with depth and numbering', () => {
+  expect(
+    toMarkdown([
+      {text: 'a', type: 'ordered-list-item', depth: 0},
+      {text: 'b', type: 'unordered-list-item', depth: 1},
+      {text: 'c', type: 'unordered-list-item', depth: 1},
+      {text: 'd', type: 'ordered-list-item', depth: 0},
+      {text: 'e', type: 'unstyled'},
+      {text: 'f', type: 'ordered-list-item', depth: 0},
+    ]),
+  ).toBe('1. a\n    - b\n    - c\n2. d\n\ne\n\n1. f');
+});
+
+test('must render the missing parents of nested list items', () => {
+  expect(
+    toMarkdown([
+      {text: 'a', type: 'unordered-list-item', depth: 1},
+      {text: 'b', type: 'ordered-list-item', depth: 3},
+    ]),
+  ).toBe('-\n    - a\n        1.\n            1. b');
+
+  // The depth of the items is kept, along with their empty parents.
+  expect(
+    convertFromDraftStateToRaw(
+      convertFromMarkdownToDraftState('-\n    - a'),
+    ).blocks.map(({text, depth}) => [text, depth]),
+  ).toEqual([['', 0], ['a', 1]]);
+});
+
+test('must render soft newlines as hard breaks', () => {
+  expect(
+    toMarkdown([
+      {text: 'a\nb', type: 'unstyled'},
+      {text: 'c\nd', type: 'unordered-list-item'},
+    ]),
+  ).toBe('a\\\nb\n\n- c\\\n    d');
+});
+
+test('must escape markup characters', () => {
+  expect(
+    toMarkdown([
+      {text: '# not *a* header', type: 'unstyled'},
+      {text: '1. not a list', type: 'unstyled'},
+      {text: '- nor this [one]', type: 'unstyled'},
+      {text: '#hashtag and -5', type: 'unstyled'},
+    ]),
+  ).toBe(
+    '\\# not \\*a\\* header\n\n1\\. not a list\n\n\\- nor this \\[one\\]' +
+      '\n\n#hashtag and -5',
+  );
+});
+
+test('must keep leading whitespace as character references', () => {
+  expect(
+    toMarkdown([
+      {text: '  # indented', type: 'unstyled'},
+      {text: ' a\n\tb', type: 'blockquote'},
+      {text: ' &#42;', type: 'header-two'},
+    ]),
+  ).toBe('&#32;&#32;# indented\n\n> &#32;a\\\n> &#9;b\n\n## &#32;\\&#42;');
+});
+
+test('must render overlapping styles and code spans', () => {
+  expect(
+    toMarkdown([
+      {
+        text: 'abcdef x*y',
+        type: 'unstyled',
+        inlineStyleRanges: [
+          {offset: 0, length: 4, style: 'BOLD'},
+          {offset: 2, length: 4, style: 'ITALIC'},
+          {offset: 7, length: 3, style: 'CODE'},
+          {offset: 7, length: 1, style: 'STRIKETHROUGH'},
+          {offset: 0, length: 6, style: 'UNDERLINE'},
+        ],
+      },
+    ]),
+  ).toBe('**ab*cd***_ef_ ~~`x`~~`*y`');
+});
+
+test('must keep whitespace and backticks out of delimiters', () => {
+  expect(
+    toMarkdown([
+      {
+        text: 'a bold  a`b` c',
+        type: 'unstyled',
+        inlineStyleRanges: [
+          {offset: 1, length: 6, style: 'BOLD'},
+          {offset: 8, length: 4, style: 'CODE'},
+        ],
+      },
+    ]),
+  ).toBe('a **bold**  `` a`b` `` c');
+});
+
+test('must render links and images', () => {
+  expect(
+    toMarkdown(
+      [
+        {
+          text: 'a link',
+          type: 'unstyled',
+          entityRanges: [{offset: 2, length: 4, key: 0}],
+        },
+        {
+          text: ' ',
+          type: 'atomic',
+          entityRanges: [{offset: 0, length: 1, key: 1}],
+        },
+      ],
+      {
+        0: {
+          type: 'LINK',
+          mutability: 'MUTABLE',
+          data: {url: 'http://a.com/(b)', title: 'T'},
+        },
+        1: {
+          type: 'IMAGE',
+          mutability: 'IMMUTABLE',
+          data: {src: 'a.png', alt: 'an image'},
+        },
+      },
+    ),
+  ).toBe('a [link](<http://a.com/(b)> "T")\n\n![an image](a.png)');
+});
+
+test('must round trip supported content', () => {
+  assertRoundTrip(
+    [
+      {text: 'Title', type: 'header-one'},
+      {
+        text: 'Bold italic code struck',
+        type: 'unstyled',
+        inlineStyleRanges: [
+          {offset: 0, length: 4, style: 'BOLD'},
+          {offset: 5, length: 6, style: 'BOLD'},
+          {offset: 5, length: 6, style: 'ITALIC'},
+          {offset: 12, length: 4, style: 'CODE'},
+          {offset: 17, length: 6, style: 'STRIKETHROUGH'},
+        ],
+        entityRanges: [{offset: 5, length: 6, key: 0}],
+      },
+      {
+        text: 'abcdef',
+        type: 'unstyled',
+        inlineStyleRanges: [
+          {offset: 0, length: 4, style: 'BOLD'},
+          {offset: 2, length: 4, style: 'ITALIC'},
+        ],
+      },
+      {text: 'a\nquote', type: 'blockquote'},
+      {text: 'one', type: 'ordered-list-item', depth: 0},
+      {text: 'two', type: 'ordered-list-item', depth: 1},
+      {text: 'three', type: 'unordered-list-item', depth: 2},
+      {text: 'four', type: 'unordered-list-item', depth: 0},
+      {text: 'x = [1, *2*];\n// # done', type: 'code-block'},
+      {
+        text: '\ud83d\udcf7',
+        type: 'atomic',
+        entityRanges: [{offset: 0, length: 1, key: 1}],
+      },
+      {text: '* not a list', type: 'unstyled'},
+      {text: '   indented &#38; spaced', type: 'unstyled'},
+    ].map(block => ({depth: 0, data: {}, ...block})),
+    {
+      0: {type: 'LINK', mutability: 'MUTABLE', data: {url: 'http://a.com'}},
+      1: {type: 'IMAGE', mutability: 'MUTABLE', data: {src: 'a.png', alt: ''}},
+    },
+  );
+});
@@ -0,0 +1,106 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @emails oncall+draft_js
+ * @format
+ */
+
+'use strict';
+
+jest.disableAutomock();
+
+const ContentBlock = require('ContentBlock');
+const ContentState = require('ContentState');
+const DraftModifier = require('DraftModifier');
+const EditorState = require('EditorState');
+const SelectionState = require('SelectionState');
+
+const convertFromEditorStateToRawHistory = require('convertFromEditorStateToRawHistory');
+
+const contentState = ContentState.createFromBlockArray([
+  new ContentBlock({key: 'a', text: 'alpha'}),
+  new ContentBlock({key: 'b', text: 'beta'}),
+  new ContentBlock({key: 'c', text: 'gamma'}),
+]);
+
+const push = (editorState, selection, edit, changeType) =>
+  EditorState.push(
+    EditorState.acceptSelection(editorState, selection),
+    edit(editorState.getCurrentContent(), selection),
+    changeType,
+  );
+
+test('must only record the blocks changed by each entry', () => {
+  let editorState = EditorState.createWithContent(contentState);
+  const selection = SelectionState.createEmpty('b');
+  editorState = push(
+    editorState,
+    selection,
+    (content, target) => DraftModifier.insertText(content, target, 'x'),
+    'insert-characters',
+  );
+  editorState = push(
+    editorState,
+    selection.merge({anchorOffset: 2, focusOffset: 2}),
+    DraftModifier.splitBlock,
+    'split-block',
+  );
+
+  const rawHistory = convertFromEditorStateToRawHistory(editorState);
+  expect(rawHistory.undoStack.map(entry => entry.blockKeys)).toEqual([
+    ['a', 'b', 'c'],
+    ['a', 'b', 'c'],
+  ]);
+  expect(
+    rawHistory.undoStack.map(entry => entry.blocks.map(block => block.text)),
+  ).toEqual([['xbeta'], ['beta']]);
+  expect(rawHistory.redoStack).toEqual([]);
+  expect(rawHistory.undoStack[0].selectionAfter).toEqual({
+    anchorKey: 'b',
+    anchorOffset: 1,
+    focusKey: 'b',
+    focusOffset: 1,
+    isBackward: false,
+  });
+});
+
+test('must share the entities of all entries', () => {
+  const content = contentState.createEntity('LINK', 'MUTABLE', {url: 'a.com'});
+  const entityKey = content.getLastCreatedEntityKey();
+  let editorState = EditorState.createWithContent(content);
+  const selection = SelectionState.createEmpty('a').merge({focusOffset: 2});
+  editorState = push(
+    editorState,
+    selection,
+    (current, target) => DraftModifier.applyEntity(current, target, entityKey),
+    'apply-entity',
+  );
+  editorState = push(
+    editorState,
+    selection,
+    (current, target) =>
+      DraftModifier.applyInlineStyle(current, target, 'BOLD'),
+    'change-inline-style',
+  );
+  editorState = push(
+    editorState,
+    selection,
+    (current, target) => DraftModifier.applyEntity(current, target, null),
+    'apply-entity',
+  );
+
+  const rawHistory = convertFromEditorStateToRawHistory(editorState);
+  expect(rawHistory.entityMap).toEqual({
+    '0': {type: 'LINK', mutability: 'MUTABLE', data: {url: 'a.com'}},
+  });
+  expect(
+    rawHistory.undoStack.map(entry => entry.blocks[0].entityRanges),
+  ).toEqual([
+    [{offset: 0, length: 2, key: 0}],
+    [{offset: 0, length: 2, key: 0}],
+    [],
+  ]);
+});
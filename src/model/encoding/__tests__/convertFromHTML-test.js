@@ -0,0 +1,48 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @emails oncall+draft_js
+ * @format
+ */
+
+'use strict';
+
+jest.disableAutomock();
+
+jest.mock('generateRandomKey');
+
+const BlockMapBuilder = require('BlockMapBuilder');
+const ContentBlockNode = require('ContentBlockNode');
+const DraftTreeInvariants = require('DraftTreeInvariants');
+
+const convertFromHTML = require('convertFromHTML');
+
+const HTML = '<blockquote><p>Alpha</p><ul><li>Bravo</li></ul></blockquote>';
+
+test('must nest the blocks of elements with the nested option', () => {
+  const {contentBlocks} = convertFromHTML(HTML, undefined, undefined, {
+    nested: true,
+  });
+  const blockMap = BlockMapBuilder.createFromArray(contentBlocks);
+  expect(DraftTreeInvariants.isValidTree(blockMap)).toBe(true);
+  const blockquote = blockMap.first();
+  expect(blockquote.getType()).toBe('blockquote');
+  expect(
+    blockquote
+      .getChildKeys()
+      .map(key => blockMap.get(key).getType())
+      .toArray(),
+  ).toEqual(['unstyled', 'unordered-list-item']);
+});
+
+test('must convert to flat blocks without the nested option', () => {
+  const {contentBlocks} = convertFromHTML(HTML, undefined, undefined, {
+    nested: false,
+  });
+  expect(contentBlocks.some(block => block instanceof ContentBlockNode)).toBe(
+    false,
+  );
+});
@@ -367,3 +367,53 @@ test('Should import line breaks without creating a leading space', () => {
     experimentalTreeDataSupport: false,
   });
 });
+
+const TABLE_HTML = `
+  <table>
+    <tbody>
+      <tr>
+        <th>Name</th>
+        <th>Role</th>
+      </tr>
+      <tr>
+        <td><p><b>Ada</b></p><p>Lovelace</p></td>
+        <td>Analyst</td>
+      </tr>
+    </tbody>
+  </table>
+`;
+
+test('must import tables as rows of cells with nesting enabled', () => {
+  assertConvertFromHTMLToContentBlocks(TABLE_HTML, {
+    experimentalTreeDataSupport: true,
+  });
+});
+
+test('must import the text of tables with nesting disabled', () => {
+  assertConvertFromHTMLToContentBlocks(TABLE_HTML, {
+    experimentalTreeDataSupport: false,
+  });
+});
+
+const CHECKLIST_HTML = `
+  <ul>
+    <li><input type="checkbox" checked disabled /> Write the spec</li>
+    <li><input type="checkbox" /> Ship it</li>
+    <li>Celebrate</li>
+  </ul>
+  <ul>
+    <li><p><input type="checkbox" checked /> Loose item</p></li>
+  </ul>
+`;
+
+test('must import list items starting with checkboxes as checkable', () => {
+  assertConvertFromHTMLToContentBlocks(CHECKLIST_HTML, {
+    experimentalTreeDataSupport: false,
+  });
+});
+
+test('must import checkable list items with nesting enabled', () => {
+  assertConvertFromHTMLToContentBlocks(CHECKLIST_HTML, {
+    experimentalTreeDataSupport: true,
+  });
+});
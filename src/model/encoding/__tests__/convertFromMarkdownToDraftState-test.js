@@ -0,0 +1,163 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @emails oncall+draft_js
+ * @format
+ */
+
+'use strict';
+
+jest.disableAutomock();
+
+const convertFromDraftStateToRaw = require('convertFromDraftStateToRaw');
+const convertFromMarkdownToDraftState = require('convertFromMarkdownToDraftState');
+
+const toRaw = markdown => {
+  const {blocks, entityMap} = convertFromDraftStateToRaw(
+    convertFromMarkdownToDraftState(markdown),
+  );
+  return {
+    blocks: blocks.map(({key, ...block}) => block),
+    entityMap,
+  };
+};
+
+const assertBlocks = (markdown, expected) => {
+  expect(
+    toRaw(markdown).blocks.map(({type, depth, text}) => ({type, depth, text})),
+  ).toEqual(expected);
+};
+
+test('must create an empty block for empty input', () => {
+  assertBlocks('', [{type: 'unstyled', depth: 0, text: ''}]);
+});
+
+test('must parse headers', () => {
+  assertBlocks('# One\n## Two ##\n###### Six\n\nSetext\n===\n\nTwo\n---', [
+    {type: 'header-one', depth: 0, text: 'One'},
+    {type: 'header-two', depth: 0, text: 'Two'},
+    {type: 'header-six', depth: 0, text: 'Six'},
+    {type: 'header-one', depth: 0, text: 'Setext'},
+    {type: 'header-two', depth: 0, text: 'Two'},
+  ]);
+});
+
+test('must join paragraph lines and keep hard breaks', () => {
+  assertBlocks('one\ntwo\\\nthree  \nfour\n\nfive', [
+    {type: 'unstyled', depth: 0, text: 'one two\nthree\nfour'},
+    {type: 'unstyled', depth: 0, text: 'five'},
+  ]);
+});
+
+test('must parse each quoted paragraph as a blockquote', () => {
+  assertBlocks('> one\n> more\n>\n> two\n\nafter', [
+    {type: 'blockquote', depth: 0, text: 'one more'},
+    {type: 'blockquote', depth: 0, text: 'two'},
+    {type: 'unstyled', depth: 0, text: 'after'},
+  ]);
+});
+
+test('must parse fenced code blocks literally', () => {
+  const {blocks} = toRaw('```js\nconst a = **1**;\n\nb();\n```\ntext');
+  expect(blocks[0]).toMatchObject({
+    type: 'code-block',
+    text: 'const a = **1**;\n\nb();',
+    inlineStyleRanges: [],
+    data: {language: 'js'},
+  });
+  expect(blocks[1]).toMatchObject({type: 'unstyled', text: 'text'});
+});
+
+test('must parse nested lists with depth', () => {
+  assertBlocks('- a\n  - b\n    1. c\n       continued\n- d\n\n1) e\n2) f', [
+    {type: 'unordered-list-item', depth: 0, text: 'a'},
+    {type: 'unordered-list-item', depth: 1, text: 'b'},
+    {type: 'ordered-list-item', depth: 2, text: 'c continued'},
+    {type: 'unordered-list-item', depth: 0, text: 'd'},
+    {type: 'ordered-list-item', depth: 0, text: 'e'},
+    {type: 'ordered-list-item', depth: 0, text: 'f'},
+  ]);
+});
+
+test('must decode numeric character references', () => {
+  expect(toRaw('&#32;a &#x2A;b&#42; \\&#42; &#0; `&#42;`').blocks[0].text).toBe(
+    ' a *b* &#42; \ufffd &#42;',
+  );
+});
+
+test('must drop thematic breaks', () => {
+  assertBlocks('a\n\n***\n\nb', [
+    {type: 'unstyled', depth: 0, text: 'a'},
+    {type: 'unstyled', depth: 0, text: 'b'},
+  ]);
+});
+
+test('must parse inline styles', () => {
+  const {blocks} = toRaw(
+    '**bold** *it* __b__ _i_ ~~s~~ `c*d*` ***both*** snake_case_name \\*x\\*',
+  );
+  expect(blocks[0].text).toBe('bold it b i s c*d* both snake_case_name *x*');
+  expect(blocks[0].inlineStyleRanges).toEqual([
+    {offset: 0, length: 4, style: 'BOLD'},
+    {offset: 8, length: 1, style: 'BOLD'},
+    {offset: 19, length: 4, style: 'BOLD'},
+    {offset: 5, length: 2, style: 'ITALIC'},
+    {offset: 10, length: 1, style: 'ITALIC'},
+    {offset: 19, length: 4, style: 'ITALIC'},
+    {offset: 12, length: 1, style: 'STRIKETHROUGH'},
+    {offset: 14, length: 4, style: 'CODE'},
+  ]);
+});
+
+test('must parse links and images as entities', () => {
+  const {blocks, entityMap} = toRaw(
+    'see [the **docs**](http://a.com "Docs") and ![logo](a.png)\n\n' +
+      '![photo](<b c.png>)',
+  );
+  expect(blocks[0].text).toBe('see the docs and \ud83d\udcf7');
+  expect(blocks[0].entityRanges).toEqual([
+    {offset: 4, length: 8, key: 0},
+    {offset: 17, length: 1, key: 1},
+  ]);
+  expect(blocks[0].inlineStyleRanges).toEqual([
+    {offset: 8, length: 4, style: 'BOLD'},
+  ]);
+  expect(blocks[1]).toMatchObject({type: 'atomic', text: '\ud83d\udcf7'});
+  expect(entityMap).toEqual({
+    0: {
+      type: 'LINK',
+      mutability: 'MUTABLE',
+      data: {url: 'http://a.com', title: 'Docs'},
+    },
+    1: {
+      type: 'IMAGE',
+      mutability: 'MUTABLE',
+      data: {src: 'a.png', alt: 'logo'},
+    },
+    2: {
+      type: 'IMAGE',
+      mutability: 'MUTABLE',
+      data: {src: 'b c.png', alt: 'photo'},
+    },
+  });
+});
+
+test('must resolve adjacent delimiter runs like CommonMark', () => {
+  const {blocks} = toRaw('**ab*cd***_ef_ *a**b* `` a`b` ``');
+  expect(blocks[0].text).toBe('abcdef a**b a`b`');
+  expect(blocks[0].inlineStyleRanges).toEqual([
+    {offset: 0, length: 4, style: 'BOLD'},
+    {offset: 2, length: 4, style: 'ITALIC'},
+    {offset: 7, length: 4, style: 'ITALIC'},
+    {offset: 12, length: 4, style: 'CODE'},
+  ]);
+});
+
+test('must leave unmatched markup as text', () => {
+  assertBlocks('a * b ** [c] `d', [
+    {type: 'unstyled', depth: 0, text: 'a * b ** [c] `d'},
+  ]);
+});
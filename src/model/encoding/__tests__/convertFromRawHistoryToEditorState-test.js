@@ -0,0 +1,173 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @emails oncall+draft_js
+ * @format
+ */
+
+'use strict';
+
+jest.disableAutomock();
+
+const BlockMapBuilder = require('BlockMapBuilder');
+const ContentBlock = require('ContentBlock');
+const ContentBlockNode = require('ContentBlockNode');
+const ContentState = require('ContentState');
+const DraftModifier = require('DraftModifier');
+const EditorState = require('EditorState');
+const SelectionState = require('SelectionState');
+
+const convertFromDraftStateToRaw = require('convertFromDraftStateToRaw');
+const convertFromEditorStateToRawHistory = require('convertFromEditorStateToRawHistory');
+const convertFromRawHistoryToEditorState = require('convertFromRawHistoryToEditorState');
+const convertFromRawToDraftState = require('convertFromRawToDraftState');
+const Immutable = require('immutable');
+
+const push = (editorState, selection, edit, changeType) =>
+  EditorState.push(
+    EditorState.acceptSelection(editorState, selection),
+    edit(editorState.getCurrentContent(), selection),
+    changeType,
+  );
+
+const toRaw = content => ({
+  ...convertFromDraftStateToRaw(content),
+  selectionBefore: content.getSelectionBefore().toJS(),
+  selectionAfter: content.getSelectionAfter().toJS(),
+});
+
+/**
+ * Store the content and history as JSON, as an app would, and restore them.
+ */
+const reload = editorState => {
+  const stored = JSON.stringify({
+    content: convertFromDraftStateToRaw(editorState.getCurrentContent()),
+    history: convertFromEditorStateToRawHistory(editorState),
+  });
+  const {content, history} = JSON.parse(stored);
+  return convertFromRawHistoryToEditorState(
+    EditorState.createWithContent(convertFromRawToDraftState(content)),
+    history,
+  );
+};
+
+const createEditorState = () => {
+  let contentState = ContentState.createFromBlockArray([
+    new ContentBlock({key: 'a', text: 'alpha'}),
+    new ContentBlock({key: 'b', text: 'beta'}),
+  ]).createEntity('LINK', 'MUTABLE', {url: 'a.com'});
+  const entityKey = contentState.getLastCreatedEntityKey();
+  contentState = DraftModifier.applyEntity(
+    contentState,
+    SelectionState.createEmpty('b').merge({focusOffset: 4}),
+    entityKey,
+  );
+
+  let editorState = EditorState.createWithContent(contentState);
+  const selection = SelectionState.createEmpty('a');
+  editorState = push(
+    editorState,
+    selection,
+    (content, target) => DraftModifier.insertText(content, target, 'x'),
+    'insert-characters',
+  );
+  editorState = push(
+    editorState,
+    selection.merge({anchorOffset: 3, focusOffset: 3}),
+    DraftModifier.splitBlock,
+    'split-block',
+  );
+  editorState = push(
+    editorState,
+    SelectionState.createEmpty('b').merge({anchorOffset: 1, focusOffset: 3}),
+    (content, target) => DraftModifier.removeRange(content, target, 'forward'),
+    'remove-range',
+  );
+  return EditorState.undo(editorState);
+};
+
+test('must restore the undo and redo stacks', () => {
+  const editorState = createEditorState();
+  const restored = reload(editorState);
+
+  expect(restored.getUndoStack().size).toBe(2);
+  expect(restored.getRedoStack().size).toBe(1);
+  expect(toRaw(restored.getCurrentContent())).toEqual(
+    toRaw(editorState.getCurrentContent()),
+  );
+  expect(restored.getUndoStack().map(toRaw)).toEqual(
+    editorState.getUndoStack().map(toRaw),
+  );
+  expect(restored.getRedoStack().map(toRaw)).toEqual(
+    editorState.getRedoStack().map(toRaw),
+  );
+});
+
+test('must undo and redo the restored history', () => {
+  let editorState = createEditorState();
+  let restored = reload(editorState);
+
+  editorState = EditorState.redo(editorState);
+  restored = EditorState.redo(restored);
+  expect(toRaw(restored.getCurrentContent())).toEqual(
+    toRaw(editorState.getCurrentContent()),
+  );
+
+  for (let ii = 0; ii < 3; ii++) {
+    editorState = EditorState.undo(editorState);
+    restored = EditorState.undo(restored);
+    expect(toRaw(restored.getCurrentContent())).toEqual(
+      toRaw(editorState.getCurrentContent()),
+    );
+    expect(restored.getSelection().toJS()).toEqual({
+      ...editorState.getSelection().toJS(),
+      hasFocus: false,
+    });
+  }
+  expect(restored.getUndoStack().size).toBe(0);
+});
+
+test('must restore the history of nested blocks', () => {
+  const contentState = ContentState.createFromText('').set(
+    'blockMap',
+    BlockMapBuilder.createFromArray([
+      new ContentBlockNode({key: 'A', children: Immutable.List.of('B')}),
+      new ContentBlockNode({key: 'B', parent: 'A', text: 'nested'}),
+    ]),
+  );
+  let editorState = EditorState.createWithContent(contentState);
+  editorState = push(
+    editorState,
+    SelectionState.createEmpty('B'),
+    (content, target) => DraftModifier.insertText(content, target, 'un'),
+    'insert-characters',
+  );
+
+  const rawHistory = JSON.parse(
+    JSON.stringify(convertFromEditorStateToRawHistory(editorState)),
+  );
+  const restored = convertFromRawHistoryToEditorState(
+    EditorState.createWithContent(editorState.getCurrentContent()),
+    rawHistory,
+  );
+  const block = restored
+    .getUndoStack()
+    .peek()
+    .getBlockForKey('B');
+  expect(block).toBeInstanceOf(ContentBlockNode);
+  expect(block.getText()).toBe('nested');
+  expect(block.getParentKey()).toBe('A');
+});
+
+test('must throw when the history does not match the content', () => {
+  const rawHistory = convertFromEditorStateToRawHistory(createEditorState());
+  expect(() =>
+    convertFromRawHistoryToEditorState(
+      EditorState.createWithContent(ContentState.createFromText('other')),
+      rawHistory,
+    ),
+  ).toThrow();
+});
@@ -261,3 +261,47 @@ test('ignore empty children array for tree conversion 2', () => {
   };
   assertDraftState(rawState);
 });
+
+test('must round trip nested content with the nested option', () => {
+  const convertFromDraftStateToRaw = require('convertFromDraftStateToRaw');
+  const rawState = {
+    blocks: [
+      {
+        key: 'A',
+        type: 'blockquote',
+        text: '',
+        children: [
+          {
+            key: 'B',
+            type: 'unordered-list-item',
+            text: 'Alpha',
+            children: [],
+          },
+          {
+            key: 'C',
+            type: 'unordered-list-item',
+            text: '',
+            children: [
+              {key: 'D', text: 'First paragraph', children: []},
+              {key: 'E', text: 'Second paragraph', children: []},
+            ],
+          },
+        ],
+      },
+      {key: 'F', text: 'Foxtrot', children: []},
+    ],
+    entityMap: {},
+  };
+  const contentState = convertFromRawToDraftState(rawState, {nested: true});
+  expect(contentState.isNested()).toBe(true);
+  const roundTripped = convertFromRawToDraftState(
+    convertFromDraftStateToRaw(contentState),
+    {nested: true},
+  );
+  expect(roundTripped.getBlockMap().toJS()).toEqual(
+    contentState.getBlockMap().toJS(),
+  );
+  expect(convertFromRawToDraftState(rawState, {nested: false}).isNested()).toBe(
+    false,
+  );
+});
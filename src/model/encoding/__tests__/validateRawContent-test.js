@@ -0,0 +1,224 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @emails oncall+draft_js
+ * @format
+ */
+
+'use strict';
+
+jest.disableAutomock();
+
+jest.mock('generateRandomKey');
+
+const DraftEntity = require('DraftEntity');
+
+const convertFromRawToDraftState = require('convertFromRawToDraftState');
+const validateRawContent = require('validateRawContent');
+
+const block = (text, extra) => ({
+  key: text,
+  text,
+  type: 'unstyled',
+  depth: 0,
+  inlineStyleRanges: [],
+  entityRanges: [],
+  data: {},
+  ...extra,
+});
+
+const link = {type: 'LINK', mutability: 'MUTABLE', data: {url: 'a.com'}};
+
+const getCodes = ({problems}) =>
+  problems.map(({code, path}) => [code, path.join('.')]);
+
+test('must report no problems for valid content', () => {
+  const rawState = {
+    blocks: [
+      block('one', {
+        inlineStyleRanges: [{offset: 0, length: 3, style: 'BOLD'}],
+        entityRanges: [{offset: 0, length: 2, key: 0}],
+        children: [block('two', {type: 'header-one'})],
+      }),
+    ],
+    entityMap: {0: link},
+  };
+  const validation = validateRawContent(rawState);
+  expect(validation.problems).toEqual([]);
+  expect(validation.rawState).toBe(rawState);
+});
+
+test('must report bad ranges with their paths', () => {
+  const rawState = {
+    blocks: [
+      block('abc'),
+      block('\ud83d\udcf7 abc', {
+        inlineStyleRanges: [
+          {offset: 0, length: 5, style: 'BOLD'},
+          {offset: 2, length: 9, style: 'ITALIC'},
+          {offset: 7, length: 1, style: 'ITALIC'},
+          {offset: -1, length: 1, style: 'BOLD'},
+          {offset: 0, length: 1},
+        ],
+        entityRanges: [
+          {offset: 0, length: 2, key: 0},
+          {offset: 1, length: 2, key: 0},
+          {offset: 3, length: 1, key: 7},
+        ],
+      }),
+    ],
+    entityMap: {0: link},
+  };
+
+  expect(getCodes(validateRawContent(rawState))).toEqual([
+    ['range-out-of-bounds', 'blocks.1.inlineStyleRanges.1'],
+    ['range-out-of-bounds', 'blocks.1.inlineStyleRanges.2'],
+    ['invalid-range', 'blocks.1.inlineStyleRanges.3'],
+    ['invalid-range', 'blocks.1.inlineStyleRanges.4'],
+    ['overlapping-entities', 'blocks.1.entityRanges.1'],
+    ['missing-entity', 'blocks.1.entityRanges.2'],
+  ]);
+
+  const {rawState: repaired} = validateRawContent(rawState, undefined, {
+    repair: true,
+  });
+  expect(repaired.blocks[1].inlineStyleRanges).toEqual([
+    {offset: 0, length: 5, style: 'BOLD'},
+    {offset: 2, length: 3, style: 'ITALIC'},
+  ]);
+  expect(repaired.blocks[1].entityRanges).toEqual([
+    {offset: 0, length: 2, key: 0},
+  ]);
+  expect(validateRawContent(repaired).problems).toEqual([]);
+});
+
+test('must enforce the schema', () => {
+  const rawState = {
+    blocks: [
+      block('a', {type: 'header-one', depth: 3}),
+      block('b', {
+        type: 'made-up',
+        inlineStyleRanges: [
+          {offset: 0, length: 1, style: 'BOLD'},
+          {offset: 0, length: 1, style: 'UNDERLINE'},
+        ],
+        entityRanges: [{offset: 0, length: 1, key: 1}],
+      }),
+    ],
+    entityMap: {
+      0: link,
+      1: {type: 'MENTION', mutability: 'SEGMENTED', data: {}},
+    },
+  };
+  const schema = {
+    blockTypes: ['unstyled', 'header-one'],
+    inlineStyles: ['BOLD'],
+    entityTypes: ['LINK'],
+    maxDepth: 1,
+  };
+
+  const validation = validateRawContent(rawState, schema, {repair: true});
+  expect(getCodes(validation)).toEqual([
+    ['disallowed-entity-type', 'entityMap.1'],
+    ['invalid-depth', 'blocks.0.depth'],
+    ['unknown-block-type', 'blocks.1.type'],
+    ['disallowed-style', 'blocks.1.inlineStyleRanges.1'],
+  ]);
+  expect(validation.rawState).toEqual({
+    blocks: [
+      block('a', {type: 'header-one', depth: 1}),
+      block('b', {inlineStyleRanges: [{offset: 0, length: 1, style: 'BOLD'}]}),
+    ],
+    entityMap: {0: link},
+    version: 3,
+  });
+});
+
+test('must repair malformed blocks and entities', () => {
+  const rawState = {
+    blocks: [
+      null,
+      block('a', {depth: 1.5, data: 'x'}),
+      block('a', {text: 42, children: 'none'}),
+    ],
+    entityMap: {
+      0: {mutability: 'MUTABLE'},
+      1: {type: 'LINK', mutability: 'SOMETIMES', data: {}},
+    },
+  };
+  const validation = validateRawContent(rawState, {}, {repair: true});
+  expect(getCodes(validation)).toEqual([
+    ['invalid-entity', 'entityMap.0'],
+    ['invalid-entity', 'entityMap.1.mutability'],
+    ['invalid-block', 'blocks.0'],
+    ['invalid-depth', 'blocks.1.depth'],
+    ['invalid-data', 'blocks.1.data'],
+    ['invalid-key', 'blocks.2.key'],
+    ['invalid-text', 'blocks.2.text'],
+    ['invalid-block', 'blocks.2.children'],
+  ]);
+  expect(validation.problems[0].message).toBe('Entity 0 has no type.');
+
+  const {blocks, entityMap} = validation.rawState;
+  expect(blocks.map(({key, text, depth}) => [key, text, depth])).toEqual([
+    ['a', 'a', 0],
+    ['key0', '', 0],
+  ]);
+  expect(entityMap).toEqual({
+    1: {type: 'LINK', mutability: 'MUTABLE', data: {}},
+  });
+});
+
+test('must provide a block for empty content', () => {
+  expect(getCodes(validateRawContent({}))).toEqual([['invalid-content', '']]);
+
+  const validation = validateRawContent(
+    {blocks: [], entityMap: {}},
+    {},
+    {repair: true},
+  );
+  expect(getCodes(validation)).toEqual([['no-blocks', 'blocks']]);
+  expect(
+    convertFromRawToDraftState(validation.rawState)
+      .getFirstBlock()
+      .getText(),
+  ).toBe('');
+});
+
+test('must check legacy content once upgraded', () => {
+  const globalKey = DraftEntity.__create('LINK', 'MUTABLE', {url: 'a.com'});
+  const rawState = {
+    blocks: [
+      // Without block data, as written by Draft 0.9.
+      {
+        key: 'a',
+        text: 'link',
+        type: 'unstyled',
+        depth: 0,
+        inlineStyleRanges: [],
+        entityRanges: [{key: Number(globalKey), offset: 0, length: 4}],
+      },
+    ],
+    entityMap: {},
+  };
+
+  const validation = validateRawContent(rawState, undefined, {repair: true});
+  expect(validation.problems).toEqual([]);
+  const contentState = convertFromRawToDraftState(validation.rawState);
+  const entityKey = contentState.getFirstBlock().getEntityAt(0);
+  expect(contentState.getEntity(entityKey).getData()).toEqual({url: 'a.com'});
+});
+
+test('must reject unsupported versions and schemas', () => {
+  const rawState = {blocks: [block('a')], entityMap: {}, version: 99};
+  const validation = validateRawContent(rawState, {}, {repair: true});
+  expect(getCodes(validation)).toEqual([['unsupported-version', 'version']]);
+  expect(validation.rawState).toBe(rawState);
+
+  expect(() =>
+    validateRawContent({blocks: [block('a')], entityMap: {}}, {blockTypes: []}),
+  ).toThrow('A content schema must allow at least one block type');
+});
@@ -0,0 +1,429 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @format
+ * @flow
+ * @emails oncall+draft_js
+ */
+
+'use strict';
+
+import type {BlockNodeRecord} from 'BlockNodeRecord';
+import type ContentState from 'ContentState';
+import type {DraftBlockRenderMap} from 'DraftBlockRenderMap';
+import type DraftEntityInstance from 'DraftEntityInstance';
+import type {DraftEntityType} from 'DraftEntityType';
+
+const ContentBlockNode = require('ContentBlockNode');
+const DefaultDraftBlockRenderMap = require('DefaultDraftBlockRenderMap');
+const DraftBlockDirection = require('DraftBlockDirection');
+const DraftCheckableListItem = require('DraftCheckableListItem');
+const UnicodeBidiDirection = require('UnicodeBidiDirection');
+
+const hyphenateStyleName = require('hyphenateStyleName');
+
+/**
+ * Renders an entity range. `innerHTML` is the already serialized (and
+ * escaped) text covered by the entity, including its inline styles.
+ */
+export type DraftEntityHTMLRenderer = (
+  entity: DraftEntityInstance,
+  innerHTML: string,
+) => string;
+
+export type DraftHTMLExportOptions = {
+  blockRenderMap?: DraftBlockRenderMap,
+  customStyleMap?: {[style: string]: Object},
+  entityRenderers?: {[type: DraftEntityType]: DraftEntityHTMLRenderer},
+};
+
+type ExportContext = {
+  contentState: ContentState,
+  blockRenderMap: DraftBlockRenderMap,
+  customStyleMap: {[style: string]: Object},
+  entityRenderers: {[type: DraftEntityType]: DraftEntityHTMLRenderer},
+};
+
+type StyledRun = {
+  styles: Array<string>,
+  text: string,
+};
+
+// Tags recognized by `convertFromHTMLToContentBlocks`, so that core styles
+// survive a round trip.
+const inlineStyleTags = {
+  BOLD: 'strong',
+  CODE: 'code',
+  HIGHLIGHT: 'mark',
+  ITALIC: 'em',
+  STRIKETHROUGH: 'del',
+  UNDERLINE: 'u',
+};
+
+const unitlessStyles = {
+  flex: true,
+  fontWeight: true,
+  lineHeight: true,
+  opacity: true,
+  order: true,
+  zIndex: true,
+};
+
+const escapeHTML = (text: string): string =>
+  text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const renderAttributes = (attributes: {[name: string]: mixed}): string =>
+  Object.keys(attributes)
+    .filter(name => attributes[name] != null && attributes[name] !== '')
+    .map(name => ` ${name}="${escapeHTML(String(attributes[name]))}"`)
+    .join('');
+
+const renderCSS = (style: Object): string =>
+  Object.keys(style)
+    .filter(name => style[name] != null && style[name] !== '')
+    .map(name => {
+      const value = style[name];
+      const cssValue =
+        typeof value === 'number' && value !== 0 && !unitlessStyles[name]
+          ? `${value}px`
+          : String(value);
+      return `${hyphenateStyleName(name)}: ${cssValue}`;
+    })
+    .join('; ');
+
+const defaultEntityRenderers = {
+  LINK: (entity: DraftEntityInstance, innerHTML: string): string => {
+    const {url, href, rel, target, title} = entity.getData() || {};
+    const attributes = renderAttributes({
+      href: url || href,
+      rel,
+      target,
+      title,
+    });
+    return `<a${attributes}>${innerHTML}</a>`;
+  },
+
+  IMAGE: (entity: DraftEntityInstance): string => {
+    const {src, alt, height, width} = entity.getData() || {};
+    return `<img${renderAttributes({src, alt, height, width})} />`;
+  },
+};
+
+const getBlockConfig = (block: BlockNodeRecord, context: ExportContext) => {
+  const {blockRenderMap} = context;
+  return blockRenderMap.get(block.getType()) || blockRenderMap.get('unstyled');
+};
+
+/**
+ * The importer only treats the `unstyled` element as a block delimiter when
+ * the markup contains no other semantic block tags, so prefer one of its
+ * aliases (`<p>` by default) to keep paragraphs apart.
+ */
+const getBlockElement = (
+  block: BlockNodeRecord,
+  context: ExportContext,
+): string => {
+  const config = getBlockConfig(block, context);
+  const unstyledConfig = context.blockRenderMap.get('unstyled');
+  if (
+    config.element === unstyledConfig.element &&
+    config.aliasedElements &&
+    config.aliasedElements.length
+  ) {
+    return config.aliasedElements[0];
+  }
+  return config.element || unstyledConfig.element;
+};
+
+/**
+ * Wrappers are React elements in the block render map; only their tag name
+ * matters for serialization. A wrapper with the same tag as its element (as
+ * with `code-block`) would only double the markup, so it is skipped.
+ */
+const getWrapperTag = (
+  block: BlockNodeRecord,
+  context: ExportContext,
+): ?string => {
+  const wrapper: any = getBlockConfig(block, context).wrapper;
+  if (!wrapper || typeof wrapper.type !== 'string') {
+    return null;
+  }
+  return wrapper.type === getBlockElement(block, context) ? null : wrapper.type;
+};
+
+const getStyledRuns = (
+  block: BlockNodeRecord,
+  start: number,
+  end: number,
+  context: ExportContext,
+): Array<StyledRun> => {
+  const text = block.getText();
+  const runs = [];
+  let runStart = start;
+  for (let ii = start + 1; ii <= end; ii++) {
+    if (
+      ii === end ||
+      block.getInlineStyleAt(ii) !== block.getInlineStyleAt(runStart)
+    ) {
+      runs.push({
+        styles: block
+          .getInlineStyleAt(runStart)
+          .filter(
+            style =>
+              inlineStyleTags.hasOwnProperty(style) ||
+              context.customStyleMap.hasOwnProperty(style),
+          )
+          .toArray(),
+        text: text.slice(runStart, ii),
+      });
+      runStart = ii;
+    }
+  }
+  return runs;
+};
+
+const openStyleTag = (style: string, context: ExportContext): string => {
+  if (inlineStyleTags.hasOwnProperty(style)) {
+    return `<${inlineStyleTags[style]}>`;
+  }
+  return `<span${renderAttributes({
+    style: renderCSS(context.customStyleMap[style]),
+  })}>`;
+};
+
+const closeStyleTag = (style: string): string =>
+  inlineStyleTags.hasOwnProperty(style)
+    ? `</${inlineStyleTags[style]}>`
+    : '</span>';
+
+/**
+ * Serialize a range of text that shares a single entity. Overlapping styles
+ * are emitted as properly nested tags: a stack of open styles is kept, and a
+ * style is only closed when it ends or when a style opened after it ends.
+ * New styles are opened longest-first to minimize reopening.
+ */
+const renderStyledText = (
+  block: BlockNodeRecord,
+  start: number,
+  end: number,
+  context: ExportContext,
+): string => {
+  const runs = getStyledRuns(block, start, end, context);
+  const isPreformatted = getBlockElement(block, context) === 'pre';
+  const stack = [];
+  let html = '';
+
+  const getRemainingLength = (style: string, fromIndex: number): number => {
+    let length = 0;
+    for (let ii = fromIndex; ii < runs.length; ii++) {
+      if (runs[ii].styles.indexOf(style) === -1) {
+        break;
+      }
+      length += runs[ii].text.length;
+    }
+    return length;
+  };
+
+  runs.forEach((run, index) => {
+    let keep = 0;
+    while (keep < stack.length && run.styles.indexOf(stack[keep]) !== -1) {
+      keep++;
+    }
+    while (stack.length > keep) {
+      html += closeStyleTag(stack.pop());
+    }
+
+    run.styles
+      .filter(style => stack.indexOf(style) === -1)
+      .map(style => ({style, length: getRemainingLength(style, index)}))
+      .sort(
+        (a, b) =>
+          a.length === b.length
+            ? a.style.localeCompare(b.style)
+            : b.length - a.length,
+      )
+      .forEach(({style}) => {
+        html += openStyleTag(style, context);
+        stack.push(style);
+      });
+
+    const text = escapeHTML(run.text);
+    html += isPreformatted ? text : text.replace(/\n/g, '<br />');
+  });
+
+  while (stack.length) {
+    html += closeStyleTag(stack.pop());
+  }
+
+  return html;
+};
+
+const renderBlockContent = (
+  block: BlockNodeRecord,
+  context: ExportContext,
+): string => {
+  let html = '';
+  block.findEntityRanges(
+    () => true,
+    (start, end) => {
+      const innerHTML = renderStyledText(block, start, end, context);
+      const entityKey = block.getEntityAt(start);
+      if (!entityKey) {
+        html += innerHTML;
+        return;
+      }
+      const entity = context.contentState.getEntity(entityKey);
+      const renderer = context.entityRenderers[entity.getType()];
+      html += renderer ? renderer(entity, innerHTML) : innerHTML;
+    },
+  );
+  return html;
+};
+
+const renderBlock = (
+  block: BlockNodeRecord,
+  nestedHTML: string,
+  context: ExportContext,
+): string => {
+  const element = getBlockElement(block, context);
+  let childrenHTML = '';
+  if (block instanceof ContentBlockNode && !block.getChildKeys().isEmpty()) {
+    childrenHTML = renderBlocks(
+      block
+        .getChildKeys()
+        .map(key => context.contentState.getBlockForKey(key))
+        .toArray(),
+      context,
+    );
+  }
+  const direction = DraftBlockDirection.getDirection(block);
+  const attributes = {
+    dir: direction ? UnicodeBidiDirection.getHTMLDir(direction) : null,
+  };
+  // Checkable list items start with a checkbox, as in task lists.
+  const checkbox = DraftCheckableListItem.isCheckable(block)
+    ? `<input type="checkbox"${
+        DraftCheckableListItem.isChecked(block) ? ' checked' : ''
+      } disabled />`
+    : '';
+  return (
+    `<${element}${renderAttributes(attributes)}>` +
+    checkbox +
+    renderBlockContent(block, context) +
+    childrenHTML +
+    nestedHTML +
+    `</${element}>`
+  );
+};
+
+/**
+ * Render a run of consecutive wrapped blocks (list items by default),
+ * nesting deeper blocks inside the preceding item of lower depth.
+ */
+const renderWrappedBlocks = (
+  blocks: Array<BlockNodeRecord>,
+  startIndex: number,
+  depth: number,
+  context: ExportContext,
+): {html: string, index: number} => {
+  let html = '';
+  let index = startIndex;
+  let openWrapper = null;
+
+  while (index < blocks.length) {
+    const block = blocks[index];
+    const wrapper = getWrapperTag(block, context);
+    if (!wrapper || block.getDepth() < depth) {
+      break;
+    }
+
+    if (block.getDepth() === depth && wrapper !== openWrapper) {
+      if (openWrapper) {
+        html += `</${openWrapper}>`;
+      }
+      html += `<${wrapper}>`;
+      openWrapper = wrapper;
+    } else if (!openWrapper) {
+      html += `<${wrapper}>`;
+      openWrapper = wrapper;
+    }
+
+    if (block.getDepth() === depth) {
+      const nested = renderWrappedBlocks(blocks, index + 1, depth + 1, context);
+      html += renderBlock(block, nested.html, context);
+      index = nested.index;
+    } else {
+      const nested = renderWrappedBlocks(blocks, index, depth + 1, context);
+      html += nested.html;
+      index = nested.index;
+    }
+  }
+
+  if (openWrapper) {
+    html += `</${openWrapper}>`;
+  }
+
+  return {html, index};
+};
+
+const renderBlocks = (
+  blocks: Array<BlockNodeRecord>,
+  context: ExportContext,
+): string => {
+  let html = '';
+  let index = 0;
+  while (index < blocks.length) {
+    const block = blocks[index];
+    if (getWrapperTag(block, context)) {
+      const wrapped = renderWrappedBlocks(blocks, index, 0, context);
+      html += wrapped.html;
+      index = wrapped.index;
+    } else {
+      html += renderBlock(block, '', context);
+      index++;
+    }
+  }
+  return html;
+};
+
+/**
+ * Serialize a ContentState into an HTML string that
+ * `convertFromHTMLToContentBlocks` reads back into the same blocks, styles
+ * and entities. Block data other than the direction of blocks and the checked
+ * state of checkable list items, and styles missing from both the core set
+ * and `customStyleMap`, are dropped.
+ */
+const convertFromDraftStateToHTML = (
+  contentState: ContentState,
+  options?: DraftHTMLExportOptions = {},
+): string => {
+  const context = {
+    contentState,
+    blockRenderMap: options.blockRenderMap || DefaultDraftBlockRenderMap,
+    customStyleMap: options.customStyleMap || {},
+    entityRenderers: {
+      ...defaultEntityRenderers,
+      ...options.entityRenderers,
+    },
+  };
+
+  // Only root blocks are rendered here, nested ones are rendered by their
+  // parent.
+  const rootBlocks = contentState
+    .getBlockMap()
+    .filter(
+      block => !(block instanceof ContentBlockNode) || !block.getParentKey(),
+    )
+    .toArray();
+
+  return renderBlocks(rootBlocks, context);
+};
+
+module.exports = convertFromDraftStateToHTML;
@@ -0,0 +1,415 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @format
+ * @flow
+ * @emails oncall+draft_js
+ */
+
+'use strict';
+
+import type {BlockNodeRecord} from 'BlockNodeRecord';
+import type ContentState from 'ContentState';
+import type DraftEntityInstance from 'DraftEntityInstance';
+
+const headerPrefixes: {[type: string]: string} = {
+  'header-one': '# ',
+  'header-two': '## ',
+  'header-three': '### ',
+  'header-four': '#### ',
+  'header-five': '##### ',
+  'header-six': '###### ',
+};
+
+type StyledRun = {
+  styles: Array<string>,
+  text: string,
+};
+
+const styleDelimiters = {
+  BOLD: '**',
+  ITALIC: '*',
+  STRIKETHROUGH: '~~',
+};
+
+// Used instead of `*` when an emphasis is opened right after one was closed,
+// since a single run such as `****` would be read differently.
+const alternateDelimiters = {
+  BOLD: '__',
+  ITALIC: '_',
+};
+
+const LIST_INDENT = '    ';
+
+// Characters that would otherwise be read as inline markup, including the
+// ampersand of a numeric character reference.
+const REGEX_INLINE_SYNTAX = /[\\`*_[\]~]|&(?=#(?:\d{1,7}|[xX][0-9a-fA-F]{1,6});)/g;
+
+// Line starts that would otherwise be read as a block marker.
+const REGEX_BLOCK_SYNTAX = /^(\s*)(#{1,6}(?=\s|$)|>|[+-](?=\s|-|$)|=+\s*$|(\d+)([.)])(?=\s|$))/;
+
+const REGEX_WORD_CHARACTER = /[A-Za-z0-9]/;
+
+/**
+ * Markdown strips the whitespace at the start of a line, which is kept as
+ * character references instead.
+ */
+const escapeLeadingWhitespace = (line: string): string =>
+  line.replace(/^\s+/, whitespace =>
+    whitespace
+      .split('')
+      .map(char => `&#${char.charCodeAt(0)};`)
+      .join(''),
+  );
+
+const escapeLineStart = (line: string): string =>
+  escapeLeadingWhitespace(line).replace(
+    REGEX_BLOCK_SYNTAX,
+    (match, space, marker, digits, period) =>
+      digits ? `${space}${digits}\\${period}` : `${space}\\${marker}`,
+  );
+
+const isListItem = (block: BlockNodeRecord): boolean =>
+  block.getType() === 'unordered-list-item' ||
+  block.getType() === 'ordered-list-item';
+
+const isMarkdownStyle = (style: string): boolean =>
+  style === 'CODE' || styleDelimiters.hasOwnProperty(style);
+
+/**
+ * Split a range of text into runs of identical Markdown styles. Emphasis can
+ * neither start nor end with whitespace, so whitespace at the edges of a
+ * style is left unstyled.
+ */
+const getStyledRuns = (
+  block: BlockNodeRecord,
+  start: number,
+  end: number,
+): Array<StyledRun> => {
+  const text = block.getText();
+  const charStyles = [];
+  for (let ii = start; ii < end; ii++) {
+    charStyles.push(
+      block
+        .getInlineStyleAt(ii)
+        .filter(isMarkdownStyle)
+        .toArray()
+        .sort(),
+    );
+  }
+
+  const isEdgeWhitespace = (index, style, neighbor) =>
+    /\s/.test(text[start + index]) &&
+    (charStyles[neighbor] === undefined ||
+      charStyles[neighbor].indexOf(style) === -1);
+  Object.keys(styleDelimiters).forEach(style => {
+    const unstyle = index => {
+      charStyles[index] = charStyles[index].filter(other => other !== style);
+    };
+    for (let ii = 0; ii < charStyles.length; ii++) {
+      if (isEdgeWhitespace(ii, style, ii - 1)) {
+        unstyle(ii);
+      }
+    }
+    for (let ii = charStyles.length - 1; ii >= 0; ii--) {
+      if (isEdgeWhitespace(ii, style, ii + 1)) {
+        unstyle(ii);
+      }
+    }
+  });
+
+  const runs = [];
+  charStyles.forEach((styles, index) => {
+    const lastRun = runs[runs.length - 1];
+    if (lastRun && lastRun.styles.join() === styles.join()) {
+      lastRun.text += text[start + index];
+    } else {
+      runs.push({styles, text: text[start + index]});
+    }
+  });
+  return runs;
+};
+
+/**
+ * Code spans are delimited by a backtick run longer than any inside them,
+ * padded with a space when the code itself starts or ends with a backtick
+ * or is wrapped in spaces that would otherwise be stripped.
+ */
+const renderCodeSpan = (code: string): string =>
+  code
+    .split('\n')
+    .map(line => {
+      const longestRun = (line.match(/`+/g) || []).reduce(
+        (max, run) => Math.max(max, run.length),
+        0,
+      );
+      const fence = '`'.repeat(longestRun + 1);
+      const padding =
+        /^`|`$/.test(line) || (/^ .*[^ ].* $/.test(line) && line.length > 2)
+          ? ' '
+          : '';
+      return fence + padding + line + padding + fence;
+    })
+    .join('\n');
+
+/**
+ * Serialize a range of text that shares a single link or image. Overlapping
+ * styles are nested using a stack of open delimiters, and a style is only
+ * closed when it ends or when a style opened after it ends. New styles are
+ * opened longest-first to minimize reopening.
+ */
+const renderStyledText = (
+  block: BlockNodeRecord,
+  start: number,
+  end: number,
+): string => {
+  const runs = getStyledRuns(block, start, end);
+  const stack = [];
+  let markdown = '';
+
+  // Returns the length of the span of `style` starting at run `fromIndex`,
+  // and whether that span ends inside a word.
+  const getSpan = (style: string, fromIndex: number) => {
+    let length = 0;
+    let ii = fromIndex;
+    while (ii < runs.length && runs[ii].styles.indexOf(style) !== -1) {
+      length += runs[ii].text.length;
+      ii++;
+    }
+    const next = ii < runs.length ? runs[ii].text[0] : block.getText()[end];
+    return {length, endsInWord: REGEX_WORD_CHARACTER.test(next || '')};
+  };
+
+  runs.forEach((run, index) => {
+    const styles = run.styles.filter(style => style !== 'CODE');
+    let keep = 0;
+    while (keep < stack.length && styles.indexOf(stack[keep].style) !== -1) {
+      keep++;
+    }
+    let closing = '';
+    while (stack.length > keep) {
+      closing += stack.pop().delimiter;
+    }
+    markdown += closing;
+
+    styles
+      .filter(style => !stack.some(open => open.style === style))
+      .map(style => ({style, ...getSpan(style, index)}))
+      .sort(
+        (a, b) =>
+          a.length === b.length
+            ? a.style.localeCompare(b.style)
+            : b.length - a.length,
+      )
+      .forEach(({style, endsInWord}, order) => {
+        let delimiter = styleDelimiters[style];
+        if (
+          order === 0 &&
+          closing.endsWith('*') &&
+          !endsInWord &&
+          alternateDelimiters.hasOwnProperty(style)
+        ) {
+          delimiter = alternateDelimiters[style];
+        }
+        markdown += delimiter;
+        stack.push({style, delimiter});
+      });
+
+    markdown +=
+      run.styles.indexOf('CODE') === -1
+        ? run.text.replace(REGEX_INLINE_SYNTAX, '\\$&')
+        : renderCodeSpan(run.text);
+  });
+
+  while (stack.length) {
+    markdown += stack.pop().delimiter;
+  }
+
+  return markdown;
+};
+
+const escapeLinkDestination = (url: string): string =>
+  /[\s()<>]/.test(url) ? `<${url.replace(/[<>]/g, '\\$&')}>` : url;
+
+const renderTitle = (title: ?string): string =>
+  title ? ` "${title.replace(/"/g, '\\"')}"` : '';
+
+const renderEntity = (
+  block: BlockNodeRecord,
+  start: number,
+  end: number,
+  entity: DraftEntityInstance,
+): string => {
+  const data = entity.getData() || {};
+  if (entity.getType() === 'IMAGE') {
+    return (
+      `![${(data.alt || '').replace(REGEX_INLINE_SYNTAX, '\\$&')}]` +
+      `(${escapeLinkDestination(data.src || '')}${renderTitle(data.title)})`
+    );
+  }
+  return (
+    `[${renderStyledText(block, start, end)}]` +
+    `(${escapeLinkDestination(data.url || data.href || '')}` +
+    `${renderTitle(data.title)})`
+  );
+};
+
+/**
+ * Only links and images have a Markdown syntax, the text of other entities
+ * is rendered along with the surrounding text.
+ */
+const renderBlockContent = (
+  block: BlockNodeRecord,
+  contentState: ContentState,
+): string => {
+  let markdown = '';
+  let lastEnd = 0;
+  const getEntity = (entityKey: ?string): ?DraftEntityInstance => {
+    const entity = entityKey ? contentState.getEntity(entityKey) : null;
+    return entity &&
+      (entity.getType() === 'LINK' || entity.getType() === 'IMAGE')
+      ? entity
+      : null;
+  };
+  block.findEntityRanges(
+    character => !!getEntity(character.getEntity()),
+    (start, end) => {
+      const entity = getEntity(block.getEntityAt(start));
+      if (!entity) {
+        return;
+      }
+      if (start > lastEnd) {
+        markdown += renderStyledText(block, lastEnd, start);
+      }
+      markdown += renderEntity(block, start, end, entity);
+      lastEnd = end;
+    },
+  );
+  if (lastEnd < block.getLength()) {
+    markdown += renderStyledText(block, lastEnd, block.getLength());
+  }
+  return markdown;
+};
+
+const renderCodeBlock = (blocks: Array<BlockNodeRecord>): string => {
+  const text = blocks.map(block => block.getText()).join('\n');
+  const longestRun = (text.match(/`+/g) || []).reduce(
+    (max, run) => Math.max(max, run.length),
+    0,
+  );
+  const fence = '`'.repeat(Math.max(3, longestRun + 1));
+  const language = blocks[0].getData().get('language') || '';
+  return `${fence}${language}\n${text}\n${fence}`;
+};
+
+/**
+ * Soft newlines become hard line breaks, each continuation line keeping the
+ * prefix of the block.
+ */
+const renderLines = (
+  content: string,
+  prefix: string,
+  continuation: string,
+): string =>
+  content
+    .split('\n')
+    .map(
+      (line, index) =>
+        (index === 0 ? prefix : continuation) + escapeLineStart(line),
+    )
+    .join('\\\n');
+
+/**
+ * Serialize a ContentState to Markdown. Only what Markdown can express is
+ * kept: see the lossy mapping policy in the Data Conversion docs.
+ */
+const convertFromDraftStateToMarkdown = (
+  contentState: ContentState,
+): string => {
+  const blocks = contentState.getBlocksAsArray();
+  const chunks = [];
+  const listCounters = [];
+  const listTypes = [];
+  let previousBlock = null;
+  let index = 0;
+
+  while (index < blocks.length) {
+    const block = blocks[index];
+    const type = block.getType();
+    const content = renderBlockContent(block, contentState);
+    let markdown = null;
+
+    if (!isListItem(block)) {
+      listCounters.length = listTypes.length = 0;
+    }
+
+    if (type === 'code-block') {
+      let end = index + 1;
+      while (end < blocks.length && blocks[end].getType() === 'code-block') {
+        end++;
+      }
+      markdown = renderCodeBlock(blocks.slice(index, end));
+      index = end - 1;
+    } else if (headerPrefixes.hasOwnProperty(type)) {
+      markdown =
+        headerPrefixes[type] +
+        escapeLeadingWhitespace(content.replace(/\n/g, ' '));
+    } else if (type === 'blockquote') {
+      markdown = renderLines(content, '> ', '> ');
+    } else if (isListItem(block)) {
+      const depth = block.getDepth();
+      // Markdown only nests an item within the item before it, so the
+      // missing parents of the item are rendered as empty items.
+      const parents = [];
+      for (let level = listTypes.length; level < depth; level++) {
+        listTypes[level] = type;
+        listCounters[level] = 1;
+        parents.push(
+          LIST_INDENT.repeat(level) +
+            (type === 'ordered-list-item' ? '1.' : '-'),
+        );
+      }
+      listCounters.length = listTypes.length = depth + 1;
+      if (listTypes[depth] !== type) {
+        listTypes[depth] = type;
+        listCounters[depth] = 0;
+      }
+      listCounters[depth] = (listCounters[depth] || 0) + 1;
+      const indent = LIST_INDENT.repeat(depth);
+      const marker =
+        type === 'ordered-list-item' ? `${listCounters[depth]}. ` : '- ';
+      markdown = parents
+        .concat(renderLines(content, indent + marker, indent + LIST_INDENT))
+        .join('\n');
+    } else if (content) {
+      markdown = renderLines(content, '', '');
+    }
+
+    if (markdown !== null) {
+      if (previousBlock && chunks.length) {
+        // List items are kept tight, consecutive quotes keep their separate
+        // paragraphs within a single quote.
+        if (isListItem(previousBlock) && isListItem(block)) {
+          chunks.push('\n');
+        } else if (
+          previousBlock.getType() === 'blockquote' &&
+          type === 'blockquote'
+        ) {
+          chunks.push('\n>\n');
+        } else {
+          chunks.push('\n\n');
+        }
+      }
+      chunks.push(markdown);
+      previousBlock = blocks[index];
+    }
+    index++;
+  }
+
+  return chunks.join('');
+};
+
+module.exports = convertFromDraftStateToMarkdown;
@@ -18,6 +18,7 @@ import type {RawDraftContentState} from 'RawDraftContentState';
 
 const ContentBlock = require('ContentBlock');
 const ContentBlockNode = require('ContentBlockNode');
+const DraftRawMigrations = require('DraftRawMigrations');
 const DraftStringKey = require('DraftStringKey');
 
 const encodeEntityRanges = require('encodeEntityRanges');
@@ -101,6 +102,7 @@ const encodeRawBlocks = (
   });
 
   return {
+    ...rawState,
     blocks: rawBlocks,
     entityMap,
   };
@@ -126,6 +128,7 @@ const encodeRawEntityMap = (
   });
 
   return {
+    ...rawState,
     blocks,
     entityMap: rawEntityMap,
   };
@@ -134,11 +137,17 @@ const encodeRawEntityMap = (
 const convertFromDraftStateToRaw = (
   contentState: ContentState,
 ): RawDraftContentState => {
-  let rawDraftContentState = {
+  let rawDraftContentState: RawDraftContentState = {
     entityMap: {},
     blocks: [],
+    version: DraftRawMigrations.RAW_FORMAT_VERSION,
   };
 
+  const dataVersion = DraftRawMigrations.getDataVersion();
+  if (dataVersion) {
+    rawDraftContentState.dataVersion = dataVersion;
+  }
+
   // add blocks
   rawDraftContentState = encodeRawBlocks(contentState, rawDraftContentState);
 
@@ -0,0 +1,149 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @format
+ * @flow
+ * @emails oncall+draft_js
+ */
+
+'use strict';
+
+import type {BlockNodeRecord} from 'BlockNodeRecord';
+import type ContentState from 'ContentState';
+import type EditorState from 'EditorState';
+import type {
+  RawDraftHistory,
+  RawDraftHistoryBlock,
+  RawDraftHistoryEntry,
+  RawDraftSelection,
+} from 'RawDraftHistory';
+import type SelectionState from 'SelectionState';
+import type {Stack} from 'immutable';
+
+const ContentBlockNode = require('ContentBlockNode');
+const DraftRawMigrations = require('DraftRawMigrations');
+const DraftStringKey = require('DraftStringKey');
+
+const encodeEntityRanges = require('encodeEntityRanges');
+const encodeInlineStyleRanges = require('encodeInlineStyleRanges');
+
+const encodeSelection = (selection: SelectionState): RawDraftSelection => ({
+  anchorKey: selection.getAnchorKey(),
+  anchorOffset: selection.getAnchorOffset(),
+  focusKey: selection.getFocusKey(),
+  focusOffset: selection.getFocusOffset(),
+  isBackward: selection.getIsBackward(),
+});
+
+const encodeBlock = (
+  block: BlockNodeRecord,
+  entityStorageMap: {[key: string]: string},
+): RawDraftHistoryBlock => {
+  // Entities share one storage map across all the entries of the history.
+  block.findEntityRanges(
+    character => character.getEntity() !== null,
+    start => {
+      const key = DraftStringKey.stringify(block.getEntityAt(start));
+      if (!entityStorageMap.hasOwnProperty(key)) {
+        entityStorageMap[key] = String(Object.keys(entityStorageMap).length);
+      }
+    },
+  );
+
+  const rawBlock = {
+    key: block.getKey(),
+    text: block.getText(),
+    type: block.getType(),
+    depth: block.getDepth(),
+    inlineStyleRanges: encodeInlineStyleRanges(block),
+    entityRanges: encodeEntityRanges(block, entityStorageMap),
+    data: block.getData().toObject(),
+  };
+  if (!(block instanceof ContentBlockNode)) {
+    return rawBlock;
+  }
+  return {
+    ...rawBlock,
+    parentKey: block.getParentKey(),
+    childKeys: block.getChildKeys().toArray(),
+    prevSiblingKey: block.getPrevSiblingKey(),
+    nextSiblingKey: block.getNextSiblingKey(),
+  };
+};
+
+/**
+ * Each entry only records the blocks that differ from the content of the
+ * entry before it, starting from the current content.
+ */
+const encodeStack = (
+  stack: Stack<ContentState>,
+  currentContent: ContentState,
+  entityStorageMap: {[key: string]: string},
+): Array<RawDraftHistoryEntry> => {
+  let previousBlockMap = currentContent.getBlockMap();
+  return stack.toArray().map(content => {
+    const blockMap = content.getBlockMap();
+    const blocks = [];
+    blockMap.forEach((block, key) => {
+      if (previousBlockMap.get(key) !== block) {
+        blocks.push(encodeBlock(block, entityStorageMap));
+      }
+    });
+    previousBlockMap = blockMap;
+    return {
+      blockKeys: blockMap.keySeq().toArray(),
+      blocks,
+      selectionBefore: encodeSelection(content.getSelectionBefore()),
+      selectionAfter: encodeSelection(content.getSelectionAfter()),
+    };
+  });
+};
+
+/**
+ * Convert the undo and redo stacks of an EditorState to plain objects, to be
+ * restored with `convertFromRawHistory` on the same current content.
+ */
+const convertFromEditorStateToRawHistory = (
+  editorState: EditorState,
+): RawDraftHistory => {
+  const currentContent = editorState.getCurrentContent();
+  const entityStorageMap = {};
+
+  const rawHistory: RawDraftHistory = {
+    undoStack: encodeStack(
+      editorState.getUndoStack(),
+      currentContent,
+      entityStorageMap,
+    ),
+    redoStack: encodeStack(
+      editorState.getRedoStack(),
+      currentContent,
+      entityStorageMap,
+    ),
+    selectionBefore: encodeSelection(currentContent.getSelectionBefore()),
+    selectionAfter: encodeSelection(currentContent.getSelectionAfter()),
+    entityMap: {},
+    version: DraftRawMigrations.RAW_FORMAT_VERSION,
+  };
+
+  Object.keys(entityStorageMap).forEach(key => {
+    const entity = currentContent.getEntity(DraftStringKey.unstringify(key));
+    rawHistory.entityMap[entityStorageMap[key]] = {
+      type: entity.getType(),
+      mutability: entity.getMutability(),
+      data: entity.getData(),
+    };
+  });
+
+  const dataVersion = DraftRawMigrations.getDataVersion();
+  if (dataVersion) {
+    rawHistory.dataVersion = dataVersion;
+  }
+
+  return rawHistory;
+};
+
+module.exports = convertFromEditorStateToRawHistory;
@@ -0,0 +1,49 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @format
+ * @flow
+ * @emails oncall+draft_js
+ */
+
+'use strict';
+
+import type {BlockNodeRecord} from 'BlockNodeRecord';
+import type {DraftBlockRenderMap} from 'DraftBlockRenderMap';
+import type {DraftNestedContentOptions} from 'DraftNestedContent';
+import type {EntityMap} from 'EntityMap';
+
+const DraftNestedContent = require('DraftNestedContent');
+
+const convertFromHTMLToContentBlocksClassic = require('convertFromHTMLToContentBlocks');
+const convertFromHTMLToContentBlocksNew = require('convertFromHTMLToContentBlocks2');
+const gkx = require('gkx');
+
+/**
+ * Convert HTML to content blocks with the refactored HTML importer when it is
+ * enabled, or for nested content, as only this importer nests the blocks of
+ * the HTML elements in one another, such as the lists of a blockquote.
+ */
+const convertFromHTML = (
+  html: string,
+  DOMBuilder?: Function,
+  blockRenderMap?: DraftBlockRenderMap,
+  options?: DraftNestedContentOptions,
+): ?{contentBlocks: ?Array<BlockNodeRecord>, entityMap: EntityMap} => {
+  const convertFromHTMLToContentBlocks =
+    gkx('draft_refactored_html_importer') ||
+    DraftNestedContent.isEnabled(options)
+      ? convertFromHTMLToContentBlocksNew
+      : convertFromHTMLToContentBlocksClassic;
+  return convertFromHTMLToContentBlocks(
+    html,
+    DOMBuilder,
+    blockRenderMap,
+    options,
+  );
+};
+
+module.exports = convertFromHTML;
@@ -16,13 +16,17 @@ import type {DraftBlockRenderConfig} from 'DraftBlockRenderConfig';
 import type {DraftBlockRenderMap} from 'DraftBlockRenderMap';
 import type {DraftBlockType} from 'DraftBlockType';
 import type {DraftInlineStyle} from 'DraftInlineStyle';
+import type {DraftNestedContentOptions} from 'DraftNestedContent';
 import type {EntityMap} from 'EntityMap';
 
 const CharacterMetadata = require('CharacterMetadata');
 const ContentBlock = require('ContentBlock');
 const ContentBlockNode = require('ContentBlockNode');
 const DefaultDraftBlockRenderMap = require('DefaultDraftBlockRenderMap');
+const DraftBlockDirection = require('DraftBlockDirection');
+const DraftCheckableListItem = require('DraftCheckableListItem');
 const DraftEntity = require('DraftEntity');
+const DraftNestedContent = require('DraftNestedContent');
 const Immutable = require('immutable');
 const {Set} = require('immutable');
 const URI = require('URI');
@@ -34,13 +38,12 @@ const gkx = require('gkx');
 const invariant = require('invariant');
 const sanitizeDraftText = require('sanitizeDraftText');
 
-const experimentalTreeDataSupport = gkx('draft_tree_data_support');
-
 type Block = {
   type: DraftBlockType,
   depth: number,
   key?: string,
   parent?: string,
+  data?: Map<string, any>,
 };
 
 type Chunk = {
@@ -50,7 +53,7 @@ type Chunk = {
   blocks: Array<Block>,
 };
 
-const {List, OrderedSet} = Immutable;
+const {List, Map, OrderedSet} = Immutable;
 
 const NBSP = '&nbsp;';
 const SPACE = ' ';
@@ -93,12 +96,22 @@ const knownListItemDepthClasses = {
   [cx('public/DraftStyleDefault/depth4')]: 4,
 };
 
+// Tables, rows and cells are only imported as blocks for nested content,
+// as cells are children of rows, which are children of tables.
+const tableTags = ['table', 'td', 'th', 'tr'];
+const tableSectionTags = ['tbody', 'tfoot', 'thead'];
+const tableContainerTags = ['table', 'tr'].concat(tableSectionTags);
+const tableCellTags = ['td', 'th'];
+
 const anchorAttr = ['className', 'href', 'rel', 'target', 'title'];
 
 const imgAttr = ['alt', 'className', 'height', 'src', 'width'];
 
 let lastBlock;
 
+// Whether the blocks of the current conversion are nested.
+let experimentalTreeDataSupport = false;
+
 const EMPTY_CHUNK = {
   text: '',
   inlines: [],
@@ -137,7 +150,12 @@ const getBlockMapSupportedTags = (
   });
 
   return tags
-    .filter(tag => tag && tag !== unstyledElement)
+    .filter(
+      tag =>
+        tag &&
+        tag !== unstyledElement &&
+        (experimentalTreeDataSupport || tableTags.indexOf(tag) === -1),
+    )
     .toArray()
     .sort();
 };
@@ -355,6 +373,27 @@ const getListItemDepth = (node: HTMLElement, depth: number = 0): number => {
   return depth;
 };
 
+/**
+ * The checkbox at the start of a list item, which makes it a checkable list
+ * item. The content of items of loose lists is wrapped in paragraphs.
+ */
+const getListItemCheckbox = (node: Node): ?HTMLInputElement => {
+  let child = node.firstChild;
+  while (
+    child &&
+    child.nodeName === '#text' &&
+    (child.textContent || '').trim() === ''
+  ) {
+    child = child.nextSibling;
+  }
+  if (child && child.nodeName.toLowerCase() === 'p') {
+    return getListItemCheckbox(child);
+  }
+  return child instanceof HTMLInputElement && child.type === 'checkbox'
+    ? child
+    : null;
+};
+
 const genFragment = (
   entityMap: EntityMap,
   node: Node,
@@ -392,6 +431,17 @@ const genFragment = (
       }
     }
 
+    // Nor for the spaces between the rows and cells of tables
+    if (
+      experimentalTreeDataSupport &&
+      nodeTextContent === '' &&
+      node.parentElement &&
+      tableContainerTags.indexOf(node.parentElement.nodeName.toLowerCase()) !==
+        -1
+    ) {
+      return {chunk: {...EMPTY_CHUNK}, entityMap};
+    }
+
     if (nodeTextContent === '' && inBlock !== 'pre') {
       return {chunk: getWhitespaceChunk(inEntity), entityMap};
     }
@@ -483,15 +533,38 @@ const genFragment = (
     depth = getListItemDepth(node, depth);
   }
 
-  const blockType = getBlockTypeForTag(nodeName, lastList, blockRenderMap);
+  let blockType = getBlockTypeForTag(nodeName, lastList, blockRenderMap);
+  const checkbox =
+    nodeName === 'li' && blockRenderMap.has('checkable-list-item')
+      ? getListItemCheckbox(node)
+      : null;
+  if (checkbox) {
+    blockType = 'checkable-list-item';
+  }
   const inListBlock = lastList && inBlock === 'li' && nodeName === 'li';
+  // Table cells are leaves, whose blocks are imported as lines of text.
   const inBlockOrHasNestedBlocks =
-    (!inBlock || experimentalTreeDataSupport) &&
+    (!inBlock ||
+      (experimentalTreeDataSupport && tableCellTags.indexOf(inBlock) === -1)) &&
     blockTags.indexOf(nodeName) !== -1;
 
   // Block Tags
   if (inListBlock || inBlockOrHasNestedBlocks) {
     chunk = getBlockDividerChunk(blockType, depth, parentKey);
+    const direction =
+      node instanceof HTMLElement
+        ? DraftBlockDirection.fromHTMLDir(node.getAttribute('dir'))
+        : null;
+    let data = Map();
+    if (direction) {
+      data = data.set(DraftBlockDirection.DATA_KEY, direction);
+    }
+    if (checkbox && checkbox.checked) {
+      data = data.set(DraftCheckableListItem.DATA_KEY, true);
+    }
+    if (data.size) {
+      chunk.blocks[0].data = data;
+    }
     blockKey = chunk.blocks[0].key;
     inBlock = nodeName;
     newBlock = !experimentalTreeDataSupport;
@@ -503,6 +576,10 @@ const genFragment = (
       lastList === 'ul' ? 'unordered-list-item' : 'ordered-list-item';
   }
 
+  // Rows are children of their table through the sections of the table.
+  const childParentKey =
+    blockKey || (tableSectionTags.indexOf(nodeName) !== -1 ? parentKey : null);
+
   // Recurse through children
   let child: ?Node = node.firstChild;
   if (child != null) {
@@ -547,7 +624,7 @@ const genFragment = (
       depth,
       blockRenderMap,
       entityId || inEntity,
-      experimentalTreeDataSupport ? blockKey : null,
+      experimentalTreeDataSupport ? childParentKey : null,
     );
 
     newChunk = generatedChunk;
@@ -557,7 +634,12 @@ const genFragment = (
     const sibling: ?Node = child.nextSibling;
 
     // Put in a newline to break up blocks inside blocks
-    if (!parentKey && sibling && blockTags.indexOf(nodeName) >= 0 && inBlock) {
+    if (
+      (!parentKey || tableCellTags.indexOf(inBlock) !== -1) &&
+      sibling &&
+      blockTags.indexOf(nodeName) >= 0 &&
+      inBlock
+    ) {
       chunk = joinChunks(chunk, getSoftNewlineChunk());
     }
     if (sibling) {
@@ -694,7 +776,7 @@ const convertChunkToContentBlocks = (chunk: Chunk): ?Array<BlockNodeRecord> => {
     );
     start = end + 1;
 
-    const {depth, type, parent} = block;
+    const {depth, type, parent, data} = block;
 
     const key = block.key || generateRandomKey();
     let parentTextNodeKey = null; // will be used to store container text nodes
@@ -741,6 +823,7 @@ const convertChunkToContentBlocks = (chunk: Chunk): ?Array<BlockNodeRecord> => {
       depth,
       text: textBlock,
       characterList,
+      ...(data ? {data} : {}),
       prevSibling:
         parentTextNodeKey ||
         (index === 0 || rawBlocks[index - 1].parent !== parent
@@ -766,10 +849,12 @@ const convertFromHTMLToContentBlocks = (
   html: string,
   DOMBuilder: Function = getSafeBodyFromHTML,
   blockRenderMap?: DraftBlockRenderMap = DefaultDraftBlockRenderMap,
+  options?: DraftNestedContentOptions,
 ): ?{contentBlocks: ?Array<BlockNodeRecord>, entityMap: EntityMap} => {
   // Be ABSOLUTELY SURE that the dom builder you pass here won't execute
   // arbitrary code in whatever environment you're running this in. For an
   // example of how we try to do this in-browser, see getSafeBodyFromHTML.
+  experimentalTreeDataSupport = DraftNestedContent.isEnabled(options);
 
   // TODO: replace DraftEntity with an OrderedMap here
   const chunkData = getChunkForHTML(
@@ -14,13 +14,17 @@
 import type {BlockNodeRecord} from 'BlockNodeRecord';
 import type {DraftBlockRenderMap} from 'DraftBlockRenderMap';
 import type {DraftInlineStyle} from 'DraftInlineStyle';
+import type {DraftNestedContentOptions} from 'DraftNestedContent';
 import type {EntityMap} from 'EntityMap';
 
 const CharacterMetadata = require('CharacterMetadata');
 const ContentBlock = require('ContentBlock');
 const ContentBlockNode = require('ContentBlockNode');
 const DefaultDraftBlockRenderMap = require('DefaultDraftBlockRenderMap');
+const DraftBlockDirection = require('DraftBlockDirection');
+const DraftCheckableListItem = require('DraftCheckableListItem');
 const DraftEntity = require('DraftEntity');
+const DraftNestedContent = require('DraftNestedContent');
 const URI = require('URI');
 
 const cx = require('cx');
@@ -29,8 +33,6 @@ const getSafeBodyFromHTML = require('getSafeBodyFromHTML');
 const gkx = require('gkx');
 const {List, Map, OrderedSet} = require('immutable');
 
-const experimentalTreeDataSupport = gkx('draft_tree_data_support');
-
 const NBSP = '&nbsp;';
 const SPACE = ' ';
 
@@ -161,6 +163,34 @@ const isValidImage = (node: Node): boolean => {
 const isListNode = (nodeName: ?string): boolean =>
   nodeName === 'ul' || nodeName === 'ol';
 
+/**
+ * Determine if a nodeName is a table, row or cell, which are only imported as
+ * blocks for nested content.
+ */
+const isTableNode = (nodeName: string): boolean =>
+  ['table', 'tr', 'td', 'th'].indexOf(nodeName) !== -1;
+
+/**
+ * The checkbox at the start of a list item, which makes it a checkable list
+ * item. The content of items of loose lists is wrapped in paragraphs.
+ */
+const getListItemCheckbox = (node: Node): ?HTMLInputElement => {
+  let child = node.firstChild;
+  while (
+    child &&
+    child.nodeName === '#text' &&
+    (child.textContent || '').trim() === ''
+  ) {
+    child = child.nextSibling;
+  }
+  if (child && child.nodeName.toLowerCase() === 'p') {
+    return getListItemCheckbox(child);
+  }
+  return child instanceof HTMLInputElement && child.type === 'checkbox'
+    ? child
+    : null;
+};
+
 /**
  *  ContentBlockConfig is a mutable data structure that holds all
  *  the information required to build a ContentBlock and an array of
@@ -227,13 +257,18 @@ class ContentBlocksBuilder {
   blockTypeMap: BlockTypeMap;
   disambiguate: (string, ?string) => ?string;
 
+  // Whether to make nested content blocks
+  experimentalTreeDataSupport: boolean;
+
   constructor(
     blockTypeMap: BlockTypeMap,
     disambiguate: (string, ?string) => ?string,
+    experimentalTreeDataSupport?: boolean = false,
   ): void {
     this.clear();
     this.blockTypeMap = blockTypeMap;
     this.disambiguate = disambiguate;
+    this.experimentalTreeDataSupport = experimentalTreeDataSupport;
   }
 
   /**
@@ -280,7 +315,7 @@ class ContentBlocksBuilder {
     entityMap: EntityMap,
   } {
     if (this.contentBlocks.length === 0) {
-      if (experimentalTreeDataSupport) {
+      if (this.experimentalTreeDataSupport) {
         this._toContentBlocks(this.blockConfigs);
       } else {
         this._toFlatContentBlocks(this.blockConfigs);
@@ -370,7 +405,10 @@ class ContentBlocksBuilder {
         continue;
       }
 
-      let blockType = this.blockTypeMap.get(nodeName);
+      let blockType =
+        this.experimentalTreeDataSupport || !isTableNode(nodeName)
+          ? this.blockTypeMap.get(nodeName)
+          : undefined;
       if (blockType !== undefined) {
         // 'block' type node means we need to create a block config
         // with the text accumulated so far (if any)
@@ -383,30 +421,55 @@ class ContentBlocksBuilder {
         const wasWrapper = this.wrapper;
         this.wrapper = nodeName === 'pre' ? 'pre' : this.wrapper;
 
+        const checkbox = nodeName === 'li' ? getListItemCheckbox(node) : null;
         if (typeof blockType !== 'string') {
           blockType =
+            (checkbox && blockType.indexOf('checkable-list-item') !== -1
+              ? 'checkable-list-item'
+              : null) ||
             this.disambiguate(nodeName, this.wrapper) ||
             blockType[0] ||
             'unstyled';
         }
 
         if (
-          !experimentalTreeDataSupport &&
+          !this.experimentalTreeDataSupport &&
           node instanceof HTMLElement &&
           (blockType === 'unordered-list-item' ||
-            blockType === 'ordered-list-item')
+            blockType === 'ordered-list-item' ||
+            blockType === 'checkable-list-item')
         ) {
           this.currentDepth = getListItemDepth(node, this.currentDepth);
         }
 
         const key = generateRandomKey();
-        const childConfigs = this._toBlockConfigs(Array.from(node.childNodes));
+        const direction =
+          node instanceof HTMLElement
+            ? DraftBlockDirection.fromHTMLDir(node.getAttribute('dir'))
+            : null;
+        let data = Map();
+        if (direction) {
+          data = data.set(DraftBlockDirection.DATA_KEY, direction);
+        }
+        if (
+          checkbox &&
+          checkbox.checked &&
+          blockType === 'checkable-list-item'
+        ) {
+          data = data.set(DraftCheckableListItem.DATA_KEY, true);
+        }
+        let childConfigs = this._toBlockConfigs(Array.from(node.childNodes));
         this._trimCurrentText();
+        if (blockType === 'table-cell') {
+          this._addCellText(childConfigs);
+          childConfigs = [];
+        }
         blockConfigs.push(
           this._makeBlockConfig({
             key,
             childConfigs,
             type: blockType,
+            ...(data.size ? {data} : {}),
           }),
         );
 
@@ -466,6 +529,44 @@ class ContentBlocksBuilder {
     );
   }
 
+  /**
+   * Table cells hold text rather than blocks, so the text of the blocks in a
+   * cell is added to the text of the cell, one line per block.
+   */
+  _addCellText(blockConfigs: Array<ContentBlockConfig>) {
+    const lines = [];
+    const addLines = configs =>
+      configs.forEach(config => {
+        if (config.text !== '') {
+          lines.push(config);
+        }
+        addLines(config.childConfigs);
+      });
+    addLines(blockConfigs);
+    if (!lines.length) {
+      return;
+    }
+
+    let text = '';
+    let characterList = List();
+    lines.forEach(line => {
+      if (text !== '') {
+        text += '\n';
+        characterList = characterList.push(CharacterMetadata.EMPTY);
+      }
+      text += line.text;
+      characterList = characterList.concat(line.characterList);
+    });
+    if (this.currentText !== '') {
+      text += '\n' + this.currentText;
+      characterList = characterList
+        .push(CharacterMetadata.EMPTY)
+        .concat(this.characterList);
+    }
+    this.currentText = text;
+    this.characterList = characterList;
+  }
+
   /**
    * Trim the text in the internal buffer.
    */
@@ -719,6 +820,7 @@ const convertFromHTMLToContentBlocks = (
   html: string,
   DOMBuilder: Function = getSafeBodyFromHTML,
   blockRenderMap?: DraftBlockRenderMap = DefaultDraftBlockRenderMap,
+  options?: DraftNestedContentOptions,
 ): ?{contentBlocks: ?Array<BlockNodeRecord>, entityMap: EntityMap} => {
   // Be ABSOLUTELY SURE that the dom builder you pass here won't execute
   // arbitrary code in whatever environment you're running this in. For an
@@ -750,7 +852,11 @@ const convertFromHTMLToContentBlocks = (
     return null;
   };
 
-  return new ContentBlocksBuilder(blockTypeMap, disambiguate)
+  return new ContentBlocksBuilder(
+    blockTypeMap,
+    disambiguate,
+    DraftNestedContent.isEnabled(options),
+  )
     .addDOMNode(safeBody)
     .getContentBlocks();
 };
@@ -0,0 +1,693 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @format
+ * @flow
+ * @emails oncall+draft_js
+ */
+
+'use strict';
+
+import type ContentState from 'ContentState';
+import type {DraftBlockType} from 'DraftBlockType';
+import type {EntityRange} from 'EntityRange';
+import type {InlineStyleRange} from 'InlineStyleRange';
+import type {RawDraftContentBlock} from 'RawDraftContentBlock';
+import type {RawDraftEntity} from 'RawDraftEntity';
+
+const UnicodeUtils = require('UnicodeUtils');
+
+const convertFromRawToDraftState = require('convertFromRawToDraftState');
+
+const {strlen} = UnicodeUtils;
+
+type MarkdownBlock = {
+  type: DraftBlockType,
+  depth: number,
+  // Inline markdown source, or literal text for code blocks.
+  source: string,
+  data?: Object,
+};
+
+type Delimiter = {
+  char: string,
+  // Characters not yet matched.
+  length: number,
+  originalLength: number,
+  canOpen: boolean,
+  canClose: boolean,
+};
+
+type InlineNode = {
+  text: string,
+  styles: Array<string>,
+  entity: ?number,
+  delimiter: ?Delimiter,
+};
+
+// Arbitrary max indent, consistent with the HTML importer
+const MAX_DEPTH = 4;
+
+// Text used for inline images, consistent with the HTML importer
+const IMAGE_TEXT = '\ud83d\udcf7';
+
+const headerTypes = [
+  'header-one',
+  'header-two',
+  'header-three',
+  'header-four',
+  'header-five',
+  'header-six',
+];
+
+const REGEX_BLANK = /^\s*$/;
+const REGEX_FENCE = /^ {0,3}(`{3,}|~{3,})\s*([^`\s]*)[^`]*$/;
+const REGEX_HEADER = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const REGEX_SETEXT = /^ {0,3}(=+|-+)[ \t]*$/;
+const REGEX_RULE = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const REGEX_QUOTE = /^ {0,3}> ?(.*)$/;
+const REGEX_LIST_ITEM = /^([ \t]*)([-*+]|\d{1,9}[.)])(?:[ \t]+(.*))?$/;
+const REGEX_ESCAPABLE = /[!-/:-@[-`{-~]/;
+const REGEX_CHARACTER_REFERENCE = /^&#(?:(\d{1,7})|[xX]([0-9a-fA-F]{1,6}));/;
+
+/**
+ * The character of a numeric character reference, or the replacement
+ * character for code points that cannot be represented.
+ */
+const decodeCodePoint = (codePoint: number): string => {
+  if (
+    !codePoint ||
+    codePoint > 0x10ffff ||
+    (codePoint >= 0xd800 && codePoint <= 0xdfff)
+  ) {
+    return '\ufffd';
+  }
+  if (codePoint <= 0xffff) {
+    return String.fromCharCode(codePoint);
+  }
+  const offset = codePoint - 0x10000;
+  return String.fromCharCode(
+    0xd800 + Math.floor(offset / 0x400),
+    0xdc00 + (offset % 0x400),
+  );
+};
+
+const getIndent = (whitespace: string): number =>
+  whitespace.replace(/\t/g, '    ').length;
+
+const startsBlock = (line: string): boolean =>
+  REGEX_FENCE.test(line) ||
+  REGEX_HEADER.test(line) ||
+  REGEX_RULE.test(line) ||
+  REGEX_QUOTE.test(line) ||
+  REGEX_LIST_ITEM.test(line);
+
+/**
+ * Join the lines of a paragraph. Lines ending with a backslash or two spaces
+ * are hard breaks and become soft newlines in the block, other line endings
+ * are rendered as spaces by Markdown.
+ */
+const joinLines = (lines: Array<string>): string =>
+  lines.reduce((joined, line, index) => {
+    const text = line.replace(/^\s+/, '');
+    if (index === 0) {
+      return text;
+    }
+
+    if (/(\\| {2,})$/.test(joined)) {
+      return joined.replace(/(\\| {2,})$/, '') + '\n' + text;
+    }
+    return joined.replace(/\s+$/, '') + ' ' + text;
+  }, '');
+
+const parseBlocks = (markdown: string): Array<MarkdownBlock> => {
+  const lines = markdown.split(/\r\n?|\n/);
+  const blocks = [];
+  let paragraph = [];
+  let listIndents = [];
+  let index = 0;
+
+  const flushParagraph = () => {
+    if (paragraph.length) {
+      blocks.push({type: 'unstyled', depth: 0, source: joinLines(paragraph)});
+      paragraph = [];
+    }
+  };
+
+  while (index < lines.length) {
+    const line = lines[index];
+    let match;
+
+    if (REGEX_BLANK.test(line)) {
+      flushParagraph();
+      index++;
+      continue;
+    }
+
+    // Setext headers turn the preceding paragraph into a header.
+    if (paragraph.length && (match = line.match(REGEX_SETEXT))) {
+      blocks.push({
+        type: match[1][0] === '=' ? 'header-one' : 'header-two',
+        depth: 0,
+        source: joinLines(paragraph),
+      });
+      paragraph = [];
+      index++;
+      continue;
+    }
+
+    if (paragraph.length && !startsBlock(line)) {
+      paragraph.push(line);
+      index++;
+      continue;
+    }
+
+    flushParagraph();
+
+    if ((match = line.match(REGEX_FENCE))) {
+      const fence = match[1];
+      const code = [];
+      index++;
+      while (
+        index < lines.length &&
+        !new RegExp(`^ {0,3}${fence[0]}{${fence.length},}\\s*$`).test(
+          lines[index],
+        )
+      ) {
+        code.push(lines[index]);
+        index++;
+      }
+      blocks.push({
+        type: 'code-block',
+        depth: 0,
+        source: code.join('\n'),
+        data: match[2] ? {language: match[2]} : undefined,
+      });
+      listIndents = [];
+      index++;
+      continue;
+    }
+
+    if ((match = line.match(REGEX_HEADER))) {
+      blocks.push({
+        type: headerTypes[match[1].length - 1],
+        depth: 0,
+        source: match[2] || '',
+      });
+      listIndents = [];
+      index++;
+      continue;
+    }
+
+    if (REGEX_RULE.test(line)) {
+      listIndents = [];
+      index++;
+      continue;
+    }
+
+    if ((match = line.match(REGEX_QUOTE))) {
+      // Paragraphs within a quote become separate blockquote blocks.
+      let quoted = [];
+      while (
+        index < lines.length &&
+        (match = lines[index].match(REGEX_QUOTE))
+      ) {
+        if (REGEX_BLANK.test(match[1])) {
+          if (quoted.length) {
+            blocks.push({
+              type: 'blockquote',
+              depth: 0,
+              source: joinLines(quoted),
+            });
+          }
+          quoted = [];
+        } else {
+          quoted.push(match[1]);
+        }
+        index++;
+      }
+      if (quoted.length) {
+        blocks.push({type: 'blockquote', depth: 0, source: joinLines(quoted)});
+      }
+      listIndents = [];
+      continue;
+    }
+
+    if ((match = line.match(REGEX_LIST_ITEM))) {
+      const indent = getIndent(match[1]);
+      while (
+        listIndents.length &&
+        listIndents[listIndents.length - 1] >= indent
+      ) {
+        listIndents.pop();
+      }
+      const depth = Math.min(listIndents.length, MAX_DEPTH);
+      listIndents.push(indent);
+
+      // Continuation lines belong to the item until a blank line or a new
+      // block starts.
+      const itemLines = [match[3] || ''];
+      index++;
+      while (
+        index < lines.length &&
+        !REGEX_BLANK.test(lines[index]) &&
+        !startsBlock(lines[index])
+      ) {
+        itemLines.push(lines[index]);
+        index++;
+      }
+      blocks.push({
+        type: /\d/.test(match[2]) ? 'ordered-list-item' : 'unordered-list-item',
+        depth,
+        source: joinLines(itemLines),
+      });
+      continue;
+    }
+
+    if (getIndent((line.match(/^\s*/) || [''])[0]) === 0) {
+      listIndents = [];
+    }
+    paragraph.push(line);
+    index++;
+  }
+
+  flushParagraph();
+
+  return blocks;
+};
+
+/**
+ * Find the end of a bracketed or parenthesized span starting at `start`,
+ * honoring escapes and nesting. Returns -1 when it is not closed.
+ */
+const findClosing = (
+  source: string,
+  start: number,
+  open: string,
+  close: string,
+): number => {
+  let level = 0;
+  for (let ii = start; ii < source.length; ii++) {
+    const char = source[ii];
+    if (char === '\\') {
+      ii++;
+    } else if (char === open) {
+      level++;
+    } else if (char === close) {
+      level--;
+      if (level === 0) {
+        return ii;
+      }
+    }
+  }
+  return -1;
+};
+
+const unescape = (text: string): string =>
+  text.replace(/\\([!-/:-@[-`{-~])/g, '$1');
+
+/**
+ * Parse `[text](destination "title")` starting at the opening bracket.
+ */
+const parseLink = (
+  source: string,
+  start: number,
+): ?{text: string, url: string, title: ?string, end: number} => {
+  const textEnd = findClosing(source, start, '[', ']');
+  if (textEnd === -1 || source[textEnd + 1] !== '(') {
+    return null;
+  }
+  const end = findClosing(source, textEnd + 1, '(', ')');
+  if (end === -1) {
+    return null;
+  }
+  const match = source
+    .slice(textEnd + 2, end)
+    .match(
+      /^\s*(?:<([^>]*)>|(\S*))(?:\s+(?:"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'))?\s*$/,
+    );
+  if (!match) {
+    return null;
+  }
+  const title = match[3] || match[4];
+  return {
+    text: source.slice(start + 1, textEnd),
+    url: unescape(match[1] || match[2] || ''),
+    title: title ? unescape(title) : null,
+    end: end + 1,
+  };
+};
+
+const getRunLength = (source: string, start: number): number => {
+  let end = start;
+  while (source[end] === source[start]) {
+    end++;
+  }
+  return end - start;
+};
+
+// Start and end of input count as whitespace.
+const isWhitespace = (char: ?string): boolean => !char || /\s/.test(char);
+
+const isPunctuation = (char: ?string): boolean =>
+  !!char && REGEX_ESCAPABLE.test(char);
+
+/**
+ * Create the node for a run of `*`, `_` or `~` starting at `start`, which
+ * may open or close emphasis depending on its surroundings, following the
+ * CommonMark flanking rules.
+ */
+const createDelimiterNode = (
+  source: string,
+  start: number,
+  entity: ?number,
+): InlineNode => {
+  const char = source[start];
+  const length = getRunLength(source, start);
+  const text = char.repeat(length);
+  if (char === '~' && length !== 2) {
+    return {text, styles: [], entity, delimiter: null};
+  }
+  const previous = source[start - 1];
+  const next = source[start + length];
+  const isLeftFlanking =
+    !isWhitespace(next) &&
+    (!isPunctuation(next) || isWhitespace(previous) || isPunctuation(previous));
+  const isRightFlanking =
+    !isWhitespace(previous) &&
+    (!isPunctuation(previous) || isWhitespace(next) || isPunctuation(next));
+  return {
+    text,
+    styles: [],
+    entity,
+    delimiter: {
+      char,
+      length,
+      originalLength: length,
+      canOpen:
+        isLeftFlanking &&
+        (char !== '_' || !isRightFlanking || isPunctuation(previous)),
+      canClose:
+        isRightFlanking &&
+        (char !== '_' || !isLeftFlanking || isPunctuation(next)),
+    },
+  };
+};
+
+const getEmphasisStyle = (char: string, length: number): string => {
+  if (char === '~') {
+    return 'STRIKETHROUGH';
+  }
+  return length === 2 ? 'BOLD' : 'ITALIC';
+};
+
+/**
+ * Match delimiter runs into emphasis, as in the CommonMark "process emphasis"
+ * algorithm: each closer is paired with the nearest compatible opener, and
+ * the nodes in between are styled. Unmatched delimiters are left as text.
+ */
+const processEmphasis = (nodes: Array<InlineNode>): void => {
+  nodes.forEach((node, closerIndex) => {
+    const closer = node.delimiter;
+    if (!closer || !closer.canClose) {
+      return;
+    }
+    let openerIndex = closerIndex - 1;
+    while (closer.length > 0 && openerIndex >= 0) {
+      const opener = nodes[openerIndex].delimiter;
+      if (
+        !opener ||
+        !opener.canOpen ||
+        opener.length === 0 ||
+        opener.char !== closer.char ||
+        ((opener.canClose || closer.canOpen) &&
+          (opener.originalLength + closer.originalLength) % 3 === 0 &&
+          (opener.originalLength % 3 !== 0 || closer.originalLength % 3 !== 0))
+      ) {
+        openerIndex--;
+        continue;
+      }
+
+      const used = opener.length >= 2 && closer.length >= 2 ? 2 : 1;
+      const style = getEmphasisStyle(closer.char, used);
+      for (let ii = openerIndex + 1; ii < closerIndex; ii++) {
+        const inner = nodes[ii];
+        if (inner.styles.indexOf(style) === -1) {
+          inner.styles.push(style);
+        }
+        // Delimiters within matched emphasis cannot match outside of it.
+        if (inner.delimiter) {
+          inner.delimiter.canOpen = inner.delimiter.canClose = false;
+        }
+      }
+      opener.length -= used;
+      closer.length -= used;
+    }
+  });
+
+  nodes.forEach(node => {
+    if (node.delimiter) {
+      node.text = node.delimiter.char.repeat(node.delimiter.length);
+      node.delimiter = null;
+    }
+  });
+};
+
+const addEntity = (
+  entityMap: {[key: string]: RawDraftEntity},
+  type: string,
+  data: Object,
+): number => {
+  const key = Object.keys(entityMap).length;
+  entityMap[String(key)] = {type, mutability: 'MUTABLE', data};
+  return key;
+};
+
+/**
+ * Parse inline Markdown into styled text nodes. Code spans, links and images
+ * take precedence over emphasis, which is then resolved within each link text
+ * and within the whole source.
+ */
+const parseInline = (
+  source: string,
+  entity: ?number,
+  entityMap: {[key: string]: RawDraftEntity},
+): Array<InlineNode> => {
+  const nodes = [];
+  const pushText = (text: string, styles: Array<string> = []) => {
+    nodes.push({text, styles, entity, delimiter: null});
+  };
+
+  let ii = 0;
+  while (ii < source.length) {
+    const char = source[ii];
+
+    if (
+      char === '\\' &&
+      ii + 1 < source.length &&
+      REGEX_ESCAPABLE.test(source[ii + 1])
+    ) {
+      pushText(source[ii + 1]);
+      ii += 2;
+      continue;
+    }
+
+    if (char === '&') {
+      const match = source.slice(ii).match(REGEX_CHARACTER_REFERENCE);
+      if (match) {
+        pushText(
+          decodeCodePoint(
+            match[1] ? parseInt(match[1], 10) : parseInt(match[2], 16),
+          ),
+        );
+        ii += match[0].length;
+        continue;
+      }
+    }
+
+    if (char === '`') {
+      const run = getRunLength(source, ii);
+      let close = source.indexOf('`'.repeat(run), ii + run);
+      while (close !== -1 && getRunLength(source, close) !== run) {
+        close = source.indexOf(
+          '`'.repeat(run),
+          close + getRunLength(source, close),
+        );
+      }
+      if (close === -1) {
+        pushText('`'.repeat(run));
+        ii += run;
+        continue;
+      }
+      let code = source.slice(ii + run, close);
+      if (/^ .* $/.test(code) && /[^ ]/.test(code)) {
+        code = code.slice(1, -1);
+      }
+      pushText(code, ['CODE']);
+      ii = close + run;
+      continue;
+    }
+
+    if (char === '!' && source[ii + 1] === '[') {
+      const image = parseLink(source, ii + 1);
+      if (image) {
+        const data: Object = {src: image.url, alt: unescape(image.text)};
+        if (image.title) {
+          data.title = image.title;
+        }
+        nodes.push({
+          text: IMAGE_TEXT,
+          styles: [],
+          entity: addEntity(entityMap, 'IMAGE', data),
+          delimiter: null,
+        });
+        ii = image.end;
+        continue;
+      }
+    }
+
+    if (char === '[' && entity == null) {
+      const link = parseLink(source, ii);
+      if (link) {
+        const data: Object = {url: link.url};
+        if (link.title) {
+          data.title = link.title;
+        }
+        nodes.push(
+          ...parseInline(
+            link.text,
+            addEntity(entityMap, 'LINK', data),
+            entityMap,
+          ),
+        );
+        ii = link.end;
+        continue;
+      }
+    }
+
+    if (char === '*' || char === '_' || char === '~') {
+      const node = createDelimiterNode(source, ii, entity);
+      nodes.push(node);
+      ii += node.text.length;
+      continue;
+    }
+
+    pushText(char);
+    ii++;
+  }
+
+  processEmphasis(nodes);
+  return nodes;
+};
+
+/**
+ * Collect per-character attribution into ranges measured in code points,
+ * as expected by the raw format.
+ */
+function getRanges<T>(
+  text: string,
+  values: Array<?T>,
+  getRange: (value: T, offset: number, length: number) => void,
+): void {
+  let start = 0;
+  for (let ii = 1; ii <= values.length; ii++) {
+    if (ii === values.length || values[ii] !== values[start]) {
+      const value = values[start];
+      if (value != null) {
+        getRange(
+          value,
+          strlen(text.slice(0, start)),
+          strlen(text.slice(start, ii)),
+        );
+      }
+      start = ii;
+    }
+  }
+}
+
+const convertBlock = (
+  block: MarkdownBlock,
+  entityMap: {[key: string]: RawDraftEntity},
+): RawDraftContentBlock => {
+  const {type, depth, data} = block;
+
+  if (type === 'code-block') {
+    return {
+      key: null,
+      type,
+      depth,
+      text: block.source,
+      inlineStyleRanges: [],
+      entityRanges: [],
+      data: data || {},
+    };
+  }
+
+  let text = '';
+  const charStyles = [];
+  const charEntities = [];
+  parseInline(block.source, null, entityMap).forEach(node => {
+    text += node.text;
+    for (let ii = 0; ii < node.text.length; ii++) {
+      charStyles.push(node.styles);
+      charEntities.push(node.entity);
+    }
+  });
+
+  const inlineStyleRanges: Array<InlineStyleRange> = [];
+  ['BOLD', 'CODE', 'ITALIC', 'STRIKETHROUGH'].forEach(style => {
+    getRanges(
+      text,
+      charStyles.map(styles => (styles.indexOf(style) !== -1 ? style : null)),
+      (value, offset, length) => {
+        inlineStyleRanges.push({style: value, offset, length});
+      },
+    );
+  });
+
+  const entityRanges: Array<EntityRange> = [];
+  getRanges(text, charEntities, (key, offset, length) => {
+    entityRanges.push({key, offset, length});
+  });
+
+  // Markdown has no atomic blocks; a paragraph holding a single image is the
+  // closest equivalent.
+  const isImageBlock =
+    type === 'unstyled' &&
+    text === IMAGE_TEXT &&
+    entityRanges.length === 1 &&
+    entityMap[String(entityRanges[0].key)].type === 'IMAGE';
+
+  return {
+    key: null,
+    type: isImageBlock ? 'atomic' : type,
+    depth,
+    text,
+    inlineStyleRanges,
+    entityRanges,
+    data: data || {},
+  };
+};
+
+/**
+ * Parse Markdown into a ContentState. Only the subset of Markdown that maps
+ * onto Draft blocks, styles and entities is supported: see the lossy mapping
+ * policy in the Data Conversion docs.
+ */
+const convertFromMarkdownToDraftState = (markdown: string): ContentState => {
+  const entityMap = {};
+  const blocks = parseBlocks(markdown).map(block =>
+    convertBlock(block, entityMap),
+  );
+
+  if (!blocks.length) {
+    blocks.push(convertBlock({type: 'unstyled', depth: 0, source: ''}, {}));
+  }
+
+  return convertFromRawToDraftState({blocks, entityMap});
+};
+
+module.exports = convertFromMarkdownToDraftState;
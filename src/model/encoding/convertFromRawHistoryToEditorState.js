@@ -0,0 +1,179 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @format
+ * @flow
+ * @emails oncall+draft_js
+ */
+
+'use strict';
+
+import type {BlockNodeRecord} from 'BlockNodeRecord';
+import type ContentState from 'ContentState';
+import type {RawDraftContentBlock} from 'RawDraftContentBlock';
+import type {
+  RawDraftHistory,
+  RawDraftHistoryBlock,
+  RawDraftHistoryEntry,
+  RawDraftSelection,
+} from 'RawDraftHistory';
+
+const ContentBlock = require('ContentBlock');
+const ContentBlockNode = require('ContentBlockNode');
+const DraftEntity = require('DraftEntity');
+const DraftRawMigrations = require('DraftRawMigrations');
+const EditorState = require('EditorState');
+const SelectionState = require('SelectionState');
+
+const createCharacterList = require('createCharacterList');
+const decodeEntityRanges = require('decodeEntityRanges');
+const decodeInlineStyleRanges = require('decodeInlineStyleRanges');
+const Immutable = require('immutable');
+const invariant = require('invariant');
+
+const {List, Map, OrderedMap, Stack} = Immutable;
+
+const decodeSelection = (selection: RawDraftSelection): SelectionState =>
+  new SelectionState({...selection, hasFocus: false});
+
+/**
+ * Decode a block from its migrated content and the links to other blocks
+ * recorded with the block.
+ */
+const decodeBlock = (
+  block: RawDraftContentBlock,
+  links: RawDraftHistoryBlock,
+  entityMap: *,
+): BlockNodeRecord => {
+  const {type, text, depth, data} = block;
+  const {key} = links;
+  invariant(key != null, 'invalid RawDraftHistory');
+  const entityRanges = block.entityRanges || [];
+  const config = {
+    key,
+    type,
+    text,
+    depth: depth || 0,
+    data: Map(data),
+    characterList: createCharacterList(
+      decodeInlineStyleRanges(text, block.inlineStyleRanges || []),
+      decodeEntityRanges(
+        text,
+        entityRanges
+          .filter(range => entityMap.hasOwnProperty(range.key))
+          .map(range => ({...range, key: entityMap[range.key]})),
+      ),
+    ),
+  };
+  if (!Array.isArray(links.childKeys)) {
+    return new ContentBlock(config);
+  }
+  return new ContentBlockNode({
+    ...config,
+    parent: links.parentKey,
+    children: List(links.childKeys),
+    prevSibling: links.prevSiblingKey,
+    nextSibling: links.nextSiblingKey,
+  });
+};
+
+/**
+ * Rebuild the content of each entry from the blocks it records and the
+ * content of the entry before it, starting from the current content.
+ */
+const decodeStack = (
+  entries: Array<RawDraftHistoryEntry>,
+  blocksByEntry: Array<Array<BlockNodeRecord>>,
+  currentContent: ContentState,
+): Stack<ContentState> => {
+  let previous = currentContent;
+  return Stack(
+    entries.map((entry, ii) => {
+      const blocks = {};
+      blocksByEntry[ii].forEach(block => {
+        blocks[block.getKey()] = block;
+      });
+      const previousBlockMap = previous.getBlockMap();
+      const blockMap = OrderedMap(
+        entry.blockKeys.map(key => {
+          const block = blocks[key] || previousBlockMap.get(key);
+          invariant(block, 'RawDraftHistory does not match the content');
+          return [key, block];
+        }),
+      );
+      previous = previous.merge({
+        blockMap,
+        selectionBefore: decodeSelection(entry.selectionBefore),
+        selectionAfter: decodeSelection(entry.selectionAfter),
+      });
+      return previous;
+    }),
+  );
+};
+
+/**
+ * Restore the undo and redo stacks written by `convertToRawHistory` on an
+ * EditorState with the same current content.
+ */
+const convertFromRawHistoryToEditorState = (
+  editorState: EditorState,
+  rawHistory: RawDraftHistory,
+): EditorState => {
+  const {undoStack, redoStack} = rawHistory;
+  invariant(
+    Array.isArray(undoStack) && Array.isArray(redoStack),
+    'invalid RawDraftHistory',
+  );
+
+  // Migrate the blocks of all entries at once, as they share their entities.
+  const entries = undoStack.concat(redoStack);
+  const rawState = DraftRawMigrations.migrate({
+    blocks: [].concat(...entries.map(entry => entry.blocks)),
+    entityMap: rawHistory.entityMap || {},
+    version: rawHistory.version,
+    dataVersion: rawHistory.dataVersion,
+  });
+
+  const entityMap = {};
+  Object.keys(rawState.entityMap).forEach(rawEntityKey => {
+    const {type, mutability, data} = rawState.entityMap[rawEntityKey];
+    entityMap[rawEntityKey] = DraftEntity.__create(
+      type,
+      mutability,
+      data || {},
+    );
+  });
+
+  let offset = 0;
+  const blocksByEntry = entries.map(entry => {
+    const blocks = entry.blocks.map((links, ii) =>
+      decodeBlock(rawState.blocks[offset + ii], links, entityMap),
+    );
+    offset += entry.blocks.length;
+    return blocks;
+  });
+
+  const currentContent = editorState.getCurrentContent().merge({
+    selectionBefore: decodeSelection(rawHistory.selectionBefore),
+    selectionAfter: decodeSelection(rawHistory.selectionAfter),
+  });
+
+  return EditorState.set(editorState, {
+    currentContent,
+    undoStack: decodeStack(
+      undoStack,
+      blocksByEntry.slice(0, undoStack.length),
+      currentContent,
+    ),
+    redoStack: decodeStack(
+      redoStack,
+      blocksByEntry.slice(undoStack.length),
+      currentContent,
+    ),
+  });
+};
+
+module.exports = convertFromRawHistoryToEditorState;
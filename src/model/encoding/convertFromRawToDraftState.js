@@ -14,6 +14,7 @@
 import type {BlockMap} from 'BlockMap';
 import type {BlockNodeConfig} from 'BlockNode';
 import type CharacterMetadata from 'CharacterMetadata';
+import type {DraftNestedContentOptions} from 'DraftNestedContent';
 import type {RawDraftContentBlock} from 'RawDraftContentBlock';
 import type {RawDraftContentState} from 'RawDraftContentState';
 
@@ -21,6 +22,8 @@ const ContentBlock = require('ContentBlock');
 const ContentBlockNode = require('ContentBlockNode');
 const ContentState = require('ContentState');
 const DraftEntity = require('DraftEntity');
+const DraftNestedContent = require('DraftNestedContent');
+const DraftRawMigrations = require('DraftRawMigrations');
 const DraftTreeAdapter = require('DraftTreeAdapter');
 const DraftTreeInvariants = require('DraftTreeInvariants');
 const SelectionState = require('SelectionState');
@@ -29,12 +32,9 @@ const createCharacterList = require('createCharacterList');
 const decodeEntityRanges = require('decodeEntityRanges');
 const decodeInlineStyleRanges = require('decodeInlineStyleRanges');
 const generateRandomKey = require('generateRandomKey');
-const gkx = require('gkx');
 const Immutable = require('immutable');
 const invariant = require('invariant');
 
-const experimentalTreeDataSupport = gkx('draft_tree_data_support');
-
 const {List, Map, OrderedMap} = Immutable;
 
 const decodeBlockNodeConfig = (
@@ -212,6 +212,7 @@ const decodeContentBlocks = (
 const decodeRawBlocks = (
   rawState: RawDraftContentState,
   entityMap: *,
+  experimentalTreeDataSupport: boolean,
 ): BlockMap => {
   const isTreeRawBlock = rawState.blocks.find(
     block => Array.isArray(block.children) && block.children.length > 0,
@@ -260,16 +261,29 @@ const decodeRawEntityMap = (rawState: RawDraftContentState): * => {
   return entityMap;
 };
 
+/**
+ * Raw content written by earlier versions of Draft, or before the latest
+ * registered data migration, is upgraded before being decoded. With the
+ * `nested` option, flat raw content is decoded as nested content, and nested
+ * raw content is kept nested.
+ */
 const convertFromRawToDraftState = (
-  rawState: RawDraftContentState,
+  rawContent: RawDraftContentState,
+  options?: DraftNestedContentOptions,
 ): ContentState => {
-  invariant(Array.isArray(rawState.blocks), 'invalid RawDraftContentState');
+  invariant(Array.isArray(rawContent.blocks), 'invalid RawDraftContentState');
+
+  const rawState = DraftRawMigrations.migrate(rawContent);
 
   // decode entities
   const entityMap = decodeRawEntityMap(rawState);
 
   // decode blockMap
-  const blockMap = decodeRawBlocks(rawState, entityMap);
+  const blockMap = decodeRawBlocks(
+    rawState,
+    entityMap,
+    DraftNestedContent.isEnabled(options),
+  );
 
   // create initial selection
   const selectionState = blockMap.isEmpty()
@@ -0,0 +1,409 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @format
+ * @flow
+ * @emails oncall+draft_js
+ */
+
+'use strict';
+
+import type {DraftContentSchema} from 'DraftContentSchema';
+import type {RawDraftContentBlock} from 'RawDraftContentBlock';
+import type {RawDraftContentState} from 'RawDraftContentState';
+
+const ComposedEntityMutability = require('ComposedEntityMutability');
+const DefaultDraftBlockRenderMap = require('DefaultDraftBlockRenderMap');
+const DraftRawMigrations = require('DraftRawMigrations');
+const UnicodeUtils = require('UnicodeUtils');
+
+const generateRandomKey = require('generateRandomKey');
+const invariant = require('invariant');
+
+export type RawContentProblemCode =
+  | 'invalid-content'
+  | 'unsupported-version'
+  | 'no-blocks'
+  | 'invalid-block'
+  | 'invalid-key'
+  | 'invalid-text'
+  | 'invalid-data'
+  | 'invalid-depth'
+  | 'unknown-block-type'
+  | 'invalid-range'
+  | 'range-out-of-bounds'
+  | 'disallowed-style'
+  | 'missing-entity'
+  | 'overlapping-entities'
+  | 'invalid-entity'
+  | 'disallowed-entity-type';
+
+/**
+ * A problem found in raw content. `path` leads from the raw state to the
+ * offending value, e.g. `['blocks', 2, 'entityRanges', 0]`.
+ */
+export type RawContentProblem = {
+  code: RawContentProblemCode,
+  path: Array<string | number>,
+  message: string,
+};
+
+export type RawContentValidationOptions = {
+  repair?: boolean,
+};
+
+export type RawContentValidation = {
+  problems: Array<RawContentProblem>,
+  // The repaired raw state in repair mode, the given one otherwise.
+  rawState: RawDraftContentState,
+};
+
+type Path = Array<string | number>;
+
+const isObject = (value: mixed): boolean %checks =>
+  !!value && typeof value === 'object' && !Array.isArray(value);
+
+const isNonNegativeInteger = (value: mixed): boolean %checks =>
+  typeof value === 'number' && value >= 0 && Math.floor(value) === value;
+
+const createEmptyBlock = (): RawDraftContentBlock => ({
+  key: generateRandomKey(),
+  type: 'unstyled',
+  text: '',
+  depth: 0,
+  inlineStyleRanges: [],
+  entityRanges: [],
+  data: {},
+});
+
+/**
+ * Upgrade raw content to the current format as `convertFromRaw` does, or
+ * return null when it is too malformed to be upgraded.
+ */
+const migrate = (rawState: RawDraftContentState): ?RawDraftContentState => {
+  try {
+    return DraftRawMigrations.migrate(rawState);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Check raw content against the structure expected by `convertFromRaw` and
+ * against `schema`. Content is checked once upgraded to the current format,
+ * so that problems fixed by the upgrade are not reported. Every problem is
+ * reported; in repair mode the returned raw state has bad ranges clamped or
+ * dropped, unknown block types turned into `unstyled` and invalid entities
+ * removed, so that it can be converted safely.
+ */
+const validateRawContent = (
+  rawState: RawDraftContentState,
+  schema?: DraftContentSchema = {},
+  options?: RawContentValidationOptions = {},
+): RawContentValidation => {
+  invariant(
+    !schema.blockTypes || schema.blockTypes.length,
+    'A content schema must allow at least one block type',
+  );
+  const problems = [];
+  const report = (code: RawContentProblemCode, path: Path, message: string) => {
+    problems.push({code, path, message});
+  };
+  const given: Object = rawState;
+
+  if (!isObject(given) || !Array.isArray(given.blocks)) {
+    report('invalid-content', [], 'Raw content must have a list of blocks.');
+    return {
+      problems,
+      rawState: options.repair
+        ? {blocks: [createEmptyBlock()], entityMap: {}}
+        : rawState,
+    };
+  }
+
+  const {RAW_FORMAT_VERSION} = DraftRawMigrations;
+  if (typeof given.version === 'number' && given.version > RAW_FORMAT_VERSION) {
+    report(
+      'unsupported-version',
+      ['version'],
+      `Raw content version ${given.version} is newer than supported ` +
+        `version ${RAW_FORMAT_VERSION}.`,
+    );
+    return {problems, rawState};
+  }
+
+  // Content too malformed to be upgraded is checked as it is.
+  const raw: Object = migrate(rawState) || given;
+
+  const blockTypes =
+    schema.blockTypes || DefaultDraftBlockRenderMap.keySeq().toArray();
+  const fallbackBlockType =
+    blockTypes.indexOf('unstyled') !== -1 ? 'unstyled' : blockTypes[0];
+  const {entityTypes, inlineStyles, maxDepth} = schema;
+
+  // Entities
+  let rawEntityMap = raw.entityMap;
+  if (!isObject(rawEntityMap)) {
+    report('invalid-content', ['entityMap'], 'The entity map is missing.');
+    rawEntityMap = {};
+  }
+  const entityMap = {};
+  Object.keys(rawEntityMap).forEach(key => {
+    const path = ['entityMap', key];
+    const entity = rawEntityMap[key];
+    if (!isObject(entity) || typeof entity.type !== 'string' || !entity.type) {
+      report('invalid-entity', path, `Entity ${key} has no type.`);
+      return;
+    }
+    if (entityTypes && entityTypes.indexOf(entity.type) === -1) {
+      report(
+        'disallowed-entity-type',
+        path,
+        `Entity type ${entity.type} is not allowed.`,
+      );
+      return;
+    }
+    let {mutability, data} = entity;
+    if (!ComposedEntityMutability.hasOwnProperty(mutability)) {
+      report(
+        'invalid-entity',
+        path.concat('mutability'),
+        `Entity ${key} has an invalid mutability.`,
+      );
+      mutability = 'MUTABLE';
+    }
+    if (data != null && !isObject(data)) {
+      report(
+        'invalid-entity',
+        path.concat('data'),
+        `Entity ${key} has invalid data.`,
+      );
+      data = {};
+    }
+    entityMap[key] = {type: entity.type, mutability, data: data || {}};
+  });
+
+  const usedKeys = {};
+
+  const validateRanges = (
+    ranges: mixed,
+    path: Path,
+    textLength: number,
+    validateRange: (range: Object, path: Path) => boolean,
+  ): Array<Object> => {
+    if (ranges == null) {
+      return [];
+    }
+    if (!Array.isArray(ranges)) {
+      report('invalid-range', path, 'Ranges must be a list.');
+      return [];
+    }
+    const validRanges = [];
+    ranges.forEach((range: any, index) => {
+      const rangePath = path.concat(index);
+      if (
+        !isObject(range) ||
+        !isNonNegativeInteger(range.offset) ||
+        !isNonNegativeInteger(range.length)
+      ) {
+        report(
+          'invalid-range',
+          rangePath,
+          'A range must have a non-negative integer offset and length.',
+        );
+        return;
+      }
+      let {length} = range;
+      if (range.offset + length > textLength) {
+        report(
+          'range-out-of-bounds',
+          rangePath,
+          `Range ${range.offset}-${range.offset + length} exceeds the ` +
+            `text length of ${textLength}.`,
+        );
+        if (range.offset >= textLength) {
+          return;
+        }
+        length = textLength - range.offset;
+      }
+      const clampedRange = {...range, length};
+      if (validateRange(clampedRange, rangePath)) {
+        validRanges.push(clampedRange);
+      }
+    });
+    return validRanges;
+  };
+
+  const validateBlock = (block: mixed, path: Path): ?RawDraftContentBlock => {
+    if (!isObject(block)) {
+      report('invalid-block', path, 'A block must be an object.');
+      return null;
+    }
+
+    let {key, type, text, depth, data} = block;
+    if (key != null) {
+      if (typeof key !== 'string' || !key || usedKeys[key]) {
+        report(
+          'invalid-key',
+          path.concat('key'),
+          `Block key ${String(key)} is invalid or not unique.`,
+        );
+        key = generateRandomKey();
+      }
+      usedKeys[key] = true;
+    }
+
+    if (typeof text !== 'string') {
+      report('invalid-text', path.concat('text'), 'Block text must be text.');
+      text = '';
+    }
+
+    if (type != null && blockTypes.indexOf(type) === -1) {
+      report(
+        'unknown-block-type',
+        path.concat('type'),
+        `Block type ${String(type)} is not allowed.`,
+      );
+      type = fallbackBlockType;
+    }
+
+    if (depth != null && !isNonNegativeInteger(depth)) {
+      report(
+        'invalid-depth',
+        path.concat('depth'),
+        'Block depth must be a non-negative integer.',
+      );
+      depth = 0;
+    } else if (depth != null && maxDepth != null && depth > maxDepth) {
+      report(
+        'invalid-depth',
+        path.concat('depth'),
+        `Block depth ${depth} exceeds the maximum of ${maxDepth}.`,
+      );
+      depth = maxDepth;
+    }
+
+    if (data != null && !isObject(data)) {
+      report('invalid-data', path.concat('data'), 'Block data is invalid.');
+      data = {};
+    }
+
+    const textLength = UnicodeUtils.strlen(text);
+
+    const inlineStyleRanges = validateRanges(
+      block.inlineStyleRanges,
+      path.concat('inlineStyleRanges'),
+      textLength,
+      (range, rangePath) => {
+        if (typeof range.style !== 'string' || !range.style) {
+          report('invalid-range', rangePath, 'A style range has no style.');
+          return false;
+        }
+        if (inlineStyles && inlineStyles.indexOf(range.style) === -1) {
+          report(
+            'disallowed-style',
+            rangePath,
+            `Inline style ${range.style} is not allowed.`,
+          );
+          return false;
+        }
+        return true;
+      },
+    );
+
+    // Characters can have a single entity.
+    const entityCharacters = [];
+    const entityRanges = validateRanges(
+      block.entityRanges,
+      path.concat('entityRanges'),
+      textLength,
+      (range, rangePath) => {
+        if (!rawEntityMap.hasOwnProperty(String(range.key))) {
+          report(
+            'missing-entity',
+            rangePath,
+            `Entity ${String(range.key)} is not in the entity map.`,
+          );
+          return false;
+        }
+        if (!entityMap.hasOwnProperty(String(range.key))) {
+          // Already reported along with the entity.
+          return false;
+        }
+        for (let ii = range.offset; ii < range.offset + range.length; ii++) {
+          if (entityCharacters[ii]) {
+            report(
+              'overlapping-entities',
+              rangePath,
+              'The range overlaps another entity range.',
+            );
+            return false;
+          }
+        }
+        for (let ii = range.offset; ii < range.offset + range.length; ii++) {
+          entityCharacters[ii] = true;
+        }
+        return true;
+      },
+    );
+
+    const repairedBlock: RawDraftContentBlock = {
+      ...block,
+      key,
+      type,
+      text,
+      depth,
+      inlineStyleRanges,
+      entityRanges,
+      data: data || {},
+    };
+
+    if (block.children != null) {
+      if (Array.isArray(block.children)) {
+        repairedBlock.children = validateBlocks(
+          block.children,
+          path.concat('children'),
+        );
+      } else {
+        report(
+          'invalid-block',
+          path.concat('children'),
+          'Block children must be a list.',
+        );
+        repairedBlock.children = [];
+      }
+    }
+
+    return repairedBlock;
+  };
+
+  const validateBlocks = (
+    blocks: Array<mixed>,
+    path: Path,
+  ): Array<RawDraftContentBlock> => {
+    const validBlocks = [];
+    blocks.forEach((block, index) => {
+      const validBlock = validateBlock(block, path.concat(index));
+      if (validBlock) {
+        validBlocks.push(validBlock);
+      }
+    });
+    return validBlocks;
+  };
+
+  const blocks = validateBlocks(raw.blocks, ['blocks']);
+  if (!blocks.length) {
+    report('no-blocks', ['blocks'], 'Content must have at least one block.');
+    blocks.push(createEmptyBlock());
+  }
+
+  return {
+    problems,
+    rawState: options.repair ? {...raw, blocks, entityMap} : rawState,
+  };
+};
+
+module.exports = validateRawContent;
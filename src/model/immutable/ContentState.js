@@ -16,17 +16,18 @@ import type {BlockNodeRecord} from 'BlockNodeRecord';
 import type DraftEntityInstance from 'DraftEntityInstance';
 import type {DraftEntityMutability} from 'DraftEntityMutability';
 import type {DraftEntityType} from 'DraftEntityType';
+import type {DraftNestedContentOptions} from 'DraftNestedContent';
 
 const BlockMapBuilder = require('BlockMapBuilder');
 const CharacterMetadata = require('CharacterMetadata');
 const ContentBlock = require('ContentBlock');
 const ContentBlockNode = require('ContentBlockNode');
 const DraftEntity = require('DraftEntity');
+const DraftNestedContent = require('DraftNestedContent');
 const Immutable = require('immutable');
 const SelectionState = require('SelectionState');
 
 const generateRandomKey = require('generateRandomKey');
-const gkx = require('gkx');
 const sanitizeDraftText = require('sanitizeDraftText');
 
 const {List, Record, Repeat} = Immutable;
@@ -120,6 +121,13 @@ class ContentState extends ContentStateRecord {
       .join(delimiter || '\n');
   }
 
+  /**
+   * Whether the content is nested content, whose blocks may have children.
+   */
+  isNested(): boolean {
+    return DraftNestedContent.isNested(this.getBlockMap());
+  }
+
   getLastCreatedEntityKey(): string {
     // TODO: update this when we fully remove DraftEntity
     return DraftEntity.__getLastCreatedEntityKey();
@@ -185,19 +193,26 @@ class ContentState extends ContentStateRecord {
   static createFromText(
     text: string,
     delimiter: string | RegExp = /\r\n?|\n/g,
+    options?: DraftNestedContentOptions,
   ): ContentState {
     const strings = text.split(delimiter);
-    const blocks = strings.map(block => {
+    const keys = strings.map(() => generateRandomKey());
+    const nested = DraftNestedContent.isEnabled(options);
+    const blocks = strings.map((block, index) => {
       block = sanitizeDraftText(block);
-      const ContentBlockNodeRecord = gkx('draft_tree_data_support')
-        ? ContentBlockNode
-        : ContentBlock;
-      return new ContentBlockNodeRecord({
-        key: generateRandomKey(),
+      const config = {
+        key: keys[index],
         text: block,
         type: 'unstyled',
         characterList: List(Repeat(CharacterMetadata.EMPTY, block.length)),
-      });
+      };
+      return nested
+        ? new ContentBlockNode({
+            ...config,
+            prevSibling: index > 0 ? keys[index - 1] : null,
+            nextSibling: index < keys.length - 1 ? keys[index + 1] : null,
+          })
+        : new ContentBlock(config);
     });
     return ContentState.createFromBlockArray(blocks);
   }
@@ -26,7 +26,9 @@ type DefaultCoreDraftBlockRenderMap = Map<
 
 const UL_WRAP = <ul className={cx('public/DraftStyleDefault/ul')} />;
 const OL_WRAP = <ol className={cx('public/DraftStyleDefault/ol')} />;
+const CHECKLIST_WRAP = <ul className={cx('public/DraftStyleDefault/ul')} />;
 const PRE_WRAP = <pre className={cx('public/DraftStyleDefault/pre')} />;
+const TBODY_WRAP = <tbody />;
 
 const DefaultDraftBlockRenderMap: DefaultCoreDraftBlockRenderMap = Map({
   'header-one': {
@@ -55,6 +57,10 @@ const DefaultDraftBlockRenderMap: DefaultCoreDraftBlockRenderMap = Map({
     element: 'li',
     wrapper: OL_WRAP,
   },
+  'checkable-list-item': {
+    element: 'li',
+    wrapper: CHECKLIST_WRAP,
+  },
   blockquote: {
     element: 'blockquote',
   },
@@ -65,6 +71,18 @@ const DefaultDraftBlockRenderMap: DefaultCoreDraftBlockRenderMap = Map({
     element: 'pre',
     wrapper: PRE_WRAP,
   },
+  // Tables are trees of rows and cells, which require nested content.
+  table: {
+    element: 'table',
+  },
+  'table-row': {
+    element: 'tr',
+    wrapper: TBODY_WRAP,
+  },
+  'table-cell': {
+    element: 'td',
+    aliasedElements: ['th'],
+  },
   unstyled: {
     element: 'div',
     aliasedElements: ['p'],
@@ -0,0 +1,55 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @format
+ * @flow
+ * @emails oncall+draft_js
+ */
+
+'use strict';
+
+import type {BlockNodeRecord} from 'BlockNodeRecord';
+import type {BidiDirection} from 'UnicodeBidiDirection';
+
+const UnicodeBidiDirection = require('UnicodeBidiDirection');
+
+/**
+ * The text direction of a block can be set explicitly in its data, taking
+ * precedence over the direction detected from its text and over the
+ * `textDirectionality` of the editor.
+ */
+const DraftBlockDirection = {
+  DATA_KEY: 'direction',
+
+  /**
+   * The direction set explicitly on the block, or null when its direction is
+   * detected from its text.
+   */
+  getDirection: function(block: BlockNodeRecord): ?BidiDirection {
+    return DraftBlockDirection.fromHTMLDir(
+      block.getData().get(DraftBlockDirection.DATA_KEY),
+    );
+  },
+
+  /**
+   * Parse the value of an HTML `dir` attribute, in any case.
+   */
+  fromHTMLDir: function(dir: mixed): ?BidiDirection {
+    if (typeof dir !== 'string') {
+      return null;
+    }
+    switch (dir.toUpperCase()) {
+      case UnicodeBidiDirection.LTR:
+        return UnicodeBidiDirection.LTR;
+      case UnicodeBidiDirection.RTL:
+        return UnicodeBidiDirection.RTL;
+      default:
+        return null;
+    }
+  },
+};
+
+module.exports = DraftBlockDirection;
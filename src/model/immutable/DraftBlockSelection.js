@@ -0,0 +1,21 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @format
+ * @flow strict
+ * @emails oncall+draft_js
+ */
+
+'use strict';
+
+/**
+ * A selection of whole blocks rather than of text, from the block where it
+ * started to the block it was extended to, which may come before it.
+ */
+export type DraftBlockSelection = {
+  anchorKey: string,
+  focusKey: string,
+};
@@ -0,0 +1,42 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @format
+ * @flow
+ * @emails oncall+draft_js
+ */
+
+'use strict';
+
+import type {BlockNodeRecord} from 'BlockNodeRecord';
+
+/**
+ * Checkable list items are the items of to-do lists, whose checked state is
+ * set in their data. Other blocks keep that data, so that an item turned into
+ * another type and back is still checked.
+ */
+const DraftCheckableListItem = {
+  DATA_KEY: 'checked',
+
+  /**
+   * Whether the block is a checkable list item.
+   */
+  isCheckable: function(block: BlockNodeRecord): boolean {
+    return block.getType() === 'checkable-list-item';
+  },
+
+  /**
+   * Whether the block is a checked list item.
+   */
+  isChecked: function(block: BlockNodeRecord): boolean {
+    return (
+      DraftCheckableListItem.isCheckable(block) &&
+      block.getData().get(DraftCheckableListItem.DATA_KEY) === true
+    );
+  },
+};
+
+module.exports = DraftCheckableListItem;
@@ -0,0 +1,30 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @format
+ * @flow strict-local
+ * @emails oncall+draft_js
+ */
+
+'use strict';
+
+import type {DraftBlockType} from 'DraftBlockType';
+import type {DraftEntityType} from 'DraftEntityType';
+
+/**
+ * Describes the content allowed in a document. Omitted fields do not restrict
+ * content, except that `validateRawContent` checks block types against
+ * `DefaultDraftBlockRenderMap` when `blockTypes` is omitted. `blockTypes`
+ * must not be empty.
+ */
+export type DraftContentSchema = {
+  blockTypes?: Array<DraftBlockType>,
+  inlineStyles?: Array<string>,
+  entityTypes?: Array<DraftEntityType>,
+  maxDepth?: number,
+  // Maximum number of characters, only enforced on changes to an EditorState.
+  maxLength?: number,
+};
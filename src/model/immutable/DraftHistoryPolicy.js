@@ -0,0 +1,31 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @format
+ * @flow strict-local
+ * @emails oncall+draft_js
+ */
+
+'use strict';
+
+import type {EditorChangeType} from 'EditorChangeType';
+
+/**
+ * Describes how changes pushed to an EditorState are recorded for undo and
+ * redo. Omitted fields keep the default behavior.
+ */
+export type DraftHistoryPolicy = {
+  // Maximum number of undo steps kept, the oldest being discarded first.
+  maxDepth?: number,
+
+  // Consecutive changes of the same type are only merged into a single undo
+  // step when they are at most this many milliseconds apart.
+  coalesceWithin?: number,
+
+  // The change types merged when pushed consecutively. Defaults to
+  // `insert-characters`, `backspace-character` and `delete-character`.
+  coalesceChangeTypes?: Array<EditorChangeType>,
+};
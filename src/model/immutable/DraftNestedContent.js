@@ -0,0 +1,52 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @format
+ * @flow
+ * @emails oncall+draft_js
+ */
+
+'use strict';
+
+import type {BlockMap} from 'BlockMap';
+
+const ContentBlockNode = require('ContentBlockNode');
+
+const gkx = require('gkx');
+
+export type DraftNestedContentOptions = {
+  // Create nested content, whose blocks may have children, rather than flat
+  // content.
+  nested?: boolean,
+};
+
+/**
+ * Nested content is made of `ContentBlockNode` blocks, which may have
+ * children, such as list items in a blockquote or the paragraphs of a list
+ * item. Each editor opts into nested content by creating or converting its
+ * content with the `nested` option, and edits then keep the content nested.
+ */
+const DraftNestedContent = {
+  /**
+   * Whether to create nested content with the given options. Without the
+   * `nested` option, the deprecated global `draft_tree_data_support` flag
+   * decides.
+   */
+  isEnabled: function(options: ?DraftNestedContentOptions): boolean {
+    return options && options.nested != null
+      ? options.nested
+      : gkx('draft_tree_data_support');
+  },
+
+  /**
+   * Whether the blocks of the block map are nested blocks.
+   */
+  isNested: function(blockMap: BlockMap): boolean {
+    return blockMap.first() instanceof ContentBlockNode;
+  },
+};
+
+module.exports = DraftNestedContent;
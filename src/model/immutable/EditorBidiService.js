@@ -11,38 +11,253 @@
 
 'use strict';
 
+import type {BlockMap} from 'BlockMap';
+import type {BlockNodeRecord} from 'BlockNodeRecord';
 import type ContentState from 'ContentState';
+import type {DraftOperation} from 'DraftOperationLog';
+import type {BidiDirection} from 'UnicodeBidiDirection';
 
+const DraftBlockDirection = require('DraftBlockDirection');
 const Immutable = require('immutable');
-const UnicodeBidiService = require('UnicodeBidiService');
-
-const nullthrows = require('nullthrows');
+const UnicodeBidi = require('UnicodeBidi');
+const UnicodeBidiDirection = require('UnicodeBidiDirection');
 
 const {OrderedMap} = Immutable;
 
-let bidiService;
+// The block map each direction map was resolved for, so that a direction map
+// is only updated from the content it describes.
+const resolvedBlockMaps: WeakMap<
+  OrderedMap<any, any>,
+  BlockMap,
+> = new WeakMap();
+
+/**
+ * The direction set on the block, or else the direction of its text. Blocks
+ * without strongly directional text inherit the direction of the block
+ * before them.
+ */
+const resolveDirection = (
+  block: BlockNodeRecord,
+  lastDirection: BidiDirection,
+): BidiDirection =>
+  DraftBlockDirection.getDirection(block) ||
+  UnicodeBidi.getDirection(block.getText(), lastDirection);
+
+const resolveDirections = (blockMap: BlockMap): OrderedMap<any, any> => {
+  let lastDirection = UnicodeBidiDirection.getGlobalDir();
+  return blockMap.map(block => {
+    lastDirection = resolveDirection(block, lastDirection);
+    return lastDirection;
+  });
+};
+
+/**
+ * Update the directions of the previous content, only resolving the blocks
+ * whose text or direction setting changed, or whose previous block changed
+ * direction. Whether or not its text is strongly directional, an unchanged
+ * block keeps its direction as long as the block before it does.
+ */
+const updateDirections = (
+  blockMap: BlockMap,
+  prevBlockMap: BlockMap,
+  prevBidiMap: OrderedMap<any, any>,
+): OrderedMap<any, any> => {
+  // While blocks keep their positions, which is the case when typing, the
+  // previous blocks and directions are found by position rather than by key.
+  const prevBlocks = prevBlockMap.toArray();
+  const prevDirections = prevBidiMap.toArray();
+  let isSameOrder = prevBlocks.length === blockMap.size;
+  let lastDirection = UnicodeBidiDirection.getGlobalDir();
+  let index = 0;
+  const directions = [];
+  const changes = {};
+
+  blockMap.forEach((block, key) => {
+    isSameOrder =
+      isSameOrder &&
+      (prevBlocks[index] === block || prevBlocks[index].getKey() === key);
+    const prevBlock = isSameOrder ? prevBlocks[index] : prevBlockMap.get(key);
+    const prevDirection = isSameOrder
+      ? prevDirections[index]
+      : prevBidiMap.get(key);
+    index++;
+
+    if (
+      prevDirection !== lastDirection ||
+      !prevBlock ||
+      (prevBlock !== block &&
+        (prevBlock.getText() !== block.getText() ||
+          DraftBlockDirection.getDirection(prevBlock) !==
+            DraftBlockDirection.getDirection(block)))
+    ) {
+      lastDirection = resolveDirection(block, lastDirection);
+      if (lastDirection !== prevDirection) {
+        changes[key] = lastDirection;
+      }
+    }
+    directions.push(lastDirection);
+  });
+
+  if (!isSameOrder) {
+    return OrderedMap(blockMap.keySeq().zip(directions));
+  }
+  const changedKeys = Object.keys(changes);
+  if (!changedKeys.length) {
+    return prevBidiMap;
+  }
+  return prevBidiMap.withMutations(map => {
+    changedKeys.forEach(key => map.set(key, changes[key]));
+  });
+};
+
+/**
+ * The keys of the blocks whose text or direction setting may have been
+ * changed by `operations`, or null when they may have added, removed or moved
+ * blocks.
+ */
+const getChangedKeys = (operations: Array<DraftOperation>): ?Array<string> => {
+  const changedKeys = [];
+  for (let ii = 0; ii < operations.length; ii++) {
+    const operation = operations[ii];
+    switch (operation.type) {
+      // The text and direction settings of the blocks are left as they are.
+      case 'applyInlineStyle':
+      case 'removeInlineStyle':
+      case 'applyEntity':
+      case 'setBlockType':
+        break;
+      // Only the block holding the selection changes, unless the selection
+      // spans several blocks.
+      case 'insertText':
+      case 'replaceText':
+      case 'removeRange':
+      case 'setBlockData':
+      case 'mergeBlockData': {
+        const {anchorKey, focusKey} = operation.selection;
+        if (anchorKey !== focusKey) {
+          return null;
+        }
+        if (changedKeys.indexOf(anchorKey) === -1) {
+          changedKeys.push(anchorKey);
+        }
+        break;
+      }
+      default:
+        return null;
+    }
+  }
+  return changedKeys;
+};
+
+const inheritsDirection = (block: BlockNodeRecord): boolean =>
+  !DraftBlockDirection.getDirection(block) &&
+  UnicodeBidi.firstStrongCharDir(block.getText()) ===
+    UnicodeBidiDirection.NEUTRAL;
+
+/**
+ * Update the directions of the previous content when a single block changed,
+ * only visiting that block, and the blocks following it if its direction
+ * changed. The other blocks keep their positions and directions.
+ */
+const updateBlockDirection = (
+  blockMap: BlockMap,
+  prevBlockMap: BlockMap,
+  prevBidiMap: OrderedMap<any, any>,
+  key: string,
+): OrderedMap<any, any> => {
+  const block = blockMap.get(key);
+  const prevBlock = prevBlockMap.get(key);
+  const prevDirection = prevBidiMap.get(key);
+
+  // The direction a block inherits is the one of the block before it, which
+  // is unchanged. It is only looked up when the block inherits it now but did
+  // not before.
+  let lastDirection = prevDirection;
+  if (inheritsDirection(block) && !inheritsDirection(prevBlock)) {
+    const keyBefore = blockMap
+      .keySeq()
+      .takeUntil(k => k === key)
+      .last();
+    lastDirection = keyBefore
+      ? prevBidiMap.get(keyBefore)
+      : UnicodeBidiDirection.getGlobalDir();
+  }
+
+  lastDirection = resolveDirection(block, lastDirection);
+  if (lastDirection === prevDirection) {
+    return prevBidiMap;
+  }
+
+  return prevBidiMap.withMutations(map => {
+    map.set(key, lastDirection);
+    blockMap
+      .toSeq()
+      .skipUntil((_, k) => k === key)
+      .rest()
+      .forEach((followingBlock, followingKey) => {
+        lastDirection = resolveDirection(followingBlock, lastDirection);
+        if (lastDirection === map.get(followingKey)) {
+          // The blocks after this one keep their directions as well.
+          return false;
+        }
+        map.set(followingKey, lastDirection);
+        return true;
+      });
+  });
+};
 
 const EditorBidiService = {
+  /**
+   * Given the direction map of the previous content, only the blocks affected
+   * by the changes to the content are resolved again. The previous map is
+   * returned if no direction changed.
+   *
+   * When the `operations` leading from the previous content are known, only
+   * the block they changed and the blocks following it are visited, so that
+   * typing costs the same whatever the size of the content.
+   */
   getDirectionMap: function(
     content: ContentState,
     prevBidiMap: ?OrderedMap<any, any>,
+    prevContent: ?ContentState,
+    operations?: ?Array<DraftOperation>,
   ): OrderedMap<any, any> {
-    if (!bidiService) {
-      bidiService = new UnicodeBidiService();
-    } else {
-      bidiService.reset();
-    }
-
     const blockMap = content.getBlockMap();
-    const nextBidi = blockMap
-      .valueSeq()
-      .map(block => nullthrows(bidiService).getDirection(block.getText()));
-    const bidiMap = OrderedMap(blockMap.keySeq().zip(nextBidi));
-
-    if (prevBidiMap != null && Immutable.is(prevBidiMap, bidiMap)) {
-      return prevBidiMap;
+    let bidiMap;
+    if (
+      prevBidiMap != null &&
+      prevContent != null &&
+      resolvedBlockMaps.get(prevBidiMap) === prevContent.getBlockMap()
+    ) {
+      const prevBlockMap = prevContent.getBlockMap();
+      const changedKeys = operations ? getChangedKeys(operations) : null;
+      if (blockMap === prevBlockMap || (changedKeys && !changedKeys.length)) {
+        bidiMap = prevBidiMap;
+      } else if (
+        changedKeys &&
+        changedKeys.length === 1 &&
+        blockMap.has(changedKeys[0]) &&
+        prevBlockMap.has(changedKeys[0])
+      ) {
+        bidiMap = updateBlockDirection(
+          blockMap,
+          prevBlockMap,
+          prevBidiMap,
+          changedKeys[0],
+        );
+      } else {
+        bidiMap = updateDirections(blockMap, prevBlockMap, prevBidiMap);
+      }
+    } else {
+      // The previous map is unknown, or describes another content, for
+      // instance after the content was set without updating the map.
+      bidiMap = resolveDirections(blockMap);
+      if (prevBidiMap != null && Immutable.is(prevBidiMap, bidiMap)) {
+        bidiMap = prevBidiMap;
+      }
     }
 
+    resolvedBlockMaps.set(bidiMap, blockMap);
     return bidiMap;
   },
 };
@@ -16,6 +16,7 @@
 export type EditorChangeType =
   | 'adjust-depth'
   | 'apply-entity'
+  | 'apply-input-rule'
   | 'backspace-character'
   | 'change-block-data'
   | 'change-block-type'
@@ -26,6 +27,7 @@ export type EditorChangeType =
   | 'insert-fragment'
   | 'redo'
   | 'remove-range'
+  | 'replace-text'
   | 'spellcheck-change'
   | 'split-block'
   | 'undo';
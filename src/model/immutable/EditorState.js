@@ -12,32 +12,47 @@
 'use strict';
 
 import type {BlockMap} from 'BlockMap';
+import type {BlockNodeRecord} from 'BlockNodeRecord';
+import type {DraftBlockSelection} from 'DraftBlockSelection';
+import type {DraftContentSchema} from 'DraftContentSchema';
 import type {DraftDecoratorType} from 'DraftDecoratorType';
+import type {DraftHistoryPolicy} from 'DraftHistoryPolicy';
 import type {DraftInlineStyle} from 'DraftInlineStyle';
+import type {DraftNestedContentOptions} from 'DraftNestedContent';
+import type {DraftOperation} from 'DraftOperationLog';
 import type {EditorChangeType} from 'EditorChangeType';
-import type {EntityMap} from 'EntityMap';
-import type {List, OrderedMap} from 'immutable';
+import type {OrderedMap} from 'immutable';
 
 const BlockTree = require('BlockTree');
 const ContentState = require('ContentState');
+const DraftOperationLog = require('DraftOperationLog');
 const EditorBidiService = require('EditorBidiService');
 const SelectionState = require('SelectionState');
 
+const enforceSchemaForContentState = require('enforceSchemaForContentState');
 const Immutable = require('immutable');
+const shallowEqual = require('shallowEqual');
 
-const {OrderedSet, Record, Stack} = Immutable;
+const {List, OrderedSet, Record, Stack} = Immutable;
 
 type EditorStateRecordType = {
   allowUndo: boolean,
+  blockSelection: ?DraftBlockSelection,
   currentContent: ?ContentState,
   decorator: ?DraftDecoratorType,
   directionMap: ?OrderedMap<string, string>,
   forceSelection: boolean,
+  historyBoundary: boolean,
+  historyPolicy: ?DraftHistoryPolicy,
   inCompositionMode: boolean,
   inlineStyleOverride: ?DraftInlineStyle,
+  inTransaction: boolean,
+  lastChangeTime: ?number,
   lastChangeType: ?EditorChangeType,
+  lastOperations: ?List<DraftOperation>,
   nativelyRenderedContent: ?ContentState,
   redoStack: Stack<ContentState>,
+  schema: ?DraftContentSchema,
   selection: ?SelectionState,
   treeMap: ?OrderedMap<string, List<any>>,
   undoStack: Stack<ContentState>,
@@ -45,15 +60,22 @@ type EditorStateRecordType = {
 
 const defaultRecord: EditorStateRecordType = {
   allowUndo: true,
+  blockSelection: null,
   currentContent: null,
   decorator: null,
   directionMap: null,
   forceSelection: false,
+  historyBoundary: false,
+  historyPolicy: null,
   inCompositionMode: false,
   inlineStyleOverride: null,
+  inTransaction: false,
+  lastChangeTime: null,
   lastChangeType: null,
+  lastOperations: null,
   nativelyRenderedContent: null,
   redoStack: Stack(),
+  schema: null,
   selection: null,
   treeMap: null,
   undoStack: Stack(),
@@ -64,9 +86,12 @@ const EditorStateRecord = (Record(defaultRecord): any);
 class EditorState {
   _immutable: EditorStateRecord;
 
-  static createEmpty(decorator?: ?DraftDecoratorType): EditorState {
+  static createEmpty(
+    decorator?: ?DraftDecoratorType,
+    options?: DraftNestedContentOptions,
+  ): EditorState {
     return EditorState.createWithContent(
-      ContentState.createFromText(''),
+      ContentState.createFromText('', undefined, options),
       decorator,
     );
   }
@@ -137,12 +162,7 @@ class EditorState {
       if (newContent !== existingContent) {
         state.set(
           'treeMap',
-          regenerateTreeForNewBlocks(
-            editorState,
-            newContent.getBlockMap(),
-            newContent.getEntityMap(),
-            decorator,
-          ),
+          regenerateTreeForNewBlocks(editorState, newContent, decorator),
         );
       }
 
@@ -196,6 +216,149 @@ class EditorState {
     return this.getImmutable().get('lastChangeType');
   }
 
+  /**
+   * The operations applied by the last change pushed to this state, or null
+   * when they are unknown because the content was not changed through
+   * `DraftModifier` only.
+   */
+  getLastOperations(): ?List<DraftOperation> {
+    return this.getImmutable().get('lastOperations');
+  }
+
+  /**
+   * The blocks selected as a whole, as with Esc, or null when the text
+   * selection is used. It is cleared as soon as the text selection or the
+   * content changes.
+   */
+  getBlockSelection(): ?DraftBlockSelection {
+    return this.getImmutable().get('blockSelection');
+  }
+
+  /**
+   * Select whole blocks, from the anchor block to the focus block, or go back
+   * to the text selection when the block selection is null. See
+   * `BlockSelectionUtils` for the operations on the selected blocks.
+   */
+  static setBlockSelection(
+    editorState: EditorState,
+    blockSelection: ?DraftBlockSelection,
+  ): EditorState {
+    // Set directly, as merging would convert the selection to an immutable map.
+    return new EditorState(
+      editorState.getImmutable().set('blockSelection', blockSelection || null),
+    );
+  }
+
+  getSchema(): ?DraftContentSchema {
+    return this.getImmutable().get('schema');
+  }
+
+  /**
+   * Restrict the content of the editor to `schema`. Content that the schema
+   * does not allow is converted or stripped, now and on every subsequent
+   * `EditorState.push`, whatever the source of the change (typing, paste,
+   * drop or rich text commands).
+   */
+  static setSchema(
+    editorState: EditorState,
+    schema: ?DraftContentSchema,
+  ): EditorState {
+    // Set directly, as merging would convert the schema to immutable maps.
+    const withSchema = new EditorState(
+      editorState.getImmutable().set('schema', schema || null),
+    );
+    if (!schema) {
+      return withSchema;
+    }
+    const currentContent = enforceSchemaForContentState(
+      editorState.getCurrentContent(),
+      schema,
+    );
+    return EditorState.set(withSchema, {
+      currentContent,
+      directionMap: EditorBidiService.getDirectionMap(
+        currentContent,
+        editorState.getDirectionMap(),
+        editorState.getCurrentContent(),
+      ),
+    });
+  }
+
+  getHistoryPolicy(): ?DraftHistoryPolicy {
+    return this.getImmutable().get('historyPolicy');
+  }
+
+  /**
+   * Change how changes are recorded for undo and redo. The undo stack is
+   * trimmed right away to the maximum depth of `historyPolicy`.
+   */
+  static setHistoryPolicy(
+    editorState: EditorState,
+    historyPolicy: ?DraftHistoryPolicy,
+  ): EditorState {
+    // Set directly, as merging would convert the policy to immutable maps.
+    const immutable = editorState
+      .getImmutable()
+      .set('historyPolicy', historyPolicy || null);
+    return new EditorState(
+      immutable.set(
+        'undoStack',
+        limitUndoStack(immutable.get('undoStack'), historyPolicy),
+      ),
+    );
+  }
+
+  /**
+   * Apply the changes pushed by `fn` to the editor state as a single undo
+   * step, such as inserting a mention, applying its entity and adding a space
+   * after it. Nested transactions are part of the outermost one.
+   */
+  static transaction(
+    editorState: EditorState,
+    fn: (editorState: EditorState) => EditorState,
+  ): EditorState {
+    if (editorState.getImmutable().get('inTransaction')) {
+      return fn(editorState);
+    }
+
+    // The operations of each push within the transaction are collected.
+    const result = fn(
+      new EditorState(
+        editorState
+          .getImmutable()
+          .merge({inTransaction: true, lastOperations: List()}),
+      ),
+    );
+    const currentContent = editorState.getCurrentContent();
+    const newContent = result.getCurrentContent();
+    const withoutTransaction = new EditorState(
+      result.getImmutable().merge({
+        inTransaction: false,
+        lastOperations:
+          newContent === currentContent
+            ? editorState.getLastOperations()
+            : result.getLastOperations(),
+      }),
+    );
+
+    if (!editorState.getAllowUndo() || newContent === currentContent) {
+      return withoutTransaction;
+    }
+
+    return EditorState.set(withoutTransaction, {
+      currentContent: newContent.set(
+        'selectionBefore',
+        editorState.getSelection(),
+      ),
+      undoStack: limitUndoStack(
+        editorState.getUndoStack().push(currentContent),
+        editorState.getHistoryPolicy(),
+      ),
+      redoStack: Stack(),
+      historyBoundary: true,
+    });
+  }
+
   /**
    * While editing, the user may apply inline style commands with a collapsed
    * cursor, intending to type text that adopts the specified style. In this
@@ -240,6 +403,30 @@ class EditorState {
     return this.getImmutable().getIn(['treeMap', blockKey]);
   }
 
+  /**
+   * Generate the decorations of the given blocks again, discarding those
+   * cached by the decorator. This is meant for decorations that depend on
+   * data outside of the content, for example the results of a spellchecker.
+   */
+  static invalidateDecorations(
+    editorState: EditorState,
+    blockKeys: $ReadOnlyArray<string>,
+  ): EditorState {
+    return redecorateBlocks(editorState, blockKeys, true);
+  }
+
+  /**
+   * Generate the decorations of the given blocks again, using those cached by
+   * the decorator. This is how the editor renders decorations that arrive
+   * asynchronously, leaving the selection untouched.
+   */
+  static updateDecorations(
+    editorState: EditorState,
+    blockKeys: $ReadOnlyArray<string>,
+  ): EditorState {
+    return redecorateBlocks(editorState, blockKeys, false);
+  }
+
   isSelectionAtStartOfContent(): boolean {
     const firstKey = this.getCurrentContent()
       .getBlockMap()
@@ -342,13 +529,42 @@ class EditorState {
     changeType: EditorChangeType,
     forceSelection: boolean = true,
   ): EditorState {
+    const schema = editorState.getSchema();
+    if (schema) {
+      contentState = enforceSchemaForContentState(
+        contentState,
+        schema,
+        editorState.getCurrentContent(),
+      );
+    }
+
     if (editorState.getCurrentContent() === contentState) {
       return editorState;
     }
 
+    const operations = DraftOperationLog.getOperations(
+      editorState.getCurrentContent(),
+      contentState,
+    );
+    let lastOperations = operations ? List(operations) : null;
+    DraftOperationLog.settle(contentState);
+
+    const inTransaction = editorState.getImmutable().get('inTransaction');
+    if (inTransaction) {
+      // The operations of the whole transaction are known only if those of
+      // each of its pushes are.
+      const previousOperations = editorState.getLastOperations();
+      lastOperations =
+        previousOperations && lastOperations
+          ? previousOperations.concat(lastOperations)
+          : null;
+    }
+
     const directionMap = EditorBidiService.getDirectionMap(
       contentState,
       editorState.getDirectionMap(),
+      editorState.getCurrentContent(),
+      operations,
     );
 
     if (!editorState.getAllowUndo()) {
@@ -356,28 +572,35 @@ class EditorState {
         currentContent: contentState,
         directionMap,
         lastChangeType: changeType,
+        lastOperations,
         selection: contentState.getSelectionAfter(),
         forceSelection,
         inlineStyleOverride: null,
+        blockSelection: null,
       });
     }
 
     const selection = editorState.getSelection();
     const currentContent = editorState.getCurrentContent();
+    const historyPolicy = editorState.getHistoryPolicy();
+    const changeTime =
+      historyPolicy && historyPolicy.coalesceWithin != null ? Date.now() : null;
     let undoStack = editorState.getUndoStack();
     let newContent = contentState;
 
-    if (
+    if (inTransaction) {
+      // The transaction records a single undo step once it is done.
+      newContent = newContent.set(
+        'selectionBefore',
+        currentContent.getSelectionBefore(),
+      );
+    } else if (
       selection !== currentContent.getSelectionAfter() ||
-      mustBecomeBoundary(editorState, changeType)
+      mustBecomeBoundary(editorState, changeType, changeTime)
     ) {
-      undoStack = undoStack.push(currentContent);
+      undoStack = limitUndoStack(undoStack.push(currentContent), historyPolicy);
       newContent = newContent.set('selectionBefore', selection);
-    } else if (
-      changeType === 'insert-characters' ||
-      changeType === 'backspace-character' ||
-      changeType === 'delete-character'
-    ) {
+    } else if (isCoalescingChangeType(historyPolicy, changeType)) {
       // Preserve the previous selection.
       newContent = newContent.set(
         'selectionBefore',
@@ -403,10 +626,14 @@ class EditorState {
       directionMap,
       undoStack,
       redoStack: Stack(),
+      historyBoundary: false,
+      lastChangeTime: changeTime,
       lastChangeType: changeType,
+      lastOperations,
       selection: contentState.getSelectionAfter(),
       forceSelection,
       inlineStyleOverride,
+      blockSelection: null,
     };
 
     return EditorState.set(editorState, editorStateChanges);
@@ -431,6 +658,7 @@ class EditorState {
     const directionMap = EditorBidiService.getDirectionMap(
       newCurrentContent,
       editorState.getDirectionMap(),
+      currentContent,
     );
 
     return EditorState.set(editorState, {
@@ -440,7 +668,9 @@ class EditorState {
       redoStack: editorState.getRedoStack().push(currentContent),
       forceSelection: true,
       inlineStyleOverride: null,
+      blockSelection: null,
       lastChangeType: 'undo',
+      lastOperations: null,
       nativelyRenderedContent: null,
       selection: currentContent.getSelectionBefore(),
     });
@@ -465,16 +695,22 @@ class EditorState {
     const directionMap = EditorBidiService.getDirectionMap(
       newCurrentContent,
       editorState.getDirectionMap(),
+      currentContent,
     );
 
     return EditorState.set(editorState, {
       currentContent: newCurrentContent,
       directionMap,
-      undoStack: editorState.getUndoStack().push(currentContent),
+      undoStack: limitUndoStack(
+        editorState.getUndoStack().push(currentContent),
+        editorState.getHistoryPolicy(),
+      ),
       redoStack: redoStack.shift(),
       forceSelection: true,
       inlineStyleOverride: null,
+      blockSelection: null,
       lastChangeType: 'redo',
+      lastOperations: null,
       nativelyRenderedContent: null,
       selection: newCurrentContent.getSelectionAfter(),
     });
@@ -509,6 +745,7 @@ function updateSelection(
     forceSelection,
     nativelyRenderedContent: null,
     inlineStyleOverride: null,
+    blockSelection: null,
   });
 }
 
@@ -522,31 +759,107 @@ function generateNewTreeMap(
 ): OrderedMap<string, List<any>> {
   return contentState
     .getBlockMap()
-    .map(block => BlockTree.generate(contentState, block, decorator))
+    .map(block => generateBlockTree(contentState, block, decorator))
     .toOrderedMap();
 }
 
+/**
+ * The values of the dependencies declared by the decorator for the block of
+ * each tree, at the time the tree was generated.
+ */
+const treeDependencies: WeakMap<
+  List<any>,
+  $ReadOnlyArray<mixed>,
+> = new WeakMap();
+
+function generateBlockTree(
+  contentState: ContentState,
+  block: BlockNodeRecord,
+  decorator: ?DraftDecoratorType,
+): List<any> {
+  const tree = BlockTree.generate(contentState, block, decorator);
+  if (decorator && decorator.getDependencies) {
+    treeDependencies.set(tree, decorator.getDependencies(block, contentState));
+  }
+  return tree;
+}
+
+function haveDependenciesChanged(
+  tree: List<any>,
+  block: BlockNodeRecord,
+  contentState: ContentState,
+  decorator: ?DraftDecoratorType,
+): boolean {
+  if (!decorator || !decorator.getDependencies) {
+    return false;
+  }
+  const dependencies = decorator.getDependencies(block, contentState);
+  return !shallowEqual(treeDependencies.get(tree), dependencies);
+}
+
+/**
+ * Regenerate the tree map objects of the given blocks, after discarding the
+ * decorations cached for them if `invalidate` is set.
+ */
+function redecorateBlocks(
+  editorState: EditorState,
+  blockKeys: $ReadOnlyArray<string>,
+  invalidate: boolean,
+): EditorState {
+  const decorator = editorState.getDecorator();
+  if (!decorator) {
+    return editorState;
+  }
+  const content = editorState.getCurrentContent();
+  const treeMap = editorState
+    .getImmutable()
+    .get('treeMap')
+    .withMutations(map => {
+      blockKeys.forEach(key => {
+        const block = content.getBlockForKey(key);
+        if (!block) {
+          return;
+        }
+        if (invalidate && decorator.invalidate) {
+          decorator.invalidate(block);
+        }
+        map.set(key, generateBlockTree(content, block, decorator));
+      });
+    });
+  return EditorState.set(editorState, {
+    treeMap,
+    nativelyRenderedContent: null,
+  });
+}
+
 /**
  * Regenerate tree map objects for all ContentBlocks that have changed
- * between the current editorState and newContent. Returns an OrderedMap
- * with only changed regenerated tree map objects.
+ * between the current editorState and newContent, or whose decorations
+ * depend on values that have changed. Returns an OrderedMap with only changed
+ * regenerated tree map objects.
  */
 function regenerateTreeForNewBlocks(
   editorState: EditorState,
-  newBlockMap: BlockMap,
-  newEntityMap: EntityMap,
+  newContent: ContentState,
   decorator?: ?DraftDecoratorType,
 ): OrderedMap<string, List<any>> {
-  const contentState = editorState
-    .getCurrentContent()
-    .set('entityMap', newEntityMap);
-  const prevBlockMap = contentState.getBlockMap();
+  const prevBlockMap = editorState.getCurrentContent().getBlockMap();
   const prevTreeMap = editorState.getImmutable().get('treeMap');
   return prevTreeMap.merge(
-    newBlockMap
+    newContent
+      .getBlockMap()
       .toSeq()
-      .filter((block, key) => block !== prevBlockMap.get(key))
-      .map(block => BlockTree.generate(contentState, block, decorator)),
+      .filter(
+        (block, key) =>
+          block !== prevBlockMap.get(key) ||
+          haveDependenciesChanged(
+            prevTreeMap.get(key),
+            block,
+            newContent,
+            decorator,
+          ),
+      )
+      .map(block => generateBlockTree(newContent, block, decorator)),
   );
 }
 
@@ -574,7 +887,7 @@ function regenerateTreeForNewDecorator(
           existingDecorator.getDecorations(block, content)
         );
       })
-      .map(block => BlockTree.generate(content, block, decorator)),
+      .map(block => generateBlockTree(content, block, decorator)),
   );
 }
 
@@ -586,16 +899,54 @@ function regenerateTreeForNewDecorator(
 function mustBecomeBoundary(
   editorState: EditorState,
   changeType: EditorChangeType,
+  changeTime: ?number,
+): boolean {
+  const historyPolicy = editorState.getHistoryPolicy();
+  if (
+    editorState.getImmutable().get('historyBoundary') ||
+    changeType !== editorState.getLastChangeType() ||
+    !isCoalescingChangeType(historyPolicy, changeType)
+  ) {
+    return true;
+  }
+  const lastChangeTime = editorState.getImmutable().get('lastChangeTime');
+  return (
+    historyPolicy != null &&
+    historyPolicy.coalesceWithin != null &&
+    (changeTime == null ||
+      lastChangeTime == null ||
+      changeTime - lastChangeTime > historyPolicy.coalesceWithin)
+  );
+}
+
+function isCoalescingChangeType(
+  historyPolicy: ?DraftHistoryPolicy,
+  changeType: EditorChangeType,
 ): boolean {
-  const lastChangeType = editorState.getLastChangeType();
+  if (historyPolicy && historyPolicy.coalesceChangeTypes) {
+    return historyPolicy.coalesceChangeTypes.indexOf(changeType) !== -1;
+  }
   return (
-    changeType !== lastChangeType ||
-    (changeType !== 'insert-characters' &&
-      changeType !== 'backspace-character' &&
-      changeType !== 'delete-character')
+    changeType === 'insert-characters' ||
+    changeType === 'backspace-character' ||
+    changeType === 'delete-character'
   );
 }
 
+/**
+ * Discard the oldest undo steps exceeding the maximum depth of the policy.
+ */
+function limitUndoStack(
+  undoStack: Stack<ContentState>,
+  historyPolicy: ?DraftHistoryPolicy,
+): Stack<ContentState> {
+  return historyPolicy &&
+    historyPolicy.maxDepth != null &&
+    undoStack.size > historyPolicy.maxDepth
+    ? undoStack.take(historyPolicy.maxDepth)
+    : undoStack;
+}
+
 function getInlineStyleForCollapsedSelection(
   content: ContentState,
   selection: SelectionState,
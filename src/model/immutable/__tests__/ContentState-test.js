@@ -135,3 +135,18 @@ test('must replace entities data', () => {
 
   expect(entityWithReplacedData.getData()).toMatchSnapshot();
 });
+
+test('must create nested content from text with the nested option', () => {
+  const ContentBlockNode = require('ContentBlockNode');
+  const DraftTreeInvariants = require('DraftTreeInvariants');
+  const state = ContentState.createFromText('Alpha\nBravo\nCharlie', '\n', {
+    nested: true,
+  });
+  const blocks = state.getBlocksAsArray();
+  expect(state.isNested()).toBe(true);
+  expect(blocks.every(block => block instanceof ContentBlockNode)).toBe(true);
+  expect(blocks[1].getPrevSiblingKey()).toBe(blocks[0].getKey());
+  expect(blocks[1].getNextSiblingKey()).toBe(blocks[2].getKey());
+  expect(DraftTreeInvariants.isValidTree(state.getBlockMap())).toBe(true);
+  expect(ContentState.createFromText('Alpha').isNested()).toBe(false);
+});
@@ -147,3 +147,192 @@ test('must return a new map if direction changes', () => {
   expect(directions.toJS()).toMatchSnapshot();
   expect(nextDirections.toJS()).toMatchSnapshot();
 });
+
+test('must honor the direction set on blocks', () => {
+  const withDirection = (block, direction) =>
+    block.set('data', Immutable.Map({direction}));
+  const state = getContentState([withDirection(ltr, 'RTL'), empty, rtl]);
+  const directions = EditorBidiService.getDirectionMap(state);
+  expect(directions.toJS()).toEqual({a: 'RTL', c: 'RTL', b: 'RTL'});
+
+  const nextDirections = EditorBidiService.getDirectionMap(
+    getContentState([ltr, empty, withDirection(rtl, 'LTR')]),
+    directions,
+    state,
+  );
+  expect(nextDirections.toJS()).toEqual({a: 'LTR', c: 'LTR', b: 'LTR'});
+});
+
+describe('with the previous content', () => {
+  const UnicodeBidi = require('UnicodeBidi');
+
+  const neutral = new ContentBlock({key: 'd', text: '123'});
+  const rtlAfter = new ContentBlock({key: 'e', text: 'א'});
+  const ltrAfter = new ContentBlock({key: 'g', text: 'world'});
+  const neutralAfter = new ContentBlock({key: 'f', text: '...'});
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const getDirectionMap = (blocks, prevBlocks) => {
+    const prevState = getContentState(prevBlocks);
+    const prevDirections = EditorBidiService.getDirectionMap(prevState);
+    const spy = jest.spyOn(UnicodeBidi, 'getDirection');
+    const directions = EditorBidiService.getDirectionMap(
+      getContentState(blocks),
+      prevDirections,
+      prevState,
+    );
+    return {
+      prevDirections,
+      directions,
+      resolvedTexts: spy.mock.calls.map(([text]) => text),
+    };
+  };
+
+  test('must only resolve blocks whose text changed', () => {
+    const {prevDirections, directions, resolvedTexts} = getDirectionMap(
+      [ltr, neutral.set('text', '1234'), ltrAfter],
+      [ltr, neutral, ltrAfter],
+    );
+    expect(resolvedTexts).toEqual(['1234']);
+    expect(directions).toBe(prevDirections);
+  });
+
+  test('must resolve the blocks following a change of direction', () => {
+    const {directions, resolvedTexts} = getDirectionMap(
+      [ltr.set('text', 'ב'), neutral, rtlAfter, neutralAfter],
+      [ltr, neutral, rtlAfter, neutralAfter],
+    );
+    expect(resolvedTexts).toEqual(['ב', '123']);
+    expect(directions.toJS()).toEqual({a: 'RTL', d: 'RTL', e: 'RTL', f: 'RTL'});
+    expect(directions).toEqual(
+      EditorBidiService.getDirectionMap(
+        getContentState([
+          ltr.set('text', 'ב'),
+          neutral,
+          rtlAfter,
+          neutralAfter,
+        ]),
+      ),
+    );
+  });
+
+  test('must resolve added blocks and keep the order of blocks', () => {
+    const {directions, resolvedTexts} = getDirectionMap(
+      [rtlAfter, ltr, empty, neutral],
+      [ltr, neutral, rtlAfter],
+    );
+    expect(resolvedTexts).toEqual(['א', 'hello', '']);
+    expect(directions.keySeq().toJS()).toEqual(['e', 'a', 'c', 'd']);
+    expect(directions.toJS()).toEqual({e: 'RTL', a: 'LTR', c: 'LTR', d: 'LTR'});
+  });
+});
+
+describe('with the operations of the change', () => {
+  const DraftModifier = require('DraftModifier');
+  const DraftOperationLog = require('DraftOperationLog');
+  const SelectionState = require('SelectionState');
+  const UnicodeBidi = require('UnicodeBidi');
+
+  const neutral = new ContentBlock({key: 'd', text: '123'});
+  const neutralAfter = new ContentBlock({key: 'f', text: '...'});
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const insertText = (blocks, key, offset, text) => {
+    const prevState = getContentState(blocks);
+    const prevDirections = EditorBidiService.getDirectionMap(prevState);
+    const state = DraftModifier.insertText(
+      prevState,
+      SelectionState.createEmpty(key).merge({
+        anchorOffset: offset,
+        focusOffset: offset,
+      }),
+      text,
+    );
+    const expected = EditorBidiService.getDirectionMap(state);
+    const getDirectionSpy = jest.spyOn(UnicodeBidi, 'getDirection');
+    const directions = EditorBidiService.getDirectionMap(
+      state,
+      prevDirections,
+      prevState,
+      DraftOperationLog.getOperations(prevState, state),
+    );
+    return {
+      prevDirections,
+      directions,
+      expected,
+      resolvedTexts: getDirectionSpy.mock.calls.map(([t]) => t),
+    };
+  };
+
+  test('must only resolve the block typed into', () => {
+    const {prevDirections, directions, resolvedTexts} = insertText(
+      [ltr, rtl, neutral, empty],
+      'b',
+      1,
+      'ב',
+    );
+    expect(resolvedTexts).toEqual(['שבבת']);
+    expect(directions).toBe(prevDirections);
+  });
+
+  test('must resolve the blocks following a change of direction', () => {
+    const {directions, expected, resolvedTexts} = insertText(
+      [ltr, neutral, neutralAfter, rtl, empty],
+      'd',
+      0,
+      'ב',
+    );
+    expect(resolvedTexts).toEqual(['ב123', '...', 'שבת']);
+    expect(directions.toJS()).toEqual(expected.toJS());
+    expect(directions.toJS()).toEqual({
+      a: 'LTR',
+      d: 'RTL',
+      f: 'RTL',
+      b: 'RTL',
+      c: 'RTL',
+    });
+  });
+
+  test('must find the direction inherited by a block losing its direction', () => {
+    const state = getContentState([rtl, ltr.set('text', 'h'), neutral]);
+    const withoutText = DraftModifier.removeRange(
+      state,
+      SelectionState.createEmpty('a').merge({focusOffset: 1}),
+      'backward',
+    );
+    expect(
+      EditorBidiService.getDirectionMap(
+        withoutText,
+        EditorBidiService.getDirectionMap(state),
+        state,
+        DraftOperationLog.getOperations(state, withoutText),
+      ).toJS(),
+    ).toEqual({b: 'RTL', a: 'RTL', d: 'RTL'});
+  });
+});
+
+test('must resolve all blocks when the map describes other content', () => {
+  const EditorState = require('EditorState');
+  const DraftModifier = require('DraftModifier');
+  const SelectionState = require('SelectionState');
+
+  const editorState = EditorState.createWithContent(
+    getContentState([ltr, rtl]),
+  );
+  const content = getContentState([
+    ltr.set('key', 'x').set('text', 'ב'),
+    rtl.set('key', 'y').set('text', 'hi'),
+  ]);
+  const nextState = EditorState.push(
+    EditorState.set(editorState, {currentContent: content}),
+    DraftModifier.insertText(content, SelectionState.createEmpty('x'), '1'),
+    'insert-characters',
+  );
+  expect(nextState.getDirectionMap().toJS()).toEqual({x: 'RTL', y: 'LTR'});
+});
@@ -269,6 +269,149 @@ test('must set a new decorator', () => {
   ).toMatchSnapshot();
 });
 
+describe('decoration caching', () => {
+  const CompositeDraftDecorator = require('CompositeDraftDecorator');
+
+  // Number the blocks that start with "*", across blocks.
+  const footnoteStrategy = jest.fn((block, callback) => {
+    if (block.getText().startsWith('*')) {
+      callback(0, 1);
+    }
+  });
+  const countFootnotesBefore = (block, contentState) =>
+    contentState
+      .getBlockMap()
+      .takeUntil(other => other === block)
+      .filter(other => other.getText().startsWith('*')).size;
+
+  const createState = decorator =>
+    EditorState.createWithContent(
+      ContentState.createFromText('*a\n*b\n*c'),
+      new CompositeDraftDecorator([decorator]),
+    );
+
+  beforeEach(() => {
+    footnoteStrategy.mockClear();
+  });
+
+  test('must decorate unchanged blocks again when dependencies change', () => {
+    const editorState = createState({
+      strategy: footnoteStrategy,
+      component: () => null,
+      getDependencies: (block, contentState) => [
+        countFootnotesBefore(block, contentState),
+      ],
+    });
+    const [
+      first,
+      second,
+      third,
+    ] = editorState.getCurrentContent().getBlocksAsArray();
+    expect(footnoteStrategy.mock.calls.length).toBe(3);
+
+    const withoutFootnote = EditorState.push(
+      editorState,
+      DraftModifier.removeRange(
+        editorState.getCurrentContent(),
+        SelectionState.createEmpty(first.getKey()).set('focusOffset', 1),
+        'forward',
+      ),
+      'remove-range',
+    );
+    expect(
+      footnoteStrategy.mock.calls.map(([block]) => block.getText()),
+    ).toEqual(['*a', '*b', '*c', 'a', '*b', '*c']);
+    [second, third].forEach(block =>
+      expect(withoutFootnote.getBlockTree(block.getKey())).not.toBe(
+        editorState.getBlockTree(block.getKey()),
+      ),
+    );
+  });
+
+  test('must only decorate changed blocks without dependencies', () => {
+    const editorState = createState({
+      strategy: footnoteStrategy,
+      component: () => null,
+    });
+    const second = editorState.getCurrentContent().getBlocksAsArray()[1];
+    const withText = EditorState.push(
+      editorState,
+      DraftModifier.insertText(
+        editorState.getCurrentContent(),
+        SelectionState.createEmpty(second.getKey()),
+        '*',
+      ),
+      'insert-characters',
+    );
+    expect(
+      footnoteStrategy.mock.calls.map(([block]) => block.getText()),
+    ).toEqual(['*a', '*b', '*c', '**b']);
+    expect(withText.getBlockTree(second.getKey())).not.toBe(
+      editorState.getBlockTree(second.getKey()),
+    );
+  });
+
+  test('must decorate invalidated blocks again', () => {
+    const editorState = createState({
+      strategy: footnoteStrategy,
+      component: () => null,
+    });
+    const [first, second] = editorState.getCurrentContent().getBlocksAsArray();
+    const invalidated = EditorState.invalidateDecorations(editorState, [
+      second.getKey(),
+      'missing',
+    ]);
+    expect(
+      footnoteStrategy.mock.calls.map(([block]) => block.getText()),
+    ).toEqual(['*a', '*b', '*c', '*b']);
+    expect(invalidated.getCurrentContent()).toBe(
+      editorState.getCurrentContent(),
+    );
+    expect(invalidated.getBlockTree(first.getKey())).toBe(
+      editorState.getBlockTree(first.getKey()),
+    );
+    expect(invalidated.getBlockTree(second.getKey())).not.toBe(
+      editorState.getBlockTree(second.getKey()),
+    );
+    expect(EditorState.invalidateDecorations(UNDECORATED_STATE, ['a'])).toBe(
+      UNDECORATED_STATE,
+    );
+  });
+
+  test('must update the decorations of blocks keeping the selection', async () => {
+    const requests = {};
+    const editorState = createState({
+      asyncStrategy: block =>
+        new Promise(resolve => {
+          requests[block.getText()] = resolve;
+        }),
+      component: () => null,
+    });
+    const first = editorState.getCurrentContent().getFirstBlock();
+    const selected = EditorState.forceSelection(
+      editorState,
+      SelectionState.createEmpty(first.getKey()).set('focusOffset', 1),
+    );
+    const listener = jest.fn();
+    editorState.getDecorator().subscribe(listener);
+
+    requests['*a']([{start: 0, end: 1}]);
+    await Promise.resolve();
+    expect(listener).toHaveBeenCalledWith([first.getKey()]);
+
+    const updated = EditorState.updateDecorations(selected, [first.getKey()]);
+    expect(updated.getSelection()).toBe(selected.getSelection());
+    expect(updated.mustForceSelection()).toBe(selected.mustForceSelection());
+    expect(updated.getCurrentContent()).toBe(selected.getCurrentContent());
+    expect(
+      updated
+        .getBlockTree(first.getKey())
+        .map(range => range.get('decoratorKey'))
+        .toJS(),
+    ).toEqual(['0.0', null]);
+  });
+});
+
 test('must call decorator with correct argument types and order', () => {
   const decorator = new Decorator();
   getSampleEditorState('DECORATED', decorator);
@@ -284,3 +427,283 @@ test('must correctly remove a decorator', () => {
   expect(decorator.getDecorations.mock.calls.length).toMatchSnapshot();
   expect(withNewDecorator.getDecorator()).toMatchSnapshot();
 });
+
+test('must enforce the schema on the current content', () => {
+  const editorState = EditorState.setSchema(UNDECORATED_STATE, {
+    inlineStyles: ['ITALIC'],
+  });
+  const content = editorState.getCurrentContent();
+  expect(
+    content
+      .getBlockForKey('b')
+      .getInlineStyleAt(0)
+      .toJS(),
+  ).toEqual([]);
+  expect(
+    content
+      .getBlockForKey('c')
+      .getInlineStyleAt(0)
+      .toJS(),
+  ).toEqual(['ITALIC']);
+  expect(editorState.getSchema()).toEqual({inlineStyles: ['ITALIC']});
+});
+
+test('must enforce the schema on pushed content', () => {
+  let contentState = UNDECORATED_STATE.getCurrentContent();
+  contentState = contentState.createEntity('LINK', 'MUTABLE', {url: 'a.com'});
+  const linkKey = contentState.getLastCreatedEntityKey();
+  contentState = contentState.createEntity('MENTION', 'IMMUTABLE');
+  const mentionKey = contentState.getLastCreatedEntityKey();
+
+  const editorState = EditorState.setSchema(
+    EditorState.acceptSelection(
+      EditorState.push(UNDECORATED_STATE, contentState, 'apply-entity'),
+      rangedSelection,
+    ),
+    {blockTypes: ['unstyled'], inlineStyles: ['BOLD'], entityTypes: ['LINK']},
+  );
+
+  const withHeader = RichTextEditorUtil.toggleBlockType(
+    editorState,
+    'header-one',
+  );
+  expect(
+    withHeader
+      .getCurrentContent()
+      .getFirstBlock()
+      .getType(),
+  ).toBe('unstyled');
+
+  let content = editorState.getCurrentContent();
+  content = DraftModifier.applyInlineStyle(content, rangedSelection, 'ITALIC');
+  content = DraftModifier.applyEntity(content, rangedSelection, mentionKey);
+  const withMention = EditorState.push(editorState, content, 'apply-entity')
+    .getCurrentContent()
+    .getFirstBlock();
+  expect(withMention.getEntityAt(0)).toBe(null);
+  expect(withMention.getInlineStyleAt(0).toJS()).toEqual([]);
+
+  content = DraftModifier.applyEntity(content, rangedSelection, linkKey);
+  const block = EditorState.push(editorState, content, 'apply-entity')
+    .getCurrentContent()
+    .getFirstBlock();
+  expect(block.getEntityAt(0)).toBe(linkKey);
+  expect(block.getInlineStyleAt(0).toJS()).toEqual([]);
+});
+
+test('must reject a schema without block types', () => {
+  expect(() =>
+    EditorState.setSchema(UNDECORATED_STATE, {blockTypes: []}),
+  ).toThrow('A content schema must allow at least one block type');
+});
+
+test('must truncate or reject changes exceeding the maximum length', () => {
+  const editorState = EditorState.setSchema(
+    EditorState.createWithContent(
+      ContentState.createFromBlockArray([
+        new ContentBlock({key: 'a', text: 'abc', type: 'callout'}),
+      ]),
+    ),
+    {maxLength: 5},
+  );
+  const insert = (state, text) =>
+    EditorState.push(
+      state,
+      DraftModifier.insertText(
+        state.getCurrentContent(),
+        state.getSelection(),
+        text,
+      ),
+      'insert-characters',
+    );
+
+  const truncated = insert(editorState, 'wxyz');
+  expect(truncated.getCurrentContent().getPlainText()).toBe('wxabc');
+  expect(truncated.getSelection().getFocusOffset()).toBe(2);
+  // Without `blockTypes`, custom block types are allowed.
+  expect(
+    truncated
+      .getCurrentContent()
+      .getFirstBlock()
+      .getType(),
+  ).toBe('callout');
+
+  expect(
+    insert(truncated, 'v')
+      .getCurrentContent()
+      .getPlainText(),
+  ).toBe('wxabc');
+
+  const shorter = EditorState.push(
+    truncated,
+    DraftModifier.removeRange(
+      truncated.getCurrentContent(),
+      rangedSelection,
+      'forward',
+    ),
+    'remove-range',
+  );
+  expect(shorter.getCurrentContent().getPlainText()).toBe('xabc');
+});
+
+test('must clear the block selection once the selection or content changes', () => {
+  const blockSelection = {anchorKey: 'a', focusKey: 'a'};
+  const editorState = EditorState.setBlockSelection(
+    UNDECORATED_STATE,
+    blockSelection,
+  );
+  expect(editorState.getBlockSelection()).toBe(blockSelection);
+  expect(
+    EditorState.acceptSelection(
+      editorState,
+      rangedSelection,
+    ).getBlockSelection(),
+  ).toBe(null);
+  expect(
+    EditorState.push(
+      editorState,
+      DraftModifier.insertText(
+        editorState.getCurrentContent(),
+        collapsedSelection,
+        'x',
+      ),
+      'insert-characters',
+    ).getBlockSelection(),
+  ).toBe(null);
+  expect(
+    EditorState.setBlockSelection(editorState, null).getBlockSelection(),
+  ).toBe(null);
+});
+
+describe('history', () => {
+  const createEditorState = historyPolicy =>
+    EditorState.setHistoryPolicy(
+      EditorState.createWithContent(
+        ContentState.createFromBlockArray([
+          new ContentBlock({key: 'a', text: ''}),
+        ]),
+      ),
+      historyPolicy,
+    );
+
+  const insert = (state, text) =>
+    EditorState.push(
+      state,
+      DraftModifier.insertText(
+        state.getCurrentContent(),
+        state.getSelection(),
+        text,
+      ),
+      'insert-characters',
+    );
+
+  const split = state =>
+    EditorState.push(
+      state,
+      DraftModifier.splitBlock(state.getCurrentContent(), state.getSelection()),
+      'split-block',
+    );
+
+  const getUndoTexts = state => {
+    const texts = [];
+    while (state.getUndoStack().size) {
+      state = EditorState.undo(state);
+      texts.push(state.getCurrentContent().getPlainText());
+    }
+    return texts;
+  };
+
+  const realNow = Date.now;
+  afterEach(() => {
+    Date.now = realNow;
+  });
+
+  test('must coalesce typing by default', () => {
+    let editorState = createEditorState(null);
+    editorState = insert(insert(insert(editorState, 'a'), 'b'), 'c');
+    expect(getUndoTexts(editorState)).toEqual(['']);
+  });
+
+  test('must discard the oldest undo steps beyond the maximum depth', () => {
+    let editorState = createEditorState({maxDepth: 2});
+    editorState = split(insert(split(insert(editorState, 'a')), 'b'));
+    expect(editorState.getUndoStack().size).toBe(2);
+    expect(getUndoTexts(editorState)).toEqual(['a\nb', 'a\n']);
+
+    const unlimited = createEditorState(null);
+    const trimmed = EditorState.setHistoryPolicy(
+      split(insert(split(insert(unlimited, 'a')), 'b')),
+      {maxDepth: 1},
+    );
+    expect(getUndoTexts(trimmed)).toEqual(['a\nb']);
+  });
+
+  test('must only coalesce changes within the time window', () => {
+    let now = 1000;
+    Date.now = () => now;
+    let editorState = createEditorState({coalesceWithin: 500});
+    editorState = insert(editorState, 'a');
+    now += 400;
+    editorState = insert(editorState, 'b');
+    now += 400;
+    editorState = insert(editorState, 'c');
+    now += 600;
+    editorState = insert(editorState, 'd');
+    expect(getUndoTexts(editorState)).toEqual(['abc', '']);
+  });
+
+  test('must only coalesce the change types of the policy', () => {
+    let editorState = createEditorState({coalesceChangeTypes: ['split-block']});
+    editorState = split(split(insert(insert(editorState, 'a'), 'b')));
+    expect(getUndoTexts(editorState)).toEqual(['ab', 'a', '']);
+  });
+
+  test('must group the changes of a transaction into one undo step', () => {
+    let editorState = insert(createEditorState(null), 'a');
+    editorState = EditorState.transaction(editorState, state => {
+      state = split(insert(state, 'b'));
+      return EditorState.transaction(state, nested => insert(nested, 'c'));
+    });
+    expect(editorState.getCurrentContent().getPlainText()).toBe('ab\nc');
+
+    // Typing after the transaction starts a new undo step.
+    editorState = insert(editorState, 'd');
+    expect(getUndoTexts(editorState)).toEqual(['ab\nc', 'a', '']);
+
+    const undone = EditorState.undo(EditorState.undo(editorState));
+    expect(undone.getSelection().getFocusOffset()).toBe(1);
+    expect(
+      EditorState.redo(undone)
+        .getCurrentContent()
+        .getPlainText(),
+    ).toBe('ab\nc');
+  });
+
+  test('must keep the operations of every change of a transaction', () => {
+    const editorState = insert(createEditorState(null), 'a');
+    const result = EditorState.transaction(editorState, state =>
+      insert(split(insert(state, 'x')), 'y'),
+    );
+    const operations = result.getLastOperations();
+    expect(operations && operations.map(op => op.type).toArray()).toEqual([
+      'insertText',
+      'splitBlock',
+      'insertText',
+    ]);
+    expect(
+      EditorState.transaction(editorState, state => state).getLastOperations(),
+    ).toBe(editorState.getLastOperations());
+
+    const undone = EditorState.transaction(editorState, state =>
+      insert(EditorState.undo(insert(state, 'x')), 'y'),
+    );
+    expect(undone.getLastOperations()).toBe(null);
+  });
+
+  test('must not record empty transactions', () => {
+    const editorState = insert(createEditorState(null), 'a');
+    const result = EditorState.transaction(editorState, state => state);
+    expect(result.getUndoStack()).toBe(editorState.getUndoStack());
+    expect(insert(result, 'b').getUndoStack().size).toBe(1);
+  });
+});
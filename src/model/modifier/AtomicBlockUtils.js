@@ -23,14 +23,7 @@ const DraftModifier = require('DraftModifier');
 const EditorState = require('EditorState');
 
 const generateRandomKey = require('generateRandomKey');
-const gkx = require('gkx');
 const Immutable = require('immutable');
-const moveBlockInContentState = require('moveBlockInContentState');
-
-const experimentalTreeDataSupport = gkx('draft_tree_data_support');
-const ContentBlockRecord = experimentalTreeDataSupport
-  ? ContentBlockNode
-  : ContentBlock;
 
 const {List, Repeat} = Immutable;
 
@@ -73,7 +66,8 @@ const AtomicBlockUtils = {
       type: 'unstyled',
     };
 
-    if (experimentalTreeDataSupport) {
+    const isNested = contentState.isNested();
+    if (isNested) {
       atomicBlockConfig = {
         ...atomicBlockConfig,
         nextSibling: atomicDividerBlockConfig.key,
@@ -84,6 +78,7 @@ const AtomicBlockUtils = {
       };
     }
 
+    const ContentBlockRecord = isNested ? ContentBlockNode : ContentBlock;
     const fragmentArray = [
       new ContentBlockRecord(atomicBlockConfig),
       new ContentBlockRecord(atomicDividerBlockConfig),
@@ -123,7 +118,7 @@ const AtomicBlockUtils = {
           : targetRange.getEndKey(),
       );
 
-      withMovedAtomicBlock = moveBlockInContentState(
+      withMovedAtomicBlock = DraftModifier.moveBlock(
         contentState,
         atomicBlock,
         targetBlock,
@@ -142,7 +137,7 @@ const AtomicBlockUtils = {
       );
 
       if (selectionAfterRemoval.getStartOffset() === 0) {
-        withMovedAtomicBlock = moveBlockInContentState(
+        withMovedAtomicBlock = DraftModifier.moveBlock(
           afterRemoval,
           atomicBlock,
           targetBlock,
@@ -151,7 +146,7 @@ const AtomicBlockUtils = {
       } else if (
         selectionAfterRemoval.getEndOffset() === targetBlock.getLength()
       ) {
-        withMovedAtomicBlock = moveBlockInContentState(
+        withMovedAtomicBlock = DraftModifier.moveBlock(
           afterRemoval,
           atomicBlock,
           targetBlock,
@@ -168,7 +163,7 @@ const AtomicBlockUtils = {
           selectionAfterSplit.getFocusKey(),
         );
 
-        withMovedAtomicBlock = moveBlockInContentState(
+        withMovedAtomicBlock = DraftModifier.moveBlock(
           afterSplit,
           atomicBlock,
           targetBlock,
@@ -0,0 +1,461 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @format
+ * @flow
+ * @emails oncall+draft_js
+ */
+
+'use strict';
+
+import type {BlockMap} from 'BlockMap';
+import type {BlockNodeRecord} from 'BlockNodeRecord';
+import type ContentState from 'ContentState';
+import type {DraftBlockType} from 'DraftBlockType';
+
+const ContentBlock = require('ContentBlock');
+const ContentBlockNode = require('ContentBlockNode');
+const DraftBlockDrag = require('DraftBlockDrag');
+const DraftModifier = require('DraftModifier');
+const DraftTreeOperations = require('DraftTreeOperations');
+const EditorState = require('EditorState');
+const SelectionState = require('SelectionState');
+
+const generateRandomKey = require('generateRandomKey');
+const Immutable = require('immutable');
+
+const {OrderedMap} = Immutable;
+
+export type BlockSelectionDirection = 'up' | 'down';
+
+const hasChildren = (block: BlockNodeRecord): boolean =>
+  block instanceof ContentBlockNode && !block.getChildKeys().isEmpty();
+
+const getParentKey = (block: BlockNodeRecord): ?string =>
+  block instanceof ContentBlockNode ? block.getParentKey() : null;
+
+const isDescendant = (
+  blockMap: BlockMap,
+  blockKey: string,
+  ancestorKey: string,
+): boolean => {
+  let key = getParentKey(blockMap.get(blockKey));
+  while (key != null) {
+    if (key === ancestorKey) {
+      return true;
+    }
+    key = getParentKey(blockMap.get(key));
+  }
+  return false;
+};
+
+/**
+ * The block selected in place of the given one, which is the table holding
+ * it when it is within a table: rows and cells are only selected along with
+ * their table.
+ */
+const getSelectableKey = (blockMap: BlockMap, blockKey: string): string => {
+  let selectableKey = blockKey;
+  let key = blockKey;
+  while (key != null) {
+    const block = blockMap.get(key);
+    const parentKey = getParentKey(block);
+    if (parentKey != null && !DraftBlockDrag.isDraggable(block)) {
+      selectableKey = parentKey;
+    }
+    key = parentKey;
+  }
+  return selectableKey;
+};
+
+/**
+ * The key of the block without children above or below the given block and
+ * its descendants, in document order.
+ */
+const getAdjacentLeafKey = (
+  blockMap: BlockMap,
+  blockKey: string,
+  direction: BlockSelectionDirection,
+): ?string => {
+  const keySeq = blockMap.keySeq();
+  const candidateKeys =
+    direction === 'up'
+      ? keySeq.takeUntil(key => key === blockKey).reverse()
+      : keySeq
+          .skipUntil(key => key === blockKey)
+          .skip(1)
+          .skipWhile(key => isDescendant(blockMap, key, blockKey));
+  return candidateKeys.find(key => !hasChildren(blockMap.get(key)));
+};
+
+/**
+ * The key of the last block of the block and its descendants, in document
+ * order.
+ */
+const getLastDescendantKey = (blockMap: BlockMap, blockKey: string): string => {
+  let key = blockKey;
+  let block = blockMap.get(key);
+  while (hasChildren(block)) {
+    key = block.getChildKeys().last();
+    block = blockMap.get(key);
+  }
+  return key;
+};
+
+const getSiblingKey = (
+  contentState: ContentState,
+  blockKey: string,
+  direction: BlockSelectionDirection,
+): ?string => {
+  const block = contentState.getBlockForKey(blockKey);
+  if (block instanceof ContentBlockNode) {
+    return direction === 'up'
+      ? block.getPrevSiblingKey()
+      : block.getNextSiblingKey();
+  }
+  return direction === 'up'
+    ? contentState.getKeyBefore(blockKey)
+    : contentState.getKeyAfter(blockKey);
+};
+
+const collapsedAt = (
+  block: BlockNodeRecord,
+  offset: number,
+  hasFocus: boolean,
+): SelectionState =>
+  SelectionState.createEmpty(block.getKey()).merge({
+    anchorOffset: offset,
+    focusOffset: offset,
+    hasFocus,
+  });
+
+/**
+ * Copy a block and its descendants with new keys, adding the copies to
+ * `copies`, and return the key of the copy of the block. The copies are not
+ * linked to their siblings yet.
+ */
+const copySubtree = (
+  blockMap: BlockMap,
+  blockKey: string,
+  copies: {[key: string]: BlockNodeRecord},
+): string => {
+  const block = blockMap.get(blockKey);
+  const copyKey = generateRandomKey();
+  copies[copyKey] = block.merge({
+    key: copyKey,
+    children: block
+      .getChildKeys()
+      .map(childKey => copySubtree(blockMap, childKey, copies)),
+  });
+  return copyKey;
+};
+
+/**
+ * The block selection of an `EditorState` selects whole blocks, as with Esc,
+ * which are then removed, duplicated, moved or changed as a whole, each of
+ * these operations being a single undo step. In nested content, the selected
+ * blocks are the outermost sibling blocks covering the block selection,
+ * along with their descendants. Tables are only selected as a whole.
+ */
+const BlockSelectionUtils = {
+  /**
+   * Get the keys of the selected blocks, in document order, or an empty array
+   * when no blocks are selected.
+   */
+  getSelectedBlockKeys: function(editorState: EditorState): Array<string> {
+    const blockSelection = editorState.getBlockSelection();
+    const contentState = editorState.getCurrentContent();
+    const blockMap = contentState.getBlockMap();
+    if (
+      !blockSelection ||
+      !blockMap.has(blockSelection.anchorKey) ||
+      !blockMap.has(blockSelection.focusKey)
+    ) {
+      return [];
+    }
+    const anchorKey = getSelectableKey(blockMap, blockSelection.anchorKey);
+    const focusKey = getSelectableKey(blockMap, blockSelection.focusKey);
+    const keySeq = blockMap.keySeq();
+    const isBackward = keySeq.indexOf(focusKey) < keySeq.indexOf(anchorKey);
+    return DraftBlockDrag.getBlockKeysInRange(
+      contentState,
+      isBackward ? focusKey : anchorKey,
+      isBackward ? anchorKey : focusKey,
+    );
+  },
+
+  /**
+   * Select the blocks covered by the text selection.
+   */
+  selectBlocks: function(editorState: EditorState): EditorState {
+    const selection = editorState.getSelection();
+    return EditorState.setBlockSelection(editorState, {
+      anchorKey: selection.getAnchorKey(),
+      focusKey: selection.getFocusKey(),
+    });
+  },
+
+  /**
+   * Select the block above or below the focus of the block selection, or
+   * extend the block selection to it.
+   */
+  selectAdjacentBlock: function(
+    editorState: EditorState,
+    direction: BlockSelectionDirection,
+    extend: boolean,
+  ): EditorState {
+    const blockSelection = editorState.getBlockSelection();
+    if (!blockSelection) {
+      return editorState;
+    }
+    const blockMap = editorState.getCurrentContent().getBlockMap();
+    const adjacentKey = getAdjacentLeafKey(
+      blockMap,
+      getSelectableKey(blockMap, blockSelection.focusKey),
+      direction,
+    );
+    if (adjacentKey == null) {
+      return editorState;
+    }
+    return EditorState.setBlockSelection(editorState, {
+      anchorKey: extend ? blockSelection.anchorKey : adjacentKey,
+      focusKey: adjacentKey,
+    });
+  },
+
+  /**
+   * Remove the selected blocks, and put the caret at the start of the block
+   * after them, or else at the end of the block before them. In nested
+   * content, a block left without children is removed along with them.
+   */
+  removeSelectedBlocks: function(editorState: EditorState): EditorState {
+    let removedKeys = BlockSelectionUtils.getSelectedBlockKeys(editorState);
+    if (!removedKeys.length) {
+      return editorState;
+    }
+    const contentState = editorState.getCurrentContent();
+    const blockMap = contentState.getBlockMap();
+    let newBlockMap;
+    if (contentState.isNested()) {
+      let parentKey = getParentKey(blockMap.get(removedKeys[0]));
+      while (
+        parentKey != null &&
+        blockMap.get(parentKey).getChildKeys().size === removedKeys.length
+      ) {
+        removedKeys = [parentKey];
+        parentKey = getParentKey(blockMap.get(parentKey));
+      }
+      const siblingKeys = DraftTreeOperations.getSiblingKeys(
+        blockMap,
+        parentKey,
+      );
+      newBlockMap = DraftTreeOperations.orderBlockMap(
+        DraftTreeOperations.setSiblingKeys(
+          blockMap,
+          parentKey,
+          siblingKeys.filter(key => removedKeys.indexOf(key) === -1),
+        ),
+      );
+    } else {
+      newBlockMap = blockMap.filter(
+        (_, key) => removedKeys.indexOf(key) === -1,
+      );
+    }
+
+    const hasFocus = editorState.getSelection().getHasFocus();
+    const firstRemovedKey = removedKeys[0];
+    const isRemainingLeaf = key =>
+      newBlockMap.has(key) && !hasChildren(newBlockMap.get(key));
+    const keyAfter = blockMap
+      .keySeq()
+      .skipUntil(key => key === firstRemovedKey)
+      .find(isRemainingLeaf);
+    const keyBefore = blockMap
+      .keySeq()
+      .takeUntil(key => key === firstRemovedKey)
+      .reverse()
+      .find(isRemainingLeaf);
+    let selectionAfter;
+    if (keyAfter != null) {
+      selectionAfter = collapsedAt(newBlockMap.get(keyAfter), 0, hasFocus);
+    } else if (keyBefore != null) {
+      const blockBefore = newBlockMap.get(keyBefore);
+      selectionAfter = collapsedAt(
+        blockBefore,
+        blockBefore.getLength(),
+        hasFocus,
+      );
+    } else {
+      const emptyBlock = contentState.isNested()
+        ? new ContentBlockNode({key: generateRandomKey()})
+        : new ContentBlock({key: generateRandomKey()});
+      newBlockMap = OrderedMap([[emptyBlock.getKey(), emptyBlock]]);
+      selectionAfter = collapsedAt(emptyBlock, 0, hasFocus);
+    }
+
+    return EditorState.push(
+      editorState,
+      contentState.merge({
+        blockMap: newBlockMap,
+        selectionBefore: editorState.getSelection(),
+        selectionAfter,
+      }),
+      'remove-range',
+    );
+  },
+
+  /**
+   * Insert copies of the selected blocks after them, with new keys, and
+   * select the copies.
+   */
+  duplicateSelectedBlocks: function(editorState: EditorState): EditorState {
+    const selectedKeys = BlockSelectionUtils.getSelectedBlockKeys(editorState);
+    if (!selectedKeys.length) {
+      return editorState;
+    }
+    const contentState = editorState.getCurrentContent();
+    const blockMap = contentState.getBlockMap();
+    const lastKey = selectedKeys[selectedKeys.length - 1];
+    let newBlockMap;
+    let copyKeys;
+    if (contentState.isNested()) {
+      const copies = {};
+      copyKeys = selectedKeys.map(key => copySubtree(blockMap, key, copies));
+      newBlockMap = blockMap.merge(copies);
+      Object.keys(copies).forEach(copyKey => {
+        newBlockMap = DraftTreeOperations.setSiblingKeys(
+          newBlockMap,
+          copyKey,
+          copies[copyKey].getChildKeys(),
+        );
+      });
+      const parentKey = getParentKey(blockMap.get(lastKey));
+      const siblingKeys = DraftTreeOperations.getSiblingKeys(
+        blockMap,
+        parentKey,
+      );
+      newBlockMap = DraftTreeOperations.orderBlockMap(
+        DraftTreeOperations.setSiblingKeys(
+          newBlockMap,
+          parentKey,
+          siblingKeys.splice(siblingKeys.indexOf(lastKey) + 1, 0, ...copyKeys),
+        ),
+      );
+    } else {
+      const copies = selectedKeys.map(key =>
+        blockMap.get(key).set('key', generateRandomKey()),
+      );
+      copyKeys = copies.map(copy => copy.getKey());
+      newBlockMap = blockMap
+        .takeUntil((_, key) => key === lastKey)
+        .concat(OrderedMap([[lastKey, blockMap.get(lastKey)]]))
+        .concat(OrderedMap(copies.map(copy => [copy.getKey(), copy])))
+        .concat(blockMap.skipUntil((_, key) => key === lastKey).skip(1));
+    }
+
+    const selection = editorState.getSelection();
+    return EditorState.setBlockSelection(
+      EditorState.push(
+        editorState,
+        contentState.merge({
+          blockMap: newBlockMap,
+          selectionBefore: selection,
+          selectionAfter: selection,
+        }),
+        'insert-fragment',
+      ),
+      {anchorKey: copyKeys[0], focusKey: copyKeys[copyKeys.length - 1]},
+    );
+  },
+
+  /**
+   * Set the type of the selected blocks without children, and of the blocks
+   * without children nested in the selected blocks. Table cells keep their
+   * type.
+   */
+  setSelectedBlocksType: function(
+    editorState: EditorState,
+    blockType: DraftBlockType,
+  ): EditorState {
+    const selectedKeys = BlockSelectionUtils.getSelectedBlockKeys(editorState);
+    if (!selectedKeys.length) {
+      return editorState;
+    }
+    const contentState = editorState.getCurrentContent();
+    const blockMap = contentState.getBlockMap();
+    const endKey = getLastDescendantKey(
+      blockMap,
+      selectedKeys[selectedKeys.length - 1],
+    );
+    let newContent = contentState;
+    blockMap
+      .skipUntil((_, key) => key === selectedKeys[0])
+      .takeUntil((_, key) => key === endKey)
+      .concat(OrderedMap([[endKey, blockMap.get(endKey)]]))
+      .forEach((block, key) => {
+        if (
+          !hasChildren(block) &&
+          DraftBlockDrag.isDraggable(block) &&
+          block.getType() !== blockType
+        ) {
+          newContent = DraftModifier.setBlockType(
+            newContent,
+            SelectionState.createEmpty(key),
+            blockType,
+          );
+        }
+      });
+    if (newContent === contentState) {
+      return editorState;
+    }
+
+    const selection = editorState.getSelection();
+    return EditorState.setBlockSelection(
+      EditorState.push(
+        editorState,
+        newContent.merge({
+          selectionBefore: selection,
+          selectionAfter: selection,
+        }),
+        'change-block-type',
+      ),
+      editorState.getBlockSelection(),
+    );
+  },
+
+  /**
+   * Move the selected blocks above the block before them, or below the block
+   * after them. In nested content, they are moved among their siblings.
+   */
+  moveSelectedBlocks: function(
+    editorState: EditorState,
+    direction: BlockSelectionDirection,
+  ): EditorState {
+    const selectedKeys = BlockSelectionUtils.getSelectedBlockKeys(editorState);
+    if (!selectedKeys.length) {
+      return editorState;
+    }
+    const targetKey = getSiblingKey(
+      editorState.getCurrentContent(),
+      direction === 'up'
+        ? selectedKeys[0]
+        : selectedKeys[selectedKeys.length - 1],
+      direction,
+    );
+    if (targetKey == null) {
+      return editorState;
+    }
+    const moved = DraftBlockDrag.moveBlocks(editorState, selectedKeys, {
+      blockKey: targetKey,
+      insertionMode: direction === 'up' ? 'before' : 'after',
+    });
+    return moved === editorState
+      ? editorState
+      : EditorState.setBlockSelection(moved, editorState.getBlockSelection());
+  },
+};
+
+module.exports = BlockSelectionUtils;
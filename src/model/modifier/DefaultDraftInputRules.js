@@ -0,0 +1,121 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @format
+ * @flow
+ * @emails oncall+draft_js
+ */
+
+'use strict';
+
+import type {DraftBlockType} from 'DraftBlockType';
+import type {DraftInputRule} from 'DraftInputRule';
+
+const DraftModifier = require('DraftModifier');
+
+const HEADER_TYPES = [
+  'header-one',
+  'header-two',
+  'header-three',
+  'header-four',
+  'header-five',
+  'header-six',
+];
+
+/**
+ * Turn an unstyled block into a block of another type when its text starts
+ * with a Markdown marker, removing the marker.
+ */
+const blockTypeRule = (
+  pattern: RegExp,
+  getBlockType: (match: RegExp$matchResult) => DraftBlockType,
+): DraftInputRule => ({
+  pattern,
+  transform: (contentState, range, match) => {
+    if (
+      contentState.getBlockForKey(range.getAnchorKey()).getType() !== 'unstyled'
+    ) {
+      return null;
+    }
+    const withoutMarker = DraftModifier.removeRange(
+      contentState,
+      range,
+      'backward',
+    );
+    return DraftModifier.setBlockType(
+      withoutMarker,
+      withoutMarker.getSelectionAfter(),
+      getBlockType(match),
+    );
+  },
+});
+
+/**
+ * Apply an inline style to the text between two Markdown markers, removing
+ * the markers. The text to style is the first group of the pattern, right
+ * before the closing marker.
+ */
+const inlineStyleRule = (
+  pattern: RegExp,
+  marker: string,
+  inlineStyle: string,
+): DraftInputRule => ({
+  pattern,
+  transform: (contentState, range, match) => {
+    if (
+      contentState.getBlockForKey(range.getAnchorKey()).getType() ===
+      'code-block'
+    ) {
+      return null;
+    }
+    const end = range.getEndOffset();
+    const textEnd = end - marker.length;
+    const textStart = textEnd - match[1].length;
+    const start = textStart - marker.length;
+    const select = (anchorOffset, focusOffset) =>
+      range.merge({anchorOffset, focusOffset});
+
+    let newContentState = DraftModifier.removeRange(
+      contentState,
+      select(textEnd, end),
+      'backward',
+    );
+    newContentState = DraftModifier.removeRange(
+      newContentState,
+      select(start, textStart),
+      'backward',
+    );
+    newContentState = DraftModifier.applyInlineStyle(
+      newContentState,
+      select(start, start + match[1].length),
+      inlineStyle,
+    );
+    return newContentState.set(
+      'selectionAfter',
+      select(start + match[1].length, start + match[1].length),
+    );
+  },
+});
+
+/**
+ * Input rules for the Markdown syntax of the block types and inline styles
+ * supported by default.
+ */
+const DefaultDraftInputRules: $ReadOnlyArray<DraftInputRule> = [
+  blockTypeRule(/^(#{1,6}) $/, match => HEADER_TYPES[match[1].length - 1]),
+  blockTypeRule(/^[*+-] $/, () => 'unordered-list-item'),
+  blockTypeRule(/^\d+[.)] $/, () => 'ordered-list-item'),
+  blockTypeRule(/^> $/, () => 'blockquote'),
+  blockTypeRule(/^```$/, () => 'code-block'),
+  inlineStyleRule(/\*\*([^*\s](?:[^*]*[^*\s])?)\*\*$/, '**', 'BOLD'),
+  inlineStyleRule(/(?:^|\s)__([^_\s](?:[^_]*[^_\s])?)__$/, '__', 'BOLD'),
+  inlineStyleRule(/(?:^|[^*])\*([^*\s](?:[^*]*[^*\s])?)\*$/, '*', 'ITALIC'),
+  inlineStyleRule(/(?:^|\s)_([^_\s](?:[^_]*[^_\s])?)_$/, '_', 'ITALIC'),
+  inlineStyleRule(/~~([^~\s](?:[^~]*[^~\s])?)~~$/, '~~', 'STRIKETHROUGH'),
+  inlineStyleRule(/`([^`]+)`$/, '`', 'CODE'),
+];
+
+module.exports = DefaultDraftInputRules;
@@ -0,0 +1,203 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @format
+ * @flow
+ * @emails oncall+draft_js
+ */
+
+'use strict';
+
+import type {BlockNodeRecord} from 'BlockNodeRecord';
+import type ContentState from 'ContentState';
+
+const ContentBlockNode = require('ContentBlockNode');
+const DraftModifier = require('DraftModifier');
+const DraftTreeOperations = require('DraftTreeOperations');
+const EditorState = require('EditorState');
+
+export type DraftBlockDropTarget = {
+  blockKey: string,
+  insertionMode: 'before' | 'after',
+};
+
+// Rows and cells are only moved along with their table.
+const UNDRAGGABLE_TYPES = ['table-row', 'table-cell'];
+
+/**
+ * Whether the block is already the sibling before or after the target block.
+ */
+const isNextToTarget = (
+  contentState: ContentState,
+  blockKey: string,
+  targetKey: string,
+  insertionMode: 'before' | 'after',
+): boolean => {
+  const targetBlock = contentState.getBlockForKey(targetKey);
+  if (targetBlock instanceof ContentBlockNode) {
+    return (
+      (insertionMode === 'before'
+        ? targetBlock.getPrevSiblingKey()
+        : targetBlock.getNextSiblingKey()) === blockKey
+    );
+  }
+  return (
+    (insertionMode === 'before'
+      ? contentState.getKeyBefore(targetKey)
+      : contentState.getKeyAfter(targetKey)) === blockKey
+  );
+};
+
+/**
+ * Blocks dragged by their drag handle, along with the blocks selected with
+ * them, and dropped before or after another block. Blocks of nested content
+ * are moved along with their descendants.
+ */
+const DraftBlockDrag = {
+  /**
+   * Whether the block can be dragged, and blocks dropped next to it.
+   */
+  isDraggable: function(block: BlockNodeRecord): boolean {
+    return UNDRAGGABLE_TYPES.indexOf(block.getType()) === -1;
+  },
+
+  /**
+   * Get the keys of the blocks from the start block to the end block, in
+   * document order. In nested content, these are the outermost sibling blocks
+   * covering them, which are moved along with their descendants.
+   */
+  getBlockKeysInRange: function(
+    contentState: ContentState,
+    startKey: string,
+    endKey: string,
+  ): Array<string> {
+    const blockMap = contentState.getBlockMap();
+    if (!contentState.isNested()) {
+      return blockMap
+        .keySeq()
+        .skipUntil(key => key === startKey)
+        .takeUntil(key => key === endKey)
+        .concat([endKey])
+        .toArray();
+    }
+    const [firstKey, lastKey] = DraftTreeOperations.getOutermostSiblingKeys(
+      blockMap,
+      startKey,
+      endKey,
+    );
+    const siblingKeys = DraftTreeOperations.getSiblingKeys(
+      blockMap,
+      blockMap.get(firstKey).getParentKey(),
+    );
+    return siblingKeys
+      .slice(siblingKeys.indexOf(firstKey), siblingKeys.indexOf(lastKey) + 1)
+      .toArray();
+  },
+
+  /**
+   * Get the keys of the blocks dragged by the handle of a block, in document
+   * order: the selected blocks when the selection covers more than one block
+   * and includes this one, or else this block alone.
+   */
+  getDraggedBlockKeys: function(
+    editorState: EditorState,
+    blockKey: string,
+  ): Array<string> {
+    const contentState = editorState.getCurrentContent();
+    const selection = editorState.getSelection();
+    const startKey = selection.getStartKey();
+    const endKey = selection.getEndKey();
+    const blockMap = contentState.getBlockMap();
+    const isSelected = blockMap
+      .keySeq()
+      .skipUntil(key => key === startKey)
+      .takeUntil(key => key === endKey)
+      .concat([endKey])
+      .includes(blockKey);
+    if (startKey === endKey || !isSelected) {
+      return [blockKey];
+    }
+
+    const draggedKeys = DraftBlockDrag.getBlockKeysInRange(
+      contentState,
+      startKey,
+      endKey,
+    );
+    return draggedKeys.every(key =>
+      DraftBlockDrag.isDraggable(blockMap.get(key)),
+    )
+      ? draggedKeys
+      : [blockKey];
+  },
+
+  /**
+   * Whether the dragged blocks can be dropped next to the target block, which
+   * must be neither one of them nor one of their descendants.
+   */
+  canDrop: function(
+    contentState: ContentState,
+    blockKeys: Array<string>,
+    targetKey: string,
+  ): boolean {
+    let key = targetKey;
+    while (key != null) {
+      const block = contentState.getBlockForKey(key);
+      if (!block || blockKeys.indexOf(key) !== -1) {
+        return false;
+      }
+      key = block instanceof ContentBlockNode ? block.getParentKey() : null;
+    }
+    return DraftBlockDrag.isDraggable(contentState.getBlockForKey(targetKey));
+  },
+
+  /**
+   * Move the dragged blocks, in order, before or after the target block, as
+   * one `move-block` change. The selection is kept, the blocks keeping their
+   * keys.
+   */
+  moveBlocks: function(
+    editorState: EditorState,
+    blockKeys: Array<string>,
+    target: DraftBlockDropTarget,
+  ): EditorState {
+    const contentState = editorState.getCurrentContent();
+    if (!DraftBlockDrag.canDrop(contentState, blockKeys, target.blockKey)) {
+      return editorState;
+    }
+
+    let newContent = contentState;
+    let targetKey = target.blockKey;
+    let insertionMode = target.insertionMode;
+    blockKeys.forEach(blockKey => {
+      if (!isNextToTarget(newContent, blockKey, targetKey, insertionMode)) {
+        newContent = DraftModifier.moveBlock(
+          newContent,
+          newContent.getBlockForKey(blockKey),
+          newContent.getBlockForKey(targetKey),
+          insertionMode,
+        );
+      }
+      // The following blocks are moved after the previous one.
+      targetKey = blockKey;
+      insertionMode = 'after';
+    });
+    if (newContent === contentState) {
+      return editorState;
+    }
+
+    const selection = editorState.getSelection();
+    return EditorState.push(
+      editorState,
+      newContent.merge({
+        selectionBefore: selection,
+        selectionAfter: selection,
+      }),
+      'move-block',
+    );
+  },
+};
+
+module.exports = DraftBlockDrag;
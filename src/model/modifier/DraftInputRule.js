@@ -0,0 +1,39 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @format
+ * @flow
+ * @emails oncall+draft_js
+ */
+
+'use strict';
+
+import type ContentState from 'ContentState';
+import type SelectionState from 'SelectionState';
+
+/**
+ * A DraftInputRule transforms the content when the text typed before the
+ * caret matches a pattern, for instance to start a list when typing `* ` at
+ * the start of a block.
+ *
+ *   - A "pattern": A regular expression matched against the text of the block
+ *     before the caret, once the typed characters are inserted. Only matches
+ *     ending at the caret apply, so the pattern usually ends with `$`. It
+ *     should not be global, as it is matched against successive texts.
+ *
+ *   - A "transform": A function that receives the content with the typed
+ *     characters, the range of the match in the block and the match itself,
+ *     and returns the transformed content, with the caret as its selection
+ *     after. It may return null to leave the input untouched.
+ */
+export type DraftInputRule = {
+  pattern: RegExp,
+  transform: (
+    contentState: ContentState,
+    range: SelectionState,
+    match: RegExp$matchResult,
+  ) => ?ContentState,
+};
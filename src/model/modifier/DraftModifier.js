@@ -12,15 +12,19 @@
 'use strict';
 
 import type {BlockMap} from 'BlockMap';
+import type {BlockNodeRecord} from 'BlockNodeRecord';
 import type ContentState from 'ContentState';
 import type {DraftBlockType} from 'DraftBlockType';
 import type {DraftInlineStyle} from 'DraftInlineStyle';
+import type {DraftInsertionType} from 'DraftInsertionType';
+import type {DraftOperation, DraftOperationEntity} from 'DraftOperationLog';
 import type {DraftRemovalDirection} from 'DraftRemovalDirection';
 import type SelectionState from 'SelectionState';
-import type {Map} from 'immutable';
 
 const CharacterMetadata = require('CharacterMetadata');
 const ContentStateInlineStyle = require('ContentStateInlineStyle');
+const DraftOperationLog = require('DraftOperationLog');
+const DraftTreeModifier = require('DraftTreeModifier');
 const Immutable = require('immutable');
 
 const applyEntityToContentState = require('applyEntityToContentState');
@@ -31,11 +35,23 @@ const insertFragmentIntoContentState = require('insertFragmentIntoContentState')
 const insertTextIntoContentState = require('insertTextIntoContentState');
 const invariant = require('invariant');
 const modifyBlockForContentState = require('modifyBlockForContentState');
+const moveBlockInContentState = require('moveBlockInContentState');
 const removeEntitiesAtEdges = require('removeEntitiesAtEdges');
 const removeRangeFromContentState = require('removeRangeFromContentState');
 const splitBlockInContentState = require('splitBlockInContentState');
 
-const {OrderedSet} = Immutable;
+const {Map, OrderedSet, fromJS} = Immutable;
+
+const {
+  deserializeFragment,
+  deserializeSelection,
+  getCreatedKeys,
+  record,
+  restoreCreatedKeys,
+  serializeEntity,
+  serializeFragment,
+  serializeSelection,
+} = DraftOperationLog;
 
 /**
  * `DraftModifier` provides a set of convenience methods that apply
@@ -46,6 +62,8 @@ const {OrderedSet} = Immutable;
  * `ContentState` objects.
  *
  * These functions encapsulate some of the most common transaction sequences.
+ * Each of them records a serializable `DraftOperation`, so that the changes
+ * pushed to an `EditorState` can be replayed with `applyOperations`.
  */
 const DraftModifier = {
   replaceText: function(
@@ -66,11 +84,21 @@ const DraftModifier = {
       entity: entityKey || null,
     });
 
-    return insertTextIntoContentState(
-      withoutText,
-      withoutText.getSelectionAfter(),
-      text,
-      character,
+    return record(
+      contentState,
+      insertTextIntoContentState(
+        withoutText,
+        withoutText.getSelectionAfter(),
+        text,
+        character,
+      ),
+      () => ({
+        type: 'replaceText',
+        selection: serializeSelection(rangeToReplace),
+        text,
+        inlineStyle: inlineStyle ? inlineStyle.toArray() : [],
+        entity: serializeEntity(contentState, entityKey),
+      }),
     );
   },
 
@@ -85,12 +113,22 @@ const DraftModifier = {
       targetRange.isCollapsed(),
       'Target range must be collapsed for `insertText`.',
     );
-    return DraftModifier.replaceText(
+    return record(
       contentState,
-      targetRange,
-      text,
-      inlineStyle,
-      entityKey,
+      DraftModifier.replaceText(
+        contentState,
+        targetRange,
+        text,
+        inlineStyle,
+        entityKey,
+      ),
+      () => ({
+        type: 'insertText',
+        selection: serializeSelection(targetRange),
+        text,
+        inlineStyle: inlineStyle ? inlineStyle.toArray() : [],
+        entity: serializeEntity(contentState, entityKey),
+      }),
     );
   },
 
@@ -107,11 +145,18 @@ const DraftModifier = {
       'backward',
     );
 
-    return DraftModifier.replaceWithFragment(
+    const afterInsertion = DraftModifier.replaceWithFragment(
       afterRemoval,
       targetRange,
       movedFragment,
     );
+
+    return record(contentState, afterInsertion, () => ({
+      type: 'moveText',
+      removalRange: serializeSelection(removalRange),
+      targetRange: serializeSelection(targetRange),
+      keys: getCreatedKeys(contentState, afterInsertion),
+    }));
   },
 
   replaceWithFragment: function(
@@ -125,11 +170,18 @@ const DraftModifier = {
       targetRange,
     );
 
-    return insertFragmentIntoContentState(
+    const afterInsertion = insertFragmentIntoContentState(
       withoutText,
       withoutText.getSelectionAfter(),
       fragment,
     );
+
+    return record(contentState, afterInsertion, () => ({
+      type: 'replaceWithFragment',
+      selection: serializeSelection(targetRange),
+      fragment: serializeFragment(contentState, fragment),
+      keys: getCreatedKeys(contentState, afterInsertion),
+    }));
   },
 
   removeRange: function(
@@ -137,6 +189,11 @@ const DraftModifier = {
     rangeToRemove: SelectionState,
     removalDirection: DraftRemovalDirection,
   ): ContentState {
+    const getOperation = () => ({
+      type: 'removeRange',
+      selection: serializeSelection(rangeToRemove),
+      removalDirection,
+    });
     let startKey, endKey, startBlock, endBlock;
     if (rangeToRemove.getIsBackward()) {
       rangeToRemove = rangeToRemove.merge({
@@ -168,7 +225,11 @@ const DraftModifier = {
           rangeToRemove,
           removalDirection,
         );
-        return removeRangeFromContentState(contentState, adjustedRemovalRange);
+        return record(
+          contentState,
+          removeRangeFromContentState(contentState, adjustedRemovalRange),
+          getOperation,
+        );
       }
     }
     let adjustedRemovalRange = rangeToRemove;
@@ -188,7 +249,11 @@ const DraftModifier = {
       contentState,
       adjustedRemovalRange,
     );
-    return removeRangeFromContentState(withoutEntities, adjustedRemovalRange);
+    return record(
+      contentState,
+      removeRangeFromContentState(withoutEntities, adjustedRemovalRange),
+      getOperation,
+    );
   },
 
   splitBlock: function(
@@ -201,10 +266,16 @@ const DraftModifier = {
       selectionState,
     );
 
-    return splitBlockInContentState(
+    const afterSplit = splitBlockInContentState(
       withoutText,
       withoutText.getSelectionAfter(),
     );
+
+    return record(contentState, afterSplit, () => ({
+      type: 'splitBlock',
+      selection: serializeSelection(selectionState),
+      keys: getCreatedKeys(contentState, afterSplit),
+    }));
   },
 
   applyInlineStyle: function(
@@ -212,10 +283,14 @@ const DraftModifier = {
     selectionState: SelectionState,
     inlineStyle: string,
   ): ContentState {
-    return ContentStateInlineStyle.add(
+    return record(
       contentState,
-      selectionState,
-      inlineStyle,
+      ContentStateInlineStyle.add(contentState, selectionState, inlineStyle),
+      () => ({
+        type: 'applyInlineStyle',
+        selection: serializeSelection(selectionState),
+        inlineStyle,
+      }),
     );
   },
 
@@ -224,10 +299,14 @@ const DraftModifier = {
     selectionState: SelectionState,
     inlineStyle: string,
   ): ContentState {
-    return ContentStateInlineStyle.remove(
+    return record(
       contentState,
-      selectionState,
-      inlineStyle,
+      ContentStateInlineStyle.remove(contentState, selectionState, inlineStyle),
+      () => ({
+        type: 'removeInlineStyle',
+        selection: serializeSelection(selectionState),
+        inlineStyle,
+      }),
     );
   },
 
@@ -236,8 +315,16 @@ const DraftModifier = {
     selectionState: SelectionState,
     blockType: DraftBlockType,
   ): ContentState {
-    return modifyBlockForContentState(contentState, selectionState, block =>
-      block.merge({type: blockType, depth: 0}),
+    return record(
+      contentState,
+      modifyBlockForContentState(contentState, selectionState, block =>
+        block.merge({type: blockType, depth: 0}),
+      ),
+      () => ({
+        type: 'setBlockType',
+        selection: serializeSelection(selectionState),
+        blockType,
+      }),
     );
   },
 
@@ -246,8 +333,16 @@ const DraftModifier = {
     selectionState: SelectionState,
     blockData: Map<any, any>,
   ): ContentState {
-    return modifyBlockForContentState(contentState, selectionState, block =>
-      block.merge({data: blockData}),
+    return record(
+      contentState,
+      modifyBlockForContentState(contentState, selectionState, block =>
+        block.merge({data: blockData}),
+      ),
+      () => ({
+        type: 'setBlockData',
+        selection: serializeSelection(selectionState),
+        data: blockData.toJS(),
+      }),
     );
   },
 
@@ -256,8 +351,16 @@ const DraftModifier = {
     selectionState: SelectionState,
     blockData: Map<any, any>,
   ): ContentState {
-    return modifyBlockForContentState(contentState, selectionState, block =>
-      block.merge({data: block.getData().merge(blockData)}),
+    return record(
+      contentState,
+      modifyBlockForContentState(contentState, selectionState, block =>
+        block.merge({data: block.getData().merge(blockData)}),
+      ),
+      () => ({
+        type: 'mergeBlockData',
+        selection: serializeSelection(selectionState),
+        data: blockData.toJS(),
+      }),
     );
   },
 
@@ -267,12 +370,197 @@ const DraftModifier = {
     entityKey: ?string,
   ): ContentState {
     const withoutEntities = removeEntitiesAtEdges(contentState, selectionState);
-    return applyEntityToContentState(
-      withoutEntities,
-      selectionState,
-      entityKey,
+    return record(
+      contentState,
+      applyEntityToContentState(withoutEntities, selectionState, entityKey),
+      () => ({
+        type: 'applyEntity',
+        selection: serializeSelection(selectionState),
+        entity: serializeEntity(contentState, entityKey),
+      }),
     );
   },
+
+  moveBlock: function(
+    contentState: ContentState,
+    blockToBeMoved: BlockNodeRecord,
+    targetBlock: BlockNodeRecord,
+    insertionMode: DraftInsertionType,
+  ): ContentState {
+    return record(
+      contentState,
+      moveBlockInContentState(
+        contentState,
+        blockToBeMoved,
+        targetBlock,
+        insertionMode,
+      ),
+      () => ({
+        type: 'moveBlock',
+        blockKey: blockToBeMoved.getKey(),
+        targetKey: targetBlock.getKey(),
+        insertionMode,
+      }),
+    );
+  },
+
+  /**
+   * Replay operations recorded by the methods above, for instance on another
+   * copy of the content. Entities are created from the data sent along with
+   * the operations, once per entity. The keys of the created entities are
+   * added to `entityKeys`, which may be kept across calls so that later
+   * operations reuse them.
+   */
+  applyOperations: function(
+    contentState: ContentState,
+    operations: Array<DraftOperation>,
+    entityKeys?: {[key: string]: string} = {},
+  ): ContentState {
+    const getEntityKey = (
+      content: ContentState,
+      operationEntity: ?DraftOperationEntity,
+    ): {content: ContentState, entityKey: ?string} => {
+      if (!operationEntity) {
+        return {content, entityKey: null};
+      }
+      const {key, entity} = operationEntity;
+      if (!entity) {
+        return {content, entityKey: key};
+      }
+      if (!entityKeys.hasOwnProperty(key)) {
+        content = content.createEntity(
+          entity.type,
+          entity.mutability,
+          entity.data,
+        );
+        entityKeys[key] = content.getLastCreatedEntityKey();
+      }
+      return {content, entityKey: entityKeys[key]};
+    };
+
+    return operations.reduce((content, operation) => {
+      switch (operation.type) {
+        case 'replaceText':
+        case 'insertText': {
+          const {selection, text, inlineStyle} = operation;
+          const {content: withEntity, entityKey} = getEntityKey(
+            content,
+            operation.entity,
+          );
+          return DraftModifier[operation.type](
+            withEntity,
+            deserializeSelection(selection),
+            text,
+            OrderedSet(inlineStyle),
+            entityKey,
+          );
+        }
+        case 'moveText':
+          return restoreCreatedKeys(
+            content,
+            DraftModifier.moveText(
+              content,
+              deserializeSelection(operation.removalRange),
+              deserializeSelection(operation.targetRange),
+            ),
+            operation.keys,
+          );
+        case 'replaceWithFragment':
+          return restoreCreatedKeys(
+            content,
+            DraftModifier.replaceWithFragment(
+              content,
+              deserializeSelection(operation.selection),
+              deserializeFragment(operation.fragment),
+            ),
+            operation.keys,
+          );
+        case 'removeRange':
+          return DraftModifier.removeRange(
+            content,
+            deserializeSelection(operation.selection),
+            operation.removalDirection,
+          );
+        case 'splitBlock':
+          return restoreCreatedKeys(
+            content,
+            DraftModifier.splitBlock(
+              content,
+              deserializeSelection(operation.selection),
+            ),
+            operation.keys,
+          );
+        case 'applyInlineStyle':
+        case 'removeInlineStyle':
+          return DraftModifier[operation.type](
+            content,
+            deserializeSelection(operation.selection),
+            operation.inlineStyle,
+          );
+        case 'setBlockType':
+          return DraftModifier.setBlockType(
+            content,
+            deserializeSelection(operation.selection),
+            operation.blockType,
+          );
+        case 'setBlockData':
+        case 'mergeBlockData':
+          return DraftModifier[operation.type](
+            content,
+            deserializeSelection(operation.selection),
+            fromJS(operation.data),
+          );
+        case 'applyEntity': {
+          const {content: withEntity, entityKey} = getEntityKey(
+            content,
+            operation.entity,
+          );
+          return DraftModifier.applyEntity(
+            withEntity,
+            deserializeSelection(operation.selection),
+            entityKey,
+          );
+        }
+        case 'moveBlock':
+          return DraftModifier.moveBlock(
+            content,
+            content.getBlockForKey(operation.blockKey),
+            content.getBlockForKey(operation.targetKey),
+            operation.insertionMode,
+          );
+        case 'moveSubtree':
+          return DraftTreeModifier.moveSubtree(
+            content,
+            operation.blockKey,
+            operation.parentKey,
+            operation.index,
+          );
+        case 'wrapBlocks':
+          return restoreCreatedKeys(
+            content,
+            DraftTreeModifier.wrapBlocks(
+              content,
+              deserializeSelection(operation.selection),
+              operation.blockType,
+            ),
+            operation.keys,
+          );
+        case 'unwrapBlock':
+          return DraftTreeModifier.unwrapBlock(content, operation.blockKey);
+        case 'indentBlocks':
+        case 'outdentBlocks':
+          return restoreCreatedKeys(
+            content,
+            DraftTreeModifier[operation.type](
+              content,
+              deserializeSelection(operation.selection),
+            ),
+            operation.keys,
+          );
+      }
+      throw new Error('Unknown operation type: ' + operation.type);
+    }, contentState);
+  },
 };
 
 module.exports = DraftModifier;
@@ -0,0 +1,451 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @format
+ * @flow
+ * @emails oncall+draft_js
+ */
+
+'use strict';
+
+import type {BlockMap} from 'BlockMap';
+import type ContentState from 'ContentState';
+import type {DraftBlockType} from 'DraftBlockType';
+import type DraftEntityInstance from 'DraftEntityInstance';
+import type {DraftEntityMutability} from 'DraftEntityMutability';
+import type {DraftEntityType} from 'DraftEntityType';
+import type {DraftInsertionType} from 'DraftInsertionType';
+import type {DraftRemovalDirection} from 'DraftRemovalDirection';
+import type {RawDraftContentState} from 'RawDraftContentState';
+
+const CharacterMetadata = require('CharacterMetadata');
+const ContentBlockNode = require('ContentBlockNode');
+const SelectionState = require('SelectionState');
+
+const convertFromDraftStateToRaw = require('convertFromDraftStateToRaw');
+const convertFromRawToDraftState = require('convertFromRawToDraftState');
+
+export type DraftOperationSelection = {
+  anchorKey: string,
+  anchorOffset: number,
+  focusKey: string,
+  focusOffset: number,
+  isBackward: boolean,
+};
+
+// Entities are sent along with the operations using them, since entity keys
+// are only meaningful to the `ContentState` that created them. As `Modifier`
+// methods do not check entity keys, a key that no entity was created for is
+// recorded with a null `entity`, and replayed as is.
+export type DraftOperationEntity = {
+  key: string,
+  entity: ?{
+    type: DraftEntityType,
+    mutability: DraftEntityMutability,
+    data: Object,
+  },
+};
+
+// `keys` lists the keys of the blocks created by an operation, in order, so
+// that replaying it creates the same blocks.
+export type DraftOperation =
+  | {
+      type: 'replaceText',
+      selection: DraftOperationSelection,
+      text: string,
+      inlineStyle: Array<string>,
+      entity: ?DraftOperationEntity,
+    }
+  | {
+      type: 'insertText',
+      selection: DraftOperationSelection,
+      text: string,
+      inlineStyle: Array<string>,
+      entity: ?DraftOperationEntity,
+    }
+  | {
+      type: 'moveText',
+      removalRange: DraftOperationSelection,
+      targetRange: DraftOperationSelection,
+      keys: Array<string>,
+    }
+  | {
+      type: 'replaceWithFragment',
+      selection: DraftOperationSelection,
+      fragment: RawDraftContentState,
+      keys: Array<string>,
+    }
+  | {
+      type: 'removeRange',
+      selection: DraftOperationSelection,
+      removalDirection: DraftRemovalDirection,
+    }
+  | {
+      type: 'splitBlock',
+      selection: DraftOperationSelection,
+      keys: Array<string>,
+    }
+  | {
+      type: 'applyInlineStyle',
+      selection: DraftOperationSelection,
+      inlineStyle: string,
+    }
+  | {
+      type: 'removeInlineStyle',
+      selection: DraftOperationSelection,
+      inlineStyle: string,
+    }
+  | {
+      type: 'setBlockType',
+      selection: DraftOperationSelection,
+      blockType: DraftBlockType,
+    }
+  | {
+      type: 'setBlockData',
+      selection: DraftOperationSelection,
+      data: Object,
+    }
+  | {
+      type: 'mergeBlockData',
+      selection: DraftOperationSelection,
+      data: Object,
+    }
+  | {
+      type: 'applyEntity',
+      selection: DraftOperationSelection,
+      entity: ?DraftOperationEntity,
+    }
+  | {
+      type: 'moveBlock',
+      blockKey: string,
+      targetKey: string,
+      insertionMode: DraftInsertionType,
+    }
+  | {
+      type: 'moveSubtree',
+      blockKey: string,
+      parentKey: ?string,
+      index: number,
+    }
+  | {
+      type: 'wrapBlocks',
+      selection: DraftOperationSelection,
+      blockType: DraftBlockType,
+      keys: Array<string>,
+    }
+  | {
+      type: 'unwrapBlock',
+      blockKey: string,
+    }
+  | {
+      type: 'indentBlocks',
+      selection: DraftOperationSelection,
+      keys: Array<string>,
+    }
+  | {
+      type: 'outdentBlocks',
+      selection: DraftOperationSelection,
+      keys: Array<string>,
+    };
+
+// The operations recorded since a content was pushed are linked from the last
+// one back to the first one. Only serialized operations are kept, so that
+// recording does not retain the intermediate contents.
+type OperationNode = {
+  operation: DraftOperation,
+  previous: ?OperationNode,
+  count: number,
+};
+
+type OperationRecord = {
+  rootID: number,
+  node: OperationNode,
+};
+
+// Records are keyed by the block map resulting from an operation, which is
+// kept when the selection of the resulting content is changed afterwards.
+const records: WeakMap<BlockMap, OperationRecord> = new WeakMap();
+
+// Block maps from which operations were recorded are identified by a number
+// rather than referenced, so that records do not keep them alive.
+const rootIDs: WeakMap<BlockMap, number> = new WeakMap();
+let nextRootID = 0;
+
+// Block maps of pushed contents, from which a new list of operations starts.
+const settledBlockMaps: WeakSet<BlockMap> = new WeakSet();
+
+const getRootID = (blockMap: BlockMap): number => {
+  let rootID = rootIDs.get(blockMap);
+  if (rootID == null) {
+    rootID = nextRootID++;
+    rootIDs.set(blockMap, rootID);
+  }
+  return rootID;
+};
+
+/**
+ * Copy the plain objects and arrays of entity data, which may be mutated
+ * after an operation using it was recorded.
+ */
+const copyData = (data: any): any => {
+  if (Array.isArray(data)) {
+    return data.map(copyData);
+  }
+  if (data && typeof data === 'object' && data.constructor === Object) {
+    return Object.keys(data).reduce((copy, key) => {
+      copy[key] = copyData(data[key]);
+      return copy;
+    }, {});
+  }
+  return data;
+};
+
+const serializeSelection = (
+  selection: SelectionState,
+): DraftOperationSelection => ({
+  anchorKey: selection.getAnchorKey(),
+  anchorOffset: selection.getAnchorOffset(),
+  focusKey: selection.getFocusKey(),
+  focusOffset: selection.getFocusOffset(),
+  isBackward: selection.getIsBackward(),
+});
+
+const deserializeSelection = (
+  selection: DraftOperationSelection,
+): SelectionState => new SelectionState(selection);
+
+const getEntity = (
+  contentState: ContentState,
+  entityKey: string,
+): ?DraftEntityInstance => {
+  try {
+    return contentState.getEntity(entityKey);
+  } catch (error) {
+    return null;
+  }
+};
+
+const serializeEntity = (
+  contentState: ContentState,
+  entityKey: ?string,
+): ?DraftOperationEntity => {
+  if (!entityKey) {
+    return null;
+  }
+  const entity = getEntity(contentState, entityKey);
+  if (!entity) {
+    return {key: entityKey, entity: null};
+  }
+  return {
+    key: entityKey,
+    entity: {
+      type: entity.getType(),
+      mutability: entity.getMutability(),
+      data: copyData(entity.getData()),
+    },
+  };
+};
+
+// The entities of the fragment are those of the content it is inserted into.
+// Entity keys that no entity was created for cannot be expressed in raw
+// content, and are left out of the fragment.
+const serializeFragment = (
+  contentState: ContentState,
+  fragment: BlockMap,
+): RawDraftContentState => {
+  const knownEntities = {};
+  const isKnownEntity = (entityKey: string): boolean => {
+    if (!knownEntities.hasOwnProperty(entityKey)) {
+      knownEntities[entityKey] = !!getEntity(contentState, entityKey);
+    }
+    return knownEntities[entityKey];
+  };
+  const hasUnknownEntity = (character: CharacterMetadata): boolean => {
+    const entityKey = character.getEntity();
+    return entityKey != null && !isKnownEntity(entityKey);
+  };
+  const knownFragment = fragment.map(block => {
+    const characterList = block.getCharacterList();
+    if (!characterList.some(hasUnknownEntity)) {
+      return block;
+    }
+    return block.set(
+      'characterList',
+      characterList.map(
+        character =>
+          hasUnknownEntity(character)
+            ? CharacterMetadata.applyEntity(character, null)
+            : character,
+      ),
+    );
+  });
+
+  const rawFragment = convertFromDraftStateToRaw(
+    contentState.set('blockMap', knownFragment),
+  );
+  Object.keys(rawFragment.entityMap).forEach(key => {
+    const entity = rawFragment.entityMap[key];
+    rawFragment.entityMap[key] = {...entity, data: copyData(entity.data)};
+  });
+  return rawFragment;
+};
+
+// Fragments of nested content are serialized with the children of blocks.
+const deserializeFragment = (fragment: RawDraftContentState): BlockMap =>
+  convertFromRawToDraftState(fragment, {
+    nested: fragment.blocks.some(block => Array.isArray(block.children)),
+  }).getBlockMap();
+
+const getCreatedKeys = (
+  base: ContentState,
+  result: ContentState,
+): Array<string> => {
+  const blockMap = base.getBlockMap();
+  return result
+    .getBlockMap()
+    .keySeq()
+    .filter(key => !blockMap.has(key))
+    .toArray();
+};
+
+/**
+ * Give the blocks created by replaying an operation the keys they had when
+ * the operation was recorded.
+ */
+const restoreCreatedKeys = (
+  base: ContentState,
+  result: ContentState,
+  keys: Array<string>,
+): ContentState => {
+  const createdKeys = getCreatedKeys(base, result);
+  const keyMap = {};
+  createdKeys.forEach((key, index) => {
+    if (keys[index] && keys[index] !== key) {
+      keyMap[key] = keys[index];
+    }
+  });
+  if (!Object.keys(keyMap).length) {
+    return result;
+  }
+
+  const renameKey = (key: ?string): ?string =>
+    key != null && keyMap.hasOwnProperty(key) ? keyMap[key] : key;
+  const renameSelection = (selection: SelectionState): SelectionState =>
+    selection.merge({
+      anchorKey: renameKey(selection.getAnchorKey()),
+      focusKey: renameKey(selection.getFocusKey()),
+    });
+
+  const blockMap = result.getBlockMap().mapEntries(([key, block]) => {
+    let newBlock = block.set('key', renameKey(key));
+    if (block instanceof ContentBlockNode) {
+      newBlock = newBlock.merge({
+        parent: renameKey(block.getParentKey()),
+        children: block.getChildKeys().map(renameKey),
+        prevSibling: renameKey(block.getPrevSiblingKey()),
+        nextSibling: renameKey(block.getNextSiblingKey()),
+      });
+    }
+    return [renameKey(key), newBlock];
+  });
+
+  return result.merge({
+    blockMap,
+    selectionBefore: renameSelection(result.getSelectionBefore()),
+    selectionAfter: renameSelection(result.getSelectionAfter()),
+  });
+};
+
+/**
+ * Remember that `result` was obtained by applying an operation to `base`. The
+ * operation is serialized right away, since the contents it refers to may
+ * change or be released afterwards.
+ */
+const record = (
+  base: ContentState,
+  result: ContentState,
+  serialize: () => DraftOperation,
+): ContentState => {
+  const baseBlockMap = base.getBlockMap();
+  if (result.getBlockMap() === baseBlockMap) {
+    return result;
+  }
+  const baseRecord = settledBlockMaps.has(baseBlockMap)
+    ? null
+    : records.get(baseBlockMap);
+  const previous = baseRecord ? baseRecord.node : null;
+  records.set(result.getBlockMap(), {
+    rootID: baseRecord ? baseRecord.rootID : getRootID(baseBlockMap),
+    node: {
+      operation: serialize(),
+      previous,
+      count: previous ? previous.count + 1 : 1,
+    },
+  });
+  return result;
+};
+
+/**
+ * Start the operations recorded from `contentState` anew, once the operations
+ * leading to it have been pushed.
+ */
+const settle = (contentState: ContentState): void => {
+  settledBlockMaps.add(contentState.getBlockMap());
+};
+
+/**
+ * Get the operations leading from `base` to `result`, or null when `result`
+ * was not obtained from `base` by recorded operations only.
+ */
+const getOperations = (
+  base: ContentState,
+  result: ContentState,
+): ?Array<DraftOperation> => {
+  const baseBlockMap = base.getBlockMap();
+  if (result.getBlockMap() === baseBlockMap) {
+    return [];
+  }
+  const resultRecord = records.get(result.getBlockMap());
+  if (!resultRecord) {
+    return null;
+  }
+
+  // `base` is either where the operations start, or was itself obtained by
+  // the first of them.
+  let stopNode = null;
+  const baseRecord = records.get(baseBlockMap);
+  if (baseRecord && baseRecord.rootID === resultRecord.rootID) {
+    stopNode = baseRecord.node;
+  } else if (rootIDs.get(baseBlockMap) !== resultRecord.rootID) {
+    return null;
+  }
+
+  const operations = [];
+  let node = resultRecord.node;
+  while (node && node !== stopNode) {
+    if (stopNode && node.count <= stopNode.count) {
+      return null;
+    }
+    operations.unshift(node.operation);
+    node = node.previous;
+  }
+  return node === stopNode ? operations : null;
+};
+
+const DraftOperationLog = {
+  serializeSelection,
+  deserializeSelection,
+  serializeEntity,
+  serializeFragment,
+  deserializeFragment,
+  getCreatedKeys,
+  restoreCreatedKeys,
+  record,
+  settle,
+  getOperations,
+};
+
+module.exports = DraftOperationLog;
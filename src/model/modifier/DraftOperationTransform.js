@@ -0,0 +1,991 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @format
+ * @flow
+ * @emails oncall+draft_js
+ */
+
+'use strict';
+
+import type ContentState from 'ContentState';
+import type {DraftBlockType} from 'DraftBlockType';
+import type {DraftOperation, DraftOperationSelection} from 'DraftOperationLog';
+import type {RawDraftContentBlock} from 'RawDraftContentBlock';
+import type {RawDraftContentState} from 'RawDraftContentState';
+import type {RawDraftEntity} from 'RawDraftEntity';
+import type SelectionState from 'SelectionState';
+
+const BlockMapBuilder = require('BlockMapBuilder');
+const CharacterMetadata = require('CharacterMetadata');
+const ContentBlockNode = require('ContentBlockNode');
+const DraftModifier = require('DraftModifier');
+const DraftOperationLog = require('DraftOperationLog');
+const Immutable = require('immutable');
+
+const decodeEntityRanges = require('decodeEntityRanges');
+const decodeInlineStyleRanges = require('decodeInlineStyleRanges');
+const generateRandomKey = require('generateRandomKey');
+const getContentStateFragment = require('getContentStateFragment');
+
+const {Map, OrderedSet, is} = Immutable;
+
+const {
+  deserializeFragment,
+  deserializeSelection,
+  restoreCreatedKeys,
+  serializeFragment,
+} = DraftOperationLog;
+
+type Point = {key: string, offset: number};
+
+type Range = [Point, Point];
+
+// Which side a point sticks to when text is inserted or a block is split at
+// that very point.
+type Bias = 'left' | 'right';
+
+type OperationPair = [Array<DraftOperation>, Array<DraftOperation>];
+
+// The blocks of the content both sides of a transformation apply to, with
+// the type of each block since blocks split off take the type of the block
+// they are split from.
+type Blocks = {
+  keys: Array<string>,
+  types: {[key: string]: DraftBlockType},
+};
+
+// Blocks split off by one side are unknown to the other side, so changes to
+// them by the side that created them prevail whatever the priority.
+type Priority = {
+  hasPriority: boolean,
+  createdKeys: Array<string>,
+  otherCreatedKeys: Array<string>,
+};
+
+/**
+ * Operations are transformed against each other in a normalized form, where
+ * text replacements are split into removals and insertions, ranges are
+ * forward and not collapsed, and block changes apply to a single block.
+ * Positions are ordered with the list of block keys of the content the
+ * operations apply to.
+ */
+
+// Marks the text having entities in the content the operations are
+// normalized against, see `applyWithoutEntities`.
+const ENTITY_STYLE = '__DRAFT_OPERATION_TRANSFORM_ENTITY__';
+
+// Block types that are not split when empty.
+const LIST_BLOCK_TYPES = [
+  'unordered-list-item',
+  'ordered-list-item',
+  'checkable-list-item',
+];
+
+const getRange = (selection: DraftOperationSelection): Range => {
+  const anchor = {key: selection.anchorKey, offset: selection.anchorOffset};
+  const focus = {key: selection.focusKey, offset: selection.focusOffset};
+  return selection.isBackward ? [focus, anchor] : [anchor, focus];
+};
+
+const toSelection = (
+  start: Point,
+  end?: Point = start,
+): DraftOperationSelection => ({
+  anchorKey: start.key,
+  anchorOffset: start.offset,
+  focusKey: end.key,
+  focusOffset: end.offset,
+  isBackward: false,
+});
+
+// All normalized operations have a selection.
+const getSelection = (operation: DraftOperation): DraftOperationSelection =>
+  (operation: Object).selection;
+
+const withSelection = (
+  operation: Object,
+  selection: DraftOperationSelection,
+): DraftOperation => ({...operation, selection});
+
+const withData = (operation: Object, data: Object): DraftOperation => ({
+  ...operation,
+  data,
+});
+
+const isCollapsed = ([start, end]: Range): boolean =>
+  start.key === end.key && start.offset === end.offset;
+
+const comparePoints = (keys: Array<string>, a: Point, b: Point): number =>
+  a.key === b.key
+    ? a.offset - b.offset
+    : keys.indexOf(a.key) - keys.indexOf(b.key);
+
+const isBlockChange = (operation: DraftOperation): boolean =>
+  operation.type === 'setBlockType' ||
+  operation.type === 'setBlockData' ||
+  operation.type === 'mergeBlockData';
+
+const applyToKeys = (
+  keys: Array<string>,
+  operation: DraftOperation,
+): Array<string> => {
+  if (operation.type === 'splitBlock') {
+    const index = keys.indexOf(operation.selection.anchorKey);
+    return keys
+      .slice(0, index + 1)
+      .concat(operation.keys[0], keys.slice(index + 1));
+  }
+  if (operation.type === 'removeRange') {
+    const [start, end] = getRange(operation.selection);
+    return keys
+      .slice(0, keys.indexOf(start.key) + 1)
+      .concat(keys.slice(keys.indexOf(end.key) + 1));
+  }
+  return keys;
+};
+
+const applyToBlocks = (blocks: Blocks, operation: DraftOperation): Blocks => {
+  const {keys, types} = blocks;
+  if (operation.type === 'splitBlock') {
+    return {
+      keys: applyToKeys(keys, operation),
+      types: {
+        ...types,
+        [operation.keys[0]]: types[operation.selection.anchorKey],
+      },
+    };
+  }
+  if (operation.type === 'setBlockType') {
+    return {
+      keys,
+      types: {...types, [operation.selection.anchorKey]: operation.blockType},
+    };
+  }
+  return {keys: applyToKeys(keys, operation), types};
+};
+
+const getCreatedKeys = (operations: Array<DraftOperation>): Array<string> =>
+  operations
+    .map(
+      operation => (operation.type === 'splitBlock' ? operation.keys[0] : null),
+    )
+    .filter(Boolean);
+
+const hasPriorityOn = (priority: Priority, key: string): boolean =>
+  priority.createdKeys.indexOf(key) !== -1 ||
+  (priority.otherCreatedKeys.indexOf(key) === -1 && priority.hasPriority);
+
+const invertPriority = (priority: Priority): Priority => ({
+  hasPriority: !priority.hasPriority,
+  createdKeys: priority.otherCreatedKeys,
+  otherCreatedKeys: priority.createdKeys,
+});
+
+/**
+ * Insert the text of a fragment block with one operation per run of
+ * characters sharing the same style and entity. The entities of the
+ * fragment are keyed with `entityPrefix`, so that the runs of an entity
+ * share it but entities of other fragments are not mixed up with it.
+ */
+const getTextInsertions = (
+  point: Point,
+  fragmentBlock: RawDraftContentBlock,
+  entityMap: {[key: string]: RawDraftEntity},
+  entityPrefix: string,
+): Array<DraftOperation> => {
+  const {text} = fragmentBlock;
+  const styles = decodeInlineStyleRanges(
+    text,
+    fragmentBlock.inlineStyleRanges || [],
+  );
+  const entities = decodeEntityRanges(text, fragmentBlock.entityRanges || []);
+  const operations = [];
+  let start = 0;
+  for (let ii = 1; ii <= text.length; ii++) {
+    if (
+      ii < text.length &&
+      entities[ii] === entities[start] &&
+      is(styles[ii], styles[start])
+    ) {
+      continue;
+    }
+    const entityKey = entities[start];
+    operations.push({
+      type: 'insertText',
+      selection: toSelection({key: point.key, offset: point.offset + start}),
+      text: text.slice(start, ii),
+      inlineStyle: styles[start].toArray(),
+      entity:
+        entityKey == null
+          ? null
+          : {
+              key: entityPrefix + entityKey,
+              entity: {...entityMap[entityKey]},
+            },
+    });
+    start = ii;
+  }
+  return operations;
+};
+
+/**
+ * A fragment inserted at a point is normalized into the insertion of its
+ * text, splits at the boundaries of its blocks, and the block changes giving
+ * the blocks the type and data `insertFragmentIntoContentState` gives them.
+ * Fragments of nested content, or whose blocks would not have the depth of
+ * the block they are inserted into, cannot be normalized.
+ */
+const normalizeFragment = (
+  contentState: ContentState,
+  point: Point,
+  fragment: RawDraftContentState,
+  keys: Array<string>,
+): ?Array<DraftOperation> => {
+  const fragmentBlocks = fragment.blocks;
+  const block = contentState.getBlockForKey(point.key);
+  const blockType = block.getType();
+  if (
+    !fragmentBlocks.length ||
+    keys.length !== fragmentBlocks.length - 1 ||
+    block instanceof ContentBlockNode ||
+    fragmentBlocks.some(
+      (fragmentBlock, index) =>
+        Array.isArray(fragmentBlock.children) ||
+        (index > 0 && (fragmentBlock.depth || 0) !== block.getDepth()),
+    )
+  ) {
+    return null;
+  }
+
+  const entityPrefix = generateRandomKey() + '-';
+  const operations = [];
+  let offset = point.offset;
+  const offsets = fragmentBlocks.map(fragmentBlock => {
+    const start = offset;
+    operations.push(
+      ...getTextInsertions(
+        {key: point.key, offset: start},
+        fragmentBlock,
+        fragment.entityMap,
+        entityPrefix,
+      ),
+    );
+    offset += fragmentBlock.text.length;
+    return start;
+  });
+
+  // Split off the last fragment block first, so that each split keeps the
+  // blocks split off before it after the new one.
+  for (let ii = fragmentBlocks.length - 1; ii > 0; ii--) {
+    const length =
+      ii === fragmentBlocks.length - 1
+        ? block.getLength() + offset - point.offset
+        : offsets[ii + 1];
+    if (!length && LIST_BLOCK_TYPES.indexOf(blockType) !== -1) {
+      return null;
+    }
+    operations.push({
+      type: 'splitBlock',
+      selection: toSelection({key: point.key, offset: offsets[ii]}),
+      keys: [keys[ii - 1]],
+    });
+  }
+
+  // The first block only takes the type of the fragment when the fragment
+  // starts a new block. Blocks split off are always given their type, which
+  // a concurrent change to the type of the first block must not override,
+  // and they have no data.
+  fragmentBlocks.forEach((fragmentBlock, index) => {
+    const selection = toSelection({
+      key: index ? keys[index - 1] : point.key,
+      offset: 0,
+    });
+    const type =
+      index || (fragmentBlocks.length > 1 && !point.offset)
+        ? fragmentBlock.type
+        : blockType;
+    if (index || type !== blockType) {
+      operations.push({type: 'setBlockType', selection, blockType: type});
+    }
+    const data = fragmentBlock.data || {};
+    if (!is(index ? Map() : block.getData(), Map(data))) {
+      operations.push({type: 'setBlockData', selection, data});
+    }
+  });
+  return operations;
+};
+
+/**
+ * Normalize an operation applying to `contentState`. Moving blocks and
+ * changing the structure of nested content cannot be normalized, and neither
+ * can some fragments, in which case null is returned.
+ */
+const normalize = (
+  contentState: ContentState,
+  operation: DraftOperation,
+): ?Array<DraftOperation> => {
+  switch (operation.type) {
+    case 'replaceText':
+    case 'insertText': {
+      const range = getRange(operation.selection);
+      const operations = [];
+      if (!isCollapsed(range)) {
+        operations.push({
+          type: 'removeRange',
+          selection: toSelection(...range),
+          removalDirection: 'forward',
+        });
+      }
+      if (operation.text) {
+        operations.push({
+          type: 'insertText',
+          selection: toSelection(range[0]),
+          text: operation.text,
+          inlineStyle: operation.inlineStyle,
+          entity: operation.entity,
+        });
+      }
+      return operations;
+    }
+    case 'replaceWithFragment': {
+      const range = getRange(operation.selection);
+      const operations = isCollapsed(range)
+        ? []
+        : [
+            {
+              type: 'removeRange',
+              selection: toSelection(...range),
+              removalDirection: 'forward',
+            },
+          ];
+      const insertion = normalizeFragment(
+        DraftModifier.applyOperations(contentState, operations),
+        range[0],
+        operation.fragment,
+        operation.keys,
+      );
+      return insertion && operations.concat(insertion);
+    }
+    case 'moveText': {
+      const range = getRange(operation.removalRange);
+      const operations = isCollapsed(range)
+        ? []
+        : [
+            {
+              type: 'removeRange',
+              selection: toSelection(...range),
+              removalDirection: 'backward',
+            },
+          ];
+      const movedBlocks = getContentStateFragment(
+        contentState,
+        deserializeSelection(operation.removalRange),
+      );
+      // Moved text keeps its entities, while inserted text can only be given
+      // new ones.
+      if (
+        movedBlocks.some(block =>
+          block
+            .getCharacterList()
+            .some(
+              character =>
+                character.getEntity() != null ||
+                character.hasStyle(ENTITY_STYLE),
+            ),
+        )
+      ) {
+        return null;
+      }
+      const fragment = serializeFragment(contentState, movedBlocks);
+      const insertion = normalize(
+        DraftModifier.applyOperations(contentState, operations),
+        {
+          type: 'replaceWithFragment',
+          selection: operation.targetRange,
+          fragment,
+          keys: operation.keys,
+        },
+      );
+      return insertion && operations.concat(insertion);
+    }
+    case 'splitBlock': {
+      const range = getRange(operation.selection);
+      const operations = [];
+      if (!isCollapsed(range)) {
+        operations.push({
+          type: 'removeRange',
+          selection: toSelection(...range),
+          removalDirection: 'forward',
+        });
+      }
+      // Splitting an empty list item turns it into an unstyled block instead.
+      operations.push(
+        operation.keys.length
+          ? withSelection(operation, toSelection(range[0]))
+          : {
+              type: 'setBlockType',
+              selection: toSelection(range[0]),
+              blockType: 'unstyled',
+            },
+      );
+      return operations;
+    }
+    case 'removeRange':
+    case 'applyInlineStyle':
+    case 'removeInlineStyle':
+    case 'applyEntity': {
+      const range = getRange(operation.selection);
+      return isCollapsed(range)
+        ? []
+        : [withSelection(operation, toSelection(...range))];
+    }
+    case 'setBlockType':
+    case 'setBlockData':
+    case 'mergeBlockData': {
+      const keys = contentState
+        .getBlockMap()
+        .keySeq()
+        .toArray();
+      const [start, end] = getRange(operation.selection);
+      return keys
+        .slice(keys.indexOf(start.key), keys.indexOf(end.key) + 1)
+        .map(key => withSelection(operation, toSelection({key, offset: 0})));
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * Follow the content the next operations apply to without creating the
+ * entities the operations use. Text having entities is marked with
+ * `ENTITY_STYLE` instead, which is all normalizing the next operations needs
+ * to know about them.
+ */
+const applyWithoutEntities = (
+  contentState: ContentState,
+  operation: DraftOperation,
+): ContentState => {
+  switch (operation.type) {
+    case 'replaceText':
+    case 'insertText':
+      return DraftModifier[operation.type](
+        contentState,
+        deserializeSelection(operation.selection),
+        operation.text,
+        OrderedSet(operation.inlineStyle).union(
+          operation.entity ? [ENTITY_STYLE] : [],
+        ),
+      );
+    case 'applyEntity': {
+      const selection = deserializeSelection(operation.selection);
+      const withoutEntities = DraftModifier.applyEntity(
+        contentState,
+        selection,
+        null,
+      );
+      return operation.entity
+        ? DraftModifier.applyInlineStyle(
+            withoutEntities,
+            selection,
+            ENTITY_STYLE,
+          )
+        : DraftModifier.removeInlineStyle(
+            withoutEntities,
+            selection,
+            ENTITY_STYLE,
+          );
+    }
+    case 'replaceWithFragment': {
+      // Fragments of nested content are not marked, as they cannot be
+      // normalized.
+      const {fragment} = operation;
+      const isNested = fragment.blocks.some(block =>
+        Array.isArray(block.children),
+      );
+      const fragmentBlocks = deserializeFragment({...fragment, entityMap: {}})
+        .toArray()
+        .map((block, index) => {
+          if (isNested) {
+            return block;
+          }
+          const entities = decodeEntityRanges(
+            block.getText(),
+            fragment.blocks[index].entityRanges || [],
+          );
+          return block.set(
+            'characterList',
+            block
+              .getCharacterList()
+              .map(
+                (character, offset) =>
+                  entities[offset] == null
+                    ? character
+                    : CharacterMetadata.applyStyle(character, ENTITY_STYLE),
+              ),
+          );
+        });
+      return restoreCreatedKeys(
+        contentState,
+        DraftModifier.replaceWithFragment(
+          contentState,
+          deserializeSelection(operation.selection),
+          BlockMapBuilder.createFromArray(fragmentBlocks),
+        ),
+        operation.keys,
+      );
+    }
+    default:
+      return DraftModifier.applyOperations(contentState, [operation]);
+  }
+};
+
+const normalizeAll = (
+  contentState: ContentState,
+  operations: Array<DraftOperation>,
+): ?Array<DraftOperation> => {
+  const normalized = [];
+  let content = contentState;
+  for (let ii = 0; ii < operations.length; ii++) {
+    const normalizedOperations = normalize(content, operations[ii]);
+    if (!normalizedOperations) {
+      return null;
+    }
+    normalized.push(...normalizedOperations);
+    if (ii < operations.length - 1) {
+      content = applyWithoutEntities(content, operations[ii]);
+    }
+  }
+  return normalized;
+};
+
+/**
+ * Keep a selection on the blocks that still exist once operations that
+ * cannot be normalized are applied, or move it to where the last of them
+ * applied otherwise.
+ */
+const clampSelection = (
+  contentState: ContentState,
+  selection: SelectionState,
+): SelectionState => {
+  const anchorBlock = contentState.getBlockForKey(selection.getAnchorKey());
+  const focusBlock = contentState.getBlockForKey(selection.getFocusKey());
+  if (!anchorBlock || !focusBlock) {
+    return contentState
+      .getSelectionAfter()
+      .set('hasFocus', selection.getHasFocus());
+  }
+  return selection.merge({
+    anchorOffset: Math.min(
+      selection.getAnchorOffset(),
+      anchorBlock.getLength(),
+    ),
+    focusOffset: Math.min(selection.getFocusOffset(), focusBlock.getLength()),
+  });
+};
+
+/**
+ * Find where `point` ends up once `operation` is applied.
+ */
+const mapPoint = (
+  keys: Array<string>,
+  point: Point,
+  operation: DraftOperation,
+  bias: Bias,
+): Point => {
+  switch (operation.type) {
+    case 'insertText':
+    case 'splitBlock': {
+      const at = getRange(operation.selection)[0];
+      if (
+        point.key !== at.key ||
+        point.offset < at.offset ||
+        (point.offset === at.offset && bias === 'left')
+      ) {
+        return point;
+      }
+      return operation.type === 'insertText'
+        ? {key: at.key, offset: point.offset + operation.text.length}
+        : {key: operation.keys[0], offset: point.offset - at.offset};
+    }
+    case 'removeRange': {
+      const [start, end] = getRange(operation.selection);
+      if (comparePoints(keys, point, start) <= 0) {
+        return point;
+      }
+      if (comparePoints(keys, point, end) < 0) {
+        return start;
+      }
+      return point.key === end.key
+        ? {key: start.key, offset: start.offset + point.offset - end.offset}
+        : point;
+    }
+    default:
+      return point;
+  }
+};
+
+/**
+ * Text inserted and blocks split in the middle of a range are not part of
+ * it, so the range is divided around them.
+ */
+const mapRange = (
+  keys: Array<string>,
+  [start, end]: Range,
+  operation: DraftOperation,
+): Array<Range> => {
+  if (operation.type === 'insertText' || operation.type === 'splitBlock') {
+    const at = getRange(operation.selection)[0];
+    if (
+      comparePoints(keys, start, at) < 0 &&
+      comparePoints(keys, at, end) < 0
+    ) {
+      const after =
+        operation.type === 'insertText'
+          ? {key: at.key, offset: at.offset + operation.text.length}
+          : {key: operation.keys[0], offset: 0};
+      return [[start, at], [after, mapPoint(keys, end, operation, 'left')]];
+    }
+  }
+  const range = [
+    mapPoint(keys, start, operation, 'right'),
+    mapPoint(keys, end, operation, 'left'),
+  ];
+  return isCollapsed(range) ? [] : [range];
+};
+
+const subtractRange = (
+  keys: Array<string>,
+  [start, end]: Range,
+  [otherStart, otherEnd]: Range,
+): Array<Range> => {
+  if (
+    comparePoints(keys, end, otherStart) <= 0 ||
+    comparePoints(keys, otherEnd, start) <= 0
+  ) {
+    return [[start, end]];
+  }
+  const ranges = [];
+  if (comparePoints(keys, start, otherStart) < 0) {
+    ranges.push([start, otherStart]);
+  }
+  if (comparePoints(keys, otherEnd, end) < 0) {
+    ranges.push([otherEnd, end]);
+  }
+  return ranges;
+};
+
+// Whether the block is merged into the start of the removed range.
+const isMergedBy = (
+  keys: Array<string>,
+  key: string,
+  removal: DraftOperationSelection,
+): boolean => {
+  const [start, end] = getRange(removal);
+  const index = keys.indexOf(key);
+  return index > keys.indexOf(start.key) && index <= keys.indexOf(end.key);
+};
+
+const transformOverEdit = (
+  {keys, types}: Blocks,
+  operation: DraftOperation,
+  edit: DraftOperation,
+  hasPriority: boolean,
+): Array<DraftOperation> => {
+  switch (operation.type) {
+    case 'insertText':
+    case 'splitBlock': {
+      const point = mapPoint(
+        keys,
+        getRange(operation.selection)[0],
+        edit,
+        hasPriority ? 'left' : 'right',
+      );
+      return [withSelection(operation, toSelection(point))];
+    }
+    case 'removeRange':
+    case 'applyInlineStyle':
+    case 'removeInlineStyle':
+    case 'applyEntity': {
+      const operations = mapRange(
+        keys,
+        getRange(operation.selection),
+        edit,
+      ).map(range => withSelection(operation, toSelection(...range)));
+      if (operation.type !== 'removeRange') {
+        return operations;
+      }
+      // Remove the later range first so that the other one is not shifted.
+      operations.reverse();
+      // Split after the removal, the block split off would have the type of
+      // the block its text is merged into.
+      if (
+        edit.type === 'splitBlock' &&
+        isMergedBy(keys, edit.selection.anchorKey, operation.selection)
+      ) {
+        const blockType = types[getRange(operation.selection)[0].key];
+        if (types[edit.selection.anchorKey] !== blockType) {
+          operations.push({
+            type: 'setBlockType',
+            selection: toSelection({key: edit.keys[0], offset: 0}),
+            blockType,
+          });
+        }
+      }
+      return operations;
+    }
+    default: {
+      const key = getSelection(operation).anchorKey;
+      if (edit.type === 'removeRange') {
+        // Blocks merged into the start of the removed range are gone.
+        return isMergedBy(keys, key, edit.selection) ? [] : [operation];
+      }
+      // The block split off keeps the type of the original one, but not its
+      // data.
+      if (
+        edit.type === 'splitBlock' &&
+        edit.selection.anchorKey === key &&
+        operation.type === 'setBlockType'
+      ) {
+        return [
+          operation,
+          withSelection(operation, toSelection({key: edit.keys[0], offset: 0})),
+        ];
+      }
+      return [operation];
+    }
+  }
+};
+
+const transformOverRangeChange = (
+  keys: Array<string>,
+  operation: DraftOperation,
+  change: DraftOperation,
+  hasPriority: boolean,
+): Array<DraftOperation> => {
+  if (hasPriority) {
+    return [operation];
+  }
+  const conflicts =
+    (operation.type === 'applyEntity' && change.type === 'applyEntity') ||
+    (operation.type === 'applyInlineStyle' &&
+      change.type === 'removeInlineStyle' &&
+      operation.inlineStyle === change.inlineStyle) ||
+    (operation.type === 'removeInlineStyle' &&
+      change.type === 'applyInlineStyle' &&
+      operation.inlineStyle === change.inlineStyle);
+  if (!conflicts) {
+    return [operation];
+  }
+  // The change with priority is applied last on the overlapping text.
+  return subtractRange(
+    keys,
+    getRange(getSelection(operation)),
+    getRange(getSelection(change)),
+  ).map(range => withSelection(operation, toSelection(...range)));
+};
+
+const transformOverBlockChange = (
+  operation: DraftOperation,
+  change: DraftOperation,
+  hasPriority: boolean,
+): Array<DraftOperation> => {
+  if (
+    hasPriority ||
+    !isBlockChange(operation) ||
+    getSelection(operation).anchorKey !== getSelection(change).anchorKey
+  ) {
+    return [operation];
+  }
+  if (operation.type === 'setBlockType') {
+    return change.type === 'setBlockType' ? [] : [operation];
+  }
+  if (change.type === 'setBlockData') {
+    return [];
+  }
+  if (operation.type === 'setBlockData' && change.type === 'mergeBlockData') {
+    return [withData(operation, {...operation.data, ...change.data})];
+  }
+  if (operation.type === 'mergeBlockData' && change.type === 'mergeBlockData') {
+    const data = {...operation.data};
+    Object.keys(change.data).forEach(key => {
+      delete data[key];
+    });
+    return Object.keys(data).length ? [withData(operation, data)] : [];
+  }
+  return [operation];
+};
+
+/**
+ * Transform `operation` so that it applies after `other`, both of them
+ * applying to content with the given block keys.
+ */
+const transformOperation = (
+  blocks: Blocks,
+  operation: DraftOperation,
+  other: DraftOperation,
+  priority: Priority,
+): Array<DraftOperation> => {
+  switch (other.type) {
+    case 'insertText':
+    case 'removeRange':
+    case 'splitBlock':
+      return transformOverEdit(blocks, operation, other, priority.hasPriority);
+    case 'applyInlineStyle':
+    case 'removeInlineStyle':
+    case 'applyEntity':
+      return transformOverRangeChange(
+        blocks.keys,
+        operation,
+        other,
+        priority.hasPriority,
+      );
+    default:
+      return transformOverBlockChange(
+        operation,
+        other,
+        hasPriorityOn(priority, getSelection(other).anchorKey),
+      );
+  }
+};
+
+const transformLists = (
+  blocks: Blocks,
+  operations: Array<DraftOperation>,
+  others: Array<DraftOperation>,
+  priority: Priority,
+): OperationPair => {
+  if (!operations.length || !others.length) {
+    return [operations, others];
+  }
+  if (operations.length === 1 && others.length === 1) {
+    return [
+      transformOperation(blocks, operations[0], others[0], priority),
+      transformOperation(
+        blocks,
+        others[0],
+        operations[0],
+        invertPriority(priority),
+      ),
+    ];
+  }
+  if (operations.length > 1) {
+    const [first, othersAfterFirst] = transformLists(
+      blocks,
+      operations.slice(0, 1),
+      others,
+      priority,
+    );
+    const [rest, othersAfterAll] = transformLists(
+      applyToBlocks(blocks, operations[0]),
+      operations.slice(1),
+      othersAfterFirst,
+      priority,
+    );
+    return [first.concat(rest), othersAfterAll];
+  }
+  const [operationsAfterFirst, first] = transformLists(
+    blocks,
+    operations,
+    others.slice(0, 1),
+    priority,
+  );
+  const [operationsAfterAll, rest] = transformLists(
+    applyToBlocks(blocks, others[0]),
+    operationsAfterFirst,
+    others.slice(1),
+    priority,
+  );
+  return [operationsAfterAll, first.concat(rest)];
+};
+
+const DraftOperationTransform = {
+  /**
+   * Rebase two lists of concurrent operations applying to `contentState`
+   * over each other: the first list returned applies after
+   * `otherOperations`, the second one after `operations`, and both orders
+   * lead to the same content. When the operations conflict, such as text
+   * inserted at the same offset or the same block type changed, the
+   * operations with priority are considered last.
+   *
+   * Returns null when the operations cannot be rebased, such as blocks moved
+   * concurrently with other changes, in which case one side has to give up
+   * its operations and take the content of the other side.
+   */
+  transform(
+    contentState: ContentState,
+    operations: Array<DraftOperation>,
+    otherOperations: Array<DraftOperation>,
+    hasPriority: boolean,
+  ): ?OperationPair {
+    if (!operations.length || !otherOperations.length) {
+      return [operations, otherOperations];
+    }
+    const normalized = normalizeAll(contentState, operations);
+    const otherNormalized = normalizeAll(contentState, otherOperations);
+    if (!normalized || !otherNormalized) {
+      return null;
+    }
+    const blockMap = contentState.getBlockMap();
+    return transformLists(
+      {
+        keys: blockMap.keySeq().toArray(),
+        types: blockMap.map(block => block.getType()).toObject(),
+      },
+      normalized,
+      otherNormalized,
+      {
+        hasPriority,
+        createdKeys: getCreatedKeys(normalized),
+        otherCreatedKeys: getCreatedKeys(otherNormalized),
+      },
+    );
+  },
+
+  /**
+   * Map a selection of `contentState` through the operations applied to it.
+   * Text inserted at the edge of the selection is left out of it.
+   */
+  transformSelection(
+    contentState: ContentState,
+    selection: SelectionState,
+    operations: Array<DraftOperation>,
+  ): SelectionState {
+    const normalized = normalizeAll(contentState, operations);
+    if (!normalized) {
+      return clampSelection(
+        operations.reduce(applyWithoutEntities, contentState),
+        selection,
+      );
+    }
+    let keys = contentState
+      .getBlockMap()
+      .keySeq()
+      .toArray();
+    let anchor = {
+      key: selection.getAnchorKey(),
+      offset: selection.getAnchorOffset(),
+    };
+    let focus = {
+      key: selection.getFocusKey(),
+      offset: selection.getFocusOffset(),
+    };
+    normalized.forEach(operation => {
+      anchor = mapPoint(keys, anchor, operation, 'left');
+      focus = mapPoint(keys, focus, operation, 'left');
+      keys = applyToKeys(keys, operation);
+    });
+    return selection.merge({
+      anchorKey: anchor.key,
+      anchorOffset: anchor.offset,
+      focusKey: focus.key,
+      focusOffset: focus.offset,
+    });
+  },
+};
+
+module.exports = DraftOperationTransform;
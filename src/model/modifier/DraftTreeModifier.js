@@ -0,0 +1,192 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @format
+ * @flow
+ * @emails oncall+draft_js
+ */
+
+'use strict';
+
+import type {BlockMap} from 'BlockMap';
+import type ContentState from 'ContentState';
+import type {DraftBlockType} from 'DraftBlockType';
+import type SelectionState from 'SelectionState';
+
+const DraftOperationLog = require('DraftOperationLog');
+const DraftTreeOperations = require('DraftTreeOperations');
+
+const invariant = require('invariant');
+
+const {getCreatedKeys, record, serializeSelection} = DraftOperationLog;
+
+/**
+ * Get the outermost sibling blocks containing the start and the end of the
+ * selection, whose range covers the selected blocks.
+ */
+const getSiblingRange = (
+  blockMap: BlockMap,
+  selectionState: SelectionState,
+): [string, string] =>
+  DraftTreeOperations.getOutermostSiblingKeys(
+    blockMap,
+    selectionState.getStartKey(),
+    selectionState.getEndKey(),
+  );
+
+const updateBlockMap = (
+  contentState: ContentState,
+  blockMap: BlockMap,
+  selectionState: SelectionState,
+): ContentState =>
+  contentState.merge({
+    blockMap,
+    selectionBefore: selectionState,
+    selectionAfter: selectionState,
+  });
+
+const assertNested = (contentState: ContentState): void =>
+  invariant(contentState.isNested(), 'Tree operations require nested content');
+
+/**
+ * `DraftTreeModifier` provides the operations moving blocks, along with their
+ * descendants, within nested content. As with `DraftModifier`, each of them
+ * returns a new `ContentState`, and records a serializable `DraftOperation`.
+ * The tree is verified after each operation in development.
+ */
+const DraftTreeModifier = {
+  /**
+   * Move a block and its descendants to become the child of another block at
+   * the given index, or a block at the root of the content at that index
+   * when the parent key is null. The index is counted among the siblings the
+   * block will have. The new parent must have no text.
+   */
+  moveSubtree: function(
+    contentState: ContentState,
+    blockKey: string,
+    parentKey: ?string,
+    index: number,
+  ): ContentState {
+    assertNested(contentState);
+    return record(
+      contentState,
+      updateBlockMap(
+        contentState,
+        DraftTreeOperations.moveSubtree(
+          contentState.getBlockMap(),
+          blockKey,
+          parentKey,
+          index,
+        ),
+        contentState.getSelectionAfter(),
+      ),
+      () => ({type: 'moveSubtree', blockKey, parentKey, index}),
+    );
+  },
+
+  /**
+   * Wrap the outermost sibling blocks covering the selection in a new block
+   * of the given type, such as a blockquote.
+   */
+  wrapBlocks: function(
+    contentState: ContentState,
+    selectionState: SelectionState,
+    blockType: DraftBlockType,
+  ): ContentState {
+    assertNested(contentState);
+    const blockMap = contentState.getBlockMap();
+    const [startKey, endKey] = getSiblingRange(blockMap, selectionState);
+    const withWrapper = updateBlockMap(
+      contentState,
+      DraftTreeOperations.wrapBlocks(blockMap, startKey, endKey, blockType),
+      selectionState,
+    );
+    return record(contentState, withWrapper, () => ({
+      type: 'wrapBlocks',
+      selection: serializeSelection(selectionState),
+      blockType,
+      keys: getCreatedKeys(contentState, withWrapper),
+    }));
+  },
+
+  /**
+   * Remove a block having children, which take its place.
+   */
+  unwrapBlock: function(
+    contentState: ContentState,
+    blockKey: string,
+  ): ContentState {
+    assertNested(contentState);
+    return record(
+      contentState,
+      updateBlockMap(
+        contentState,
+        DraftTreeOperations.unwrapBlock(contentState.getBlockMap(), blockKey),
+        contentState.getSelectionAfter(),
+      ),
+      () => ({type: 'unwrapBlock', blockKey}),
+    );
+  },
+
+  /**
+   * Nest the outermost sibling blocks covering the selection one level
+   * deeper, in their previous sibling if it has children, or else in a new
+   * block of the type of the first of them.
+   */
+  indentBlocks: function(
+    contentState: ContentState,
+    selectionState: SelectionState,
+  ): ContentState {
+    assertNested(contentState);
+    const blockMap = contentState.getBlockMap();
+    const [startKey, endKey] = getSiblingRange(blockMap, selectionState);
+    const newBlockMap = DraftTreeOperations.indentBlocks(
+      blockMap,
+      startKey,
+      endKey,
+    );
+    if (newBlockMap === blockMap) {
+      return contentState;
+    }
+    const indented = updateBlockMap(contentState, newBlockMap, selectionState);
+    return record(contentState, indented, () => ({
+      type: 'indentBlocks',
+      selection: serializeSelection(selectionState),
+      keys: getCreatedKeys(contentState, indented),
+    }));
+  },
+
+  /**
+   * Move the outermost sibling blocks covering the selection one level up,
+   * after their parent. Their following siblings stay nested, in the last of
+   * them if it has children, or else in a new block of the type of their
+   * parent.
+   */
+  outdentBlocks: function(
+    contentState: ContentState,
+    selectionState: SelectionState,
+  ): ContentState {
+    assertNested(contentState);
+    const blockMap = contentState.getBlockMap();
+    const [startKey, endKey] = getSiblingRange(blockMap, selectionState);
+    const newBlockMap = DraftTreeOperations.outdentBlocks(
+      blockMap,
+      startKey,
+      endKey,
+    );
+    if (newBlockMap === blockMap) {
+      return contentState;
+    }
+    const outdented = updateBlockMap(contentState, newBlockMap, selectionState);
+    return record(contentState, outdented, () => ({
+      type: 'outdentBlocks',
+      selection: serializeSelection(selectionState),
+      keys: getCreatedKeys(contentState, outdented),
+    }));
+  },
+};
+
+module.exports = DraftTreeModifier;
@@ -15,14 +15,20 @@ import type ContentState from 'ContentState';
 import type {DraftBlockType} from 'DraftBlockType';
 import type {DraftEditorCommand} from 'DraftEditorCommand';
 import type {DataObjectForLink, RichTextUtils} from 'RichTextUtils';
-import type SelectionState from 'SelectionState';
 import type URI from 'URI';
+import type {BidiDirection} from 'UnicodeBidiDirection';
 
+const DraftBlockDirection = require('DraftBlockDirection');
+const DraftCheckableListItem = require('DraftCheckableListItem');
 const DraftModifier = require('DraftModifier');
 const EditorState = require('EditorState');
+const SelectionState = require('SelectionState');
+const TableUtils = require('TableUtils');
 
 const adjustBlockDepthForContentState = require('adjustBlockDepthForContentState');
+const {Map} = require('immutable');
 const nullthrows = require('nullthrows');
+const undoInputRule = require('undoInputRule');
 
 const RichTextEditorUtil: RichTextUtils = {
   currentBlockContainsLink: function(editorState: EditorState): boolean {
@@ -39,6 +45,17 @@ const RichTextEditorUtil: RichTextUtils = {
       });
   },
 
+  /**
+   * The direction set explicitly on the block at the start of the selection,
+   * or null when its direction is detected from its text.
+   */
+  getCurrentBlockDirection: function(editorState: EditorState): ?BidiDirection {
+    const selection = editorState.getSelection();
+    return DraftBlockDirection.getDirection(
+      editorState.getCurrentContent().getBlockForKey(selection.getStartKey()),
+    );
+  },
+
   getCurrentBlockType: function(editorState: EditorState): DraftBlockType {
     const selection = editorState.getSelection();
     return editorState
@@ -105,6 +122,11 @@ const RichTextEditorUtil: RichTextUtils = {
    * just remove the existing style.
    */
   onBackspace: function(editorState: EditorState): ?EditorState {
+    const withoutInputRule = undoInputRule(editorState);
+    if (withoutInputRule) {
+      return withoutInputRule;
+    }
+
     const selection = editorState.getSelection();
     if (
       !selection.isCollapsed() ||
@@ -195,6 +217,11 @@ const RichTextEditorUtil: RichTextUtils = {
     editorState: EditorState,
     maxDepth: number,
   ): EditorState {
+    const withTableNavigation = TableUtils.onTab(event, editorState);
+    if (withTableNavigation) {
+      return withTableNavigation;
+    }
+
     const selection = editorState.getSelection();
     const key = selection.getAnchorKey();
     if (key !== selection.getFocusKey()) {
@@ -204,7 +231,11 @@ const RichTextEditorUtil: RichTextUtils = {
     const content = editorState.getCurrentContent();
     const block = content.getBlockForKey(key);
     const type = block.getType();
-    if (type !== 'unordered-list-item' && type !== 'ordered-list-item') {
+    if (
+      type !== 'unordered-list-item' &&
+      type !== 'ordered-list-item' &&
+      type !== 'checkable-list-item'
+    ) {
       return editorState;
     }
 
@@ -225,6 +256,54 @@ const RichTextEditorUtil: RichTextUtils = {
     return EditorState.push(editorState, withAdjustment, 'adjust-depth');
   },
 
+  /**
+   * Set the direction of the selected blocks, or detect it from their text
+   * again if it is already the direction of the first selected block, or if
+   * the given direction is null.
+   */
+  toggleBlockDirection: function(
+    editorState: EditorState,
+    direction: ?BidiDirection,
+  ): EditorState {
+    const selection = editorState.getSelection();
+    const content = editorState.getCurrentContent();
+
+    if (
+      direction &&
+      RichTextEditorUtil.getCurrentBlockDirection(editorState) !== direction
+    ) {
+      return EditorState.push(
+        editorState,
+        DraftModifier.mergeBlockData(
+          content,
+          selection,
+          Map({[DraftBlockDirection.DATA_KEY]: direction}),
+        ),
+        'change-block-data',
+      );
+    }
+
+    // Remove the setting from each block, keeping the rest of its data.
+    const endKey = selection.getEndKey();
+    const withoutDirection = content
+      .getBlockMap()
+      .skipUntil((_, k) => k === selection.getStartKey())
+      .takeUntil((_, k) => k === endKey)
+      .concat([[endKey, content.getBlockForKey(endKey)]])
+      .filter(block => block.getData().has(DraftBlockDirection.DATA_KEY))
+      .reduce(
+        (newContent, block) =>
+          DraftModifier.setBlockData(
+            newContent,
+            SelectionState.createEmpty(block.getKey()),
+            block.getData().delete(DraftBlockDirection.DATA_KEY),
+          ),
+        content,
+      );
+
+    return EditorState.push(editorState, withoutDirection, 'change-block-data');
+  },
+
   toggleBlockType: function(
     editorState: EditorState,
     blockType: DraftBlockType,
@@ -274,6 +353,53 @@ const RichTextEditorUtil: RichTextUtils = {
     );
   },
 
+  /**
+   * Check the selected checkable list items, or uncheck them if the first of
+   * them is checked. Given the key of a checkable list item, toggle that item
+   * alone, as when clicking its checkbox. The selection is unchanged.
+   */
+  toggleChecked: function(
+    editorState: EditorState,
+    blockKey?: ?string,
+  ): EditorState {
+    const selection = editorState.getSelection();
+    const content = editorState.getCurrentContent();
+    const endKey = selection.getEndKey();
+    const items = (blockKey != null
+      ? [content.getBlockForKey(blockKey)]
+      : content
+          .getBlockMap()
+          .skipUntil((_, k) => k === selection.getStartKey())
+          .takeUntil((_, k) => k === endKey)
+          .concat([[endKey, content.getBlockForKey(endKey)]])
+          .toArray()
+    ).filter(block => block && DraftCheckableListItem.isCheckable(block));
+
+    if (!items.length) {
+      return editorState;
+    }
+
+    const checked = !DraftCheckableListItem.isChecked(items[0]);
+    const withChecked = items.reduce(
+      (newContent, block) =>
+        DraftModifier.mergeBlockData(
+          newContent,
+          SelectionState.createEmpty(block.getKey()),
+          Map({[DraftCheckableListItem.DATA_KEY]: checked}),
+        ),
+      content,
+    );
+
+    return EditorState.push(
+      editorState,
+      withChecked.merge({
+        selectionBefore: selection,
+        selectionAfter: selection,
+      }),
+      'change-block-data',
+    );
+  },
+
   toggleCode: function(editorState: EditorState): EditorState {
     const selection = editorState.getSelection();
     const anchorKey = selection.getAnchorKey();
@@ -363,6 +489,10 @@ const RichTextEditorUtil: RichTextUtils = {
 
       const type = block.getType();
       const blockBefore = content.getBlockBefore(key);
+      // The type of table cells is part of the structure of their table.
+      if (type === 'table-cell') {
+        return null;
+      }
       if (
         type === 'code-block' &&
         blockBefore &&
@@ -15,6 +15,7 @@ import type {DraftEditorCommand} from 'DraftEditorCommand';
 import type EditorState from 'EditorState';
 import type SelectionState from 'SelectionState';
 import type URI from 'URI';
+import type {BidiDirection} from 'UnicodeBidiDirection';
 
 export type DataObjectForLink = {
   url: string,
@@ -23,6 +24,8 @@ export type DataObjectForLink = {
 export type RichTextUtils = {
   currentBlockContainsLink: (editorState: EditorState) => boolean,
 
+  getCurrentBlockDirection: (editorState: EditorState) => ?BidiDirection,
+
   getCurrentBlockType: (editorState: EditorState) => DraftBlockType,
 
   getDataObjectForLinkURL: (uri: URI) => DataObjectForLink,
@@ -44,11 +47,18 @@ export type RichTextUtils = {
     maxDepth: number,
   ) => EditorState,
 
+  toggleBlockDirection: (
+    editorState: EditorState,
+    direction: ?BidiDirection,
+  ) => EditorState,
+
   toggleBlockType: (
     editorState: EditorState,
     blockType: DraftBlockType,
   ) => EditorState,
 
+  toggleChecked: (editorState: EditorState, blockKey?: ?string) => EditorState,
+
   toggleCode: (editorState: EditorState) => EditorState,
 
   toggleInlineStyle: (
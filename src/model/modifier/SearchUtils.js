@@ -0,0 +1,309 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @format
+ * @flow
+ * @emails oncall+draft_js
+ */
+
+'use strict';
+
+import type {BlockNodeRecord} from 'BlockNodeRecord';
+import type ContentState from 'ContentState';
+import type {DraftDecorator} from 'DraftDecorator';
+
+const DraftEditorSearchHighlight = require('DraftEditorSearchHighlight.react');
+const DraftModifier = require('DraftModifier');
+const EditorState = require('EditorState');
+const SelectionState = require('SelectionState');
+const TokenizeUtil = require('TokenizeUtil');
+
+export type DraftSearchOptions = {
+  // Match the case of the query. Searches are case-insensitive by default.
+  matchCase?: boolean,
+  // Only match whole words.
+  wholeWord?: boolean,
+  // Interpret the query as a regular expression.
+  regex?: boolean,
+};
+
+// Blocks are searched as lines of a single text, so that a match may span
+// several blocks.
+const BLOCK_SEPARATOR = '\n';
+
+// As for removable words, the underscore is part of words.
+const NON_WORD_REGEX = new RegExp(
+  '^(?:\\s|(?![_])' + TokenizeUtil.getPunctuation() + ')$',
+);
+
+const NO_RANGES = [];
+
+const escapeRegExp = (text: string): string =>
+  text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const isWordEdge = (text: string, offset: number): boolean =>
+  offset < 0 || offset >= text.length || NON_WORD_REGEX.test(text[offset]);
+
+/**
+ * Whether the offset is within an immutable entity, whose text cannot be
+ * partly replaced.
+ */
+const isWithinImmutableEntity = (
+  contentState: ContentState,
+  block: BlockNodeRecord,
+  offset: number,
+): boolean => {
+  if (offset <= 0 || offset >= block.getLength()) {
+    return false;
+  }
+  const entityKey = block.getEntityAt(offset);
+  return (
+    entityKey != null &&
+    entityKey === block.getEntityAt(offset - 1) &&
+    contentState.getEntity(entityKey).getMutability() === 'IMMUTABLE'
+  );
+};
+
+/**
+ * Replace the text of a match with the inline style of its first character.
+ * The entity of the match is kept when the match is within a single mutable
+ * entity, as when typing. A match cutting through an immutable entity is not
+ * replaced.
+ */
+const replaceMatch = (
+  contentState: ContentState,
+  match: SelectionState,
+  replacement: string,
+): ContentState => {
+  const startBlock = contentState.getBlockForKey(match.getStartKey());
+  const endBlock = contentState.getBlockForKey(match.getEndKey());
+  const startOffset = match.getStartOffset();
+  const endOffset = match.getEndOffset();
+  if (
+    !startBlock ||
+    !endBlock ||
+    isWithinImmutableEntity(contentState, startBlock, startOffset) ||
+    isWithinImmutableEntity(contentState, endBlock, endOffset)
+  ) {
+    return contentState;
+  }
+
+  let entityKey = startBlock.getEntityAt(startOffset);
+  if (
+    entityKey != null &&
+    (startBlock !== endBlock ||
+      contentState.getEntity(entityKey).getMutability() !== 'MUTABLE' ||
+      startBlock
+        .getCharacterList()
+        .slice(startOffset, endOffset)
+        .some(character => character.getEntity() !== entityKey))
+  ) {
+    entityKey = null;
+  }
+
+  return DraftModifier.replaceText(
+    contentState,
+    match,
+    replacement,
+    startBlock.getInlineStyleAt(startOffset),
+    entityKey,
+  );
+};
+
+const SearchUtils = {
+  /**
+   * Find the matches of a query in the text of all blocks, in document order.
+   * Blocks are separated by a newline, which a regular expression may match
+   * to find text spanning several blocks. An invalid regular expression
+   * throws a SyntaxError.
+   */
+  findMatches: function(
+    contentState: ContentState,
+    query: string,
+    options?: DraftSearchOptions = {},
+  ): Array<SelectionState> {
+    if (!query) {
+      return [];
+    }
+
+    const blockKeys = [];
+    const blockStarts = [];
+    let text = '';
+    contentState.getBlockMap().forEach((block, key) => {
+      if (blockKeys.length) {
+        text += BLOCK_SEPARATOR;
+      }
+      blockKeys.push(key);
+      blockStarts.push(text.length);
+      text += block.getText();
+    });
+
+    // Matches are found in order, so that their blocks are found by moving
+    // forward through the blocks.
+    let index = 0;
+    const locate = (offset: number): [string, number] => {
+      while (
+        index < blockStarts.length - 1 &&
+        blockStarts[index + 1] <= offset
+      ) {
+        index++;
+      }
+      return [blockKeys[index], offset - blockStarts[index]];
+    };
+
+    const regex = new RegExp(
+      options.regex ? query : escapeRegExp(query),
+      options.matchCase ? 'gm' : 'gim',
+    );
+    const matches = [];
+    for (
+      let result = regex.exec(text);
+      result !== null;
+      result = regex.exec(text)
+    ) {
+      const start = result.index;
+      const end = start + result[0].length;
+      if (start === end) {
+        regex.lastIndex++;
+        continue;
+      }
+      if (
+        options.wholeWord &&
+        !(isWordEdge(text, start - 1) && isWordEdge(text, end))
+      ) {
+        regex.lastIndex = start + 1;
+        continue;
+      }
+      const [anchorKey, anchorOffset] = locate(start);
+      const [focusKey, focusOffset] = locate(end);
+      matches.push(
+        new SelectionState({
+          anchorKey,
+          anchorOffset,
+          focusKey,
+          focusOffset,
+          isBackward: false,
+          hasFocus: false,
+        }),
+      );
+    }
+    return matches;
+  },
+
+  /**
+   * Replace a match found by `findMatches`, as a single undo step.
+   */
+  replaceOne: function(
+    editorState: EditorState,
+    match: SelectionState,
+    replacement: string,
+  ): EditorState {
+    const contentState = editorState.getCurrentContent();
+    const newContentState = replaceMatch(contentState, match, replacement);
+    if (newContentState === contentState) {
+      return editorState;
+    }
+    return EditorState.push(editorState, newContentState, 'replace-text');
+  },
+
+  /**
+   * Replace all the matches of a query, as a single undo step. The selection
+   * is collapsed after the first replacement.
+   */
+  replaceAll: function(
+    editorState: EditorState,
+    query: string,
+    replacement: string,
+    options?: DraftSearchOptions,
+  ): EditorState {
+    const contentState = editorState.getCurrentContent();
+    // Replace from the end, so that the offsets of the remaining matches are
+    // not affected.
+    const newContentState = SearchUtils.findMatches(
+      contentState,
+      query,
+      options,
+    )
+      .reverse()
+      .reduce(
+        (content, match) => replaceMatch(content, match, replacement),
+        contentState,
+      );
+    if (newContentState === contentState) {
+      return editorState;
+    }
+    return EditorState.push(editorState, newContentState, 'replace-text');
+  },
+
+  /**
+   * Create a decorator highlighting the matches of a query, to be used in a
+   * `CompositeDecorator`. The ranges of all blocks are searched once for each
+   * content, and only the blocks whose ranges changed are decorated again.
+   */
+  createDecorator: function(
+    query: string,
+    options?: DraftSearchOptions,
+    component?: Function = DraftEditorSearchHighlight,
+  ): DraftDecorator {
+    const rangesCache: WeakMap<
+      ContentState,
+      {[blockKey: string]: Array<number>},
+    > = new WeakMap();
+
+    // The start and end offsets of the parts of the matches in the block.
+    const getRanges = (
+      block: BlockNodeRecord,
+      contentState: ContentState,
+    ): Array<number> => {
+      let ranges = rangesCache.get(contentState);
+      if (!ranges) {
+        const blockRanges = {};
+        const addRange = (key: string, start: number, end: number) => {
+          blockRanges[key] = blockRanges[key] || [];
+          blockRanges[key].push(start, end);
+        };
+        SearchUtils.findMatches(contentState, query, options).forEach(match => {
+          const startKey = match.getStartKey();
+          const endKey = match.getEndKey();
+          if (startKey === endKey) {
+            addRange(startKey, match.getStartOffset(), match.getEndOffset());
+            return;
+          }
+          addRange(
+            startKey,
+            match.getStartOffset(),
+            contentState.getBlockForKey(startKey).getLength(),
+          );
+          contentState
+            .getBlockMap()
+            .skipUntil((_, key) => key === startKey)
+            .skip(1)
+            .takeUntil((_, key) => key === endKey)
+            .forEach((block, key) => addRange(key, 0, block.getLength()));
+          addRange(endKey, 0, match.getEndOffset());
+        });
+        ranges = blockRanges;
+        rangesCache.set(contentState, ranges);
+      }
+      return ranges[block.getKey()] || NO_RANGES;
+    };
+
+    return {
+      strategy: (block, callback, contentState) => {
+        const ranges = getRanges(block, contentState);
+        for (let ii = 0; ii < ranges.length; ii += 2) {
+          if (ranges[ii] < ranges[ii + 1]) {
+            callback(ranges[ii], ranges[ii + 1]);
+          }
+        }
+      },
+      component,
+      getDependencies: getRanges,
+    };
+  },
+};
+
+module.exports = SearchUtils;
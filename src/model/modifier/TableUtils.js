@@ -0,0 +1,542 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @format
+ * @flow
+ * @emails oncall+draft_js
+ */
+
+'use strict';
+
+import type {BlockMap} from 'BlockMap';
+import type {BlockNodeRecord} from 'BlockNodeRecord';
+import type ContentState from 'ContentState';
+
+const ContentBlockNode = require('ContentBlockNode');
+const EditorState = require('EditorState');
+const SelectionState = require('SelectionState');
+
+const generateRandomKey = require('generateRandomKey');
+const Immutable = require('immutable');
+const invariant = require('invariant');
+
+const {List, OrderedMap} = Immutable;
+
+export type TableInsertPosition = 'before' | 'after';
+
+type TableRow = {
+  row: BlockNodeRecord,
+  cells: Array<BlockNodeRecord>,
+};
+
+type TablePosition = {
+  table: BlockNodeRecord,
+  rows: Array<TableRow>,
+  rowIndex: number,
+  columnIndex: number,
+};
+
+const createBlock = (type: string): ContentBlockNode =>
+  new ContentBlockNode({key: generateRandomKey(), type});
+
+const createRow = (columns: number): TableRow => ({
+  row: createBlock('table-row'),
+  cells: Array.from({length: columns}, () => createBlock('table-cell')),
+});
+
+/**
+ * The block and its descendants, in document order.
+ */
+const getSubtree = (
+  blockMap: BlockMap,
+  block: BlockNodeRecord,
+  blocks?: Array<BlockNodeRecord> = [],
+): Array<BlockNodeRecord> => {
+  blocks.push(block);
+  block
+    .getChildKeys()
+    .forEach(key => getSubtree(blockMap, blockMap.get(key), blocks));
+  return blocks;
+};
+
+/**
+ * The first block without children within the block, where the caret goes.
+ */
+const getFirstLeaf = (
+  blockMap: BlockMap,
+  block: BlockNodeRecord,
+): BlockNodeRecord => {
+  let leaf = block;
+  while (!leaf.getChildKeys().isEmpty()) {
+    leaf = blockMap.get(leaf.getChildKeys().first());
+  }
+  return leaf;
+};
+
+/**
+ * Replace a subtree of the block map by the given blocks, which take its
+ * place in document order.
+ */
+const replaceSubtree = (
+  blockMap: BlockMap,
+  block: BlockNodeRecord,
+  blocks: Array<BlockNodeRecord>,
+): BlockMap => {
+  const key = block.getKey();
+  const subtreeKeys = new Set(
+    getSubtree(blockMap, block).map(subtreeBlock => subtreeBlock.getKey()),
+  );
+  return blockMap
+    .takeUntil((_, k) => k === key)
+    .concat(OrderedMap(blocks.map(newBlock => [newBlock.getKey(), newBlock])))
+    .concat(
+      blockMap
+        .skipUntil((_, k) => k === key)
+        .skipWhile((_, k) => subtreeKeys.has(k)),
+    );
+};
+
+const getTablePosition = (
+  contentState: ContentState,
+  blockKey: string,
+): ?TablePosition => {
+  const cell = TableUtils.getCell(contentState, blockKey);
+  if (!cell) {
+    return null;
+  }
+  const blockMap = contentState.getBlockMap();
+  const row = blockMap.get(cell.getParentKey());
+  const table = row && blockMap.get(row.getParentKey());
+  if (!table || table.getType() !== 'table') {
+    return null;
+  }
+  const rows = table
+    .getChildKeys()
+    .toArray()
+    .map(rowKey => {
+      const tableRow = blockMap.get(rowKey);
+      return {
+        row: tableRow,
+        cells: tableRow
+          .getChildKeys()
+          .toArray()
+          .map(cellKey => blockMap.get(cellKey)),
+      };
+    });
+  return {
+    table,
+    rows,
+    rowIndex: table.getChildKeys().indexOf(row.getKey()),
+    columnIndex: row.getChildKeys().indexOf(cell.getKey()),
+  };
+};
+
+/**
+ * Replace the rows of a table, linking the rows and cells as children and
+ * siblings. The blocks nested in the cells are kept as they are.
+ */
+const setTableRows = (
+  blockMap: BlockMap,
+  table: BlockNodeRecord,
+  rows: Array<TableRow>,
+): BlockMap => {
+  const link = (block, parentKey, siblingKeys, index) =>
+    block.merge({
+      parent: parentKey,
+      prevSibling: index > 0 ? siblingKeys[index - 1] : null,
+      nextSibling:
+        index < siblingKeys.length - 1 ? siblingKeys[index + 1] : null,
+    });
+
+  const rowKeys = rows.map(({row}) => row.getKey());
+  const blocks = [table.merge({children: List(rowKeys)})];
+  rows.forEach(({row, cells}, ii) => {
+    const cellKeys = cells.map(cell => cell.getKey());
+    blocks.push(
+      link(row, table.getKey(), rowKeys, ii).merge({
+        children: List(cellKeys),
+      }),
+    );
+    cells.forEach((cell, jj) => {
+      blocks.push(link(cell, row.getKey(), cellKeys, jj));
+      blocks.push(...getSubtree(blockMap, cell).slice(1));
+    });
+  });
+  return replaceSubtree(blockMap, table, blocks);
+};
+
+const collapsedAt = (block: BlockNodeRecord, offset: number): SelectionState =>
+  SelectionState.createEmpty(block.getKey()).merge({
+    anchorOffset: offset,
+    focusOffset: offset,
+    hasFocus: true,
+  });
+
+/**
+ * Select the text of the cell, as when moving to it with Tab.
+ */
+const selectCell = (
+  blockMap: BlockMap,
+  cell: BlockNodeRecord,
+): SelectionState => {
+  const leaf = getFirstLeaf(blockMap, cell);
+  return collapsedAt(leaf, 0).set('focusOffset', leaf.getLength());
+};
+
+const pushBlockMap = (
+  editorState: EditorState,
+  blockMap: BlockMap,
+  selectionAfter: SelectionState,
+  changeType: 'insert-fragment' | 'remove-range',
+): EditorState => {
+  const contentState = editorState.getCurrentContent().merge({
+    blockMap,
+    selectionBefore: editorState.getSelection(),
+    selectionAfter,
+  });
+  return EditorState.forceSelection(
+    EditorState.push(editorState, contentState, changeType),
+    selectionAfter,
+  );
+};
+
+/**
+ * Tables are `table` blocks, whose children are `table-row` blocks, whose
+ * children are `table-cell` blocks holding the text of the cells. As they
+ * are built on tree data, they require nested content.
+ */
+const TableUtils = {
+  /**
+   * Return the table cell containing the block, if any.
+   */
+  getCell: function(
+    contentState: ContentState,
+    blockKey: string,
+  ): ?BlockNodeRecord {
+    let block = contentState.getBlockForKey(blockKey);
+    while (block && block.getType() !== 'table-cell') {
+      const parentKey =
+        block instanceof ContentBlockNode ? block.getParentKey() : null;
+      block = parentKey != null ? contentState.getBlockForKey(parentKey) : null;
+    }
+    return block;
+  },
+
+  /**
+   * Insert an empty table after the block at the start of the selection, or
+   * in place of that block if it is empty, and put the caret in its first
+   * cell. An empty block is added after a table ending the content, so that
+   * text can still be typed after it. Tables cannot be nested.
+   */
+  insertTable: function(
+    editorState: EditorState,
+    rows: number,
+    columns: number,
+  ): EditorState {
+    invariant(
+      rows > 0 && columns > 0,
+      'A table must have at least one row and one column',
+    );
+    const contentState = editorState.getCurrentContent();
+    const block = contentState.getBlockForKey(
+      editorState.getSelection().getStartKey(),
+    );
+    invariant(
+      block instanceof ContentBlockNode,
+      'Tables require nested content',
+    );
+    if (TableUtils.getCell(contentState, block.getKey())) {
+      return editorState;
+    }
+
+    const isReplaced =
+      block.getType() === 'unstyled' &&
+      block.getLength() === 0 &&
+      block.getChildKeys().isEmpty();
+    const parentKey = block.getParentKey();
+    const prevSiblingKey = isReplaced
+      ? block.getPrevSiblingKey()
+      : block.getKey();
+    let nextSiblingKey = block.getNextSiblingKey();
+    let blockAfter = null;
+    if (nextSiblingKey == null && parentKey == null) {
+      blockAfter = createBlock('unstyled');
+      nextSiblingKey = blockAfter.getKey();
+    }
+
+    const table = createBlock('table').merge({
+      parent: parentKey,
+      prevSibling: prevSiblingKey,
+      nextSibling: nextSiblingKey,
+    });
+    const tableKey = table.getKey();
+    let blockMap = contentState.getBlockMap();
+    if (prevSiblingKey != null) {
+      blockMap = blockMap.setIn([prevSiblingKey, 'nextSibling'], tableKey);
+    }
+    if (blockAfter) {
+      blockAfter = blockAfter.set('prevSibling', tableKey);
+    } else if (nextSiblingKey != null) {
+      blockMap = blockMap.setIn([nextSiblingKey, 'prevSibling'], tableKey);
+    }
+    if (parentKey != null) {
+      blockMap = blockMap.updateIn([parentKey, 'children'], children => {
+        const index = children.indexOf(block.getKey());
+        return isReplaced
+          ? children.set(index, tableKey)
+          : children.insert(index + 1, tableKey);
+      });
+    }
+    const blocks = isReplaced
+      ? []
+      : getSubtree(blockMap, blockMap.get(block.getKey()));
+    blocks.push(table);
+    if (blockAfter) {
+      blocks.push(blockAfter);
+    }
+    blockMap = replaceSubtree(blockMap, block, blocks);
+
+    const tableRows = Array.from({length: rows}, () => createRow(columns));
+    blockMap = setTableRows(blockMap, table, tableRows);
+    return pushBlockMap(
+      editorState,
+      blockMap,
+      collapsedAt(tableRows[0].cells[0], 0),
+      'insert-fragment',
+    );
+  },
+
+  /**
+   * Insert an empty row before or after the row at the start of the
+   * selection.
+   */
+  insertRow: function(
+    editorState: EditorState,
+    position: TableInsertPosition,
+  ): EditorState {
+    const contentState = editorState.getCurrentContent();
+    const tablePosition = getTablePosition(
+      contentState,
+      editorState.getSelection().getStartKey(),
+    );
+    if (!tablePosition) {
+      return editorState;
+    }
+    const {table, rows, rowIndex, columnIndex} = tablePosition;
+    const newRow = createRow(rows[rowIndex].cells.length);
+    const newRows = rows.slice();
+    newRows.splice(position === 'before' ? rowIndex : rowIndex + 1, 0, newRow);
+    return pushBlockMap(
+      editorState,
+      setTableRows(contentState.getBlockMap(), table, newRows),
+      collapsedAt(newRow.cells[columnIndex], 0),
+      'insert-fragment',
+    );
+  },
+
+  /**
+   * Insert an empty column before or after the column at the start of the
+   * selection.
+   */
+  insertColumn: function(
+    editorState: EditorState,
+    position: TableInsertPosition,
+  ): EditorState {
+    const contentState = editorState.getCurrentContent();
+    const tablePosition = getTablePosition(
+      contentState,
+      editorState.getSelection().getStartKey(),
+    );
+    if (!tablePosition) {
+      return editorState;
+    }
+    const {table, rows, rowIndex, columnIndex} = tablePosition;
+    const index = position === 'before' ? columnIndex : columnIndex + 1;
+    const newRows = rows.map(({row, cells}) => {
+      const newCells = cells.slice();
+      newCells.splice(
+        Math.min(index, cells.length),
+        0,
+        createBlock('table-cell'),
+      );
+      return {row, cells: newCells};
+    });
+    return pushBlockMap(
+      editorState,
+      setTableRows(contentState.getBlockMap(), table, newRows),
+      collapsedAt(newRows[rowIndex].cells[index], 0),
+      'insert-fragment',
+    );
+  },
+
+  /**
+   * Remove the row at the start of the selection, and the table along with
+   * its last row.
+   */
+  removeRow: function(editorState: EditorState): EditorState {
+    const contentState = editorState.getCurrentContent();
+    const tablePosition = getTablePosition(
+      contentState,
+      editorState.getSelection().getStartKey(),
+    );
+    if (!tablePosition) {
+      return editorState;
+    }
+    const {table, rows, rowIndex, columnIndex} = tablePosition;
+    if (rows.length === 1) {
+      return TableUtils.removeTable(editorState);
+    }
+    const newRows = rows.filter((_, ii) => ii !== rowIndex);
+    const {cells} = newRows[Math.min(rowIndex, newRows.length - 1)];
+    return pushBlockMap(
+      editorState,
+      setTableRows(contentState.getBlockMap(), table, newRows),
+      collapsedAt(cells[Math.min(columnIndex, cells.length - 1)], 0),
+      'remove-range',
+    );
+  },
+
+  /**
+   * Remove the column at the start of the selection, and the table along
+   * with its last column.
+   */
+  removeColumn: function(editorState: EditorState): EditorState {
+    const contentState = editorState.getCurrentContent();
+    const tablePosition = getTablePosition(
+      contentState,
+      editorState.getSelection().getStartKey(),
+    );
+    if (!tablePosition) {
+      return editorState;
+    }
+    const {table, rows, rowIndex, columnIndex} = tablePosition;
+    const newRows = rows
+      .map(({row, cells}) => ({
+        row,
+        cells: cells.filter((_, ii) => ii !== columnIndex),
+      }))
+      .filter(({cells}) => cells.length > 0);
+    if (!newRows.length) {
+      return TableUtils.removeTable(editorState);
+    }
+    const {cells} = newRows[Math.min(rowIndex, newRows.length - 1)];
+    return pushBlockMap(
+      editorState,
+      setTableRows(contentState.getBlockMap(), table, newRows),
+      collapsedAt(cells[Math.min(columnIndex, cells.length - 1)], 0),
+      'remove-range',
+    );
+  },
+
+  /**
+   * Remove the table at the start of the selection, and put the caret at the
+   * start of the block after it, or else at the end of the block before it.
+   */
+  removeTable: function(editorState: EditorState): EditorState {
+    const contentState = editorState.getCurrentContent();
+    const tablePosition = getTablePosition(
+      contentState,
+      editorState.getSelection().getStartKey(),
+    );
+    if (!tablePosition) {
+      return editorState;
+    }
+    const {table} = tablePosition;
+    const tableKey = table.getKey();
+    const prevSiblingKey = table.getPrevSiblingKey();
+    const nextSiblingKey = table.getNextSiblingKey();
+    const parentKey = table.getParentKey();
+
+    let blockMap = contentState.getBlockMap();
+    if (prevSiblingKey != null) {
+      blockMap = blockMap.setIn(
+        [prevSiblingKey, 'nextSibling'],
+        nextSiblingKey,
+      );
+    }
+    if (nextSiblingKey != null) {
+      blockMap = blockMap.setIn(
+        [nextSiblingKey, 'prevSibling'],
+        prevSiblingKey,
+      );
+    }
+    if (parentKey != null) {
+      blockMap = blockMap.updateIn([parentKey, 'children'], children =>
+        children.delete(children.indexOf(tableKey)),
+      );
+    }
+    // The blocks of the table follow it in document order.
+    const blockBefore = blockMap.takeUntil((_, key) => key === tableKey).last();
+    const blockAfter = blockMap
+      .skipUntil((_, key) => key === tableKey)
+      .skip(getSubtree(blockMap, table).length)
+      .first();
+    blockMap = replaceSubtree(blockMap, table, []);
+
+    let selectionAfter;
+    if (blockAfter) {
+      selectionAfter = collapsedAt(
+        getFirstLeaf(blockMap, blockMap.get(blockAfter.getKey())),
+        0,
+      );
+    } else if (blockBefore) {
+      selectionAfter = collapsedAt(blockBefore, blockBefore.getLength());
+    } else {
+      const emptyBlock = createBlock('unstyled');
+      blockMap = OrderedMap([[emptyBlock.getKey(), emptyBlock]]);
+      selectionAfter = collapsedAt(emptyBlock, 0);
+    }
+    return pushBlockMap(editorState, blockMap, selectionAfter, 'remove-range');
+  },
+
+  /**
+   * Select the next cell on Tab, or the previous one on Shift+Tab. Tab in
+   * the last cell adds a row to the table. Returns null if the selection does
+   * not start in a table.
+   */
+  onTab: function(
+    event: SyntheticKeyboardEvent<>,
+    editorState: EditorState,
+  ): ?EditorState {
+    const contentState = editorState.getCurrentContent();
+    const tablePosition = getTablePosition(
+      contentState,
+      editorState.getSelection().getStartKey(),
+    );
+    if (!tablePosition) {
+      return null;
+    }
+    event.preventDefault();
+
+    const {table, rows, rowIndex, columnIndex} = tablePosition;
+    const cells = [].concat(...rows.map(tableRow => tableRow.cells));
+    const index = cells.indexOf(rows[rowIndex].cells[columnIndex]);
+    const blockMap = contentState.getBlockMap();
+    if (event.shiftKey) {
+      return index > 0
+        ? EditorState.forceSelection(
+            editorState,
+            selectCell(blockMap, cells[index - 1]),
+          )
+        : editorState;
+    }
+    if (index < cells.length - 1) {
+      return EditorState.forceSelection(
+        editorState,
+        selectCell(blockMap, cells[index + 1]),
+      );
+    }
+    const newRow = createRow(rows[rows.length - 1].cells.length);
+    return pushBlockMap(
+      editorState,
+      setTableRows(blockMap, table, rows.concat(newRow)),
+      collapsedAt(newRow.cells[0], 0),
+      'insert-fragment',
+    );
+  },
+};
+
+module.exports = TableUtils;
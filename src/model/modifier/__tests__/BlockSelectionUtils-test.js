@@ -0,0 +1,225 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @emails oncall+draft_js
+ * @format
+ */
+
+'use strict';
+
+jest.disableAutomock();
+
+jest.mock('generateRandomKey');
+
+const BlockSelectionUtils = require('BlockSelectionUtils');
+const ContentBlock = require('ContentBlock');
+const ContentBlockNode = require('ContentBlockNode');
+const ContentState = require('ContentState');
+const DraftTreeInvariants = require('DraftTreeInvariants');
+const EditorState = require('EditorState');
+const TableUtils = require('TableUtils');
+
+const {List} = require('immutable');
+
+const createFlatEditorState = () =>
+  EditorState.createWithContent(
+    ContentState.createFromBlockArray(
+      ['A', 'B', 'C', 'D'].map(key => new ContentBlock({key, text: key})),
+    ),
+  );
+
+const createNestedEditorState = () =>
+  EditorState.createWithContent(
+    ContentState.createFromBlockArray([
+      new ContentBlockNode({key: 'A', nextSibling: 'X', text: 'A'}),
+      new ContentBlockNode({
+        key: 'X',
+        prevSibling: 'A',
+        nextSibling: 'D',
+        type: 'unordered-list-item',
+        children: List(['B', 'C']),
+      }),
+      new ContentBlockNode({
+        key: 'B',
+        parent: 'X',
+        nextSibling: 'C',
+        type: 'unordered-list-item',
+        text: 'B',
+      }),
+      new ContentBlockNode({
+        key: 'C',
+        parent: 'X',
+        prevSibling: 'B',
+        type: 'unordered-list-item',
+        text: 'C',
+      }),
+      new ContentBlockNode({key: 'D', prevSibling: 'X', text: 'D'}),
+    ]),
+  );
+
+const selectBlocks = (editorState, anchorKey, focusKey) =>
+  EditorState.setBlockSelection(editorState, {anchorKey, focusKey});
+
+const getTexts = editorState =>
+  editorState
+    .getCurrentContent()
+    .getBlocksAsArray()
+    .filter(block => block.getText())
+    .map(block => block.getText());
+
+const assertValidTree = editorState =>
+  expect(
+    DraftTreeInvariants.isValidTree(
+      editorState.getCurrentContent().getBlockMap(),
+    ),
+  ).toBe(true);
+
+test('must select the blocks of the selection and extend them', () => {
+  let editorState = BlockSelectionUtils.selectBlocks(createFlatEditorState());
+  expect(BlockSelectionUtils.getSelectedBlockKeys(editorState)).toEqual(['A']);
+
+  editorState = BlockSelectionUtils.selectAdjacentBlock(
+    editorState,
+    'down',
+    false,
+  );
+  editorState = BlockSelectionUtils.selectAdjacentBlock(
+    editorState,
+    'down',
+    true,
+  );
+  expect(BlockSelectionUtils.getSelectedBlockKeys(editorState)).toEqual([
+    'B',
+    'C',
+  ]);
+
+  editorState = BlockSelectionUtils.selectAdjacentBlock(
+    selectBlocks(editorState, 'C', 'C'),
+    'up',
+    true,
+  );
+  expect(editorState.getBlockSelection()).toEqual({
+    anchorKey: 'C',
+    focusKey: 'B',
+  });
+  expect(BlockSelectionUtils.getSelectedBlockKeys(editorState)).toEqual([
+    'B',
+    'C',
+  ]);
+});
+
+test('must select the outermost blocks covering the block selection', () => {
+  const editorState = BlockSelectionUtils.selectAdjacentBlock(
+    selectBlocks(createNestedEditorState(), 'C', 'C'),
+    'down',
+    true,
+  );
+  expect(BlockSelectionUtils.getSelectedBlockKeys(editorState)).toEqual([
+    'X',
+    'D',
+  ]);
+
+  // Rows and cells are only selected along with their table.
+  const withTable = TableUtils.insertTable(createNestedEditorState(), 1, 2);
+  const cellKey = withTable.getSelection().getStartKey();
+  const tableKey = withTable
+    .getCurrentContent()
+    .getBlockMap()
+    .find(block => block.getType() === 'table')
+    .getKey();
+  expect(
+    BlockSelectionUtils.getSelectedBlockKeys(
+      selectBlocks(withTable, cellKey, cellKey),
+    ),
+  ).toEqual([tableKey]);
+});
+
+test('must remove the selected blocks as one change', () => {
+  const editorState = selectBlocks(createFlatEditorState(), 'B', 'C');
+  const removed = BlockSelectionUtils.removeSelectedBlocks(editorState);
+  expect(getTexts(removed)).toEqual(['A', 'D']);
+  expect(removed.getSelection().getStartKey()).toBe('D');
+  expect(removed.getBlockSelection()).toBe(null);
+  expect(getTexts(EditorState.undo(removed))).toEqual(['A', 'B', 'C', 'D']);
+
+  const removedAll = BlockSelectionUtils.removeSelectedBlocks(
+    selectBlocks(createFlatEditorState(), 'A', 'D'),
+  );
+  expect(removedAll.getCurrentContent().getBlocksAsArray().length).toBe(1);
+  expect(removedAll.getCurrentContent().hasText()).toBe(false);
+});
+
+test('must remove the blocks left without children', () => {
+  const removed = BlockSelectionUtils.removeSelectedBlocks(
+    selectBlocks(createNestedEditorState(), 'B', 'C'),
+  );
+  assertValidTree(removed);
+  expect(
+    removed
+      .getCurrentContent()
+      .getBlockMap()
+      .keySeq()
+      .toArray(),
+  ).toEqual(['A', 'D']);
+  expect(removed.getSelection().getStartKey()).toBe('D');
+});
+
+test('must duplicate the selected blocks and select the copies', () => {
+  const duplicated = BlockSelectionUtils.duplicateSelectedBlocks(
+    selectBlocks(createFlatEditorState(), 'B', 'C'),
+  );
+  expect(getTexts(duplicated)).toEqual(['A', 'B', 'C', 'B', 'C', 'D']);
+  const copyKeys = BlockSelectionUtils.getSelectedBlockKeys(duplicated);
+  expect(
+    copyKeys.map(key =>
+      duplicated
+        .getCurrentContent()
+        .getBlockForKey(key)
+        .getText(),
+    ),
+  ).toEqual(['B', 'C']);
+  expect(copyKeys).not.toContain('B');
+
+  const nested = BlockSelectionUtils.duplicateSelectedBlocks(
+    selectBlocks(createNestedEditorState(), 'B', 'D'),
+  );
+  assertValidTree(nested);
+  expect(getTexts(nested)).toEqual(['A', 'B', 'C', 'D', 'B', 'C', 'D']);
+  expect(getTexts(EditorState.undo(nested))).toEqual(['A', 'B', 'C', 'D']);
+});
+
+test('must set the type of the selected blocks without children', () => {
+  const editorState = selectBlocks(createNestedEditorState(), 'C', 'D');
+  const changed = BlockSelectionUtils.setSelectedBlocksType(
+    editorState,
+    'header-one',
+  );
+  const content = changed.getCurrentContent();
+  expect(
+    ['X', 'B', 'C', 'D'].map(key => content.getBlockForKey(key).getType()),
+  ).toEqual(['unordered-list-item', 'header-one', 'header-one', 'header-one']);
+  expect(changed.getBlockSelection()).toBe(editorState.getBlockSelection());
+  expect(changed.getLastChangeType()).toBe('change-block-type');
+  expect(EditorState.undo(changed).getCurrentContent()).toBe(
+    editorState.getCurrentContent(),
+  );
+});
+
+test('must move the selected blocks up and down', () => {
+  const editorState = selectBlocks(createFlatEditorState(), 'B', 'C');
+  const movedUp = BlockSelectionUtils.moveSelectedBlocks(editorState, 'up');
+  expect(getTexts(movedUp)).toEqual(['B', 'C', 'A', 'D']);
+  expect(movedUp.getBlockSelection()).toBe(editorState.getBlockSelection());
+  expect(BlockSelectionUtils.moveSelectedBlocks(movedUp, 'up')).toBe(movedUp);
+  expect(getTexts(EditorState.undo(movedUp))).toEqual(['A', 'B', 'C', 'D']);
+
+  const movedDown = BlockSelectionUtils.moveSelectedBlocks(
+    selectBlocks(createNestedEditorState(), 'A', 'A'),
+    'down',
+  );
+  assertValidTree(movedDown);
+  expect(getTexts(movedDown)).toEqual(['B', 'C', 'A', 'D']);
+});
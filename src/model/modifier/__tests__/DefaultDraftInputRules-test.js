@@ -0,0 +1,165 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @emails oncall+draft_js
+ * @format
+ */
+
+jest.disableAutomock();
+
+const ContentState = require('ContentState');
+const DefaultDraftInputRules = require('DefaultDraftInputRules');
+const DraftModifier = require('DraftModifier');
+const EditorState = require('EditorState');
+const RichTextEditorUtil = require('RichTextEditorUtil');
+
+const applyInputRules = require('applyInputRules');
+const Immutable = require('immutable');
+const keyCommandPlainBackspace = require('keyCommandPlainBackspace');
+const undoInputRule = require('undoInputRule');
+
+const {OrderedSet} = Immutable;
+
+// Type each character as `editOnBeforeInput` does.
+const type = (editorState, text) =>
+  text.split('').reduce((state, character) => {
+    const typed = EditorState.push(
+      state,
+      DraftModifier.insertText(
+        state.getCurrentContent(),
+        state.getSelection(),
+        character,
+        state.getCurrentInlineStyle(),
+      ),
+      'insert-characters',
+    );
+    return applyInputRules(typed, DefaultDraftInputRules) || typed;
+  }, editorState);
+
+const typeInBlock = (text, blockType = 'unstyled') => {
+  const contentState = ContentState.createFromText('');
+  const editorState = EditorState.moveSelectionToEnd(
+    EditorState.createWithContent(
+      DraftModifier.setBlockType(
+        contentState,
+        contentState.getSelectionAfter(),
+        blockType,
+      ),
+    ),
+  );
+  return type(editorState, text);
+};
+
+const getBlock = editorState => editorState.getCurrentContent().getFirstBlock();
+
+const getStyles = editorState =>
+  getBlock(editorState)
+    .getCharacterList()
+    .map(character => character.getStyle().toArray())
+    .toArray();
+
+describe('block rules', () => {
+  [
+    ['# ', 'header-one'],
+    ['### ', 'header-three'],
+    ['* ', 'unordered-list-item'],
+    ['- ', 'unordered-list-item'],
+    ['1. ', 'ordered-list-item'],
+    ['> ', 'blockquote'],
+    ['```', 'code-block'],
+  ].forEach(([text, blockType]) => {
+    test(`must turn "${text}" into ${blockType}`, () => {
+      const block = getBlock(typeInBlock(text));
+      expect(block.getType()).toBe(blockType);
+      expect(block.getText()).toBe('');
+    });
+  });
+
+  test('must only apply at the start of a block', () => {
+    const block = getBlock(typeInBlock('a # '));
+    expect(block.getType()).toBe('unstyled');
+    expect(block.getText()).toBe('a # ');
+  });
+
+  test('must only apply to unstyled blocks', () => {
+    const block = getBlock(typeInBlock('# ', 'blockquote'));
+    expect(block.getType()).toBe('blockquote');
+    expect(block.getText()).toBe('# ');
+  });
+});
+
+describe('inline rules', () => {
+  test('must apply BOLD between double asterisks', () => {
+    const editorState = typeInBlock('a **bold** b');
+    expect(getBlock(editorState).getText()).toBe('a bold b');
+    expect(getStyles(editorState)).toEqual([
+      [],
+      [],
+      ['BOLD'],
+      ['BOLD'],
+      ['BOLD'],
+      ['BOLD'],
+      [],
+      [],
+    ]);
+  });
+
+  test('must apply ITALIC between single asterisks or underscores', () => {
+    const editorState = typeInBlock('*a* _b_');
+    expect(getBlock(editorState).getText()).toBe('a b');
+    expect(getStyles(editorState)).toEqual([['ITALIC'], [], ['ITALIC']]);
+  });
+
+  test('must not apply ITALIC within words', () => {
+    expect(getBlock(typeInBlock('snake_case_')).getText()).toBe('snake_case_');
+  });
+
+  test('must apply CODE between backticks', () => {
+    const editorState = typeInBlock('`x`');
+    expect(getBlock(editorState).getText()).toBe('x');
+    expect(getStyles(editorState)).toEqual([['CODE']]);
+  });
+
+  test('must not apply within code blocks', () => {
+    const block = getBlock(typeInBlock('**a**', 'code-block'));
+    expect(block.getText()).toBe('**a**');
+  });
+
+  test('must go on typing with the style from before the rule', () => {
+    const editorState = typeInBlock('**a**');
+    expect(editorState.getCurrentInlineStyle()).toEqual(OrderedSet());
+  });
+});
+
+describe('undoInputRule', () => {
+  test('must restore the typed text', () => {
+    const editorState = typeInBlock('* ');
+    const undone = undoInputRule(editorState);
+    expect(getBlock(undone).getType()).toBe('unstyled');
+    expect(getBlock(undone).getText()).toBe('* ');
+    expect(undone.getSelection().getAnchorOffset()).toBe(2);
+  });
+
+  test('must restore the typed text on backspace', () => {
+    const editorState = typeInBlock('**a**');
+    expect(getBlock(keyCommandPlainBackspace(editorState)).getText()).toBe(
+      '**a**',
+    );
+    expect(
+      getBlock(RichTextEditorUtil.onBackspace(typeInBlock('# '))).getText(),
+    ).toBe('# ');
+  });
+
+  test('must not apply once the caret moved', () => {
+    const editorState = typeInBlock('**ab**');
+    const moved = EditorState.acceptSelection(
+      editorState,
+      editorState.getSelection().merge({anchorOffset: 1, focusOffset: 1}),
+    );
+    expect(undoInputRule(moved)).toBe(null);
+    expect(undoInputRule(type(editorState, 'c'))).toBe(null);
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @emails oncall+draft_js
+ * @format
+ */
+
+'use strict';
+
+jest.disableAutomock();
+
+jest.mock('generateRandomKey');
+
+const ContentBlock = require('ContentBlock');
+const ContentBlockNode = require('ContentBlockNode');
+const ContentState = require('ContentState');
+const DraftBlockDrag = require('DraftBlockDrag');
+const DraftTreeInvariants = require('DraftTreeInvariants');
+const EditorState = require('EditorState');
+const SelectionState = require('SelectionState');
+
+const {List} = require('immutable');
+
+const select = (editorState, anchorKey, focusKey) =>
+  EditorState.acceptSelection(
+    editorState,
+    new SelectionState({
+      anchorKey,
+      anchorOffset: 0,
+      focusKey,
+      focusOffset: 1,
+    }),
+  );
+
+const createFlatEditorState = () =>
+  EditorState.createWithContent(
+    ContentState.createFromBlockArray(
+      ['A', 'B', 'C', 'D'].map(key => new ContentBlock({key, text: key})),
+    ),
+  );
+
+const createNestedEditorState = () =>
+  EditorState.createWithContent(
+    ContentState.createFromBlockArray([
+      new ContentBlockNode({key: 'A', nextSibling: 'X', text: 'A'}),
+      new ContentBlockNode({
+        key: 'X',
+        prevSibling: 'A',
+        nextSibling: 'D',
+        type: 'unordered-list-item',
+        children: List(['B', 'C']),
+      }),
+      new ContentBlockNode({
+        key: 'B',
+        parent: 'X',
+        nextSibling: 'C',
+        type: 'unordered-list-item',
+        text: 'B',
+      }),
+      new ContentBlockNode({
+        key: 'C',
+        parent: 'X',
+        prevSibling: 'B',
+        type: 'unordered-list-item',
+        text: 'C',
+      }),
+      new ContentBlockNode({key: 'D', prevSibling: 'X', text: 'D'}),
+    ]),
+  );
+
+const getKeys = editorState =>
+  editorState
+    .getCurrentContent()
+    .getBlockMap()
+    .keySeq()
+    .toArray();
+
+test('must drag the selected blocks including the dragged block', () => {
+  const editorState = select(createFlatEditorState(), 'B', 'C');
+  expect(DraftBlockDrag.getDraggedBlockKeys(editorState, 'C')).toEqual([
+    'B',
+    'C',
+  ]);
+  expect(DraftBlockDrag.getDraggedBlockKeys(editorState, 'D')).toEqual(['D']);
+  expect(
+    DraftBlockDrag.getDraggedBlockKeys(createFlatEditorState(), 'B'),
+  ).toEqual(['B']);
+});
+
+test('must drag the outermost blocks covering the selection', () => {
+  const editorState = select(createNestedEditorState(), 'C', 'D');
+  expect(DraftBlockDrag.getDraggedBlockKeys(editorState, 'C')).toEqual([
+    'X',
+    'D',
+  ]);
+});
+
+test('must move the dragged blocks as one change', () => {
+  const editorState = select(createFlatEditorState(), 'C', 'D');
+  const moved = DraftBlockDrag.moveBlocks(editorState, ['C', 'D'], {
+    blockKey: 'A',
+    insertionMode: 'before',
+  });
+  expect(getKeys(moved)).toEqual(['C', 'D', 'A', 'B']);
+  expect(moved.getLastChangeType()).toBe('move-block');
+  expect(moved.getSelection()).toBe(editorState.getSelection());
+  expect(
+    moved
+      .getLastOperations()
+      .map(operation => operation.type)
+      .toArray(),
+  ).toEqual(['moveBlock', 'moveBlock']);
+  expect(getKeys(EditorState.undo(moved))).toEqual(['A', 'B', 'C', 'D']);
+});
+
+test('must move the dragged blocks along with their children', () => {
+  const moved = DraftBlockDrag.moveBlocks(createNestedEditorState(), ['X'], {
+    blockKey: 'D',
+    insertionMode: 'after',
+  });
+  const blockMap = moved.getCurrentContent().getBlockMap();
+  expect(DraftTreeInvariants.isValidTree(blockMap)).toBe(true);
+  expect(getKeys(moved)).toEqual(['A', 'D', 'X', 'B', 'C']);
+});
+
+test('must not drop blocks next to themselves or their descendants', () => {
+  const contentState = createNestedEditorState().getCurrentContent();
+  expect(DraftBlockDrag.canDrop(contentState, ['X'], 'B')).toBe(false);
+  expect(DraftBlockDrag.canDrop(contentState, ['A', 'X'], 'A')).toBe(false);
+  expect(DraftBlockDrag.canDrop(contentState, ['B'], 'D')).toBe(true);
+
+  const editorState = createFlatEditorState();
+  expect(
+    DraftBlockDrag.moveBlocks(editorState, ['A'], {
+      blockKey: 'B',
+      insertionMode: 'before',
+    }),
+  ).toBe(editorState);
+});
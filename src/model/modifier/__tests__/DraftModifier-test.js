@@ -0,0 +1,359 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @emails oncall+draft_js
+ * @format
+ */
+
+'use strict';
+
+jest.disableAutomock();
+
+jest.mock('generateRandomKey');
+
+const ContentBlock = require('ContentBlock');
+const ContentState = require('ContentState');
+const DraftModifier = require('DraftModifier');
+const EditorState = require('EditorState');
+const TestHelper = require('_DraftTestHelper');
+
+const convertFromDraftStateToRaw = require('convertFromDraftStateToRaw');
+const {Map, OrderedSet} = require('immutable');
+
+const {assertReplay, getOperations, select} = TestHelper;
+
+const createContentState = () =>
+  ContentState.createFromBlockArray([
+    new ContentBlock({key: 'a', text: 'Alpha'}),
+    new ContentBlock({key: 'b', text: 'Beta'}),
+  ]);
+
+test('must record the operations of a pushed change', () => {
+  const contentState = createContentState();
+  let content = DraftModifier.insertText(
+    contentState,
+    select('a', 5),
+    '!',
+    OrderedSet(['BOLD']),
+  );
+  content = DraftModifier.splitBlock(content, select('a', 2));
+  content = DraftModifier.setBlockType(content, select('a', 0), 'header-one');
+  content = content.merge({selectionAfter: select('b', 0)});
+
+  const operations = assertReplay(contentState, content);
+  expect(operations.map(operation => operation.type)).toEqual([
+    'insertText',
+    'splitBlock',
+    'setBlockType',
+  ]);
+  expect(operations[0]).toEqual({
+    type: 'insertText',
+    selection: {
+      anchorKey: 'a',
+      anchorOffset: 5,
+      focusKey: 'a',
+      focusOffset: 5,
+      isBackward: false,
+    },
+    text: '!',
+    inlineStyle: ['BOLD'],
+    entity: null,
+  });
+  expect(operations[1].keys).toEqual([content.getKeyAfter('a')]);
+});
+
+test('must replay styles, entities and block data', () => {
+  const contentState = createContentState().createEntity('LINK', 'MUTABLE', {
+    url: 'a.com',
+  });
+  const entityKey = contentState.getLastCreatedEntityKey();
+  let content = DraftModifier.applyEntity(
+    contentState,
+    select('a', 0, 'a', 3),
+    entityKey,
+  );
+  content = DraftModifier.applyInlineStyle(
+    content,
+    select('a', 1, 'b', 2),
+    'ITALIC',
+  );
+  content = DraftModifier.removeInlineStyle(
+    content,
+    select('a', 0, 'a', 2),
+    'ITALIC',
+  );
+  content = DraftModifier.mergeBlockData(
+    content,
+    select('b', 0),
+    Map({align: 'right'}),
+  );
+  content = DraftModifier.replaceText(content, select('b', 0, 'b', 1), 'Z');
+
+  const operations = assertReplay(contentState, content);
+  expect(operations[0].entity).toEqual({
+    key: entityKey,
+    entity: {type: 'LINK', mutability: 'MUTABLE', data: {url: 'a.com'}},
+  });
+});
+
+test('must reuse the entities created by earlier replays', () => {
+  const contentState = createContentState().createEntity('LINK', 'MUTABLE', {
+    url: 'a.com',
+  });
+  const entityKey = contentState.getLastCreatedEntityKey();
+  const linked = DraftModifier.applyEntity(
+    contentState,
+    select('a', 0, 'a', 1),
+    entityKey,
+  );
+  const typed = DraftModifier.insertText(
+    linked,
+    select('a', 1),
+    'x',
+    OrderedSet(),
+    entityKey,
+  );
+
+  const entityKeys = {};
+  const replica = createContentState();
+  const first = DraftModifier.applyOperations(
+    replica,
+    getOperations(contentState, linked),
+    entityKeys,
+  );
+  const second = DraftModifier.applyOperations(
+    first,
+    getOperations(linked, typed),
+    entityKeys,
+  );
+  const block = second.getBlockForKey('a');
+  expect(block.getEntityAt(0)).not.toBe(null);
+  expect(block.getEntityAt(1)).toBe(block.getEntityAt(0));
+  expect(entityKeys).toEqual({[entityKey]: block.getEntityAt(0)});
+});
+
+test('must record and replay entity keys that no entity was created for', () => {
+  const contentState = createContentState();
+  const content = DraftModifier.applyEntity(
+    DraftModifier.insertText(
+      contentState,
+      select('b', 0),
+      'x',
+      OrderedSet(),
+      'unknown',
+    ),
+    select('a', 0, 'a', 1),
+    'unknown',
+  );
+
+  const operations = getOperations(contentState, content);
+  expect(operations.map(operation => operation.entity)).toEqual([
+    {key: 'unknown', entity: null},
+    {key: 'unknown', entity: null},
+  ]);
+  const replayed = DraftModifier.applyOperations(contentState, operations);
+  expect(replayed.getBlockForKey('a').getEntityAt(0)).toBe('unknown');
+  expect(replayed.getBlockForKey('b').getEntityAt(0)).toBe('unknown');
+});
+
+test('must replay nested immutable block data', () => {
+  const contentState = createContentState();
+  const data = Map({align: 'right', cell: Map({colSpan: 2})});
+  const content = DraftModifier.setBlockData(
+    contentState,
+    select('a', 0),
+    data,
+  );
+
+  const operations = JSON.parse(
+    JSON.stringify(getOperations(contentState, content)),
+  );
+  expect(
+    DraftModifier.applyOperations(contentState, operations)
+      .getBlockForKey('a')
+      .getData(),
+  ).toEqual(data);
+});
+
+test('must replay fragments and moved blocks with the same keys', () => {
+  const contentState = createContentState();
+  const fragment = DraftModifier.splitBlock(
+    createContentState(),
+    select('a', 2),
+  ).getBlockMap();
+  let content = DraftModifier.replaceWithFragment(
+    contentState,
+    select('b', 2),
+    fragment,
+  );
+  content = DraftModifier.moveBlock(
+    content,
+    content.getLastBlock(),
+    content.getFirstBlock(),
+    'before',
+  );
+  content = DraftModifier.removeRange(
+    content,
+    select('a', 1, 'b', 1),
+    'backward',
+  );
+
+  assertReplay(contentState, content);
+});
+
+test('must not know the operations of other changes', () => {
+  const editorState = EditorState.createWithContent(createContentState());
+  const content = editorState.getCurrentContent();
+  const withoutModifier = content.set(
+    'blockMap',
+    content.getBlockMap().delete('b'),
+  );
+
+  expect(
+    EditorState.push(
+      editorState,
+      withoutModifier,
+      'remove-range',
+    ).getLastOperations(),
+  ).toBe(null);
+  expect(
+    EditorState.undo(
+      EditorState.push(
+        editorState,
+        DraftModifier.insertText(content, select('a', 0), 'x'),
+        'insert-characters',
+      ),
+    ).getLastOperations(),
+  ).toBe(null);
+});
+
+test('must record the operations of consecutive pushes separately', () => {
+  let editorState = EditorState.createWithContent(createContentState());
+  editorState = EditorState.push(
+    editorState,
+    DraftModifier.insertText(
+      editorState.getCurrentContent(),
+      select('a', 0),
+      'x',
+    ),
+    'insert-characters',
+  );
+  const content = DraftModifier.insertText(
+    editorState.getCurrentContent(),
+    select('a', 1),
+    'y',
+  );
+  const withContent = EditorState.set(editorState, {currentContent: content});
+  editorState = EditorState.push(
+    withContent,
+    DraftModifier.insertText(content, select('a', 2), 'z'),
+    'insert-characters',
+  );
+
+  expect(
+    editorState
+      .getLastOperations()
+      .map(operation => operation.text)
+      .toArray(),
+  ).toEqual(['z']);
+});
+
+test('must record the operations of content converted by the schema', () => {
+  const contentState = createContentState().createEntity(
+    'MENTION',
+    'IMMUTABLE',
+  );
+  const editorState = EditorState.setSchema(
+    EditorState.createWithContent(contentState),
+    {blockTypes: ['unstyled'], inlineStyles: ['BOLD'], entityTypes: ['LINK']},
+  );
+  let content = DraftModifier.setBlockType(
+    editorState.getCurrentContent(),
+    select('a', 0),
+    'header-one',
+  );
+  content = DraftModifier.applyInlineStyle(
+    content,
+    select('a', 1, 'a', 3),
+    'ITALIC',
+  );
+  content = DraftModifier.applyEntity(
+    content,
+    select('b', 0, 'b', 2),
+    contentState.getLastCreatedEntityKey(),
+  );
+  const pushed = EditorState.push(editorState, content, 'change-block-type');
+  const operations = JSON.parse(
+    JSON.stringify(pushed.getLastOperations().toJS()),
+  );
+
+  expect(operations.map(operation => operation.type)).toEqual([
+    'setBlockType',
+    'applyInlineStyle',
+    'applyEntity',
+    'removeInlineStyle',
+    'setBlockType',
+    'applyEntity',
+  ]);
+  expect(
+    convertFromDraftStateToRaw(
+      DraftModifier.applyOperations(
+        editorState.getCurrentContent(),
+        operations,
+      ),
+    ),
+  ).toEqual(convertFromDraftStateToRaw(pushed.getCurrentContent()));
+});
+
+test('must keep the entity data as it was when the change was made', () => {
+  const data = {url: 'a.com'};
+  const contentState = createContentState().createEntity(
+    'LINK',
+    'MUTABLE',
+    data,
+  );
+  const content = DraftModifier.applyEntity(
+    contentState,
+    select('a', 0, 'a', 3),
+    contentState.getLastCreatedEntityKey(),
+  );
+  data.url = 'b.com';
+
+  const operation = getOperations(contentState, content)[0];
+  expect(operation.entity && operation.entity.entity).toEqual({
+    type: 'LINK',
+    mutability: 'MUTABLE',
+    data: {url: 'a.com'},
+  });
+});
+
+test('must record the operations of content trimmed by the schema', () => {
+  const editorState = EditorState.setSchema(
+    EditorState.createWithContent(createContentState()),
+    {maxLength: 10},
+  );
+  const content = DraftModifier.insertText(
+    editorState.getCurrentContent(),
+    select('a', 5),
+    'xyz',
+  );
+  const operations = EditorState.push(editorState, content, 'insert-characters')
+    .getLastOperations()
+    .toJS();
+
+  expect(operations.map(operation => operation.type)).toEqual([
+    'insertText',
+    'removeRange',
+  ]);
+  expect(
+    convertFromDraftStateToRaw(
+      DraftModifier.applyOperations(
+        editorState.getCurrentContent(),
+        operations,
+      ),
+    ).blocks[0].text,
+  ).toBe('Alphax');
+});
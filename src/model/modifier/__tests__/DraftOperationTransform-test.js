@@ -0,0 +1,698 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @emails oncall+draft_js
+ * @format
+ */
+
+'use strict';
+
+jest.disableAutomock();
+
+jest.mock('generateRandomKey');
+
+const CharacterMetadata = require('CharacterMetadata');
+const ContentBlock = require('ContentBlock');
+const ContentState = require('ContentState');
+const DraftModifier = require('DraftModifier');
+const DraftOperationTransform = require('DraftOperationTransform');
+const EditorState = require('EditorState');
+const TestHelper = require('_DraftTestHelper');
+
+const convertFromDraftStateToRaw = require('convertFromDraftStateToRaw');
+const getContentStateFragment = require('getContentStateFragment');
+const {Map, OrderedSet} = require('immutable');
+
+const {transform, transformSelection} = DraftOperationTransform;
+const {select} = TestHelper;
+
+const createContentState = () =>
+  ContentState.createFromBlockArray([
+    new ContentBlock({key: 'a', text: 'Alpha'}),
+    new ContentBlock({key: 'b', text: 'Beta'}),
+    new ContentBlock({key: 'c', text: 'Gamma'}),
+  ]);
+
+const getOperations = (contentState, edit) =>
+  EditorState.push(
+    EditorState.createWithContent(contentState),
+    edit(contentState),
+    'insert-characters',
+  )
+    .getLastOperations()
+    .toArray();
+
+// Styles and block data changed concurrently may end up in a different order
+// on each side, which does not change the content.
+const toRaw = contentState => {
+  const {blocks, entityMap} = convertFromDraftStateToRaw(contentState);
+  blocks.forEach(block => {
+    block.inlineStyleRanges.sort(
+      (a, b) =>
+        a.offset - b.offset ||
+        a.length - b.length ||
+        (a.style < b.style ? -1 : 1),
+    );
+    block.data = Object.keys(block.data)
+      .sort()
+      .reduce((data, key) => ({...data, [key]: block.data[key]}), {});
+  });
+  return {blocks, entityMap};
+};
+
+/**
+ * Apply two concurrent edits in both orders and check that the content
+ * converges.
+ */
+const assertConvergence = (contentState, edit, otherEdit) => {
+  const operations = getOperations(contentState, edit);
+  const otherOperations = getOperations(contentState, otherEdit);
+  const [transformed, otherTransformed] = transform(
+    contentState,
+    operations,
+    otherOperations,
+    true,
+  );
+  const result = DraftModifier.applyOperations(
+    DraftModifier.applyOperations(contentState, operations),
+    otherTransformed,
+  );
+  expect(
+    toRaw(
+      DraftModifier.applyOperations(
+        DraftModifier.applyOperations(contentState, otherOperations),
+        transformed,
+      ),
+    ),
+  ).toEqual(toRaw(result));
+  return result;
+};
+
+const getTexts = contentState =>
+  contentState
+    .getBlocksAsArray()
+    .map(block => [block.getType(), block.getText()]);
+
+test('must order text inserted at the same offset by priority', () => {
+  const result = assertConvergence(
+    createContentState(),
+    content => DraftModifier.insertText(content, select('a', 2), 'xx'),
+    content => DraftModifier.insertText(content, select('a', 2), 'yy'),
+  );
+  expect(result.getFirstBlock().getText()).toBe('Alxxyypha');
+});
+
+test('must keep text inserted in a concurrently removed range', () => {
+  const result = assertConvergence(
+    createContentState(),
+    content =>
+      DraftModifier.removeRange(content, select('a', 1, 'b', 2), 'backward'),
+    content => DraftModifier.insertText(content, select('a', 3), 'x'),
+  );
+  expect(getTexts(result)).toEqual([
+    ['unstyled', 'Axta'],
+    ['unstyled', 'Gamma'],
+  ]);
+});
+
+test('must keep blocks split in a concurrently removed range', () => {
+  const result = assertConvergence(
+    createContentState(),
+    content =>
+      DraftModifier.removeRange(content, select('a', 1, 'a', 4), 'forward'),
+    content => DraftModifier.splitBlock(content, select('a', 2)),
+  );
+  expect(getTexts(result).map(([type, text]) => text)).toEqual([
+    'A',
+    'a',
+    'Beta',
+    'Gamma',
+  ]);
+});
+
+test('must converge on overlapping removals across blocks', () => {
+  const result = assertConvergence(
+    createContentState(),
+    content =>
+      DraftModifier.removeRange(content, select('a', 2, 'b', 3), 'forward'),
+    content =>
+      DraftModifier.removeRange(content, select('b', 1, 'c', 2), 'backward'),
+  );
+  expect(getTexts(result).map(([type, text]) => text)).toEqual(['Almma']);
+});
+
+test('must converge on concurrent splits at the same offset', () => {
+  assertConvergence(
+    createContentState(),
+    content => DraftModifier.splitBlock(content, select('b', 2)),
+    content =>
+      DraftModifier.insertText(
+        DraftModifier.splitBlock(content, select('b', 2)),
+        select('b', 2),
+        'z',
+      ),
+  );
+});
+
+test('must type blocks split off a merged block like the merged block', () => {
+  const result = assertConvergence(
+    createContentState(),
+    content =>
+      DraftModifier.removeRange(content, select('a', 2, 'b', 1), 'forward'),
+    content =>
+      DraftModifier.splitBlock(
+        DraftModifier.setBlockType(content, select('b', 0), 'header-one'),
+        select('b', 2),
+      ),
+  );
+  expect(getTexts(result)).toEqual([
+    ['unstyled', 'Ale'],
+    ['unstyled', 'ta'],
+    ['unstyled', 'Gamma'],
+  ]);
+});
+
+test('must resolve conflicting styles, entities and block types', () => {
+  const contentState = createContentState();
+  const result = assertConvergence(
+    contentState,
+    content => {
+      const withStyle = DraftModifier.applyInlineStyle(
+        content,
+        select('a', 0, 'b', 2),
+        'BOLD',
+      );
+      return DraftModifier.setBlockType(
+        withStyle,
+        select('b', 0, 'c', 0),
+        'header-one',
+      );
+    },
+    content => {
+      const withStyle = DraftModifier.removeInlineStyle(
+        DraftModifier.splitBlock(content, select('b', 1)),
+        select('a', 3, 'a', 5),
+        'BOLD',
+      );
+      return DraftModifier.setBlockType(
+        withStyle,
+        select('c', 0),
+        'blockquote',
+      );
+    },
+  );
+  expect(
+    result
+      .getFirstBlock()
+      .getInlineStyleAt(4)
+      .has('BOLD'),
+  ).toBe(true);
+  expect(getTexts(result)).toEqual([
+    ['unstyled', 'Alpha'],
+    ['header-one', 'B'],
+    ['header-one', 'eta'],
+    ['header-one', 'Gamma'],
+  ]);
+
+  const withLink = contentState.createEntity('LINK', 'MUTABLE', {url: 'a'});
+  const linkKey = withLink.getLastCreatedEntityKey();
+  const withImage = withLink.createEntity('LINK', 'MUTABLE', {url: 'b'});
+  const imageKey = withImage.getLastCreatedEntityKey();
+  const linked = assertConvergence(
+    withImage,
+    content =>
+      DraftModifier.applyEntity(content, select('a', 0, 'a', 3), linkKey),
+    content =>
+      DraftModifier.applyEntity(content, select('a', 2, 'a', 5), imageKey),
+  );
+  expect(
+    [0, 2, 4]
+      .map(offset => linked.getFirstBlock().getEntityAt(offset))
+      .map(key => linked.getEntity(key).getData().url),
+  ).toEqual(['a', 'a', 'b']);
+});
+
+test('must merge concurrent block data', () => {
+  const result = assertConvergence(
+    createContentState(),
+    content =>
+      DraftModifier.setBlockData(content, select('a', 0), Map({a: 1, b: 1})),
+    content =>
+      DraftModifier.mergeBlockData(content, select('a', 0), Map({b: 2, c: 2})),
+  );
+  expect(
+    result
+      .getFirstBlock()
+      .getData()
+      .toJS(),
+  ).toEqual({a: 1, b: 1});
+});
+
+test('must map a selection through operations', () => {
+  const contentState = createContentState();
+  const operations = getOperations(contentState, content =>
+    DraftModifier.splitBlock(
+      DraftModifier.insertText(content, select('b', 1), 'xy'),
+      select('b', 2),
+    ),
+  );
+  const selection = transformSelection(
+    contentState,
+    select('b', 1, 'b', 3),
+    operations,
+  );
+  expect(selection.toJS()).toMatchObject({
+    anchorKey: 'b',
+    anchorOffset: 1,
+    focusKey: operations[1].keys[0],
+    focusOffset: 3,
+  });
+});
+
+test('must converge on a fragment pasted concurrently with edits', () => {
+  const contentState = createContentState();
+  const withLink = contentState.createEntity('LINK', 'MUTABLE', {url: 'a'});
+  const linked = DraftModifier.applyEntity(
+    DraftModifier.setBlockType(withLink, select('b', 0), 'header-one'),
+    select('b', 0, 'b', 2),
+    withLink.getLastCreatedEntityKey(),
+  );
+  const fragment = getContentStateFragment(linked, select('a', 3, 'c', 2));
+  const paste = content =>
+    DraftModifier.replaceWithFragment(
+      content,
+      select('c', 0, 'c', 3),
+      fragment,
+    );
+
+  const result = assertConvergence(linked, paste, content =>
+    DraftModifier.splitBlock(
+      DraftModifier.insertText(content, select('c', 4), 'x'),
+      select('c', 1),
+    ),
+  );
+  expect(getTexts(result)).toEqual([
+    ['unstyled', 'Alpha'],
+    ['header-one', 'Beta'],
+    ['unstyled', 'ha'],
+    ['header-one', 'Beta'],
+    ['unstyled', 'Ga'],
+    ['unstyled', 'mxa'],
+  ]);
+  const blocks = result.getBlocksAsArray();
+  expect(blocks[3].getEntityAt(0)).toBe(blocks[3].getEntityAt(1));
+  expect(blocks[3].getEntityAt(2)).toBe(null);
+
+  assertConvergence(linked, paste, content =>
+    DraftModifier.replaceWithFragment(
+      content,
+      select('c', 1, 'c', 2),
+      getContentStateFragment(content, select('a', 0, 'a', 2)),
+    ),
+  );
+});
+
+test('must converge on text moved concurrently with edits', () => {
+  const result = assertConvergence(
+    createContentState(),
+    content =>
+      DraftModifier.moveText(content, select('a', 1, 'b', 2), select('c', 2)),
+    content =>
+      DraftModifier.setBlockType(
+        DraftModifier.insertText(content, select('a', 3), 'x'),
+        select('c', 0),
+        'blockquote',
+      ),
+  );
+  expect(getTexts(result)).toEqual([
+    ['unstyled', 'Axta'],
+    ['blockquote', 'Galpha'],
+    ['unstyled', 'Bemma'],
+  ]);
+});
+
+test('must not create entities to rebase operations', () => {
+  const contentState = createContentState();
+  const withLink = contentState.createEntity('LINK', 'MUTABLE', {url: 'a'});
+  const linkKey = withLink.getLastCreatedEntityKey();
+  const linked = DraftModifier.applyEntity(
+    withLink,
+    select('a', 0, 'a', 2),
+    linkKey,
+  );
+  const fragment = getContentStateFragment(linked, select('a', 0, 'a', 3));
+  const operations = getOperations(linked, content => {
+    const typed = DraftModifier.insertText(
+      content,
+      select('b', 0),
+      'x',
+      OrderedSet(),
+      linkKey,
+    );
+    return DraftModifier.replaceWithFragment(typed, select('c', 0), fragment);
+  });
+  const otherOperations = getOperations(linked, content =>
+    DraftModifier.insertText(content, select('c', 1), 'y'),
+  );
+
+  expect(transform(linked, operations, otherOperations, false)).not.toBe(null);
+  expect(linked.getLastCreatedEntityKey()).toBe(linkKey);
+
+  // Pasted text is known to have entities, so moving it cannot be rebased.
+  const moveOperations = getOperations(linked, content => {
+    const pasted = DraftModifier.replaceWithFragment(
+      content,
+      select('c', 0),
+      fragment,
+    );
+    return DraftModifier.moveText(
+      pasted,
+      select('c', 0, 'c', 1),
+      select('b', 0),
+    );
+  });
+  expect(transform(linked, moveOperations, otherOperations, false)).toBe(null);
+  expect(linked.getLastCreatedEntityKey()).toBe(linkKey);
+});
+
+test('must not rebase blocks moved concurrently with other changes', () => {
+  const contentState = createContentState();
+  const moveBlock = content =>
+    DraftModifier.moveBlock(
+      content,
+      content.getBlockForKey('c'),
+      content.getBlockForKey('a'),
+      'before',
+    );
+  const operations = getOperations(contentState, moveBlock);
+  const otherOperations = getOperations(contentState, content =>
+    DraftModifier.insertText(content, select('c', 1), 'x'),
+  );
+  expect(
+    transform(contentState, operations, otherOperations, false),
+  ).toBeNull();
+  expect(transform(contentState, operations, [], false)).toEqual([
+    operations,
+    [],
+  ]);
+
+  const selection = transformSelection(
+    contentState,
+    select('c', 2, 'c', 5),
+    operations,
+  );
+  expect(selection.toJS()).toMatchObject({
+    anchorKey: 'c',
+    anchorOffset: 2,
+    focusKey: 'c',
+    focusOffset: 5,
+  });
+});
+
+/**
+ * An in-memory server keeping the history of operations, with clients
+ * sending their operations one batch at a time and rebasing the operations
+ * they have not sent over the ones they receive. The clients only make
+ * changes that can be rebased, so no operation is ever lost.
+ */
+class Server {
+  constructor(contentState) {
+    this.contents = [contentState];
+    this.history = [];
+  }
+
+  receive(revision, operations) {
+    const concurrent = [].concat(...this.history.slice(revision));
+    const transformation = transform(
+      this.contents[revision],
+      operations,
+      concurrent,
+      false,
+    );
+    expect(transformation).not.toBeNull();
+    const [transformed] = transformation;
+    this.history.push(transformed);
+    this.contents.push(
+      DraftModifier.applyOperations(this.getContent(), transformed),
+    );
+    return transformed;
+  }
+
+  getContent() {
+    return this.contents[this.contents.length - 1];
+  }
+}
+
+class Client {
+  constructor(contentState) {
+    this.editorState = EditorState.createWithContent(contentState);
+    this.serverContent = contentState;
+    this.revision = 0;
+    this.sent = null;
+    this.buffer = [];
+    this.inbox = [];
+  }
+
+  edit(change) {
+    const content = this.editorState.getCurrentContent();
+    const editorState = EditorState.push(
+      this.editorState,
+      change(content),
+      'insert-characters',
+    );
+    if (editorState !== this.editorState) {
+      this.editorState = editorState;
+      this.buffer = this.buffer.concat(
+        editorState.getLastOperations().toArray(),
+      );
+    }
+  }
+
+  send() {
+    if (this.sent || !this.buffer.length) {
+      return null;
+    }
+    this.sent = this.buffer;
+    this.buffer = [];
+    return {revision: this.revision, operations: this.sent};
+  }
+
+  receive(message) {
+    this.revision++;
+    if (message === 'ack') {
+      this.serverContent = DraftModifier.applyOperations(
+        this.serverContent,
+        this.sent,
+      );
+      this.sent = null;
+      return;
+    }
+
+    let remote = message;
+    let transformation;
+    if (this.sent) {
+      const afterSent = DraftModifier.applyOperations(
+        this.serverContent,
+        this.sent,
+      );
+      transformation = transform(this.serverContent, this.sent, remote, false);
+      if (transformation) {
+        [this.sent, remote] = transformation;
+        transformation = transform(afterSent, this.buffer, remote, false);
+      }
+    } else {
+      transformation = transform(
+        this.serverContent,
+        this.buffer,
+        remote,
+        false,
+      );
+    }
+    expect(transformation).not.toBeNull();
+    [this.buffer, remote] = transformation;
+    this.serverContent = DraftModifier.applyOperations(
+      this.serverContent,
+      message,
+    );
+
+    const content = this.editorState.getCurrentContent();
+    this.apply(
+      DraftModifier.applyOperations(content, remote),
+      transformSelection(content, this.editorState.getSelection(), remote),
+    );
+  }
+
+  apply(content, selection) {
+    const block = content.getBlockForKey(selection.getFocusKey());
+    expect(block).toBeDefined();
+    expect(selection.getFocusOffset()).toBeLessThanOrEqual(block.getLength());
+    this.editorState = EditorState.acceptSelection(
+      EditorState.push(this.editorState, content, 'insert-fragment'),
+      selection,
+    );
+  }
+}
+
+const createRandom = seed => () => {
+  seed = (seed * 16807) % 2147483647;
+  return (seed - 1) / 2147483646;
+};
+
+const createRandomEdit = (random, id) => {
+  const pick = list => list[Math.floor(random() * list.length)];
+  const getPoint = content => {
+    const block = pick(content.getBlocksAsArray());
+    return [block.getKey(), Math.floor(random() * (block.getLength() + 1))];
+  };
+  const getRange = content => {
+    const keys = content
+      .getBlockMap()
+      .keySeq()
+      .toArray();
+    const points = [getPoint(content), getPoint(content)].sort(
+      ([keyA, offsetA], [keyB, offsetB]) =>
+        keyA === keyB
+          ? offsetA - offsetB
+          : keys.indexOf(keyA) - keys.indexOf(keyB),
+    );
+    return select(...points[0], ...points[1]);
+  };
+  const style = pick(['BOLD', 'ITALIC']);
+
+  return pick([
+    content =>
+      DraftModifier.insertText(
+        content,
+        select(...getPoint(content)),
+        pick(['a', 'bc', ' d']),
+        OrderedSet(random() < 0.5 ? [style] : []),
+      ),
+    content => DraftModifier.replaceText(content, getRange(content), 'xy'),
+    content => DraftModifier.removeRange(content, getRange(content), 'forward'),
+    content => DraftModifier.splitBlock(content, select(...getPoint(content))),
+    content =>
+      DraftModifier.applyInlineStyle(content, getRange(content), style),
+    content =>
+      DraftModifier.removeInlineStyle(content, getRange(content), style),
+    content => {
+      const withEntity = content.createEntity('LINK', 'MUTABLE', {url: id});
+      return DraftModifier.applyEntity(
+        withEntity,
+        getRange(withEntity),
+        random() < 0.8 ? withEntity.getLastCreatedEntityKey() : null,
+      );
+    },
+    content =>
+      DraftModifier.setBlockType(
+        content,
+        getRange(content),
+        pick(['unstyled', 'header-one', 'blockquote']),
+      ),
+    content =>
+      DraftModifier[pick(['setBlockData', 'mergeBlockData'])](
+        content,
+        getRange(content),
+        Map({[pick(['a', 'b'])]: id}),
+      ),
+    content => {
+      // Pasted text is given new entities when operations are replayed, so
+      // it is pasted without the entities of the content it is copied from.
+      const fragment = getContentStateFragment(content, getRange(content)).map(
+        block =>
+          block.set(
+            'characterList',
+            block
+              .getCharacterList()
+              .map(character => CharacterMetadata.applyEntity(character, null)),
+          ),
+      );
+      return DraftModifier.replaceWithFragment(
+        content,
+        getRange(content),
+        fragment,
+      );
+    },
+    content => {
+      // Text moved along with entities cannot be rebased.
+      const removalRange = getRange(content);
+      const hasEntities = getContentStateFragment(content, removalRange).some(
+        block =>
+          block.getCharacterList().some(character => character.getEntity()),
+      );
+      if (hasEntities) {
+        return content;
+      }
+      const afterRemoval = DraftModifier.removeRange(
+        content,
+        removalRange,
+        'backward',
+      );
+      return DraftModifier.moveText(
+        content,
+        removalRange,
+        select(...getPoint(afterRemoval)),
+      );
+    },
+  ]);
+};
+
+const simulate = (seed, clientCount, steps) => {
+  const random = createRandom(seed);
+  const contentState = createContentState();
+  const server = new Server(contentState);
+  const clients = [];
+  for (let ii = 0; ii < clientCount; ii++) {
+    clients.push(new Client(contentState));
+  }
+
+  const sendFrom = client => {
+    const message = client.send();
+    if (message) {
+      const operations = server.receive(message.revision, message.operations);
+      clients.forEach(other => {
+        other.inbox.push(other === client ? 'ack' : operations);
+      });
+    }
+  };
+
+  for (let step = 0; step < steps; step++) {
+    const client = clients[Math.floor(random() * clientCount)];
+    const action = random();
+    if (action < 0.5) {
+      client.edit(createRandomEdit(random, `${seed}-${step}`));
+    } else if (action < 0.7) {
+      sendFrom(client);
+    } else if (client.inbox.length) {
+      client.receive(client.inbox.shift());
+    }
+  }
+
+  while (clients.some(client => client.inbox.length || client.buffer.length)) {
+    clients.forEach(client => {
+      while (client.inbox.length) {
+        client.receive(client.inbox.shift());
+      }
+      sendFrom(client);
+    });
+  }
+
+  const expected = toRaw(server.getContent());
+  clients.forEach(client => {
+    expect(toRaw(client.editorState.getCurrentContent())).toEqual(expected);
+  });
+};
+
+test('must converge with random interleavings of two clients', () => {
+  for (let seed = 1; seed <= 40; seed++) {
+    simulate(seed, 2, 40);
+  }
+});
+
+test('must converge with random interleavings of three clients', () => {
+  for (let seed = 100; seed <= 115; seed++) {
+    simulate(seed, 3, 60);
+  }
+});
@@ -0,0 +1,122 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @emails oncall+draft_js
+ * @format
+ */
+
+'use strict';
+
+jest.disableAutomock();
+
+jest.mock('generateRandomKey');
+
+const ContentBlockNode = require('ContentBlockNode');
+const ContentState = require('ContentState');
+const DraftTreeModifier = require('DraftTreeModifier');
+const TestHelper = require('_DraftTestHelper');
+
+const {List} = require('immutable');
+
+const {assertReplay, select} = TestHelper;
+
+const createContentState = () =>
+  ContentState.createFromBlockArray([
+    new ContentBlockNode({key: 'A', nextSibling: 'X', text: 'Alpha'}),
+    new ContentBlockNode({
+      key: 'X',
+      prevSibling: 'A',
+      nextSibling: 'D',
+      type: 'unordered-list-item',
+      children: List(['B', 'C']),
+    }),
+    new ContentBlockNode({
+      key: 'B',
+      parent: 'X',
+      nextSibling: 'C',
+      type: 'unordered-list-item',
+      text: 'Bravo',
+    }),
+    new ContentBlockNode({
+      key: 'C',
+      parent: 'X',
+      prevSibling: 'B',
+      type: 'unordered-list-item',
+      text: 'Charlie',
+    }),
+    new ContentBlockNode({key: 'D', prevSibling: 'X', text: 'Delta'}),
+  ]);
+
+// Blocks created by the operations are named after their type.
+const getTree = content =>
+  TestHelper.getTree(
+    content,
+    block =>
+      block.getKey().startsWith('key') ? block.getType() : block.getKey(),
+  );
+
+test('must wrap the outermost blocks covering the selection', () => {
+  const contentState = createContentState();
+  const selection = select('B', 1, 'D', 2);
+  const content = DraftTreeModifier.wrapBlocks(
+    contentState,
+    selection,
+    'blockquote',
+  );
+  expect(getTree(content)).toEqual(['A', {blockquote: [{X: ['B', 'C']}, 'D']}]);
+  expect(content.getSelectionAfter()).toBe(selection);
+  expect(assertReplay(contentState, content)[0].type).toBe('wrapBlocks');
+});
+
+test('must indent and outdent the blocks covering the selection', () => {
+  const contentState = createContentState();
+  const indented = DraftTreeModifier.indentBlocks(contentState, select('C', 0));
+  expect(getTree(indented)).toEqual([
+    'A',
+    {X: ['B', {'unordered-list-item': ['C']}]},
+    'D',
+  ]);
+  const outdented = DraftTreeModifier.outdentBlocks(indented, select('B', 0));
+  expect(getTree(outdented)).toEqual([
+    'A',
+    'B',
+    {'unordered-list-item': [{'unordered-list-item': ['C']}]},
+    'D',
+  ]);
+  expect(
+    assertReplay(contentState, outdented).map(operation => operation.type),
+  ).toEqual(['indentBlocks', 'outdentBlocks']);
+});
+
+test('must leave blocks that cannot be indented or outdented', () => {
+  const contentState = createContentState();
+  expect(DraftTreeModifier.indentBlocks(contentState, select('A', 0))).toBe(
+    contentState,
+  );
+  expect(DraftTreeModifier.outdentBlocks(contentState, select('D', 0))).toBe(
+    contentState,
+  );
+});
+
+test('must move subtrees and unwrap blocks', () => {
+  const contentState = createContentState();
+  const moved = DraftTreeModifier.moveSubtree(contentState, 'X', null, 0);
+  expect(getTree(moved)).toEqual([{X: ['B', 'C']}, 'A', 'D']);
+  const unwrapped = DraftTreeModifier.unwrapBlock(moved, 'X');
+  expect(getTree(unwrapped)).toEqual(['B', 'C', 'A', 'D']);
+  expect(
+    assertReplay(contentState, unwrapped).map(operation => operation.type),
+  ).toEqual(['moveSubtree', 'unwrapBlock']);
+});
+
+test('must require nested content', () => {
+  expect(() =>
+    DraftTreeModifier.indentBlocks(
+      ContentState.createFromText('Alpha'),
+      select('A', 0),
+    ),
+  ).toThrow('Tree operations require nested content');
+});
@@ -17,12 +17,16 @@ const RichTextEditorUtil = require('RichTextEditorUtil');
 const SelectionState = require('SelectionState');
 
 const getSampleStateForTesting = require('getSampleStateForTesting');
+const Immutable = require('immutable');
 
 const {editorState, selectionState} = getSampleStateForTesting();
 const {
+  getCurrentBlockDirection,
   onBackspace,
   onDelete,
   onTab,
+  toggleBlockDirection,
+  toggleChecked,
   tryToRemoveBlockStyle,
 } = RichTextEditorUtil;
 
@@ -217,4 +221,150 @@ describe('onTab on list block', () => {
 
     expect(depthAfterSecondTab).toBe(2);
   });
+
+  test('increases the depth of checkable-list-item', () => {
+    const contentState = editorState.getCurrentContent();
+    const setListItem = setListBlock(contentState, 'checkable-list-item');
+    const withListItem = changeBlockType(setListItem);
+
+    expect(getFirstBlockDepth(addTab(withListItem))).toBe(1);
+  });
+});
+
+describe('toggleBlockDirection', () => {
+  const contentState = editorState.getCurrentContent();
+  const firstBlock = contentState.getFirstBlock();
+  const secondBlock = contentState.getBlockAfter(firstBlock.getKey());
+  const acrossBlocks = EditorState.forceSelection(
+    editorState,
+    selectionState.merge({focusKey: secondBlock.getKey(), focusOffset: 1}),
+  );
+  const getDirections = state =>
+    state
+      .getCurrentContent()
+      .getBlockMap()
+      .map(block => block.getData().get('direction'))
+      .toArray();
+
+  test('sets the direction of the selected blocks', () => {
+    const rtlState = toggleBlockDirection(acrossBlocks, 'RTL');
+    expect(getDirections(rtlState)).toEqual([
+      'RTL',
+      'RTL',
+      ...getDirections(editorState).slice(2),
+    ]);
+    expect(getCurrentBlockDirection(rtlState)).toBe('RTL');
+    expect(rtlState.getLastChangeType()).toBe('change-block-data');
+  });
+
+  test('detects the direction again when toggled off', () => {
+    const withData = EditorState.push(
+      acrossBlocks,
+      DraftModifier.mergeBlockData(
+        contentState,
+        acrossBlocks.getSelection(),
+        Immutable.Map({direction: 'RTL', other: 1}),
+      ),
+      'change-block-data',
+    );
+    [
+      toggleBlockDirection(withData, 'RTL'),
+      toggleBlockDirection(withData, null),
+    ]
+      .map(state => state.getCurrentContent())
+      .forEach(content => {
+        expect(
+          content
+            .getFirstBlock()
+            .getData()
+            .toJS(),
+        ).toEqual({other: 1});
+        expect(
+          content
+            .getBlockForKey(secondBlock.getKey())
+            .getData()
+            .toJS(),
+        ).toEqual({other: 1});
+      });
+    expect(getCurrentBlockDirection(toggleBlockDirection(withData, null))).toBe(
+      null,
+    );
+  });
+
+  test('replaces the direction of the selected blocks', () => {
+    const ltrState = toggleBlockDirection(
+      toggleBlockDirection(acrossBlocks, 'RTL'),
+      'LTR',
+    );
+    expect(getDirections(ltrState).slice(0, 2)).toEqual(['LTR', 'LTR']);
+  });
+});
+
+describe('toggleChecked', () => {
+  const contentState = editorState.getCurrentContent();
+  const [firstKey, secondKey, thirdKey] = contentState
+    .getBlockMap()
+    .keySeq()
+    .toArray();
+  // The first and third blocks are checkable list items.
+  const checklist = EditorState.push(
+    editorState,
+    [firstKey, thirdKey].reduce(
+      (content, key) =>
+        DraftModifier.setBlockType(
+          content,
+          SelectionState.createEmpty(key),
+          'checkable-list-item',
+        ),
+      contentState,
+    ),
+    'change-block-type',
+  );
+  const acrossBlocks = EditorState.forceSelection(
+    checklist,
+    selectionState.merge({focusKey: thirdKey, focusOffset: 1}),
+  );
+  const getChecked = state =>
+    state
+      .getCurrentContent()
+      .getBlockMap()
+      .map(block => block.getData().get('checked'))
+      .take(3)
+      .toArray();
+
+  test('checks the selected checkable list items', () => {
+    const checked = toggleChecked(acrossBlocks);
+    expect(getChecked(checked)).toEqual([true, undefined, true]);
+    expect(checked.getSelection()).toBe(acrossBlocks.getSelection());
+    expect(checked.getLastChangeType()).toBe('change-block-data');
+    expect(getChecked(toggleChecked(checked))).toEqual([
+      false,
+      undefined,
+      false,
+    ]);
+  });
+
+  test('toggles the given checkable list item alone', () => {
+    const checked = toggleChecked(acrossBlocks, thirdKey);
+    expect(getChecked(checked)).toEqual([undefined, undefined, true]);
+    expect(checked.getSelection()).toBe(acrossBlocks.getSelection());
+  });
+
+  test('does not change other blocks', () => {
+    expect(toggleChecked(acrossBlocks, secondKey)).toBe(acrossBlocks);
+    expect(toggleChecked(editorState)).toBe(editorState);
+  });
+
+  test('is exited by backspace at the start of an item', () => {
+    const checked = toggleChecked(acrossBlocks, firstKey);
+    const afterBackspace = onBackspace(
+      EditorState.forceSelection(checked, selectionState),
+    );
+    expect(
+      afterBackspace
+        .getCurrentContent()
+        .getFirstBlock()
+        .getType(),
+    ).toBe('unstyled');
+  });
 });
@@ -0,0 +1,244 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @emails oncall+draft_js
+ * @format
+ */
+
+jest.disableAutomock();
+
+const CompositeDraftDecorator = require('CompositeDraftDecorator');
+const ContentState = require('ContentState');
+const DraftModifier = require('DraftModifier');
+const EditorState = require('EditorState');
+const SearchUtils = require('SearchUtils');
+const SelectionState = require('SelectionState');
+
+const Immutable = require('immutable');
+
+const {OrderedSet} = Immutable;
+
+const TEXT = 'Foo bar\nfoo_bar FOO\nbaz';
+
+const createEditorState = (text = TEXT) =>
+  EditorState.createWithContent(ContentState.createFromText(text));
+
+// Describe a match as the indices of its blocks and its offsets.
+const describeMatch = (contentState, match) => {
+  const keys = contentState.getBlockMap().keySeq();
+  return [
+    keys.indexOf(match.getStartKey()),
+    match.getStartOffset(),
+    keys.indexOf(match.getEndKey()),
+    match.getEndOffset(),
+  ];
+};
+
+const assertFindMatches = (query, options, expected) => {
+  const contentState = createEditorState().getCurrentContent();
+  expect(
+    SearchUtils.findMatches(contentState, query, options).map(match =>
+      describeMatch(contentState, match),
+    ),
+  ).toEqual(expected);
+};
+
+const getTexts = editorState =>
+  editorState
+    .getCurrentContent()
+    .getBlocksAsArray()
+    .map(block => block.getText());
+
+const selectText = (contentState, blockIndex, start, end) =>
+  SelectionState.createEmpty(
+    contentState.getBlocksAsArray()[blockIndex].getKey(),
+  ).merge({anchorOffset: start, focusOffset: end});
+
+describe('findMatches', () => {
+  test('must find matches regardless of case by default', () => {
+    assertFindMatches('foo', undefined, [
+      [0, 0, 0, 3],
+      [1, 0, 1, 3],
+      [1, 8, 1, 11],
+    ]);
+  });
+
+  test('must match the case of the query', () => {
+    assertFindMatches('foo', {matchCase: true}, [[1, 0, 1, 3]]);
+  });
+
+  test('must only match whole words', () => {
+    assertFindMatches('foo', {wholeWord: true}, [[0, 0, 0, 3], [1, 8, 1, 11]]);
+  });
+
+  test('must interpret the query as a regular expression', () => {
+    assertFindMatches('^ba.', {regex: true}, [[2, 0, 2, 3]]);
+  });
+
+  test('must find matches across blocks', () => {
+    assertFindMatches('bar\\nfoo', {regex: true}, [[0, 4, 1, 3]]);
+  });
+
+  test('must ignore empty matches', () => {
+    assertFindMatches('x*', {regex: true}, []);
+    assertFindMatches('', undefined, []);
+  });
+});
+
+describe('replaceOne', () => {
+  test('must replace a match as a new undo step', () => {
+    const editorState = createEditorState();
+    const [first, second] = SearchUtils.findMatches(
+      editorState.getCurrentContent(),
+      'foo',
+    );
+    const afterFirst = SearchUtils.replaceOne(editorState, first, 'qux');
+    const afterSecond = SearchUtils.replaceOne(afterFirst, second, 'qux');
+    expect(getTexts(afterSecond)).toEqual(['qux bar', 'qux_bar FOO', 'baz']);
+    expect(getTexts(EditorState.undo(afterSecond))).toEqual(
+      getTexts(afterFirst),
+    );
+  });
+
+  test('must keep the mutable entity of the match', () => {
+    const editorState = createEditorState();
+    const contentState = editorState
+      .getCurrentContent()
+      .createEntity('LINK', 'MUTABLE', {url: 'https://example.com'});
+    const entityKey = contentState.getLastCreatedEntityKey();
+    const withEntity = EditorState.push(
+      editorState,
+      DraftModifier.applyEntity(
+        contentState,
+        selectText(contentState, 0, 0, 7),
+        entityKey,
+      ),
+      'apply-entity',
+    );
+    const [match] = SearchUtils.findMatches(
+      withEntity.getCurrentContent(),
+      'bar',
+    );
+    const block = SearchUtils.replaceOne(withEntity, match, 'qux')
+      .getCurrentContent()
+      .getFirstBlock();
+    expect(block.getText()).toBe('Foo qux');
+    expect(block.getEntityAt(5)).toBe(entityKey);
+  });
+
+  test('must not replace part of an immutable entity', () => {
+    const editorState = createEditorState();
+    const contentState = editorState
+      .getCurrentContent()
+      .createEntity('MENTION', 'IMMUTABLE', null);
+    const withEntity = EditorState.push(
+      editorState,
+      DraftModifier.applyEntity(
+        contentState,
+        selectText(contentState, 0, 0, 7),
+        contentState.getLastCreatedEntityKey(),
+      ),
+      'apply-entity',
+    );
+    const [match] = SearchUtils.findMatches(
+      withEntity.getCurrentContent(),
+      'bar',
+    );
+    expect(SearchUtils.replaceOne(withEntity, match, 'qux')).toBe(withEntity);
+  });
+});
+
+describe('replaceAll', () => {
+  test('must replace all matches as a single undo step', () => {
+    const editorState = createEditorState();
+    const newEditorState = SearchUtils.replaceAll(editorState, 'foo', 'quux');
+    expect(getTexts(newEditorState)).toEqual([
+      'quux bar',
+      'quux_bar quux',
+      'baz',
+    ]);
+    expect(getTexts(EditorState.undo(newEditorState))).toEqual(
+      getTexts(editorState),
+    );
+  });
+
+  test('must preserve the inline style at each match', () => {
+    const editorState = createEditorState();
+    const contentState = editorState.getCurrentContent();
+    const styled = EditorState.push(
+      editorState,
+      DraftModifier.applyInlineStyle(
+        contentState,
+        selectText(contentState, 0, 4, 7),
+        'BOLD',
+      ),
+      'change-inline-style',
+    );
+    const blocks = SearchUtils.replaceAll(styled, 'bar', 'qux')
+      .getCurrentContent()
+      .getBlocksAsArray();
+    expect(blocks[0].getInlineStyleAt(4)).toEqual(OrderedSet.of('BOLD'));
+    expect(blocks[1].getInlineStyleAt(4)).toEqual(OrderedSet());
+  });
+
+  test('must replace matches across blocks', () => {
+    const editorState = createEditorState();
+    const newEditorState = SearchUtils.replaceAll(
+      editorState,
+      'bar\\nfoo',
+      '-',
+      {regex: true},
+    );
+    expect(getTexts(newEditorState)).toEqual(['Foo -_bar FOO', 'baz']);
+  });
+
+  test('must return the same state without matches', () => {
+    const editorState = createEditorState();
+    expect(SearchUtils.replaceAll(editorState, 'qux', 'quux')).toBe(
+      editorState,
+    );
+  });
+});
+
+describe('createDecorator', () => {
+  test('must highlight the parts of the matches in each block', () => {
+    const contentState = createEditorState().getCurrentContent();
+    const decorator = new CompositeDraftDecorator([
+      SearchUtils.createDecorator('bar\\nfoo', {regex: true}),
+    ]);
+    expect(
+      contentState
+        .getBlocksAsArray()
+        .map(block => decorator.getDecorations(block, contentState).toJS()),
+    ).toMatchSnapshot();
+  });
+
+  test('must decorate an unchanged block again when its matches change', () => {
+    const decorator = new CompositeDraftDecorator([
+      SearchUtils.createDecorator('bar\\nfoo', {regex: true}),
+    ]);
+    const contentState = ContentState.createFromText('bar\nfo');
+    const block = contentState.getFirstBlock();
+    expect(decorator.getDecorations(block, contentState).toJS()).toEqual([
+      null,
+      null,
+      null,
+    ]);
+
+    // Completing the match in the next block highlights the first one.
+    const newContentState = DraftModifier.insertText(
+      contentState,
+      selectText(contentState, 1, 2, 2),
+      'o',
+    );
+    expect(newContentState.getFirstBlock()).toBe(block);
+    expect(decorator.getDecorations(block, newContentState).toJS()).toEqual([
+      '0.0',
+      '0.0',
+      '0.0',
+    ]);
+  });
+});
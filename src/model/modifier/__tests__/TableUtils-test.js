@@ -0,0 +1,329 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @emails oncall+draft_js
+ * @format
+ */
+
+jest.disableAutomock();
+
+jest.mock('generateRandomKey');
+
+const ContentBlockNode = require('ContentBlockNode');
+const ContentState = require('ContentState');
+const DraftTreeInvariants = require('DraftTreeInvariants');
+const EditorState = require('EditorState');
+const SelectionState = require('SelectionState');
+const TableUtils = require('TableUtils');
+
+const Immutable = require('immutable');
+
+const {List} = Immutable;
+
+const contentBlockNodes = [
+  new ContentBlockNode({key: 'A', nextSibling: 'T', text: 'Alpha'}),
+  new ContentBlockNode({
+    key: 'T',
+    prevSibling: 'A',
+    nextSibling: 'Z',
+    type: 'table',
+    children: List(['R1', 'R2']),
+  }),
+  new ContentBlockNode({
+    key: 'R1',
+    parent: 'T',
+    nextSibling: 'R2',
+    type: 'table-row',
+    children: List(['C11', 'C12']),
+  }),
+  new ContentBlockNode({
+    key: 'C11',
+    parent: 'R1',
+    nextSibling: 'C12',
+    type: 'table-cell',
+    text: 'a1',
+  }),
+  new ContentBlockNode({
+    key: 'C12',
+    parent: 'R1',
+    prevSibling: 'C11',
+    type: 'table-cell',
+    text: 'b1',
+  }),
+  new ContentBlockNode({
+    key: 'R2',
+    parent: 'T',
+    prevSibling: 'R1',
+    type: 'table-row',
+    children: List(['C21', 'C22']),
+  }),
+  new ContentBlockNode({
+    key: 'C21',
+    parent: 'R2',
+    nextSibling: 'C22',
+    type: 'table-cell',
+    text: 'a2',
+  }),
+  new ContentBlockNode({
+    key: 'C22',
+    parent: 'R2',
+    prevSibling: 'C21',
+    type: 'table-cell',
+    text: 'b2',
+  }),
+  new ContentBlockNode({key: 'Z', prevSibling: 'T', text: 'Zulu'}),
+];
+
+const createEditorState = (blocks, key, offset = 0) =>
+  EditorState.forceSelection(
+    EditorState.createWithContent(ContentState.createFromBlockArray(blocks)),
+    SelectionState.createEmpty(key).merge({
+      anchorOffset: offset,
+      focusOffset: offset,
+    }),
+  );
+
+// The texts of the cells of each row of the first table.
+const getTable = editorState => {
+  const content = editorState.getCurrentContent();
+  const blockMap = content.getBlockMap();
+  expect(DraftTreeInvariants.isValidTree(blockMap)).toBe(true);
+  const table = blockMap.find(block => block.getType() === 'table');
+  return table
+    .getChildKeys()
+    .map(rowKey =>
+      content
+        .getBlockForKey(rowKey)
+        .getChildKeys()
+        .map(cellKey => content.getBlockForKey(cellKey).getText()),
+    )
+    .toJS();
+};
+
+const getSelectedText = editorState => {
+  const selection = editorState.getSelection();
+  return editorState
+    .getCurrentContent()
+    .getBlockForKey(selection.getAnchorKey())
+    .getText()
+    .slice(selection.getStartOffset(), selection.getEndOffset());
+};
+
+const getSelectedCell = editorState => {
+  const content = editorState.getCurrentContent();
+  const selection = editorState.getSelection();
+  const cell = content.getBlockForKey(selection.getStartKey());
+  const row = content.getBlockForKey(cell.getParentKey());
+  const table = content.getBlockForKey(row.getParentKey());
+  return [
+    table.getChildKeys().indexOf(row.getKey()),
+    row.getChildKeys().indexOf(cell.getKey()),
+  ];
+};
+
+const onTab = (editorState, shiftKey = false) =>
+  TableUtils.onTab({preventDefault: jest.fn(), shiftKey}, editorState);
+
+describe('insertTable', () => {
+  test('must insert a table in place of an empty block', () => {
+    const editorState = TableUtils.insertTable(
+      createEditorState(
+        [
+          new ContentBlockNode({key: 'A', nextSibling: 'B', text: 'Alpha'}),
+          new ContentBlockNode({key: 'B', prevSibling: 'A'}),
+        ],
+        'B',
+      ),
+      2,
+      3,
+    );
+    expect(getTable(editorState)).toEqual([['', '', ''], ['', '', '']]);
+    const blocks = editorState.getCurrentContent().getBlocksAsArray();
+    expect(blocks.map(block => block.getType())).toEqual([
+      'unstyled',
+      'table',
+      'table-row',
+      'table-cell',
+      'table-cell',
+      'table-cell',
+      'table-row',
+      'table-cell',
+      'table-cell',
+      'table-cell',
+      'unstyled',
+    ]);
+    expect(getSelectedCell(editorState)).toEqual([0, 0]);
+  });
+
+  test('must insert a table after a block with text', () => {
+    const editorState = TableUtils.insertTable(
+      createEditorState(contentBlockNodes, 'A', 2),
+      1,
+      1,
+    );
+    const blocks = editorState.getCurrentContent().getBlocksAsArray();
+    expect(blocks[0].getText()).toBe('Alpha');
+    expect(blocks[1].getType()).toBe('table');
+    expect(blocks[1].getNextSiblingKey()).toBe('T');
+    expect(blocks.length).toBe(contentBlockNodes.length + 3);
+    expect(
+      DraftTreeInvariants.isValidTree(
+        editorState.getCurrentContent().getBlockMap(),
+      ),
+    ).toBe(true);
+  });
+
+  test('must not insert a table in a table', () => {
+    const editorState = createEditorState(contentBlockNodes, 'C11');
+    expect(TableUtils.insertTable(editorState, 2, 2)).toBe(editorState);
+  });
+});
+
+describe('rows and columns', () => {
+  test('must insert a row before or after the selected row', () => {
+    const editorState = createEditorState(contentBlockNodes, 'C12');
+    const withRowBefore = TableUtils.insertRow(editorState, 'before');
+    expect(getTable(withRowBefore)).toEqual([
+      ['', ''],
+      ['a1', 'b1'],
+      ['a2', 'b2'],
+    ]);
+    expect(getSelectedCell(withRowBefore)).toEqual([0, 1]);
+    const withRowAfter = TableUtils.insertRow(editorState, 'after');
+    expect(getTable(withRowAfter)).toEqual([
+      ['a1', 'b1'],
+      ['', ''],
+      ['a2', 'b2'],
+    ]);
+    expect(getSelectedCell(withRowAfter)).toEqual([1, 1]);
+  });
+
+  test('must insert a column before or after the selected column', () => {
+    const editorState = createEditorState(contentBlockNodes, 'C21');
+    const withColumnBefore = TableUtils.insertColumn(editorState, 'before');
+    expect(getTable(withColumnBefore)).toEqual([
+      ['', 'a1', 'b1'],
+      ['', 'a2', 'b2'],
+    ]);
+    expect(getSelectedCell(withColumnBefore)).toEqual([1, 0]);
+    const withColumnAfter = TableUtils.insertColumn(editorState, 'after');
+    expect(getTable(withColumnAfter)).toEqual([
+      ['a1', '', 'b1'],
+      ['a2', '', 'b2'],
+    ]);
+    expect(getSelectedCell(withColumnAfter)).toEqual([1, 1]);
+  });
+
+  test('must remove the selected row or column', () => {
+    const editorState = createEditorState(contentBlockNodes, 'C22');
+    const withoutRow = TableUtils.removeRow(editorState);
+    expect(getTable(withoutRow)).toEqual([['a1', 'b1']]);
+    expect(getSelectedCell(withoutRow)).toEqual([0, 1]);
+    const withoutColumn = TableUtils.removeColumn(editorState);
+    expect(getTable(withoutColumn)).toEqual([['a1'], ['a2']]);
+    expect(getSelectedCell(withoutColumn)).toEqual([1, 0]);
+  });
+
+  test('must remove the table with its last row or column', () => {
+    const editorState = TableUtils.removeRow(
+      TableUtils.removeRow(createEditorState(contentBlockNodes, 'C11')),
+    );
+    const content = editorState.getCurrentContent();
+    expect(content.getBlocksAsArray().map(block => block.getKey())).toEqual([
+      'A',
+      'Z',
+    ]);
+    expect(content.getBlockForKey('A').getNextSiblingKey()).toBe('Z');
+    expect(content.getBlockForKey('Z').getPrevSiblingKey()).toBe('A');
+    expect(editorState.getSelection().getAnchorKey()).toBe('Z');
+  });
+
+  test('must undo a change to the table as a single step', () => {
+    const editorState = createEditorState(contentBlockNodes, 'C11');
+    const withColumn = TableUtils.insertColumn(editorState, 'after');
+    expect(EditorState.undo(withColumn).getCurrentContent()).toBe(
+      editorState.getCurrentContent(),
+    );
+  });
+});
+
+describe('onTab', () => {
+  test('must select the next or previous cell', () => {
+    const editorState = createEditorState(contentBlockNodes, 'C12');
+    const next = onTab(editorState);
+    expect(getSelectedCell(next)).toEqual([1, 0]);
+    expect(getSelectedText(next)).toBe('a2');
+    const previous = onTab(editorState, true);
+    expect(getSelectedCell(previous)).toEqual([0, 0]);
+    expect(getSelectedText(previous)).toBe('a1');
+  });
+
+  test('must add a row on Tab in the last cell', () => {
+    const editorState = onTab(createEditorState(contentBlockNodes, 'C22'));
+    expect(getTable(editorState)).toEqual([
+      ['a1', 'b1'],
+      ['a2', 'b2'],
+      ['', ''],
+    ]);
+    expect(getSelectedCell(editorState)).toEqual([2, 0]);
+  });
+
+  test('must keep the selection on Shift+Tab in the first cell', () => {
+    const editorState = createEditorState(contentBlockNodes, 'C11');
+    expect(onTab(editorState, true)).toBe(editorState);
+  });
+
+  test('must not handle Tab outside of tables', () => {
+    expect(onTab(createEditorState(contentBlockNodes, 'A'))).toBe(null);
+  });
+});
+
+describe('ranges across cells', () => {
+  const DraftModifier = require('DraftModifier');
+
+  const contentState = ContentState.createFromBlockArray(contentBlockNodes);
+  const select = (anchorKey, anchorOffset, focusKey, focusOffset) =>
+    SelectionState.createEmpty(anchorKey).merge({
+      anchorOffset,
+      focusKey,
+      focusOffset,
+    });
+  const withContent = content => EditorState.createWithContent(content);
+
+  test('must clear the selected text of each cell when typing over it', () => {
+    const content = DraftModifier.replaceText(
+      contentState,
+      select('C11', 1, 'C21', 1),
+      'x',
+    );
+    expect(getTable(withContent(content))).toEqual([['ax', ''], ['2', 'b2']]);
+    expect(content.getSelectionAfter().getAnchorKey()).toBe('C11');
+    expect(content.getSelectionAfter().getAnchorOffset()).toBe(2);
+  });
+
+  test('must not merge the blocks before a table with its cells', () => {
+    const content = DraftModifier.removeRange(
+      contentState,
+      select('A', 2, 'C12', 1),
+      'backward',
+    );
+    expect(content.getBlockForKey('A').getText()).toBe('Al');
+    expect(getTable(withContent(content))).toEqual([['', '1'], ['a2', 'b2']]);
+  });
+
+  test('must paste into the first cell of the range', () => {
+    const fragment = ContentState.createFromText('pasted').getBlockMap();
+    const content = DraftModifier.replaceWithFragment(
+      contentState,
+      select('C12', 0, 'C21', 2),
+      fragment,
+    );
+    expect(getTable(withContent(content))).toEqual([
+      ['a1', 'pasted'],
+      ['', 'b2'],
+    ]);
+  });
+});
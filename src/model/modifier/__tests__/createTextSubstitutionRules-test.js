@@ -0,0 +1,114 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @emails oncall+draft_js
+ * @format
+ */
+
+jest.disableAutomock();
+
+const ContentState = require('ContentState');
+const DraftModifier = require('DraftModifier');
+const EditorState = require('EditorState');
+
+const applyInputRules = require('applyInputRules');
+const createTextSubstitutionRules = require('createTextSubstitutionRules');
+const Immutable = require('immutable');
+const keyCommandPlainBackspace = require('keyCommandPlainBackspace');
+
+const {OrderedSet} = Immutable;
+
+// Type each character as `editOnBeforeInput` does.
+const type = (editorState, text, rules) =>
+  text.split('').reduce((state, character) => {
+    const typed = EditorState.push(
+      state,
+      DraftModifier.insertText(
+        state.getCurrentContent(),
+        state.getSelection(),
+        character,
+        state.getCurrentInlineStyle(),
+      ),
+      'insert-characters',
+    );
+    return applyInputRules(typed, rules) || typed;
+  }, editorState);
+
+const typeInBlock = (text, options, blockType = 'unstyled') => {
+  const contentState = ContentState.createFromText('');
+  const editorState = EditorState.moveSelectionToEnd(
+    EditorState.createWithContent(
+      DraftModifier.setBlockType(
+        contentState,
+        contentState.getSelectionAfter(),
+        blockType,
+      ),
+    ),
+  );
+  return type(editorState, text, createTextSubstitutionRules(options));
+};
+
+const getText = editorState =>
+  editorState
+    .getCurrentContent()
+    .getFirstBlock()
+    .getText();
+
+test('must substitute dashes, ellipses and arrows', () => {
+  expect(getText(typeInBlock('a -- b --- c... d -> e <- f => g'))).toBe(
+    'a – b — c… d → e ← f ⇒ g',
+  );
+});
+
+test('must substitute smart quotes and apostrophes', () => {
+  expect(getText(typeInBlock("\"It's 'here'\" ('a')"))).toBe(
+    '“It’s ‘here’” (‘a’)',
+  );
+});
+
+test('must use the quotes of the locale', () => {
+  expect(getText(typeInBlock('"a \'b\'"', {locale: 'de-DE'}))).toBe('„a ‚b‘“');
+  expect(getText(typeInBlock('"a"', {locale: 'fr'}))).toBe('«a»');
+  expect(getText(typeInBlock('"a"', {quotes: ['<', '>', '(', ')']}))).toBe(
+    '<a>',
+  );
+});
+
+test('must apply user-defined replacements first', () => {
+  expect(
+    getText(typeInBlock('(c) ->', {replacements: {'(c)': '©', '->': '=>'}})),
+  ).toBe('© =>');
+});
+
+test('must leave substitutions turned off as typed', () => {
+  expect(
+    getText(
+      typeInBlock('"a" -- ...', {
+        smartQuotes: false,
+        dashes: false,
+        ellipsis: false,
+      }),
+    ),
+  ).toBe('"a" -- ...');
+});
+
+test('must not substitute in code blocks or CODE style', () => {
+  expect(getText(typeInBlock('"a" -> b', {}, 'code-block'))).toBe('"a" -> b');
+
+  const editorState = EditorState.setInlineStyleOverride(
+    typeInBlock(''),
+    OrderedSet.of('CODE'),
+  );
+  expect(
+    getText(type(editorState, 'a -> b', createTextSubstitutionRules())),
+  ).toBe('a -> b');
+});
+
+test('must revert a substitution on backspace', () => {
+  const editorState = typeInBlock('a ->');
+  expect(getText(editorState)).toBe('a →');
+  expect(getText(keyCommandPlainBackspace(editorState))).toBe('a ->');
+});
@@ -0,0 +1,78 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @format
+ * @flow
+ * @emails oncall+draft_js
+ */
+
+'use strict';
+
+import type {DraftInputRule} from 'DraftInputRule';
+
+const EditorState = require('EditorState');
+
+const Immutable = require('immutable');
+
+/**
+ * Apply the first input rule matching the text before the caret, once the
+ * typed characters are inserted. The transformation is its own undo step,
+ * so that `undoInputRule` restores the typed text.
+ *
+ * Typing then goes on with the inline style of the typed characters, rather
+ * than any style the rule applied before the caret. As only the resulting
+ * state is rendered, its last operations include those inserting the typed
+ * characters.
+ */
+function applyInputRules(
+  editorState: EditorState,
+  rules: $ReadOnlyArray<DraftInputRule>,
+): ?EditorState {
+  const selection = editorState.getSelection();
+  if (!rules.length || !selection.isCollapsed()) {
+    return null;
+  }
+
+  const contentState = editorState.getCurrentContent();
+  const offset = selection.getAnchorOffset();
+  const text = contentState
+    .getBlockForKey(selection.getAnchorKey())
+    .getText()
+    .slice(0, offset);
+
+  for (let ii = 0; ii < rules.length; ii++) {
+    const match = rules[ii].pattern.exec(text);
+    if (match && match.index + match[0].length === offset) {
+      const range = selection.merge({
+        anchorOffset: match.index,
+        isBackward: false,
+      });
+      const newContentState = rules[ii].transform(contentState, range, match);
+      if (newContentState) {
+        const inlineStyle = editorState.getCurrentInlineStyle();
+        let newEditorState = EditorState.push(
+          editorState,
+          newContentState,
+          'apply-input-rule',
+        );
+        const typedOperations = editorState.getLastOperations();
+        const ruleOperations = newEditorState.getLastOperations();
+        newEditorState = EditorState.set(newEditorState, {
+          lastOperations:
+            typedOperations && ruleOperations
+              ? typedOperations.concat(ruleOperations)
+              : null,
+        });
+        return Immutable.is(inlineStyle, newEditorState.getCurrentInlineStyle())
+          ? newEditorState
+          : EditorState.setInlineStyleOverride(newEditorState, inlineStyle);
+      }
+    }
+  }
+  return null;
+}
+
+module.exports = applyInputRules;
@@ -0,0 +1,222 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @format
+ * @flow
+ * @emails oncall+draft_js
+ */
+
+'use strict';
+
+import type ContentState from 'ContentState';
+import type {DraftInputRule} from 'DraftInputRule';
+import type SelectionState from 'SelectionState';
+
+const DraftModifier = require('DraftModifier');
+
+export type DraftQuotes = [string, string, string, string];
+
+export type DraftTextSubstitutionOptions = {
+  // Language tag choosing the quote characters, `en` by default.
+  locale?: string,
+  // Opening and closing double quotes, then opening and closing single
+  // quotes, taking precedence over those of the locale.
+  quotes?: DraftQuotes,
+  // Set to false to leave quotes, dashes, ellipses or arrows as typed.
+  smartQuotes?: boolean,
+  dashes?: boolean,
+  ellipsis?: boolean,
+  arrows?: boolean,
+  // Additional substitutions of typed text, such as `(c)` with a copyright
+  // sign.
+  replacements?: {[text: string]: string},
+};
+
+// Named after their HTML entities.
+const LDQUO = '\u201C';
+const RDQUO = '\u201D';
+const BDQUO = '\u201E';
+const LSQUO = '\u2018';
+const RSQUO = '\u2019';
+const SBQUO = '\u201A';
+const LAQUO = '\u00AB';
+const RAQUO = '\u00BB';
+const LSAQUO = '\u2039';
+const RSAQUO = '\u203A';
+const NDASH = '\u2013';
+const MDASH = '\u2014';
+const HELLIP = '\u2026';
+const LARR = '\u2190';
+const RARR = '\u2192';
+const RARR_DOUBLE = '\u21D2';
+
+const QUOTES_BY_LOCALE: {[locale: string]: DraftQuotes} = {
+  cs: [BDQUO, LDQUO, SBQUO, LSQUO],
+  da: [RAQUO, LAQUO, RSAQUO, LSAQUO],
+  de: [BDQUO, LDQUO, SBQUO, LSQUO],
+  'de-CH': [LAQUO, RAQUO, LSAQUO, RSAQUO],
+  en: [LDQUO, RDQUO, LSQUO, RSQUO],
+  es: [LAQUO, RAQUO, LDQUO, RDQUO],
+  fi: [RDQUO, RDQUO, RSQUO, RSQUO],
+  fr: [LAQUO, RAQUO, LSAQUO, RSAQUO],
+  it: [LAQUO, RAQUO, LDQUO, RDQUO],
+  // Corner brackets.
+  ja: ['\u300C', '\u300D', '\u300E', '\u300F'],
+  nl: [LDQUO, RDQUO, LSQUO, RSQUO],
+  pl: [BDQUO, RDQUO, SBQUO, RSQUO],
+  pt: [LDQUO, RDQUO, LSQUO, RSQUO],
+  ru: [LAQUO, RAQUO, BDQUO, LDQUO],
+  sv: [RDQUO, RDQUO, RSQUO, RSQUO],
+  uk: [LAQUO, RAQUO, BDQUO, LDQUO],
+  zh: [LDQUO, RDQUO, LSQUO, RSQUO],
+};
+
+// Substitutions applied while typing, as chains where needed: `--` becomes
+// an en dash, which becomes an em dash when typing another `-`.
+const DASHES = {'--': NDASH, [NDASH + '-']: MDASH};
+const ELLIPSIS = {'...': HELLIP};
+const ARROWS = {'->': RARR, '<-': LARR, '=>': RARR_DOUBLE};
+
+// A quote typed after one of these characters, or after an opening quote,
+// opens a quotation.
+const OPENING_CONTEXT_REGEX = /[\s([{\u2013\u2014]/;
+// Latin, Greek and Cyrillic letters and digits, after which a single quote
+// is an apostrophe.
+const WORD_CHARACTER_REGEX = /[0-9A-Za-z\u00C0-\u024F\u0370-\u03FF\u0400-\u04FF]/;
+
+const escapeRegExp = (text: string): string =>
+  text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const getQuotes = (options: DraftTextSubstitutionOptions): DraftQuotes => {
+  if (options.quotes) {
+    return options.quotes;
+  }
+  const locale = options.locale || 'en';
+  return (
+    QUOTES_BY_LOCALE[locale] ||
+    QUOTES_BY_LOCALE[locale.split('-')[0].toLowerCase()] ||
+    QUOTES_BY_LOCALE.en
+  );
+};
+
+/**
+ * Text in code blocks or with the CODE style is left as typed.
+ */
+const isCode = (contentState: ContentState, range: SelectionState): boolean => {
+  const block = contentState.getBlockForKey(range.getAnchorKey());
+  return (
+    block.getType() === 'code-block' ||
+    block.getInlineStyleAt(range.getEndOffset() - 1).has('CODE')
+  );
+};
+
+/**
+ * Replace the matched text, with the inline style of its first character and
+ * the entity shared by all its characters, if any.
+ */
+const substitute = (
+  contentState: ContentState,
+  range: SelectionState,
+  text: string,
+): ContentState => {
+  const block = contentState.getBlockForKey(range.getAnchorKey());
+  const start = range.getStartOffset();
+  const end = range.getEndOffset();
+  let entityKey = block.getEntityAt(start);
+  for (let ii = start + 1; ii < end && entityKey != null; ii++) {
+    if (block.getEntityAt(ii) !== entityKey) {
+      entityKey = null;
+    }
+  }
+  return DraftModifier.replaceText(
+    contentState,
+    range,
+    text,
+    block.getInlineStyleAt(start),
+    entityKey,
+  );
+};
+
+const replacementRules = (replacements: {
+  [text: string]: string,
+}): Array<DraftInputRule> =>
+  Object.keys(replacements)
+    // Longer texts first, as they may end with shorter ones.
+    .sort((a, b) => b.length - a.length)
+    .filter(text => text.length > 0)
+    .map(text => ({
+      pattern: new RegExp(escapeRegExp(text) + '$'),
+      transform: (contentState, range) =>
+        isCode(contentState, range)
+          ? null
+          : substitute(contentState, range, replacements[text]),
+    }));
+
+/**
+ * Quotes typed at the start of a block, after whitespace, an opening bracket,
+ * a dash or an opening quote open a quotation, and other quotes close it. A
+ * single quote typed after a letter or digit is an apostrophe, unless it
+ * closes a single quotation opened before it in the block.
+ */
+const quoteRule = (quote: string, quotes: DraftQuotes): DraftInputRule => ({
+  pattern: new RegExp(quote + '$'),
+  transform: (contentState, range) => {
+    if (isCode(contentState, range)) {
+      return null;
+    }
+    const [openDouble, closeDouble, openSingle, closeSingle] = quotes;
+    const textBefore = contentState
+      .getBlockForKey(range.getAnchorKey())
+      .getText()
+      .slice(0, range.getStartOffset());
+    const before = textBefore.charAt(textBefore.length - 1);
+    const isOpening =
+      !before ||
+      OPENING_CONTEXT_REGEX.test(before) ||
+      before === openDouble ||
+      before === openSingle;
+    let text;
+    if (quote === '"') {
+      text = isOpening ? openDouble : closeDouble;
+    } else if (isOpening) {
+      text = openSingle;
+    } else if (
+      WORD_CHARACTER_REGEX.test(before) &&
+      textBefore.lastIndexOf(openSingle) <= textBefore.lastIndexOf(closeSingle)
+    ) {
+      text = RSQUO;
+    } else {
+      text = closeSingle;
+    }
+    return substitute(contentState, range, text);
+  },
+});
+
+/**
+ * Create input rules substituting typographic characters for their ASCII
+ * approximations while typing: quotes, dashes, ellipses and arrows, as well
+ * as the `replacements` of the options. As for all input rules, Backspace
+ * right after a substitution restores the typed text.
+ */
+function createTextSubstitutionRules(
+  options?: DraftTextSubstitutionOptions = {},
+): Array<DraftInputRule> {
+  const replacements = {
+    ...(options.dashes === false ? {} : DASHES),
+    ...(options.ellipsis === false ? {} : ELLIPSIS),
+    ...(options.arrows === false ? {} : ARROWS),
+  };
+  const rules = replacementRules(options.replacements || {}).concat(
+    replacementRules(replacements),
+  );
+  if (options.smartQuotes === false) {
+    return rules;
+  }
+  const quotes = getQuotes(options);
+  return rules.concat(quoteRule('"', quotes), quoteRule("'", quotes));
+}
+
+module.exports = createTextSubstitutionRules;
@@ -7,9 +7,6 @@
  * @format
  * @flow strict-local
  * @emails oncall+draft_js
- *
- * This is unstable and not part of the public API and should not be used by
- * production systems. This file may be update/removed without notice.
  */
 import type {BlockMap} from 'BlockMap';
 
@@ -499,7 +496,396 @@ const mergeBlocks = (blockMap: BlockMap, key: string): BlockMap => {
   return newBlockMap;
 };
 
+/**
+ * This is a utility method that returns the keys of the children of a block,
+ * or of the blocks at the root of the tree when no parent key is given.
+ */
+const getSiblingKeys = (
+  blockMap: BlockMap,
+  parentKey: ?string,
+): Immutable.List<string> => {
+  if (parentKey != null) {
+    return blockMap.get(parentKey).getChildKeys();
+  }
+  const keys = [];
+  const firstRoot = blockMap.find(
+    block => block.getParentKey() == null && block.getPrevSiblingKey() == null,
+  );
+  let key = firstRoot ? firstRoot.getKey() : null;
+  while (key != null) {
+    keys.push(key);
+    key = blockMap.get(key).getNextSiblingKey();
+  }
+  return Immutable.List(keys);
+};
+
+/**
+ * This is a utility method that returns the keys of the outermost sibling
+ * blocks containing the start block and the end block, from the first to the
+ * last of which the siblings cover the blocks in between.
+ */
+const getOutermostSiblingKeys = (
+  blockMap: BlockMap,
+  startKey: string,
+  endKey: string,
+): [string, string] => {
+  const getPath = (key: string): Array<string> => {
+    const path = [];
+    let ancestorKey = key;
+    while (ancestorKey != null) {
+      path.unshift(ancestorKey);
+      ancestorKey = blockMap.get(ancestorKey).getParentKey();
+    }
+    return path;
+  };
+  const startPath = getPath(startKey);
+  const endPath = getPath(endKey);
+  let level = 0;
+  while (
+    level < startPath.length - 1 &&
+    level < endPath.length - 1 &&
+    startPath[level] === endPath[level]
+  ) {
+    level++;
+  }
+  return [startPath[level], endPath[level]];
+};
+
+/**
+ * This is a utility method for setting the children of a block, or the blocks
+ * at the root of the tree when no parent key is given, linking each of them to
+ * its parent and siblings.
+ *
+ * The block map returned by this method may not be a valid tree (the former
+ * parents and siblings of the blocks are unaffected)
+ */
+const setSiblingKeys = (
+  blockMap: BlockMap,
+  parentKey: ?string,
+  keys: Immutable.List<string>,
+): BlockMap => {
+  const newBlocks = {};
+  if (parentKey != null) {
+    newBlocks[parentKey] = blockMap.get(parentKey).merge({children: keys});
+  }
+  keys.forEach((key, index) => {
+    newBlocks[key] = blockMap.get(key).merge({
+      parent: parentKey,
+      prevSibling: index > 0 ? keys.get(index - 1) : null,
+      nextSibling: index < keys.size - 1 ? keys.get(index + 1) : null,
+    });
+  });
+  return blockMap.merge(newBlocks);
+};
+
+/**
+ * This is a utility method for ordering the block map as the tree is
+ * traversed, each block being followed by its descendants. Blocks that are no
+ * longer linked to the tree are left out.
+ */
+const orderBlockMap = (blockMap: BlockMap): BlockMap => {
+  const entries = [];
+  const addBlocks = (keys: Immutable.List<string>) =>
+    keys.forEach(key => {
+      const block = blockMap.get(key);
+      entries.push([key, block]);
+      addBlocks(block.getChildKeys());
+    });
+  addBlocks(getSiblingKeys(blockMap, null));
+  return Immutable.OrderedMap(entries);
+};
+
+/**
+ * This is a utility method that returns the range of keys from the first to
+ * the last of two sibling blocks.
+ */
+const getSiblingRange = (
+  blockMap: BlockMap,
+  startKey: string,
+  endKey: string,
+): {
+  parentKey: ?string,
+  siblingKeys: Immutable.List<string>,
+  start: number,
+  end: number,
+} => {
+  const startBlock = blockMap.get(startKey);
+  const endBlock = blockMap.get(endKey);
+  invariant(
+    startBlock != null && endBlock != null,
+    'blocks must exist in block map',
+  );
+  const parentKey = startBlock.getParentKey();
+  invariant(endBlock.getParentKey() === parentKey, 'blocks must be siblings');
+  const siblingKeys = getSiblingKeys(blockMap, parentKey);
+  const start = siblingKeys.indexOf(startKey);
+  const end = siblingKeys.indexOf(endKey);
+  invariant(start <= end, 'the start block must not follow the end block');
+  return {parentKey, siblingKeys, start, end};
+};
+
+const createContainer = (
+  block: ContentBlockNode,
+  type: string,
+): ContentBlockNode =>
+  new ContentBlockNode({
+    key: generateRandomKey(),
+    text: '',
+    depth: block.getDepth(),
+    type,
+    children: Immutable.List([]),
+  });
+
+/**
+ * This is a utility method that moves a block and its descendants to become
+ * the child of another block at the given index, or a block at the root of
+ * the tree at that index when no parent key is given. The index is counted
+ * among the siblings the block will have, once it is moved.
+ *
+ * The new parent must have no text, and must not be the block or one of its
+ * descendants. Its former parent keeps no children if it had only this one.
+ *
+ * This operation respects the tree data invariants - it expects and returns a
+ * valid tree.
+ */
+const moveSubtree = (
+  blockMap: BlockMap,
+  key: string,
+  parentKey: ?string,
+  index: number,
+): BlockMap => {
+  verifyTree(blockMap);
+  const block = blockMap.get(key);
+  invariant(block != null, 'block must exist in block map');
+  let ancestorKey = parentKey;
+  while (ancestorKey != null) {
+    const ancestor = blockMap.get(ancestorKey);
+    invariant(ancestor != null, 'parent must exist in block map');
+    invariant(ancestorKey !== key, 'block cannot be moved into itself');
+    ancestorKey = ancestor.getParentKey();
+  }
+  invariant(
+    parentKey == null || blockMap.get(parentKey).getText() === '',
+    'parent must be a valid node',
+  );
+
+  const formerParentKey = block.getParentKey();
+  const formerSiblingKeys = getSiblingKeys(blockMap, formerParentKey);
+  let newBlockMap = setSiblingKeys(
+    blockMap,
+    formerParentKey,
+    formerSiblingKeys.delete(formerSiblingKeys.indexOf(key)),
+  );
+  const siblingKeys =
+    parentKey === formerParentKey
+      ? formerSiblingKeys.delete(formerSiblingKeys.indexOf(key))
+      : getSiblingKeys(blockMap, parentKey);
+  invariant(
+    index >= 0 && index <= siblingKeys.size,
+    'index is not valid for the number of siblings',
+  );
+  newBlockMap = setSiblingKeys(
+    newBlockMap,
+    parentKey,
+    siblingKeys.insert(index, key),
+  );
+  newBlockMap = orderBlockMap(newBlockMap);
+  verifyTree(newBlockMap);
+  return newBlockMap;
+};
+
+/**
+ * This is a utility method that wraps a range of sibling blocks, from the
+ * start block to the end block, in a new block of the given type taking their
+ * place.
+ *
+ * This operation respects the tree data invariants - it expects and returns a
+ * valid tree.
+ */
+const wrapBlocks = (
+  blockMap: BlockMap,
+  startKey: string,
+  endKey: string,
+  type: string,
+): BlockMap => {
+  verifyTree(blockMap);
+  const {parentKey, siblingKeys, start, end} = getSiblingRange(
+    blockMap,
+    startKey,
+    endKey,
+  );
+  const container = createContainer(blockMap.get(startKey), type);
+  const containerKey = container.getKey();
+  let newBlockMap = blockMap.set(containerKey, container);
+  newBlockMap = setSiblingKeys(
+    newBlockMap,
+    parentKey,
+    siblingKeys.splice(start, end - start + 1, containerKey),
+  );
+  newBlockMap = setSiblingKeys(
+    newBlockMap,
+    containerKey,
+    siblingKeys.slice(start, end + 1),
+  );
+  newBlockMap = orderBlockMap(newBlockMap);
+  verifyTree(newBlockMap);
+  return newBlockMap;
+};
+
+/**
+ * This is a utility method that removes a non-leaf block, its children taking
+ * its place among its siblings.
+ *
+ * This operation respects the tree data invariants - it expects and returns a
+ * valid tree.
+ */
+const unwrapBlock = (blockMap: BlockMap, key: string): BlockMap => {
+  verifyTree(blockMap);
+  const block = blockMap.get(key);
+  invariant(block != null, 'block must exist in block map');
+  invariant(block.getChildKeys().count() > 0, 'block must be a non-leaf');
+  const parentKey = block.getParentKey();
+  const siblingKeys = getSiblingKeys(blockMap, parentKey);
+  const index = siblingKeys.indexOf(key);
+  let newBlockMap = setSiblingKeys(
+    blockMap,
+    parentKey,
+    siblingKeys.splice(index, 1, ...block.getChildKeys().toArray()),
+  );
+  newBlockMap = orderBlockMap(newBlockMap.delete(key));
+  verifyTree(newBlockMap);
+  return newBlockMap;
+};
+
+/**
+ * This is a utility method that nests a range of sibling blocks, from the
+ * start block to the end block, one level deeper. They become the last
+ * children of their previous sibling if it is a non-leaf, and are otherwise
+ * wrapped in a new block of the type of the start block, as nested list items
+ * are. A range without a previous sibling is left as is.
+ *
+ * This operation respects the tree data invariants - it expects and returns a
+ * valid tree.
+ */
+const indentBlocks = (
+  blockMap: BlockMap,
+  startKey: string,
+  endKey: string,
+): BlockMap => {
+  verifyTree(blockMap);
+  const {siblingKeys, start, end} = getSiblingRange(blockMap, startKey, endKey);
+  if (start === 0) {
+    return blockMap;
+  }
+  const prevSibling = blockMap.get(siblingKeys.get(start - 1));
+  if (prevSibling.getChildKeys().count() === 0) {
+    return wrapBlocks(
+      blockMap,
+      startKey,
+      endKey,
+      blockMap.get(startKey).getType(),
+    );
+  }
+
+  const parentKey = blockMap.get(startKey).getParentKey();
+  const rangeKeys = siblingKeys.slice(start, end + 1);
+  let newBlockMap = setSiblingKeys(
+    blockMap,
+    parentKey,
+    siblingKeys.splice(start, end - start + 1),
+  );
+  newBlockMap = setSiblingKeys(
+    newBlockMap,
+    prevSibling.getKey(),
+    prevSibling.getChildKeys().concat(rangeKeys),
+  );
+  newBlockMap = orderBlockMap(newBlockMap);
+  verifyTree(newBlockMap);
+  return newBlockMap;
+};
+
+/**
+ * This is a utility method that moves a range of sibling blocks, from the
+ * start block to the end block, one level up, after their parent. The
+ * following siblings of the range stay nested: they become the last children
+ * of the last block of the range if it is a non-leaf, and are otherwise
+ * wrapped in a new block of the type of their parent. A parent left without
+ * children is removed. A range without a parent is left as is.
+ *
+ * This operation respects the tree data invariants - it expects and returns a
+ * valid tree.
+ */
+const outdentBlocks = (
+  blockMap: BlockMap,
+  startKey: string,
+  endKey: string,
+): BlockMap => {
+  verifyTree(blockMap);
+  const {parentKey, siblingKeys, start, end} = getSiblingRange(
+    blockMap,
+    startKey,
+    endKey,
+  );
+  if (parentKey == null) {
+    return blockMap;
+  }
+  const parent = blockMap.get(parentKey);
+  const grandparentKey = parent.getParentKey();
+  const parentSiblingKeys = getSiblingKeys(blockMap, grandparentKey);
+  const beforeKeys = siblingKeys.slice(0, start);
+  const rangeKeys = siblingKeys.slice(start, end + 1);
+  const afterKeys = siblingKeys.slice(end + 1);
+  let newBlockMap = blockMap;
+
+  // keep the following siblings nested in a block following the range
+  const lastBlock = blockMap.get(endKey);
+  let outdentedKeys = rangeKeys;
+  if (afterKeys.size > 0) {
+    if (lastBlock.getChildKeys().count() > 0) {
+      newBlockMap = setSiblingKeys(
+        newBlockMap,
+        endKey,
+        lastBlock.getChildKeys().concat(afterKeys),
+      );
+    } else {
+      const container = createContainer(parent, parent.getType());
+      newBlockMap = newBlockMap.set(container.getKey(), container);
+      newBlockMap = setSiblingKeys(newBlockMap, container.getKey(), afterKeys);
+      outdentedKeys = outdentedKeys.push(container.getKey());
+    }
+  }
+
+  // remove the parent if it has no children left
+  if (beforeKeys.size > 0) {
+    newBlockMap = setSiblingKeys(newBlockMap, parentKey, beforeKeys);
+  } else {
+    newBlockMap = newBlockMap.delete(parentKey);
+  }
+  const parentIndex = parentSiblingKeys.indexOf(parentKey);
+  newBlockMap = setSiblingKeys(
+    newBlockMap,
+    grandparentKey,
+    parentSiblingKeys.splice(
+      beforeKeys.size > 0 ? parentIndex + 1 : parentIndex,
+      beforeKeys.size > 0 ? 0 : 1,
+      ...outdentedKeys.toArray(),
+    ),
+  );
+  newBlockMap = orderBlockMap(newBlockMap);
+  verifyTree(newBlockMap);
+  return newBlockMap;
+};
+
 module.exports = {
+  getSiblingKeys,
+  getOutermostSiblingKeys,
+  setSiblingKeys,
+  orderBlockMap,
+  moveSubtree,
+  wrapBlocks,
+  unwrapBlock,
+  indentBlocks,
+  outdentBlocks,
   updateParentChild,
   replaceParentChild,
   updateSibling,
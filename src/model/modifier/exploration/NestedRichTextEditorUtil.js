@@ -7,9 +7,6 @@
  * @format
  * @flow
  * @emails oncall+draft_js
- *
- * This is unstable and not part of the public API and should not be used by
- * production systems. This file may be update/removed without notice.
  */
 import type {BlockMap} from 'BlockMap';
 import type ContentState from 'ContentState';
@@ -18,16 +15,19 @@ import type {DraftEditorCommand} from 'DraftEditorCommand';
 import type {DataObjectForLink, RichTextUtils} from 'RichTextUtils';
 import type SelectionState from 'SelectionState';
 import type URI from 'URI';
+import type {BidiDirection} from 'UnicodeBidiDirection';
 
 const ContentBlockNode = require('ContentBlockNode');
 const DraftModifier = require('DraftModifier');
 const DraftTreeOperations = require('DraftTreeOperations');
 const EditorState = require('EditorState');
 const RichTextEditorUtil = require('RichTextEditorUtil');
+const TableUtils = require('TableUtils');
 
 const adjustBlockDepthForContentState = require('adjustBlockDepthForContentState');
 const generateRandomKey = require('generateRandomKey');
 const invariant = require('invariant');
+const undoInputRule = require('undoInputRule');
 
 // Eventually we could allow to control this list by either allowing user configuration
 // and/or a schema in conjunction to DraftBlockRenderMap
@@ -112,6 +112,11 @@ const NestedRichTextEditorUtil: RichTextUtils = {
    * a nested parent we add its text to the neareast previous leaf node
    */
   onBackspace: (editorState: EditorState): ?EditorState => {
+    const withoutInputRule = undoInputRule(editorState);
+    if (withoutInputRule) {
+      return withoutInputRule;
+    }
+
     const selection = editorState.getSelection();
     const content = editorState.getCurrentContent();
     const currentBlock = content.getBlockForKey(selection.getStartKey());
@@ -180,6 +185,29 @@ const NestedRichTextEditorUtil: RichTextUtils = {
       );
     }
 
+    // Otherwise, move the first child of a block, such as the first paragraph
+    // of a blockquote or of a list item, out of its parent. Table cells keep
+    // their blocks.
+    if (
+      selection.isCollapsed() &&
+      currentBlock.getParentKey() != null &&
+      previousBlockKey == null &&
+      !TableUtils.getCell(content, startKey)
+    ) {
+      return EditorState.push(
+        editorState,
+        content.merge({
+          blockMap: DraftTreeOperations.moveChildUp(
+            content.getBlockMap(),
+            startKey,
+          ),
+          selectionBefore: selection,
+          selectionAfter: selection,
+        }),
+        'adjust-depth',
+      );
+    }
+
     return null;
   },
 
@@ -255,6 +283,9 @@ const NestedRichTextEditorUtil: RichTextUtils = {
       });
   },
 
+  getCurrentBlockDirection: (editorState: EditorState): ?BidiDirection =>
+    RichTextEditorUtil.getCurrentBlockDirection(editorState),
+
   getCurrentBlockType: (editorState: EditorState): DraftBlockType => {
     const selection = editorState.getSelection();
     return editorState
@@ -293,6 +324,11 @@ const NestedRichTextEditorUtil: RichTextUtils = {
     editorState: EditorState,
     maxDepth: number,
   ): EditorState => {
+    const withTableNavigation = TableUtils.onTab(event, editorState);
+    if (withTableNavigation) {
+      return withTableNavigation;
+    }
+
     const selection = editorState.getSelection();
     const key = selection.getAnchorKey();
     if (key !== selection.getFocusKey()) {
@@ -302,7 +338,11 @@ const NestedRichTextEditorUtil: RichTextUtils = {
     let content = editorState.getCurrentContent();
     const block = content.getBlockForKey(key);
     const type = block.getType();
-    if (type !== 'unordered-list-item' && type !== 'ordered-list-item') {
+    if (
+      type !== 'unordered-list-item' &&
+      type !== 'ordered-list-item' &&
+      type !== 'checkable-list-item'
+    ) {
       return editorState;
     }
 
@@ -373,6 +413,15 @@ const NestedRichTextEditorUtil: RichTextUtils = {
     return EditorState.push(editorState, withAdjustment, 'adjust-depth');
   },
 
+  toggleBlockDirection: (
+    editorState: EditorState,
+    direction: ?BidiDirection,
+  ): EditorState =>
+    RichTextEditorUtil.toggleBlockDirection(editorState, direction),
+
+  toggleChecked: (editorState: EditorState, blockKey?: ?string): EditorState =>
+    RichTextEditorUtil.toggleChecked(editorState, blockKey),
+
   toggleCode: (editorState: EditorState): EditorState => {
     const selection = editorState.getSelection();
     const anchorKey = selection.getAnchorKey();
@@ -462,6 +511,10 @@ const NestedRichTextEditorUtil: RichTextUtils = {
 
       const type = block.getType();
       const blockBefore = content.getBlockBefore(key);
+      // The type of table cells is part of the structure of their table.
+      if (type === 'table-cell') {
+        return null;
+      }
       if (
         type === 'code-block' &&
         blockBefore &&
@@ -474,7 +527,9 @@ const NestedRichTextEditorUtil: RichTextUtils = {
       const depth = block.getDepth();
       if (type !== 'unstyled') {
         if (
-          (type === 'unordered-list-item' || type === 'ordered-list-item') &&
+          (type === 'unordered-list-item' ||
+            type === 'ordered-list-item' ||
+            type === 'checkable-list-item') &&
           depth > 0
         ) {
           let newBlockMap = onUntab(content.getBlockMap(), block);
@@ -652,3 +652,99 @@ const blockMap12 = Immutable.OrderedMap({
 test('test merging blocks', () => {
   expect(DraftTreeOperations.mergeBlocks(blockMap12, 'X')).toMatchSnapshot();
 });
+
+// The keys of the blocks of the tree, nested as their blocks, with 'new' for
+// the blocks created by the operation.
+const getTree = (blockMap, keys = null) => {
+  const DraftTreeInvariants = require('DraftTreeInvariants');
+  if (keys == null) {
+    expect(DraftTreeInvariants.isValidTree(blockMap)).toBe(true);
+    const orderedKeys = [];
+    const addKeys = siblingKeys =>
+      siblingKeys.forEach(key => {
+        orderedKeys.push(key);
+        addKeys(blockMap.get(key).getChildKeys());
+      });
+    addKeys(DraftTreeOperations.getSiblingKeys(blockMap, null));
+    expect(blockMap.keySeq().toArray()).toEqual(orderedKeys);
+  }
+  return (keys || DraftTreeOperations.getSiblingKeys(blockMap, null))
+    .map(key => {
+      const name = key.startsWith('key') ? 'new' : key;
+      const childKeys = blockMap.get(key).getChildKeys();
+      return childKeys.size ? {[name]: getTree(blockMap, childKeys)} : name;
+    })
+    .toArray();
+};
+
+test('test moving a subtree to the root', () => {
+  expect(
+    getTree(DraftTreeOperations.moveSubtree(blockMap1, 'X', null, 2)),
+  ).toEqual(['A', 'D', {X: ['B', 'C']}]);
+});
+
+test('test moving a subtree into a parent', () => {
+  expect(
+    getTree(DraftTreeOperations.moveSubtree(blockMap1, 'D', 'X', 1)),
+  ).toEqual(['A', {X: ['B', 'D', 'C']}]);
+  expect(
+    getTree(DraftTreeOperations.moveSubtree(blockMap1, 'C', 'X', 0)),
+  ).toEqual(['A', {X: ['C', 'B']}, 'D']);
+});
+
+test('test moving a subtree into itself or a block with text throws', () => {
+  expect(() => DraftTreeOperations.moveSubtree(blockMap1, 'X', 'X', 0)).toThrow(
+    'block cannot be moved into itself',
+  );
+  expect(() => DraftTreeOperations.moveSubtree(blockMap1, 'D', 'A', 0)).toThrow(
+    'parent must be a valid node',
+  );
+  expect(() => DraftTreeOperations.moveSubtree(blockMap1, 'D', 'X', 3)).toThrow(
+    'index is not valid for the number of siblings',
+  );
+});
+
+test('test wrapping and unwrapping blocks', () => {
+  const wrapped = DraftTreeOperations.wrapBlocks(
+    blockMap1,
+    'A',
+    'X',
+    'blockquote',
+  );
+  expect(getTree(wrapped)).toEqual([{new: ['A', {X: ['B', 'C']}]}, 'D']);
+  expect(wrapped.first().getType()).toBe('blockquote');
+  expect(
+    getTree(DraftTreeOperations.unwrapBlock(wrapped, wrapped.first().getKey())),
+  ).toEqual(getTree(blockMap1));
+  expect(getTree(DraftTreeOperations.unwrapBlock(blockMap1, 'X'))).toEqual([
+    'A',
+    'B',
+    'C',
+    'D',
+  ]);
+});
+
+test('test indenting blocks', () => {
+  expect(
+    getTree(DraftTreeOperations.indentBlocks(blockMap1, 'C', 'C')),
+  ).toEqual(['A', {X: ['B', {new: ['C']}]}, 'D']);
+  expect(
+    getTree(DraftTreeOperations.indentBlocks(blockMap1, 'D', 'D')),
+  ).toEqual(['A', {X: ['B', 'C', 'D']}]);
+  expect(DraftTreeOperations.indentBlocks(blockMap1, 'A', 'X')).toBe(blockMap1);
+});
+
+test('test outdenting blocks keeps following siblings nested', () => {
+  expect(
+    getTree(DraftTreeOperations.outdentBlocks(blockMap1, 'B', 'B')),
+  ).toEqual(['A', 'B', {new: ['C']}, 'D']);
+  expect(
+    getTree(DraftTreeOperations.outdentBlocks(blockMap1, 'C', 'C')),
+  ).toEqual(['A', {X: ['B']}, 'C', 'D']);
+  expect(
+    getTree(DraftTreeOperations.outdentBlocks(blockMap1, 'B', 'C')),
+  ).toEqual(['A', 'B', 'C', 'D']);
+  expect(DraftTreeOperations.outdentBlocks(blockMap1, 'A', 'A')).toBe(
+    blockMap1,
+  );
+});
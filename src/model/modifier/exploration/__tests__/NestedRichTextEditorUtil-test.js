@@ -15,6 +15,7 @@ jest.mock('generateRandomKey');
 const AtomicBlockUtils = require('AtomicBlockUtils');
 const BlockMapBuilder = require('BlockMapBuilder');
 const ContentBlockNode = require('ContentBlockNode');
+const DraftTreeInvariants = require('DraftTreeInvariants');
 const EditorState = require('EditorState');
 const NestedRichTextEditorUtil = require('NestedRichTextEditorUtil');
 const SelectionState = require('SelectionState');
@@ -1075,3 +1076,41 @@ test('onDelete removes a following atomic block', () => {
     blockMapAfterDelete.size === blockSizeBeforeRemove + 1,
   ).toMatchSnapshot();
 });
+
+test('onBackspace at start of the first child of a block moves it out of its parent', () => {
+  const blockquote = [
+    new ContentBlockNode({
+      key: 'Q',
+      type: 'blockquote',
+      children: List(['P1', 'P2']),
+    }),
+    new ContentBlockNode({
+      key: 'P1',
+      parent: 'Q',
+      nextSibling: 'P2',
+      text: 'a',
+    }),
+    new ContentBlockNode({
+      key: 'P2',
+      parent: 'Q',
+      prevSibling: 'P1',
+      text: 'b',
+    }),
+  ];
+  const editorState = EditorState.forceSelection(
+    EditorState.createWithContent(
+      contentState.set('blockMap', BlockMapBuilder.createFromArray(blockquote)),
+    ),
+    SelectionState.createEmpty('P1'),
+  );
+  const content = onBackspace(editorState).getCurrentContent();
+  expect(DraftTreeInvariants.isValidTree(content.getBlockMap())).toBe(true);
+  expect(content.getBlockForKey('P1').getParentKey()).toBe(null);
+  expect(content.getBlockForKey('P1').getText()).toBe('a');
+  expect(
+    content
+      .getBlockForKey('Q')
+      .getChildKeys()
+      .toArray(),
+  ).toEqual(['P2']);
+});
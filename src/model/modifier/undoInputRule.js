@@ -0,0 +1,40 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @format
+ * @flow
+ * @emails oncall+draft_js
+ */
+
+'use strict';
+
+const EditorState = require('EditorState');
+
+/**
+ * When the last change applied an input rule and the caret did not move
+ * since, undo the transformation to restore the typed text. This is what
+ * Backspace does right after an input rule.
+ */
+function undoInputRule(editorState: EditorState): ?EditorState {
+  if (editorState.getLastChangeType() !== 'apply-input-rule') {
+    return null;
+  }
+
+  const selection = editorState.getSelection();
+  const selectionAfter = editorState.getCurrentContent().getSelectionAfter();
+  if (
+    !selection.isCollapsed() ||
+    selection.getAnchorKey() !== selectionAfter.getAnchorKey() ||
+    selection.getAnchorOffset() !== selectionAfter.getAnchorOffset()
+  ) {
+    return null;
+  }
+
+  const newEditorState = EditorState.undo(editorState);
+  return newEditorState === editorState ? null : newEditorState;
+}
+
+module.exports = undoInputRule;
@@ -15,48 +15,40 @@ import type {BlockNodeRecord} from 'BlockNodeRecord';
 import type CharacterMetadata from 'CharacterMetadata';
 import type {DraftBlockRenderMap} from 'DraftBlockRenderMap';
 import type {DraftBlockType} from 'DraftBlockType';
+import type {DraftNestedContentOptions} from 'DraftNestedContent';
 import type {EntityMap} from 'EntityMap';
 
 const ContentBlock = require('ContentBlock');
 const ContentBlockNode = require('ContentBlockNode');
+const DraftNestedContent = require('DraftNestedContent');
 
-const convertFromHTMLToContentBlocksClassic = require('convertFromHTMLToContentBlocks');
-const convertFromHTMLToContentBlocksNew = require('convertFromHTMLToContentBlocks2');
+const convertFromHTML = require('convertFromHTML');
 const generateRandomKey = require('generateRandomKey');
 const getSafeBodyFromHTML = require('getSafeBodyFromHTML');
-const gkx = require('gkx');
 const Immutable = require('immutable');
 const sanitizeDraftText = require('sanitizeDraftText');
 
 const {List, Repeat} = Immutable;
 
-const experimentalTreeDataSupport = gkx('draft_tree_data_support');
-const ContentBlockRecord = experimentalTreeDataSupport
-  ? ContentBlockNode
-  : ContentBlock;
-
-const refactoredHTMLImporter = gkx('draft_refactored_html_importer');
-const convertFromHTMLToContentBlocks = refactoredHTMLImporter
-  ? convertFromHTMLToContentBlocksNew
-  : convertFromHTMLToContentBlocksClassic;
-
 const DraftPasteProcessor = {
   processHTML(
     html: string,
     blockRenderMap?: DraftBlockRenderMap,
+    options?: DraftNestedContentOptions,
   ): ?{contentBlocks: ?Array<BlockNodeRecord>, entityMap: EntityMap} {
-    return convertFromHTMLToContentBlocks(
-      html,
-      getSafeBodyFromHTML,
-      blockRenderMap,
-    );
+    return convertFromHTML(html, getSafeBodyFromHTML, blockRenderMap, options);
   },
 
   processText(
     textBlocks: Array<string>,
     character: CharacterMetadata,
     type: DraftBlockType,
+    options?: DraftNestedContentOptions,
   ): Array<BlockNodeRecord> {
+    const experimentalTreeDataSupport = DraftNestedContent.isEnabled(options);
+    const ContentBlockRecord = experimentalTreeDataSupport
+      ? ContentBlockNode
+      : ContentBlock;
     return textBlocks.reduce((acc, textLine, index) => {
       textLine = sanitizeDraftText(textLine);
       const key = generateRandomKey();
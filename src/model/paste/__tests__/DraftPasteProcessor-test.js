@@ -340,3 +340,17 @@ test('must create ContentBlocks when experimentalTreeDataSupport is disabled whi
 test('must create ContentBlockNodes when experimentalTreeDataSupport is enabled while processing text', () => {
   assertDraftPasteProcessorProcessText(['Alpha', 'Beta', 'Charlie'], true);
 });
+
+test('must create ContentBlockNodes with the nested option while processing text', () => {
+  const ContentBlockNode = require('ContentBlockNode');
+  const contentBlocks = DraftPasteProcessor.processText(
+    ['Alpha', 'Beta'],
+    EMPTY_CHAR_METADATA,
+    'unstyled',
+    {nested: true},
+  );
+  expect(contentBlocks.every(block => block instanceof ContentBlockNode)).toBe(
+    true,
+  );
+  expect(contentBlocks[1].getPrevSiblingKey()).toBe(contentBlocks[0].getKey());
+});
@@ -18,6 +18,7 @@ jest.mock('generateRandomKey');
 const ContentBlock = require('ContentBlock');
 const ContentBlockNode = require('ContentBlockNode');
 const ContentState = require('ContentState');
+const DraftTreeInvariants = require('DraftTreeInvariants');
 const EditorState = require('EditorState');
 
 const Immutable = require('immutable');
@@ -154,3 +155,82 @@ test('must be able to move block and its children before other nested block', ()
 test('must be able to move block and its children after other nested block', () => {
   assertMoveBlockInContentState('B', 'E', 'after', contentBlockNodes);
 });
+
+const listBlockNodes = [
+  new ContentBlockNode({
+    key: 'A',
+    text: 'Alpha',
+    nextSibling: 'X',
+  }),
+  new ContentBlockNode({
+    key: 'X',
+    text: '',
+    children: List(['B', 'C', 'D']),
+    prevSibling: 'A',
+  }),
+  new ContentBlockNode({
+    key: 'B',
+    parent: 'X',
+    text: 'Beta',
+    nextSibling: 'C',
+  }),
+  new ContentBlockNode({
+    key: 'C',
+    parent: 'X',
+    text: 'Charlie',
+    prevSibling: 'B',
+    nextSibling: 'D',
+  }),
+  new ContentBlockNode({
+    key: 'D',
+    parent: 'X',
+    text: 'Delta',
+    prevSibling: 'C',
+  }),
+];
+
+const moveListBlock = (blockKey, targetKey, insertionMode) => {
+  const contentState = ContentState.createFromBlockArray(listBlockNodes);
+  return moveBlockInContentState(
+    contentState,
+    contentState.getBlockForKey(blockKey),
+    contentState.getBlockForKey(targetKey),
+    insertionMode,
+  ).getBlockMap();
+};
+
+test('must be able to move block before a sibling following others', () => {
+  const blockMap = moveListBlock('A', 'D', 'before');
+  expect(DraftTreeInvariants.isValidTree(blockMap)).toBe(true);
+  expect(
+    blockMap
+      .get('X')
+      .getChildKeys()
+      .toArray(),
+  ).toEqual(['B', 'C', 'A', 'D']);
+  expect(blockMap.keySeq().toArray()).toEqual(['X', 'B', 'C', 'A', 'D']);
+});
+
+test('must keep the children of the target block after it', () => {
+  const blockMap = moveListBlock('C', 'X', 'after');
+  expect(DraftTreeInvariants.isValidTree(blockMap)).toBe(true);
+  expect(
+    blockMap
+      .get('X')
+      .getChildKeys()
+      .toArray(),
+  ).toEqual(['B', 'D']);
+  expect(blockMap.keySeq().toArray()).toEqual(['A', 'X', 'B', 'D', 'C']);
+});
+
+test('must not be able to move block next to its own descendant', () => {
+  expect(() => moveListBlock('X', 'C', 'after')).toThrow(
+    'block cannot be moved into itself',
+  );
+});
+
+test('must not be able to move block next to itself', () => {
+  expect(() => moveListBlock('C', 'B', 'after')).toThrow(
+    'Block cannot be moved next to itself.',
+  );
+});
@@ -16,14 +16,16 @@ jest.disableAutomock();
 jest.mock('generateRandomKey');
 
 const BlockMapBuilder = require('BlockMapBuilder');
+const ContentBlock = require('ContentBlock');
 const ContentBlockNode = require('ContentBlockNode');
+const ContentState = require('ContentState');
 const SelectionState = require('SelectionState');
 
 const getSampleStateForTesting = require('getSampleStateForTesting');
 const Immutable = require('immutable');
 const splitBlockInContentState = require('splitBlockInContentState');
 
-const {List} = Immutable;
+const {List, Map} = Immutable;
 
 const {contentState, selectionState} = getSampleStateForTesting();
 
@@ -224,3 +226,34 @@ test('must convert empty list item ContentBlock to unstyled rather than split',
     treeContentState,
   );
 });
+
+test('must continue checkable lists with unchecked items', () => {
+  const checklist = ContentState.createFromBlockArray([
+    new ContentBlock({
+      key: 'a',
+      type: 'checkable-list-item',
+      text: 'Task',
+      data: Map({checked: true}),
+    }),
+  ]);
+  const afterSplit = splitBlockInContentState(
+    checklist,
+    SelectionState.createEmpty('a').merge({anchorOffset: 4, focusOffset: 4}),
+  );
+  expect(
+    afterSplit
+      .getBlocksAsArray()
+      .map(block => [block.getType(), block.getData().toJS()]),
+  ).toEqual([
+    ['checkable-list-item', {checked: true}],
+    ['checkable-list-item', {}],
+  ]);
+
+  // Enter in the new, empty item ends the list.
+  const newKey = afterSplit.getLastBlock().getKey();
+  expect(
+    splitBlockInContentState(afterSplit, SelectionState.createEmpty(newKey))
+      .getLastBlock()
+      .getType(),
+  ).toBe('unstyled');
+});
@@ -0,0 +1,178 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @format
+ * @flow
+ * @emails oncall+draft_js
+ */
+
+'use strict';
+
+import type {BlockNodeRecord} from 'BlockNodeRecord';
+import type ContentState from 'ContentState';
+import type {DraftContentSchema} from 'DraftContentSchema';
+
+const DraftModifier = require('DraftModifier');
+const Immutable = require('immutable');
+const SelectionState = require('SelectionState');
+
+const invariant = require('invariant');
+
+const {OrderedSet} = Immutable;
+
+const getContentLength = (contentState: ContentState): number =>
+  contentState
+    .getBlockMap()
+    .reduce((length, block) => length + block.getLength(), 0);
+
+/**
+ * Convert or strip the content of the block that `schema` does not allow.
+ * Block types, inline styles and entities are changed through `DraftModifier`,
+ * so that the operations of the change describe the content once the schema
+ * is enforced. Depth cannot be expressed as an operation.
+ */
+const enforceSchemaForBlock = (
+  contentState: ContentState,
+  block: BlockNodeRecord,
+  schema: DraftContentSchema,
+): ContentState => {
+  const {blockTypes, entityTypes, inlineStyles, maxDepth} = schema;
+  const key = block.getKey();
+  const blockSelection = SelectionState.createEmpty(key);
+  let newContentState = contentState;
+
+  if (inlineStyles) {
+    const styles = block
+      .getCharacterList()
+      .reduce((all, character) => all.union(character.getStyle()), OrderedSet())
+      .filter(style => inlineStyles.indexOf(style) === -1);
+    styles.forEach(style => {
+      newContentState = DraftModifier.removeInlineStyle(
+        newContentState,
+        blockSelection.merge({focusOffset: block.getLength()}),
+        style,
+      );
+    });
+  }
+
+  if (entityTypes) {
+    block.findEntityRanges(
+      character => {
+        const entityKey = character.getEntity();
+        return (
+          entityKey != null &&
+          entityTypes.indexOf(contentState.getEntity(entityKey).getType()) ===
+            -1
+        );
+      },
+      (start, end) => {
+        newContentState = DraftModifier.applyEntity(
+          newContentState,
+          blockSelection.merge({anchorOffset: start, focusOffset: end}),
+          null,
+        );
+      },
+    );
+  }
+
+  if (blockTypes && blockTypes.indexOf(block.getType()) === -1) {
+    // Setting the type also resets the depth.
+    return DraftModifier.setBlockType(
+      newContentState,
+      blockSelection,
+      blockTypes.indexOf('unstyled') !== -1 ? 'unstyled' : blockTypes[0],
+    );
+  }
+
+  if (maxDepth != null && block.getDepth() > maxDepth) {
+    const newBlockMap = newContentState.getBlockMap();
+    newContentState = newContentState.set(
+      'blockMap',
+      newBlockMap.set(key, newBlockMap.get(key).set('depth', maxDepth)),
+    );
+  }
+
+  return newContentState;
+};
+
+/**
+ * Remove the characters exceeding `maxLength` right before the cursor, which
+ * is where typed or pasted text ends. Returns null when the content cannot be
+ * shortened this way.
+ */
+const trimBeforeSelection = (
+  contentState: ContentState,
+  excess: number,
+): ?ContentState => {
+  const selection = contentState.getSelectionAfter();
+  const focusOffset = selection.getFocusOffset();
+  if (!selection.isCollapsed() || focusOffset < excess) {
+    return null;
+  }
+  // Removed through `DraftModifier`, so that the operations of the change
+  // still describe the content once it is trimmed.
+  return DraftModifier.removeRange(
+    contentState,
+    selection.merge({
+      anchorOffset: focusOffset - excess,
+      isBackward: false,
+    }),
+    'backward',
+  );
+};
+
+/**
+ * Convert or strip the content that `schema` does not allow: block types
+ * missing from `schema.blockTypes` become `unstyled`, depth is clamped and
+ * disallowed inline styles and entities are removed from the text.
+ *
+ * When `previousContentState` is given, a change that makes the content
+ * longer than `schema.maxLength` is truncated before the cursor, or rejected
+ * by returning `previousContentState` when that is not possible.
+ */
+function enforceSchemaForContentState(
+  contentState: ContentState,
+  schema: DraftContentSchema,
+  previousContentState?: ?ContentState,
+): ContentState {
+  invariant(
+    !schema.blockTypes || schema.blockTypes.length,
+    'A content schema must allow at least one block type',
+  );
+  let newContentState = contentState;
+  contentState.getBlockMap().forEach((block, key) => {
+    // Blocks left untouched by the change already conform.
+    if (
+      !previousContentState ||
+      previousContentState.getBlockForKey(key) !== block
+    ) {
+      newContentState = enforceSchemaForBlock(newContentState, block, schema);
+    }
+  });
+  if (newContentState !== contentState) {
+    newContentState = newContentState.merge({
+      selectionBefore: contentState.getSelectionBefore(),
+      selectionAfter: contentState.getSelectionAfter(),
+    });
+  }
+
+  const {maxLength} = schema;
+  if (maxLength == null || !previousContentState) {
+    return newContentState;
+  }
+  const length = getContentLength(newContentState);
+  const previousLength = getContentLength(previousContentState);
+  if (length <= maxLength || length <= previousLength) {
+    return newContentState;
+  }
+  const trimmedContentState = trimBeforeSelection(
+    newContentState,
+    length - Math.max(maxLength, previousLength),
+  );
+  return trimmedContentState || previousContentState;
+}
+
+module.exports = enforceSchemaForContentState;
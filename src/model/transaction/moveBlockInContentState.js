@@ -17,124 +17,29 @@ import type ContentState from 'ContentState';
 import type {DraftInsertionType} from 'DraftInsertionType';
 
 const ContentBlockNode = require('ContentBlockNode');
+const DraftTreeOperations = require('DraftTreeOperations');
 
-const getNextDelimiterBlockKey = require('getNextDelimiterBlockKey');
-const Immutable = require('immutable');
 const invariant = require('invariant');
 
-const {OrderedMap, List} = Immutable;
-
-const transformBlock = (
-  key: ?string,
-  blockMap: BlockMap,
-  func: (block: ContentBlockNode) => ContentBlockNode,
-): void => {
-  if (!key) {
-    return;
-  }
-
-  const block = blockMap.get(key);
-
-  if (!block) {
-    return;
-  }
-
-  blockMap.set(key, func(block));
-};
-
-const updateBlockMapLinks = (
+/**
+ * Move a block of nested content, along with its descendants, to become the
+ * sibling before or after the target block, under the parent of the target.
+ */
+const moveSubtree = (
   blockMap: BlockMap,
-  originalBlockToBeMoved: BlockNodeRecord,
-  originalTargetBlock: BlockNodeRecord,
+  blockKey: string,
+  targetBlock: BlockNodeRecord,
   insertionMode: DraftInsertionType,
-  isExperimentalTreeBlock: boolean,
 ): BlockMap => {
-  if (!isExperimentalTreeBlock) {
-    return blockMap;
-  }
-  // possible values of 'insertionMode' are: 'after', 'before'
-  const isInsertedAfterTarget = insertionMode === 'after';
-
-  const originalBlockKey = originalBlockToBeMoved.getKey();
-  const originalTargetKey = originalTargetBlock.getKey();
-  const originalParentKey = originalBlockToBeMoved.getParentKey();
-  const originalNextSiblingKey = originalBlockToBeMoved.getNextSiblingKey();
-  const originalPrevSiblingKey = originalBlockToBeMoved.getPrevSiblingKey();
-  const newParentKey = originalTargetBlock.getParentKey();
-  const newNextSiblingKey = isInsertedAfterTarget
-    ? originalTargetBlock.getNextSiblingKey()
-    : originalTargetKey;
-  const newPrevSiblingKey = isInsertedAfterTarget
-    ? originalTargetKey
-    : originalTargetBlock.getPrevSiblingKey();
-
-  return blockMap.withMutations(blocks => {
-    // update old parent
-    transformBlock(originalParentKey, blocks, block => {
-      const parentChildrenList = block.getChildKeys();
-      return block.merge({
-        children: parentChildrenList.delete(
-          parentChildrenList.indexOf(originalBlockKey),
-        ),
-      });
-    });
-
-    // update old prev
-    transformBlock(originalPrevSiblingKey, blocks, block =>
-      block.merge({
-        nextSibling: originalNextSiblingKey,
-      }),
-    );
-
-    // update old next
-    transformBlock(originalNextSiblingKey, blocks, block =>
-      block.merge({
-        prevSibling: originalPrevSiblingKey,
-      }),
-    );
-
-    // update new next
-    transformBlock(newNextSiblingKey, blocks, block =>
-      block.merge({
-        prevSibling: originalBlockKey,
-      }),
-    );
-
-    // update new prev
-    transformBlock(newPrevSiblingKey, blocks, block =>
-      block.merge({
-        nextSibling: originalBlockKey,
-      }),
-    );
-
-    // update new parent
-    transformBlock(newParentKey, blocks, block => {
-      const newParentChildrenList = block.getChildKeys();
-      const targetBlockIndex = newParentChildrenList.indexOf(originalTargetKey);
-
-      const insertionIndex = isInsertedAfterTarget
-        ? targetBlockIndex + 1
-        : targetBlockIndex !== 0
-          ? targetBlockIndex - 1
-          : 0;
-
-      const newChildrenArray = newParentChildrenList.toArray();
-      newChildrenArray.splice(insertionIndex, 0, originalBlockKey);
-
-      return block.merge({
-        children: List(newChildrenArray),
-      });
-    });
-
-    // update block
-    transformBlock(originalBlockKey, blocks, block =>
-      block.merge({
-        nextSibling: newNextSiblingKey,
-        prevSibling: newPrevSiblingKey,
-        parent: newParentKey,
-      }),
-    );
-  });
+  const targetKey = targetBlock.getKey();
+  const parentKey = targetBlock.getParentKey();
+  const siblingKeys = DraftTreeOperations.getSiblingKeys(
+    blockMap,
+    parentKey,
+  ).filter(key => key !== blockKey);
+  const index =
+    siblingKeys.indexOf(targetKey) + (insertionMode === 'after' ? 1 : 0);
+  return DraftTreeOperations.moveSubtree(blockMap, blockKey, parentKey, index);
 };
 
 const moveBlockInContentState = (
@@ -153,89 +58,46 @@ const moveBlockInContentState = (
   const blockMap = contentState.getBlockMap();
   const isExperimentalTreeBlock = blockToBeMoved instanceof ContentBlockNode;
 
-  let blocksToBeMoved = [blockToBeMoved];
-  let blockMapWithoutBlocksToBeMoved = blockMap.delete(blockKey);
+  const isInsertedBefore = insertionMode === 'before';
 
+  // Blocks of nested content are next to their siblings, their descendants
+  // being moved along with them.
+  let adjacentKey;
   if (isExperimentalTreeBlock) {
-    blocksToBeMoved = [];
-    blockMapWithoutBlocksToBeMoved = blockMap.withMutations(blocks => {
-      const nextSiblingKey = blockToBeMoved.getNextSiblingKey();
-      const nextDelimiterBlockKey = getNextDelimiterBlockKey(
-        blockToBeMoved,
-        blocks,
-      );
-
-      blocks
-        .toSeq()
-        .skipUntil(block => block.getKey() === blockKey)
-        .takeWhile(block => {
-          const key = block.getKey();
-          const isBlockToBeMoved = key === blockKey;
-          const hasNextSiblingAndIsNotNextSibling =
-            nextSiblingKey && key !== nextSiblingKey;
-          const doesNotHaveNextSiblingAndIsNotDelimiter =
-            !nextSiblingKey &&
-            block.getParentKey() &&
-            (!nextDelimiterBlockKey || key !== nextDelimiterBlockKey);
-
-          return !!(
-            isBlockToBeMoved ||
-            hasNextSiblingAndIsNotNextSibling ||
-            doesNotHaveNextSiblingAndIsNotDelimiter
-          );
-        })
-        .forEach(block => {
-          blocksToBeMoved.push(block);
-          blocks.delete(block.getKey());
-        });
-    });
+    adjacentKey = isInsertedBefore
+      ? targetBlock.getPrevSiblingKey()
+      : targetBlock.getNextSiblingKey();
+  } else {
+    adjacentKey = isInsertedBefore
+      ? contentState.getKeyBefore(targetKey)
+      : contentState.getKeyAfter(targetKey);
   }
 
-  const blocksBefore = blockMapWithoutBlocksToBeMoved
-    .toSeq()
-    .takeUntil(v => v === targetBlock);
-
-  const blocksAfter = blockMapWithoutBlocksToBeMoved
-    .toSeq()
-    .skipUntil(v => v === targetBlock)
-    .skip(1);
-
-  const slicedBlocks = blocksToBeMoved.map(block => [block.getKey(), block]);
+  invariant(adjacentKey !== blockKey, 'Block cannot be moved next to itself.');
 
-  let newBlocks = OrderedMap();
+  let newBlocks: BlockMap;
 
-  if (insertionMode === 'before') {
-    const blockBefore = contentState.getBlockBefore(targetKey);
-
-    invariant(
-      !blockBefore || blockBefore.getKey() !== blockToBeMoved.getKey(),
-      'Block cannot be moved next to itself.',
-    );
-
-    newBlocks = blocksBefore
-      .concat([...slicedBlocks, [targetKey, targetBlock]], blocksAfter)
-      .toOrderedMap();
-  } else if (insertionMode === 'after') {
-    const blockAfter = contentState.getBlockAfter(targetKey);
-
-    invariant(
-      !blockAfter || blockAfter.getKey() !== blockKey,
-      'Block cannot be moved next to itself.',
-    );
-
-    newBlocks = blocksBefore
-      .concat([[targetKey, targetBlock], ...slicedBlocks], blocksAfter)
-      .toOrderedMap();
+  if (isExperimentalTreeBlock) {
+    // The target cannot be one of the descendants of the block.
+    newBlocks = moveSubtree(blockMap, blockKey, targetBlock, insertionMode);
+  } else {
+    const blockMapWithoutBlockToBeMoved = blockMap.delete(blockKey);
+    const blocksBefore = blockMapWithoutBlockToBeMoved
+      .toSeq()
+      .takeUntil(v => v === targetBlock);
+    const blocksAfter = blockMapWithoutBlockToBeMoved
+      .toSeq()
+      .skipUntil(v => v === targetBlock)
+      .skip(1);
+    const movedBlocks = isInsertedBefore
+      ? [[blockKey, blockToBeMoved], [targetKey, targetBlock]]
+      : [[targetKey, targetBlock], [blockKey, blockToBeMoved]];
+
+    newBlocks = blocksBefore.concat(movedBlocks, blocksAfter).toOrderedMap();
   }
 
   return contentState.merge({
-    blockMap: updateBlockMapLinks(
-      newBlocks,
-      blockToBeMoved,
-      targetBlock,
-      insertionMode,
-      isExperimentalTreeBlock,
-    ),
+    blockMap: newBlocks,
     selectionBefore: contentState.getSelectionAfter(),
     selectionAfter: contentState.getSelectionAfter().merge({
       anchorKey: blockKey,
@@ -282,6 +282,51 @@ const updateBlockMapLinks = (
   });
 };
 
+const getTableCellKey = (key: ?string, blockMap: BlockMap): ?string => {
+  let block = key != null ? blockMap.get(key) : null;
+  while (block && block.getType() !== 'table-cell') {
+    const parentKey = block.getParentKey();
+    block = parentKey != null ? blockMap.get(parentKey) : null;
+  }
+  return block ? block.getKey() : null;
+};
+
+/**
+ * Remove the selected text of each block of the range, without merging the
+ * blocks, for ranges that cross the edges of table cells.
+ */
+const clearRangeInBlocks = (
+  blockMap: BlockMap,
+  startKey: string,
+  startOffset: number,
+  endKey: string,
+  endOffset: number,
+): BlockMap => {
+  const blocks = blockMap
+    .toSeq()
+    .skipUntil((_, k) => k === startKey)
+    .takeUntil((_, k) => k === endKey)
+    .concat(Map([[endKey, blockMap.get(endKey)]]));
+  return blockMap.withMutations(map => {
+    blocks.forEach((block, key) => {
+      if (!block.getChildKeys().isEmpty()) {
+        return;
+      }
+      const start = key === startKey ? startOffset : 0;
+      const end = key === endKey ? endOffset : block.getLength();
+      if (start < end) {
+        map.set(
+          key,
+          block.merge({
+            text: block.getText().slice(0, start) + block.getText().slice(end),
+            characterList: removeFromList(block.getCharacterList(), start, end),
+          }),
+        );
+      }
+    });
+  });
+};
+
 const removeRangeFromContentState = (
   contentState: ContentState,
   selectionState: SelectionState,
@@ -302,6 +347,33 @@ const removeRangeFromContentState = (
   // we assume that ContentBlockNode and ContentBlocks are not mixed together
   const isExperimentalTreeBlock = startBlock instanceof ContentBlockNode;
 
+  // Text removed across the edges of table cells is cleared from each block
+  // instead, since merging the blocks would merge the cells, or move text in
+  // or out of the table.
+  if (
+    isExperimentalTreeBlock &&
+    startKey !== endKey &&
+    getTableCellKey(startKey, blockMap) !== getTableCellKey(endKey, blockMap)
+  ) {
+    return contentState.merge({
+      blockMap: clearRangeInBlocks(
+        blockMap,
+        startKey,
+        startOffset,
+        endKey,
+        endOffset,
+      ),
+      selectionBefore: selectionState,
+      selectionAfter: selectionState.merge({
+        anchorKey: startKey,
+        anchorOffset: startOffset,
+        focusKey: startKey,
+        focusOffset: startOffset,
+        isBackward: false,
+      }),
+    });
+  }
+
   // used to retain blocks that should not be deleted to avoid orphan children
   let parentAncestors = [];
 
@@ -102,7 +102,8 @@ const splitBlockInContentState = (
     const blockType = blockToSplit.getType();
     if (
       blockType === 'unordered-list-item' ||
-      blockType === 'ordered-list-item'
+      blockType === 'ordered-list-item' ||
+      blockType === 'checkable-list-item'
     ) {
       return modifyBlockForContentState(contentState, selectionState, block =>
         block.merge({type: 'unstyled', depth: 0}),
@@ -10,10 +10,21 @@
 
 'use strict';
 
-const gkx = require('gkx');
+const DraftEditorContentsCore = require('DraftEditorContents-core.react');
+const DraftEditorContentsExperimental = require('DraftEditorContentsExperimental.react');
+const React = require('React');
 
-const experimentalTreeDataSupport = gkx('draft_tree_data_support');
+type Props = React.ElementConfig<typeof DraftEditorContentsCore>;
 
-module.exports = experimentalTreeDataSupport
-  ? require('DraftEditorContentsExperimental.react')
-  : require('DraftEditorContents-core.react');
+/**
+ * Nested content is rendered with the blocks inside their parents, and flat
+ * content as a list of blocks, for each editor.
+ */
+const DraftEditorContents = (props: Props) =>
+  props.editorState.getCurrentContent().isNested() ? (
+    <DraftEditorContentsExperimental {...props} />
+  ) : (
+    <DraftEditorContentsCore {...props} />
+  );
+
+module.exports = DraftEditorContents;